@@ -7,11 +7,15 @@ const cors = require('cors');
 
 const { NotFoundError } = require('./expressError');
 
-const { authenticateJWT } = require('./middleware/auth');
+const { authenticateJWT, authenticateApiKey } = require('./middleware/auth');
+const { requestContext } = require('./helpers/requestContext');
 const authRoutes = require('./routes/auth');
 const companiesRoutes = require('./routes/companies');
 const usersRoutes = require('./routes/users');
 const jobsRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const skillsRoutes = require('./routes/skills');
+const searchRoutes = require('./routes/search');
 
 const morgan = require('morgan');
 
@@ -20,12 +24,17 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(morgan('tiny'));
+app.use(requestContext);
 app.use(authenticateJWT);
+app.use(authenticateApiKey);
 
 app.use('/auth', authRoutes);
 app.use('/companies', companiesRoutes);
 app.use('/users', usersRoutes);
 app.use('/jobs', jobsRoutes);
+app.use('/admin', adminRoutes);
+app.use('/skills', skillsRoutes);
+app.use('/search', searchRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function(req, res, next) {
@@ -37,9 +46,10 @@ app.use(function(err, req, res, next) {
 	if (process.env.NODE_ENV !== 'test') console.error(err.stack);
 	const status = err.status || 500;
 	const message = err.message;
+	if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
 
 	return res.status(status).json({
-		error: { message, status }
+		error: err.code ? { message, status, code: err.code } : { message, status }
 	});
 });
 
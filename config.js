@@ -9,6 +9,30 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// How long tokens last, in seconds. Access tokens are short-lived; refresh
+// tokens are exchanged for new access tokens at POST /auth/refresh.
+const ACCESS_TOKEN_TTL = +process.env.ACCESS_TOKEN_TTL || 15 * 60;
+const REFRESH_TOKEN_TTL = +process.env.REFRESH_TOKEN_TTL || 30 * 24 * 60 * 60;
+const MFA_TOKEN_TTL = +process.env.MFA_TOKEN_TTL || 5 * 60;
+const PASSWORD_RESET_TTL = +process.env.PASSWORD_RESET_TTL || 60 * 60;
+const EMAIL_VERIFICATION_TTL = +process.env.EMAIL_VERIFICATION_TTL || 24 * 60 * 60;
+
+// How long deleted companies, jobs and users can still be restored, in
+// seconds, before purge.js removes them for good
+const DELETED_RETENTION = +process.env.DELETED_RETENTION || 30 * 24 * 60 * 60;
+
+// How email is sent: "console" prints it, "file" appends it to MAIL_FILE, and
+// "memory" keeps it for tests to inspect (see helpers/mailer.js)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === "test" ? "memory" : "console");
+const MAIL_FILE = process.env.MAIL_FILE || "mail.log";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@example.com>";
+
+// Where failed login attempts are tracked: "postgres", or "memory" for tests
+// (see helpers/loginThrottle.js)
+const LOGIN_THROTTLE_STORE = process.env.LOGIN_THROTTLE_STORE
+    || (process.env.NODE_ENV === "test" ? "memory" : "postgres");
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
@@ -26,11 +50,22 @@ console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("MAIL_TRANSPORT:".yellow, MAIL_TRANSPORT);
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
   BCRYPT_WORK_FACTOR,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  MFA_TOKEN_TTL,
+  PASSWORD_RESET_TTL,
+  EMAIL_VERIFICATION_TTL,
+  DELETED_RETENTION,
+  MAIL_TRANSPORT,
+  MAIL_FILE,
+  MAIL_FROM,
+  LOGIN_THROTTLE_STORE,
   getDatabaseUri,
 };
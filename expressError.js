@@ -28,6 +28,17 @@ class UnauthorizedError extends ExpressError {
   }
 }
 
+/** 401 UNAUTHORIZED error for an access token that has expired; the client
+ *  should get a new one from POST /auth/refresh. Its code, token_expired, tells
+ *  it apart from other 401s. */
+
+class TokenExpiredError extends UnauthorizedError {
+  constructor(message = "Token expired") {
+    super(message);
+    this.code = "token_expired";
+  }
+}
+
 /** 400 BAD REQUEST error. */
 
 class BadRequestError extends ExpressError {
@@ -44,10 +55,21 @@ class ForbiddenError extends ExpressError {
   }
 }
 
+/** 429 TOO MANY REQUESTS error; retryAfter is how many seconds to wait. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(message = "Too Many Requests", retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
 module.exports = {
   ExpressError,
   NotFoundError,
   UnauthorizedError,
+  TokenExpiredError,
   BadRequestError,
   ForbiddenError,
+  TooManyRequestsError,
 };
\ No newline at end of file
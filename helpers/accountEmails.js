@@ -0,0 +1,50 @@
+"use strict";
+
+/** Emails sent to users about their account, each carrying a single-use token
+ * (see UserToken).
+ */
+
+const UserToken = require("../models/userToken");
+const { sendMail } = require("./mailer");
+const { PASSWORD_RESET_TTL, EMAIL_VERIFICATION_TTL } = require("../config");
+
+/** Describe ttl seconds for an email, e.g. "60 minutes" or "24 hours". */
+
+function describeTtl(ttl) {
+  const minutes = Math.round(ttl / 60);
+  return minutes > 120 ? `${Math.round(minutes / 60)} hours` : `${minutes} minutes`;
+}
+
+/** Send user { username, firstName, email } a password reset token. */
+
+async function sendPasswordReset(user) {
+  const token = await UserToken.create(user.username, "password_reset", PASSWORD_RESET_TTL);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Jobly password",
+    text: `Hi ${user.firstName},\n\n`
+        + `Someone asked to reset the password for your Jobly account, ${user.username}. `
+        + `If it was you, use this token to choose a new one:\n\n${token}\n\n`
+        + `It expires in ${describeTtl(PASSWORD_RESET_TTL)}. `
+        + "If it wasn't you, you can ignore this email.",
+  });
+}
+
+/** Send user { username, firstName, email } a token to verify their email. */
+
+async function sendVerification(user) {
+  const token = await UserToken.create(user.username, "email_verification", EMAIL_VERIFICATION_TTL);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Jobly email address",
+    text: `Hi ${user.firstName},\n\n`
+        + `Please confirm this is the email address for your Jobly account, ${user.username}, `
+        + `using this token:\n\n${token}\n\n`
+        + `It expires in ${describeTtl(EMAIL_VERIFICATION_TTL)}.`,
+  });
+}
+
+module.exports = {
+  sendPasswordReset,
+  sendVerification,
+};
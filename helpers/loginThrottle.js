@@ -0,0 +1,110 @@
+'use strict';
+
+/** Slowing down password guessing on POST /auth/token.
+ *
+ * Failed logins are counted per username and per IP address. Once a key has
+ * failed MAX_FAILURES times in a row, it's locked out for LOCKOUT_SECONDS, and
+ * each further failure doubles that, up to MAX_LOCKOUT_SECONDS. A successful
+ * login, or an admin unlocking the account, clears the username's count.
+ *
+ * Attempts are kept in a store chosen with LOGIN_THROTTLE_STORE (see
+ * helpers/throttleStores.js); another can be plugged in with setStore.
+ */
+
+const { TooManyRequestsError } = require('../expressError');
+const { MemoryThrottleStore, PgThrottleStore } = require('./throttleStores');
+const { LOGIN_THROTTLE_STORE } = require('../config');
+
+/** Failures in a row allowed per key before it's locked out. An IP address can
+ * be shared by many users, so it's allowed more. */
+
+const MAX_FAILURES = { user: 5, ip: 20 };
+
+const LOCKOUT_SECONDS = 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+
+/** Failures further apart than this, or this long after a lockout ends, don't
+ * count as being in a row. */
+
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+
+const stores = {
+	memory: MemoryThrottleStore,
+	postgres: PgThrottleStore
+};
+
+if (!stores[LOGIN_THROTTLE_STORE]) throw new Error(`Unknown LOGIN_THROTTLE_STORE: ${LOGIN_THROTTLE_STORE}`);
+let store = new stores[LOGIN_THROTTLE_STORE]();
+
+/** Use store for all attempts from now on. */
+
+function setStore(newStore) {
+	store = newStore;
+}
+
+/** The store keys for a login attempt. */
+
+function keysFor(username, ip) {
+	return [ { type: 'user', key: `user:${username}` }, { type: 'ip', key: `ip:${ip}` } ];
+}
+
+/** How long a key is locked out for after failures in a row; 0 if it isn't. */
+
+function lockoutSeconds(type, failures) {
+	const over = failures - MAX_FAILURES[type];
+	if (over < 0) return 0;
+	return Math.min(LOCKOUT_SECONDS * 2 ** over, MAX_LOCKOUT_SECONDS);
+}
+
+/** Check a login attempt for username from ip may go ahead.
+ *
+ * Throws TooManyRequestsError, with the seconds until it may, if not.
+ */
+
+async function checkLogin(username, ip) {
+	const now = Date.now();
+	let wait = 0;
+
+	for (const { key } of keysFor(username, ip)) {
+		const entry = await store.get(key);
+		if (entry && entry.lockedUntil && entry.lockedUntil.getTime() > now) {
+			wait = Math.max(wait, Math.ceil((entry.lockedUntil.getTime() - now) / 1000));
+		}
+	}
+
+	if (wait) throw new TooManyRequestsError('Too many failed login attempts; try again later', wait);
+}
+
+/** Record a failed login for username from ip, locking out its keys once
+ * they've failed too often. */
+
+async function recordFailure(username, ip) {
+	for (const { type, key } of keysFor(username, ip)) {
+		const failures = await store.increment(key, FAILURE_WINDOW_SECONDS);
+		const seconds = lockoutSeconds(type, failures);
+		if (seconds) await store.lock(key, new Date(Date.now() + seconds * 1000));
+	}
+}
+
+/** Record a successful login for username, clearing its failures. The IP
+ * address's count is left alone, so an attacker can't clear it by logging in
+ * to an account of their own. */
+
+async function recordSuccess(username) {
+	await store.clear(`user:${username}`);
+}
+
+/** Unlock username's account, clearing its failures. */
+
+async function unlock(username) {
+	await store.clear(`user:${username}`);
+}
+
+module.exports = {
+	checkLogin,
+	recordFailure,
+	recordSuccess,
+	unlock,
+	setStore,
+	lockoutSeconds
+};
@@ -0,0 +1,123 @@
+const db = require('../db');
+const { TooManyRequestsError } = require('../expressError');
+const { MemoryThrottleStore } = require('./throttleStores');
+const loginThrottle = require('./loginThrottle');
+
+const { checkLogin, recordFailure, recordSuccess, unlock, setStore, lockoutSeconds } = loginThrottle;
+
+let store;
+
+beforeEach(function() {
+	store = new MemoryThrottleStore();
+	setStore(store);
+});
+
+afterEach(function() {
+	jest.restoreAllMocks();
+});
+
+afterAll(function() {
+	return db.end();
+});
+
+async function failTimes(n, username = 'u1', ip = '1.2.3.4') {
+	for (let i = 0; i < n; i++) await recordFailure(username, ip);
+}
+
+describe('lockoutSeconds', function() {
+	test('works', () => {
+		expect(lockoutSeconds('user', 4)).toEqual(0);
+		expect(lockoutSeconds('user', 5)).toEqual(60);
+		expect(lockoutSeconds('user', 7)).toEqual(240);
+		expect(lockoutSeconds('user', 50)).toEqual(60 * 60);
+		expect(lockoutSeconds('ip', 19)).toEqual(0);
+		expect(lockoutSeconds('ip', 20)).toEqual(60);
+	});
+});
+
+describe('checkLogin', function() {
+	test('works below the limit', async () => {
+		await failTimes(4);
+		await checkLogin('u1', '1.2.3.4');
+	});
+
+	test('locks out the username', async () => {
+		expect.assertions(3);
+		await failTimes(5);
+		try {
+			await checkLogin('u1', '5.6.7.8');
+		} catch (err) {
+			expect(err instanceof TooManyRequestsError).toBeTruthy();
+			expect(err.status).toEqual(429);
+			expect(err.retryAfter).toEqual(60);
+		}
+	});
+
+	test('locks out the IP address', async () => {
+		expect.assertions(1);
+		for (let i = 0; i < 20; i++) await recordFailure(`user${i}`, '1.2.3.4');
+		await checkLogin('u1', '5.6.7.8');
+		try {
+			await checkLogin('u1', '1.2.3.4');
+		} catch (err) {
+			expect(err instanceof TooManyRequestsError).toBeTruthy();
+		}
+	});
+
+	test('lockout ends', async () => {
+		await failTimes(5);
+		const later = Date.now() + 61 * 1000;
+		jest.spyOn(Date, 'now').mockReturnValue(later);
+		await checkLogin('u1', '1.2.3.4');
+	});
+
+	test('lockout doubles with more failures', async () => {
+		expect.assertions(1);
+		await failTimes(6);
+		try {
+			await checkLogin('u1', '1.2.3.4');
+		} catch (err) {
+			expect(err.retryAfter).toEqual(120);
+		}
+	});
+});
+
+describe('lockouts in a row', function() {
+	test('keep growing up to the cap, however long each lasts', async () => {
+		let now = Date.now();
+		jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+		// each failure comes as soon as the last lockout ends
+		const lockouts = [];
+		for (let i = 0; i < 14; i++) {
+			await recordFailure('u1', '1.2.3.4');
+			const { lockedUntil } = await store.get('user:u1');
+			if (lockedUntil && lockedUntil.getTime() > now) {
+				lockouts.push((lockedUntil.getTime() - now) / 1000);
+				now = lockedUntil.getTime();
+			}
+		}
+
+		expect(lockouts).toEqual([ 60, 120, 240, 480, 960, 1920, 3600, 3600, 3600, 3600 ]);
+	});
+});
+
+describe('recordSuccess', function() {
+	test('clears the username but not the IP address', async () => {
+		await failTimes(4);
+		await recordSuccess('u1');
+		await failTimes(4);
+		await checkLogin('u1', '1.2.3.4');
+
+		for (let i = 0; i < 12; i++) await recordFailure(`user${i}`, '1.2.3.4');
+		await expect(checkLogin('other', '1.2.3.4')).rejects.toThrow(TooManyRequestsError);
+	});
+});
+
+describe('unlock', function() {
+	test('works', async () => {
+		await failTimes(5);
+		await unlock('u1');
+		await checkLogin('u1', '5.6.7.8');
+	});
+});
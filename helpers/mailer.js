@@ -0,0 +1,71 @@
+"use strict";
+
+/** Sending email.
+ *
+ * Messages go through a transport: any object with an async send(message)
+ * method. The built-in transports are chosen with MAIL_TRANSPORT; a real one
+ * (SMTP, an email API, ...) can be plugged in with setTransport.
+ */
+
+const fs = require("fs");
+const { MAIL_TRANSPORT, MAIL_FILE, MAIL_FROM } = require("../config");
+
+/** Prints each message; handy for local development. */
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+  },
+};
+
+/** Appends each message, as a line of JSON, to a file (MAIL_FILE by default). */
+
+const fileTransport = {
+  path: MAIL_FILE,
+
+  async send(message) {
+    await fs.promises.appendFile(this.path, JSON.stringify(message) + "\n");
+  },
+};
+
+/** Keeps each message in memory, for tests. */
+
+const memoryTransport = {
+  sent: [],
+
+  async send(message) {
+    this.sent.push(message);
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  memory: memoryTransport,
+};
+
+let transport = transports[MAIL_TRANSPORT];
+if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+
+/** Use transport for all messages from now on. */
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/** Send a message: { to, subject, text }.
+ *
+ * Returns the message as sent, including from and sentAt.
+ */
+
+async function sendMail({ to, subject, text }) {
+  const message = { from: MAIL_FROM, to, subject, text, sentAt: new Date().toISOString() };
+  await transport.send(message);
+  return message;
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  transports,
+};
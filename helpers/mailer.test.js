@@ -0,0 +1,50 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sendMail, setTransport, transports } = require("./mailer");
+const { MAIL_FROM } = require("../config");
+
+const message = { to: "u1@email.com", subject: "Hello", text: "Hi there" };
+
+afterEach(function () {
+  transports.memory.sent.length = 0;
+  setTransport(transports.memory);
+});
+
+describe("sendMail", function () {
+  test("works: memory transport is the default in tests", async function () {
+    const sent = await sendMail(message);
+    expect(sent).toEqual({ ...message, from: MAIL_FROM, sentAt: expect.any(String) });
+    expect(transports.memory.sent).toEqual([sent]);
+  });
+
+  test("works: custom transport", async function () {
+    const send = jest.fn();
+    setTransport({ send });
+    await sendMail(message);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining(message));
+    expect(transports.memory.sent).toEqual([]);
+  });
+
+  test("works: console transport", async function () {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    setTransport(transports.console);
+    await sendMail(message);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining("Subject: Hello"));
+    log.mockRestore();
+  });
+
+  test("works: file transport", async function () {
+    const file = path.join(os.tmpdir(), `jobly-mail-${process.pid}.log`);
+    const defaultPath = transports.file.path;
+    transports.file.path = file;
+    setTransport(transports.file);
+    await sendMail(message);
+    await sendMail({ ...message, subject: "Again" });
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    expect(lines.map((l) => JSON.parse(l).subject)).toEqual(["Hello", "Again"]);
+    transports.file.path = defaultPath;
+    fs.unlinkSync(file);
+  });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+/** Helpers for paginating list queries.
+ *
+ * Pages follow on from each other by keyset: a cursor holds the sort key of
+ * the row a page ended (or started) at, and the next page is the rows sorting
+ * after (or before) it. Rows added or removed in between don't make a page
+ * skip or repeat rows, as they would with offsets.
+ */
+
+const { BadRequestError } = require('../expressError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/** A sort order, as from parseSort, as a string to tell cursors for different
+ * orders apart: [{ col: 'a', desc: true }, { col: 'id' }] => '-a,id' */
+
+function orderKey(order) {
+	return order.map(({ col, desc }) => `${desc ? '-' : ''}${col}`).join(',');
+}
+
+/** Encode a position in a list as an opaque cursor string.
+ *
+ * position is { after } or { before }, the sort key values (as text) of the
+ * row to start after or end before, and order is the list's sort order.
+ */
+
+function encodeCursor(position, order) {
+	return Buffer.from(JSON.stringify({ ...position, order: orderKey(order) })).toString('base64url');
+}
+
+/** Decode a cursor made by encodeCursor to { after } or { before }.
+ *
+ * Throws BadRequestError if the cursor is not one of ours.
+ */
+
+function decodeCursor(cursor) {
+	try {
+		const { after, before, order } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		const values = after || before;
+		const valid = (v) => v === null || typeof v === 'string';
+		if (!after === !before || !Array.isArray(values) || !values.every(valid) || typeof order !== 'string') {
+			throw new Error();
+		}
+		return after ? { after, order } : { before, order };
+	} catch (err) {
+		throw new BadRequestError('Invalid cursor');
+	}
+}
+
+/** Parse an integer query value, or return undefined if it wasn't given. */
+
+function toInteger(value, name, min) {
+	if (value === undefined || value === '') return undefined;
+	const n = Number(value);
+	if (!Number.isInteger(n) || n < min) throw new BadRequestError(`Invalid ${name}: ${value}`);
+	return n;
+}
+
+/** Work out which page to return from { limit, offset, cursor }.
+ *
+ * A page can be asked for by offset or by a cursor from a previous page's
+ * `next` / `prev`, not both. limit defaults to DEFAULT_LIMIT and is capped at
+ * MAX_LIMIT, so a list query never returns an unbounded number of rows.
+ *
+ * Returns { limit, offset, cursor }, where cursor is null or as from
+ * decodeCursor.
+ *
+ * Throws BadRequestError on invalid values.
+ */
+
+function getPage({ limit, offset, cursor } = {}) {
+	if (cursor !== undefined && offset !== undefined) {
+		throw new BadRequestError('Cannot use both offset and cursor');
+	}
+
+	return {
+		limit: Math.min(toInteger(limit, 'limit', 1) || DEFAULT_LIMIT, MAX_LIMIT),
+		offset: toInteger(offset, 'offset', 0) || 0,
+		cursor: cursor !== undefined ? decodeCursor(cursor) : null
+	};
+}
+
+/** SQL for rows sorting strictly after (or, with before, strictly before) the
+ * sort key values, in an order whose columns are all NULLS LAST (see
+ * parseSort). idxs are the placeholder numbers for the values that aren't
+ * null.
+ *
+ * [{ col: 'a', desc: true }, { col: 'id' }], [ '5', '7' ], [ 3, 4 ] =>
+ *   '((a < $3 OR a IS NULL)) OR (a = $3 AND (id > $4 OR id IS NULL))'
+ */
+
+function sqlForKeyset(order, values, idxs, before) {
+	const terms = order.map(({ col, desc }, i) => {
+		// a null sorts last, so nothing sorts after it and everything else before
+		if (values[i] === null) return { past: before ? `${col} IS NOT NULL` : 'FALSE', same: `${col} IS NULL` };
+
+		const param = `$${idxs[i]}`;
+		const op = desc === before ? '>' : '<';
+		const past = before ? `${col} ${op} ${param}` : `(${col} ${op} ${param} OR ${col} IS NULL)`;
+		return { past, same: `${col} = ${param}` };
+	});
+
+	return terms
+		.map(({ past }, i) => [ ...terms.slice(0, i).map((t) => t.same), past ].join(' AND '))
+		.map((term) => `(${term})`)
+		.join(' OR ');
+}
+
+/** SQL for a page of a list query.
+ *
+ * order is the list's sort order, [{ col, desc }, ...] as from parseSort; it
+ * should end with a unique column. where is the query's WHERE clause, if any,
+ * and startIdx is the first placeholder number to use.
+ *
+ * Returns { where, orderBy, cursorColumn, clause, values }
+ *   where where is the query's WHERE clause with the page's keyset added,
+ *   orderBy the ORDER BY clause, cursorColumn a column for the SELECT list
+ *   (which pageOf takes out of the rows again), clause the LIMIT / OFFSET and
+ *   values the values for their placeholders, in that order. One row more than
+ *   the limit is fetched, so pageOf can tell if there are more.
+ *
+ * Throws BadRequestError if the page's cursor is for another order.
+ */
+
+function sqlForPage({ limit, offset, cursor }, order, { where = '', startIdx = 1 } = {}) {
+	const before = Boolean(cursor && cursor.before);
+	const position = cursor && (cursor.after || cursor.before);
+	if (cursor && (cursor.order !== orderKey(order) || position.length !== order.length)) {
+		throw new BadRequestError('Invalid cursor');
+	}
+
+	const nulls = before ? 'NULLS FIRST' : 'NULLS LAST';
+	const terms = order.map(({ col, desc }) => `${col} ${desc === before ? 'ASC' : 'DESC'} ${nulls}`);
+	const values = [];
+	let pageWhere = where;
+
+	if (position) {
+		const idxs = position.map((v) => (v === null ? null : startIdx + values.push(v) - 1));
+		const keyset = sqlForKeyset(order, position, idxs, before);
+		pageWhere = where ? `${where} AND (${keyset})` : `WHERE ${keyset}`;
+	}
+
+	const limitIdx = startIdx + values.length;
+	values.push(limit + 1, offset);
+
+	return {
+		where: pageWhere,
+		orderBy: `ORDER BY ${terms.join(', ')}`,
+		cursorColumn: `ARRAY[${order.map(({ col }) => `${col}::text`).join(', ')}] AS "_cursor"`,
+		clause: `LIMIT $${limitIdx} OFFSET $${limitIdx + 1}`,
+		values
+	};
+}
+
+/** A page from the rows of a query built with sqlForPage, given the total
+ * number of matching rows and the list's sort order.
+ *
+ * Returns { rows, total, next, prev }, where rows are in the list's order
+ * without their cursor column, and next and prev are cursors for the
+ * neighbouring pages (or null if there isn't one).
+ */
+
+function pageOf({ limit, offset, cursor }, order, rows, total) {
+	const before = Boolean(cursor && cursor.before);
+	const more = rows.length > limit;
+	const page = rows.slice(0, limit);
+	if (before) page.reverse();
+
+	const hasNext = before ? page.length > 0 : more;
+	const hasPrev = before ? more : page.length > 0 && (Boolean(cursor) || offset > 0);
+
+	return {
+		rows: page.map(({ _cursor, ...row }) => row),
+		total,
+		next: hasNext ? encodeCursor({ after: page[page.length - 1]._cursor }, order) : null,
+		prev: hasPrev ? encodeCursor({ before: page[0]._cursor }, order) : null
+	};
+}
+
+module.exports = {
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+	encodeCursor,
+	decodeCursor,
+	getPage,
+	sqlForPage,
+	pageOf
+};
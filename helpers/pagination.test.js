@@ -0,0 +1,133 @@
+const { BadRequestError } = require('../expressError');
+const {
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+	encodeCursor,
+	decodeCursor,
+	getPage,
+	sqlForPage,
+	pageOf
+} = require('./pagination');
+
+const order = [ { col: 'salary', desc: true }, { col: 'id', desc: false } ];
+
+describe('cursors', function() {
+	test('round trip', () => {
+		expect(decodeCursor(encodeCursor({ after: [ '100', '7' ] }, order))).toEqual({
+			after: [ '100', '7' ],
+			order: '-salary,id'
+		});
+		expect(decodeCursor(encodeCursor({ before: [ null, '7' ] }, order))).toEqual({
+			before: [ null, '7' ],
+			order: '-salary,id'
+		});
+	});
+
+	test('invalid cursor', () => {
+		const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+		expect(() => decodeCursor('nope')).toThrow(BadRequestError);
+		expect(() => decodeCursor(encode({ offset: 1 }))).toThrow('Invalid cursor');
+		expect(() => decodeCursor(encode({ after: [ 1 ], order: 'id' }))).toThrow('Invalid cursor');
+		expect(() => decodeCursor(encode({ after: [ '1' ], before: [ '1' ], order: 'id' }))).toThrow('Invalid cursor');
+	});
+});
+
+describe('getPage', function() {
+	test('defaults', () => {
+		expect(getPage()).toEqual({ limit: DEFAULT_LIMIT, offset: 0, cursor: null });
+	});
+
+	test('with limit and offset from a query string', () => {
+		expect(getPage({ limit: '5', offset: '10' })).toEqual({ limit: 5, offset: 10, cursor: null });
+	});
+
+	test('with cursor', () => {
+		expect(getPage({ limit: 5, cursor: encodeCursor({ after: [ '100', '7' ] }, order) })).toEqual({
+			limit: 5,
+			offset: 0,
+			cursor: { after: [ '100', '7' ], order: '-salary,id' }
+		});
+	});
+
+	test('caps limit', () => {
+		expect(getPage({ limit: MAX_LIMIT + 1 })).toEqual({ limit: MAX_LIMIT, offset: 0, cursor: null });
+	});
+
+	test('bad request with invalid values', () => {
+		expect(() => getPage({ limit: 0 })).toThrow(BadRequestError);
+		expect(() => getPage({ limit: 'ten' })).toThrow(BadRequestError);
+		expect(() => getPage({ offset: -1 })).toThrow(BadRequestError);
+		expect(() => getPage({ offset: 1, cursor: encodeCursor({ after: [ '1' ] }, order) })).toThrow(BadRequestError);
+	});
+});
+
+describe('sqlForPage', function() {
+	test('works: first page', () => {
+		expect(sqlForPage({ limit: 20, offset: 40, cursor: null }, order, { startIdx: 3 })).toEqual({
+			where: '',
+			orderBy: 'ORDER BY salary DESC NULLS LAST, id ASC NULLS LAST',
+			cursorColumn: 'ARRAY[salary::text, id::text] AS "_cursor"',
+			clause: 'LIMIT $3 OFFSET $4',
+			values: [ 21, 40 ]
+		});
+	});
+
+	test('works: after a cursor', () => {
+		const cursor = { after: [ '100', '7' ], order: '-salary,id' };
+		expect(sqlForPage({ limit: 20, offset: 0, cursor }, order, { where: 'WHERE x = $1', startIdx: 2 })).toEqual({
+			where: 'WHERE x = $1 AND (((salary < $2 OR salary IS NULL)) OR (salary = $2 AND (id > $3 OR id IS NULL)))',
+			orderBy: 'ORDER BY salary DESC NULLS LAST, id ASC NULLS LAST',
+			cursorColumn: 'ARRAY[salary::text, id::text] AS "_cursor"',
+			clause: 'LIMIT $4 OFFSET $5',
+			values: [ '100', '7', 21, 0 ]
+		});
+	});
+
+	test('works: before a cursor, with a null key', () => {
+		const cursor = { before: [ null, '7' ], order: '-salary,id' };
+		expect(sqlForPage({ limit: 20, offset: 0, cursor }, order)).toMatchObject({
+			where: 'WHERE (salary IS NOT NULL) OR (salary IS NULL AND id < $1)',
+			orderBy: 'ORDER BY salary ASC NULLS FIRST, id DESC NULLS FIRST',
+			values: [ '7', 21, 0 ]
+		});
+	});
+
+	test('bad request with a cursor for another order', () => {
+		const cursor = { after: [ '7' ], order: 'id' };
+		expect(() => sqlForPage({ limit: 20, offset: 0, cursor }, order)).toThrow(BadRequestError);
+	});
+});
+
+describe('pageOf', function() {
+	const rows = [ { id: 1, _cursor: [ '1' ] }, { id: 2, _cursor: [ '2' ] }, { id: 3, _cursor: [ '3' ] } ];
+	const idOrder = [ { col: 'id', desc: false } ];
+
+	test('first page', () => {
+		expect(pageOf({ limit: 2, offset: 0, cursor: null }, idOrder, rows, 5)).toEqual({
+			rows: [ { id: 1 }, { id: 2 } ],
+			total: 5,
+			next: encodeCursor({ after: [ '2' ] }, idOrder),
+			prev: null
+		});
+	});
+
+	test('last page after a cursor', () => {
+		const cursor = { after: [ '0' ], order: 'id' };
+		expect(pageOf({ limit: 3, offset: 0, cursor }, idOrder, rows, 4)).toEqual({
+			rows: [ { id: 1 }, { id: 2 }, { id: 3 } ],
+			total: 4,
+			next: null,
+			prev: encodeCursor({ before: [ '1' ] }, idOrder)
+		});
+	});
+
+	test('page before a cursor', () => {
+		const cursor = { before: [ '4' ], order: 'id' };
+		expect(pageOf({ limit: 2, offset: 0, cursor }, idOrder, [ ...rows ].reverse(), 5)).toEqual({
+			rows: [ { id: 2 }, { id: 3 } ],
+			total: 5,
+			next: encodeCursor({ after: [ '3' ] }, idOrder),
+			prev: encodeCursor({ before: [ '2' ] }, idOrder)
+		});
+	});
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/** Who a piece of work is being done for, and as part of which request.
+ *
+ * requestContext runs each request inside its own context, so code anywhere
+ * below a route (like the audit log in models) can find the actor and request
+ * id without having them passed down. Work done outside a request, such as
+ * scripts and tests, has no context unless run with runWithContext.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+/** Request ids sent by clients are only used if they look like one. */
+
+const REQUEST_ID_RE = /^[\w.-]{1,100}$/;
+
+/** Middleware: run the rest of the request in a context with a request id.
+ *
+ * The id comes from the X-Request-Id header if the client sent a sensible
+ * one, or is made up, and is sent back in X-Request-Id.
+ */
+
+function requestContext(req, res, next) {
+	const given = req.get && req.get('X-Request-Id');
+	const requestId = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+	res.set('X-Request-Id', requestId);
+
+	// res.locals is filled in by the authentication middleware later on
+	storage.run({ requestId, locals: res.locals }, next);
+}
+
+/** Run fn in a context with { requestId, actor }; returns what fn returns. */
+
+function runWithContext({ requestId = null, actor = null }, fn) {
+	return storage.run({ requestId, actor }, fn);
+}
+
+/** The request id of the current context, or null. */
+
+function getRequestId() {
+	const context = storage.getStore();
+	return (context && context.requestId) || null;
+}
+
+/** Who is acting in the current context: a username, "apikey:<id>" for an
+ * API key, or null if no one is logged in or there's no context. */
+
+function getActor() {
+	const context = storage.getStore();
+	if (!context) return null;
+	if (context.actor) return context.actor;
+
+	const { user, apiKey } = context.locals || {};
+	if (user) return user.username;
+	if (apiKey) return `apikey:${apiKey.id}`;
+	return null;
+}
+
+module.exports = {
+	requestContext,
+	runWithContext,
+	getRequestId,
+	getActor
+};
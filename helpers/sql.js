@@ -15,4 +15,131 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
 	};
 }
 
-module.exports = { sqlForPartialUpdate };
+/** Build a parameterized WHERE clause from search filters and a filter spec.
+ *
+ * filters holds the values to search on, e.g. { nameLike: 'net', minEmployees: 10 }.
+ * Filters that are undefined, null or '' are skipped.
+ *
+ * spec maps each filter name to { col, op }, where op is one of:
+ *   - 'ilike': col ILIKE %value% (case-insensitive, partial match; any % or _
+ *     in value is matched literally)
+ *   - 'eq', 'min', 'max': col = value, col >= value, col <= value
+ *   - 'flag': col is a boolean SQL expression, applied only when value is true
+ *   - 'any': col = ANY(value), where value is an array; col may be an expression
+ *     ending in a column, e.g. 'listed OR company_handle'
+ *   - 'expr': col is a boolean SQL expression with a ? for each item of value,
+ *     an array, e.g. 'distance_km(lat, lng, ?, ?) <= ?'
+ *
+ * startIdx is the first placeholder number to use, so the clause can be
+ * combined with other parameterized parts of a query.
+ *
+ * { nameLike: 'net', minEmployees: 10 } =>
+ *   { where: 'WHERE name ILIKE $1 AND num_employees >= $2', values: [ '%net%', 10 ] }
+ *
+ * Returns { where: '' , values: [] } if there is nothing to filter on.
+ */
+
+function sqlForFilter(filters, spec, startIdx = 1) {
+	const conditions = [];
+	const values = [];
+
+	for (const [ name, value ] of Object.entries(filters)) {
+		if (value === undefined || value === null || value === '') continue;
+
+		const filter = spec[name];
+		if (!filter) throw new BadRequestError(`Invalid filter: ${name}`);
+
+		const idx = `$${startIdx + values.length}`;
+		switch (filter.op) {
+			case 'ilike':
+				conditions.push(`${filter.col} ILIKE ${idx}`);
+				values.push(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+				break;
+			case 'eq':
+				conditions.push(`${filter.col} = ${idx}`);
+				values.push(value);
+				break;
+			case 'min':
+				conditions.push(`${filter.col} >= ${idx}`);
+				values.push(value);
+				break;
+			case 'max':
+				conditions.push(`${filter.col} <= ${idx}`);
+				values.push(value);
+				break;
+			case 'flag':
+				if (value === true) conditions.push(`(${filter.col})`);
+				break;
+			case 'any':
+				conditions.push(`(${filter.col} = ANY(${idx}))`);
+				values.push(value);
+				break;
+			case 'expr': {
+				let n = startIdx + values.length;
+				conditions.push(`(${filter.col.replace(/\?/g, () => `$${n++}`)})`);
+				values.push(...value);
+				break;
+			}
+			default:
+				throw new Error(`Unknown filter op: ${filter.op}`);
+		}
+	}
+
+	return {
+		where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+		values
+	};
+}
+
+/** Parse a client sort string into a sort order.
+ *
+ * sort is a comma-separated list of keys, each optionally prefixed with "-" to
+ * sort descending, e.g. '-salary,title'.
+ *
+ * sortable is the whitelist of keys a client may sort on, mapped to their
+ * columns, e.g. { salary: 'salary', numEmployees: 'num_employees' }.
+ *
+ * fallback is a sort string that is always applied after the client's keys; it
+ * should end with a unique key so that rows come back in a stable order.
+ *
+ * '-salary,title', ..., 'title,id' => [{ col: 'salary', desc: true }, { col: 'title', desc: false },
+ *                                      { col: 'id', desc: false }]
+ *
+ * Throws BadRequestError for keys that aren't sortable.
+ */
+
+function parseSort(sort, sortable, fallback) {
+	const requested = sort ? sort.split(',').map((key) => key.trim()) : [];
+	const seen = new Set();
+	const order = [];
+
+	for (const key of [ ...requested, ...fallback.split(',') ]) {
+		const desc = key.startsWith('-');
+		const name = desc ? key.slice(1) : key;
+
+		if (!Object.prototype.hasOwnProperty.call(sortable, name)) {
+			throw new BadRequestError(`Invalid sort key: ${name}. Can sort on: ${Object.keys(sortable).join(', ')}`);
+		}
+		if (seen.has(name)) continue;
+		seen.add(name);
+
+		order.push({ col: sortable[name], desc });
+	}
+
+	return order;
+}
+
+/** Build an ORDER BY clause from a client sort string (see parseSort). Nulls
+ * always sort last.
+ *
+ * '-salary,title', ..., 'title,id' => 'ORDER BY salary DESC NULLS LAST, title ASC NULLS LAST, id ASC NULLS LAST'
+ *
+ * Throws BadRequestError for keys that aren't sortable.
+ */
+
+function sqlForSort(sort, sortable, fallback) {
+	const terms = parseSort(sort, sortable, fallback).map(({ col, desc }) => `${col} ${desc ? 'DESC' : 'ASC'} NULLS LAST`);
+	return `ORDER BY ${terms.join(', ')}`;
+}
+
+module.exports = { sqlForPartialUpdate, sqlForFilter, parseSort, sqlForSort };
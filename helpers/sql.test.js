@@ -1,5 +1,5 @@
-const { ExpressError } = require('../expressError');
-const { sqlForPartialUpdate } = require('./sql');
+const { ExpressError, BadRequestError } = require('../expressError');
+const { sqlForPartialUpdate, sqlForFilter, parseSort, sqlForSort } = require('./sql');
 
 describe('sqlForPartialUpdate', function() {
 	test('no data', () => {
@@ -22,3 +22,114 @@ describe('sqlForPartialUpdate', function() {
 		});
 	});
 });
+
+describe('sqlForFilter', function() {
+	const spec = {
+		nameLike: { col: 'name', op: 'ilike' },
+		handle: { col: 'handle', op: 'eq' },
+		minEmployees: { col: 'num_employees', op: 'min' },
+		maxEmployees: { col: 'num_employees', op: 'max' },
+		hasEquity: { col: 'equity > 0', op: 'flag' },
+		handles: { col: 'handle', op: 'any' },
+		near: { col: 'distance_km(lat, lng, ?, ?) <= ?', op: 'expr' }
+	};
+
+	test('no filters', () => {
+		expect(sqlForFilter({}, spec)).toEqual({ where: '', values: [] });
+	});
+
+	test('skips empty filters', () => {
+		expect(sqlForFilter({ nameLike: '', minEmployees: undefined, maxEmployees: null }, spec)).toEqual({
+			where: '',
+			values: []
+		});
+	});
+
+	test('with filters', () => {
+		expect(sqlForFilter({ nameLike: 'net', handle: 'c1', minEmployees: 10, maxEmployees: 20 }, spec)).toEqual({
+			where: 'WHERE name ILIKE $1 AND handle = $2 AND num_employees >= $3 AND num_employees <= $4',
+			values: [ '%net%', 'c1', 10, 20 ]
+		});
+	});
+
+	test('escapes wildcards in ilike filters', () => {
+		expect(sqlForFilter({ nameLike: '50%_off' }, spec).values).toEqual([ '%50\\%\\_off%' ]);
+	});
+
+	test('flag filters only apply when true', () => {
+		expect(sqlForFilter({ hasEquity: true }, spec)).toEqual({ where: 'WHERE (equity > 0)', values: [] });
+		expect(sqlForFilter({ hasEquity: false }, spec)).toEqual({ where: '', values: [] });
+	});
+
+	test('any filters match one of a list', () => {
+		expect(sqlForFilter({ handles: [ 'c1', 'c2' ] }, spec)).toEqual({
+			where: 'WHERE (handle = ANY($1))',
+			values: [ [ 'c1', 'c2' ] ]
+		});
+	});
+
+	test('expr filters fill in their placeholders', () => {
+		expect(sqlForFilter({ handle: 'c1', near: [ 1.5, 2.5, 10 ] }, spec)).toEqual({
+			where: 'WHERE handle = $1 AND (distance_km(lat, lng, $2, $3) <= $4)',
+			values: [ 'c1', 1.5, 2.5, 10 ]
+		});
+	});
+
+	test('with a starting placeholder index', () => {
+		expect(sqlForFilter({ handle: 'c1', hasEquity: true, minEmployees: 10 }, spec, 3)).toEqual({
+			where: 'WHERE handle = $3 AND (equity > 0) AND num_employees >= $4',
+			values: [ 'c1', 10 ]
+		});
+	});
+
+	test('unknown filter', () => {
+		expect(() => {
+			sqlForFilter({ nope: 1 }, spec);
+		}).toThrow(BadRequestError);
+	});
+});
+
+describe('parseSort', function() {
+	const sortable = { id: 'id', title: 'title', salary: 'salary' };
+
+	test('works', () => {
+		expect(parseSort('-salary,title', sortable, 'title,id')).toEqual([
+			{ col: 'salary', desc: true },
+			{ col: 'title', desc: false },
+			{ col: 'id', desc: false }
+		]);
+	});
+
+	test('unknown sort key', () => {
+		expect(() => {
+			parseSort('nope', sortable, 'title,id');
+		}).toThrow(BadRequestError);
+	});
+});
+
+describe('sqlForSort', function() {
+	const sortable = { id: 'id', title: 'title', salary: 'salary', companyHandle: 'company_handle' };
+
+	test('default order', () => {
+		expect(sqlForSort(undefined, sortable, 'title,id')).toEqual('ORDER BY title ASC NULLS LAST, id ASC NULLS LAST');
+	});
+
+	test('with sort keys', () => {
+		expect(sqlForSort('-salary,companyHandle', sortable, 'title,id')).toEqual(
+			'ORDER BY salary DESC NULLS LAST, company_handle ASC NULLS LAST, title ASC NULLS LAST, id ASC NULLS LAST'
+		);
+	});
+
+	test('sort keys override the fallback', () => {
+		expect(sqlForSort('-title', sortable, 'title,id')).toEqual('ORDER BY title DESC NULLS LAST, id ASC NULLS LAST');
+	});
+
+	test('unknown sort key', () => {
+		expect(() => {
+			sqlForSort('-salary,nope', sortable, 'title,id');
+		}).toThrow(BadRequestError);
+		expect(() => {
+			sqlForSort('toString', sortable, 'title,id');
+		}).toThrow('Invalid sort key: toString');
+	});
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+/** Stores for failed login attempts (see helpers/loginThrottle.js).
+ *
+ * A store keeps, for each key, how many times in a row logging in has failed
+ * and until when the key is locked out. Every store has the same async methods:
+ *
+ *   get(key) => { failures, lockedUntil } or undefined, where lockedUntil is a
+ *     Date or null
+ *   increment(key, windowSeconds) => failures
+ *     (the count starts over if the last failure, and the end of any lockout,
+ *     were over windowSeconds ago; otherwise a lockout longer than the window
+ *     would let the count start over after every one)
+ *   lock(key, until)
+ *   clear(key)
+ */
+
+const db = require('../db');
+
+/** Keeps attempts in memory; for tests, or a single server process. */
+
+class MemoryThrottleStore {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		return entry && { failures: entry.failures, lockedUntil: entry.lockedUntil };
+	}
+
+	async increment(key, windowSeconds) {
+		const now = Date.now();
+		const entry = this.entries.get(key);
+		const since = entry && Math.max(entry.lastFailedAt, entry.lockedUntil ? entry.lockedUntil.getTime() : 0);
+		const failures = entry && now - since <= windowSeconds * 1000 ? entry.failures + 1 : 1;
+		this.entries.set(key, { failures, lastFailedAt: now, lockedUntil: entry ? entry.lockedUntil : null });
+		return failures;
+	}
+
+	async lock(key, until) {
+		const entry = this.entries.get(key);
+		if (entry) entry.lockedUntil = until;
+	}
+
+	async clear(key) {
+		this.entries.delete(key);
+	}
+}
+
+/** Keeps attempts in the login_attempts table, shared by every server process. */
+
+class PgThrottleStore {
+	async get(key) {
+		const result = await db.query(
+			`SELECT failures, locked_until AS "lockedUntil"
+           FROM login_attempts
+           WHERE key = $1`,
+			[ key ]
+		);
+
+		return result.rows[0];
+	}
+
+	async increment(key, windowSeconds) {
+		const result = await db.query(
+			`INSERT INTO login_attempts (key, failures, last_failed_at)
+           VALUES ($1, 1, NOW())
+           ON CONFLICT (key) DO UPDATE
+             SET failures = CASE
+                   WHEN GREATEST(login_attempts.last_failed_at, login_attempts.locked_until)
+                     < NOW() - $2 * INTERVAL '1 second' THEN 1
+                   ELSE login_attempts.failures + 1
+                 END,
+                 last_failed_at = NOW()
+           RETURNING failures`,
+			[ key, windowSeconds ]
+		);
+
+		return result.rows[0].failures;
+	}
+
+	async lock(key, until) {
+		await db.query(`UPDATE login_attempts SET locked_until = $2 WHERE key = $1`, [ key, until ]);
+	}
+
+	async clear(key) {
+		await db.query(`DELETE FROM login_attempts WHERE key = $1`, [ key ]);
+	}
+}
+
+module.exports = {
+	MemoryThrottleStore,
+	PgThrottleStore
+};
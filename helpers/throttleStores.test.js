@@ -0,0 +1,96 @@
+const db = require('../db');
+const { MemoryThrottleStore, PgThrottleStore } = require('./throttleStores');
+
+beforeEach(async function() {
+	await db.query('DELETE FROM login_attempts');
+});
+
+afterEach(function() {
+	jest.restoreAllMocks();
+});
+
+afterAll(function() {
+	return db.end();
+});
+
+describe.each([ [ 'MemoryThrottleStore', MemoryThrottleStore ], [ 'PgThrottleStore', PgThrottleStore ] ])(
+	'%s',
+	function(name, Store) {
+		test('get: undefined for an unknown key', async () => {
+			const store = new Store();
+			expect(await store.get('user:u1')).toBeUndefined();
+		});
+
+		test('increment', async () => {
+			const store = new Store();
+			expect(await store.increment('user:u1', 60)).toEqual(1);
+			expect(await store.increment('user:u1', 60)).toEqual(2);
+			expect(await store.increment('user:u2', 60)).toEqual(1);
+			expect(await store.get('user:u1')).toEqual({ failures: 2, lockedUntil: null });
+		});
+
+		test('lock', async () => {
+			const store = new Store();
+			const until = new Date(Date.now() + 60 * 1000);
+			await store.increment('user:u1', 60);
+			await store.lock('user:u1', until);
+			expect(await store.get('user:u1')).toEqual({ failures: 1, lockedUntil: until });
+
+			// a failure while locked keeps the lock
+			await store.increment('user:u1', 60);
+			expect((await store.get('user:u1')).lockedUntil).toEqual(until);
+		});
+
+		test('clear', async () => {
+			const store = new Store();
+			await store.increment('user:u1', 60);
+			await store.clear('user:u1');
+			expect(await store.get('user:u1')).toBeUndefined();
+		});
+	}
+);
+
+describe('increment starts over after the window', function() {
+	test('MemoryThrottleStore', async () => {
+		const store = new MemoryThrottleStore();
+		await store.increment('user:u1', 60);
+		jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+		expect(await store.increment('user:u1', 60)).toEqual(1);
+	});
+
+	test('PgThrottleStore', async () => {
+		const store = new PgThrottleStore();
+		await store.increment('user:u1', 60);
+		await db.query(`UPDATE login_attempts SET last_failed_at = NOW() - INTERVAL '61 seconds'`);
+		expect(await store.increment('user:u1', 60)).toEqual(1);
+	});
+});
+
+describe('increment keeps counting until the window after a lockout', function() {
+	test('MemoryThrottleStore', async () => {
+		const store = new MemoryThrottleStore();
+		const start = Date.now();
+		await store.increment('user:u1', 60);
+		await store.lock('user:u1', new Date(start + 300 * 1000));
+
+		jest.spyOn(Date, 'now').mockReturnValue(start + 330 * 1000);
+		expect(await store.increment('user:u1', 60)).toEqual(2);
+
+		Date.now.mockReturnValue(start + 500 * 1000);
+		expect(await store.increment('user:u1', 60)).toEqual(1);
+	});
+
+	test('PgThrottleStore', async () => {
+		const store = new PgThrottleStore();
+		await store.increment('user:u1', 60);
+		await db.query(`UPDATE login_attempts
+                      SET last_failed_at = NOW() - INTERVAL '330 seconds',
+                          locked_until = NOW() - INTERVAL '30 seconds'`);
+		expect(await store.increment('user:u1', 60)).toEqual(2);
+
+		await db.query(`UPDATE login_attempts
+                      SET last_failed_at = NOW() - INTERVAL '500 seconds',
+                          locked_until = NOW() - INTERVAL '200 seconds'`);
+		expect(await store.increment('user:u1', 60)).toEqual(1);
+	});
+});
@@ -1,7 +1,13 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL, MFA_TOKEN_TTL } = require("../config");
+const { UnauthorizedError } = require("../expressError");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data; it expires after ACCESS_TOKEN_TTL seconds.
+ *
+ * The token carries the user's token version (ver) and a unique id (jti), so
+ * it can be revoked before then (see Session).
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +16,59 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  });
 }
 
-module.exports = { createToken };
+/** return signed JWT for the second step of logging in with two-factor auth
+ * (see POST /auth/token/2fa); it expires after MFA_TOKEN_TTL seconds.
+ *
+ * Its audience is "mfa", so it can't be used as an access token.
+ */
+
+function createMfaToken(user) {
+  let payload = {
+    username: user.username,
+    isAdmin: user.isAdmin || false,
+    ver: user.tokenVersion || 0,
+  };
+
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: MFA_TOKEN_TTL, audience: "mfa" });
+}
+
+/** return { username, isAdmin, tokenVersion } from a token from createMfaToken.
+ *
+ * Throws UnauthorizedError if it's invalid or expired.
+ */
+
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(token, SECRET_KEY, { audience: "mfa" });
+    return { username: payload.username, isAdmin: payload.isAdmin, tokenVersion: payload.ver };
+  } catch (err) {
+    throw new UnauthorizedError("Login expired; please log in again");
+  }
+}
+
+/** return a new random, URL-safe opaque token (for refresh tokens, etc.) */
+
+function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the hash of an opaque token, as stored in the database.
+ *
+ * These tokens are long and random, so a fast hash is enough: unlike
+ * passwords, they can't be guessed from a dictionary.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createMfaToken, verifyMfaToken, generateToken, hashToken };
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const { createToken, createMfaToken, verifyMfaToken, generateToken, hashToken } = require("./tokens");
+const { UnauthorizedError } = require("../expressError");
+const { SECRET_KEY, ACCESS_TOKEN_TTL, MFA_TOKEN_TTL } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
@@ -8,8 +9,11 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
 
@@ -18,8 +22,11 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: true,
+      ver: 0,
     });
   });
 
@@ -29,8 +36,72 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
       username: "test",
       isAdmin: false,
+      ver: 0,
     });
   });
+
+  test("works: token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.ver).toEqual(3);
+    expect(payload.jti).not.toEqual(jwt.decode(createToken({ username: "test", isAdmin: false })).jti);
+  });
+
+  test("expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL);
+  });
+});
+
+describe("createMfaToken", function () {
+  test("works", function () {
+    const token = createMfaToken({ username: "test", isAdmin: true, tokenVersion: 2 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      aud: "mfa",
+      username: "test",
+      isAdmin: true,
+      ver: 2,
+    });
+    expect(payload.exp - payload.iat).toEqual(MFA_TOKEN_TTL);
+  });
+});
+
+describe("verifyMfaToken", function () {
+  test("works", function () {
+    const token = createMfaToken({ username: "test", isAdmin: false });
+    expect(verifyMfaToken(token)).toEqual({ username: "test", isAdmin: false, tokenVersion: 0 });
+  });
+
+  test("unauth with an access token", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    expect(() => verifyMfaToken(token)).toThrow(UnauthorizedError);
+  });
+
+  test("unauth with a bad token", function () {
+    expect(() => verifyMfaToken("nope")).toThrow(UnauthorizedError);
+  });
+});
+
+describe("generateToken", function () {
+  test("works", function () {
+    const token = generateToken();
+    expect(token).toMatch(/^[\w-]{43}$/);
+    expect(generateToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+    expect(hashToken("abc")).not.toContain("abc");
+  });
 });
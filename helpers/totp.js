@@ -0,0 +1,108 @@
+'use strict';
+
+/** Time-based one-time passwords (RFC 6238), as used by authenticator apps. */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** Codes change every STEP_SECONDS and are DIGITS long. */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/** How many steps either side of now a code is still accepted, to allow for
+ * clock drift and slow typing. */
+
+const WINDOW = 1;
+
+/** Encode a buffer as unpadded base32 (RFC 4648). */
+
+function base32Encode(buffer) {
+	let bits = '';
+	for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+	let out = '';
+	for (let i = 0; i < bits.length; i += 5) {
+		out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+	}
+	return out;
+}
+
+/** Decode base32 to a buffer, ignoring case, spaces and padding. */
+
+function base32Decode(str) {
+	let bits = '';
+	for (const char of str.toUpperCase().replace(/[\s=]/g, '')) {
+		const value = BASE32_ALPHABET.indexOf(char);
+		if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+		bits += value.toString(2).padStart(5, '0');
+	}
+
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	return Buffer.from(bytes);
+}
+
+/** Return a new random secret, base32 encoded. */
+
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/** Return the step counter for a time in milliseconds. */
+
+function counterAt(time) {
+	return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/** Return the code for a base32 secret at a step counter (RFC 4226 HOTP). */
+
+function codeFor(secret, counter) {
+	const message = Buffer.alloc(8);
+	message.writeBigUInt64BE(BigInt(counter));
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/** Check a code against a base32 secret at time (milliseconds; default now).
+ *
+ * Returns the step counter the code is for, so callers can refuse a code that
+ * has been used before, or null if the code is wrong.
+ */
+
+function verifyCode(secret, code, time = Date.now()) {
+	const now = counterAt(time);
+	for (let counter = now - WINDOW; counter <= now + WINDOW; counter++) {
+		const expected = codeFor(secret, counter);
+		if (
+			typeof code === 'string' &&
+			code.length === expected.length &&
+			crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))
+		) {
+			return counter;
+		}
+	}
+	return null;
+}
+
+/** Return the otpauth:// URI authenticator apps read (usually as a QR code). */
+
+function otpauthUri(secret, accountName, issuer = 'Jobly') {
+	const label = encodeURIComponent(`${issuer}:${accountName}`);
+	const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+	return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	counterAt,
+	codeFor,
+	verifyCode,
+	otpauthUri
+};
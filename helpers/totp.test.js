@@ -0,0 +1,64 @@
+const { base32Encode, base32Decode, generateSecret, counterAt, codeFor, verifyCode, otpauthUri } = require('./totp');
+
+// the SHA1 secret from the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', function() {
+	test('round trip', () => {
+		const buffer = Buffer.from('hello, world');
+		expect(base32Decode(base32Encode(buffer))).toEqual(buffer);
+	});
+
+	test('known value', () => {
+		expect(base32Encode(Buffer.from('foobar'))).toEqual('MZXW6YTBOI');
+		expect(base32Decode('mzxw 6ytb oi======').toString()).toEqual('foobar');
+	});
+
+	test('invalid character', () => {
+		expect(() => base32Decode('ABC1')).toThrow();
+	});
+});
+
+describe('generateSecret', function() {
+	test('works', () => {
+		const secret = generateSecret();
+		expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+		expect(generateSecret()).not.toEqual(secret);
+	});
+});
+
+describe('codeFor', function() {
+	test('matches RFC 6238 test vectors', () => {
+		expect(codeFor(RFC_SECRET, counterAt(59 * 1000))).toEqual('287082');
+		expect(codeFor(RFC_SECRET, counterAt(1111111109 * 1000))).toEqual('081804');
+		expect(codeFor(RFC_SECRET, counterAt(1234567890 * 1000))).toEqual('005924');
+		expect(codeFor(RFC_SECRET, counterAt(2000000000 * 1000))).toEqual('279037');
+	});
+});
+
+describe('verifyCode', function() {
+	const time = 1234567890 * 1000;
+
+	test('works', () => {
+		expect(verifyCode(RFC_SECRET, '005924', time)).toEqual(counterAt(time));
+	});
+
+	test('works for the step either side', () => {
+		const previous = codeFor(RFC_SECRET, counterAt(time) - 1);
+		expect(verifyCode(RFC_SECRET, previous, time)).toEqual(counterAt(time) - 1);
+	});
+
+	test('null for a wrong or stale code', () => {
+		expect(verifyCode(RFC_SECRET, '000000', time)).toBeNull();
+		expect(verifyCode(RFC_SECRET, codeFor(RFC_SECRET, counterAt(time) - 2), time)).toBeNull();
+		expect(verifyCode(RFC_SECRET, 5924, time)).toBeNull();
+	});
+});
+
+describe('otpauthUri', function() {
+	test('works', () => {
+		expect(otpauthUri('MZXW6YTBOI', 'u1')).toEqual(
+			'otpauth://totp/Jobly%3Au1?secret=MZXW6YTBOI&issuer=Jobly&algorithm=SHA1&digits=6&period=30'
+		);
+	});
+});
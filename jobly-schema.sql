@@ -3,7 +3,21 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  deleted_at TIMESTAMPTZ,
+  -- for GET /search: the name outranks the description
+  search_vector TSVECTOR GENERATED ALWAYS AS
+    (setweight(to_tsvector('english', name), 'A') || setweight(to_tsvector('english', description), 'B')) STORED
+);
+
+CREATE INDEX ON companies USING GIN (search_vector);
+
+-- a company's old handles, from renames; each points to its current handle
+CREATE TABLE company_handle_redirects (
+  old_handle VARCHAR(25) PRIMARY KEY,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON UPDATE CASCADE ON DELETE CASCADE,
+  renamed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 CREATE TABLE users (
@@ -13,22 +27,284 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  totp_secret TEXT,
+  totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  totp_last_counter BIGINT,
+  deleted_at TIMESTAMPTZ
 );
 
 CREATE TABLE jobs (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
-  salary INTEGER CHECK (salary >= 0),
+  -- the older single figure: the top of the range per year
+  salary INTEGER GENERATED ALWAYS AS
+    (ROUND(salary_max * CASE salary_period WHEN 'hourly' THEN 2080 ELSE 1 END)) STORED,
+  -- to the cent, so hourly pay can be e.g. 22.50
+  salary_min NUMERIC(12, 2) CHECK (salary_min >= 0),
+  salary_max NUMERIC(12, 2) CHECK (salary_max >= salary_min),
+  -- ISO 4217 code
+  salary_currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (salary_currency ~ '^[A-Z]{3}$'),
+  salary_period TEXT NOT NULL DEFAULT 'yearly' CHECK (salary_period IN ('hourly', 'yearly')),
+  -- the range per year, taking a year of hourly work as 2080 hours
+  annual_salary_min DOUBLE PRECISION GENERATED ALWAYS AS
+    (salary_min * CASE salary_period WHEN 'hourly' THEN 2080 ELSE 1 END) STORED,
+  annual_salary_max DOUBLE PRECISION GENERATED ALWAYS AS
+    (salary_max * CASE salary_period WHEN 'hourly' THEN 2080 ELSE 1 END) STORED,
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON UPDATE CASCADE ON DELETE CASCADE,
+  city TEXT,
+  region TEXT,
+  -- ISO 3166-1 alpha-2 code
+  country CHAR(2) CHECK (country ~ '^[A-Z]{2}$'),
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  remote_policy TEXT NOT NULL DEFAULT 'onsite'
+    CHECK (remote_policy IN ('onsite', 'hybrid', 'remote')),
+  -- where a remote job can be done from; empty for anywhere
+  remote_countries CHAR(2)[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'paused', 'closed')),
+  published_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  -- for GET /search
+  search_vector TSVECTOR GENERATED ALWAYS AS (setweight(to_tsvector('english', title), 'A')) STORED,
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
 );
 
+CREATE INDEX ON jobs USING GIN (search_vector);
+
+-- whether the public can see a job: published and not yet expired
+CREATE FUNCTION job_is_listed(jobs) RETURNS BOOLEAN AS $$
+  SELECT $1.status = 'published' AND ($1.expires_at IS NULL OR $1.expires_at > NOW())
+$$ LANGUAGE SQL STABLE;
+
+-- text made safe to embed in HTML, e.g. before ts_headline marks it up
+CREATE FUNCTION html_escape(TEXT) RETURNS TEXT AS $$
+  SELECT replace(replace(replace(replace($1, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- whether a job can be done from a country: it's there, or it's remote and
+-- open to that country
+CREATE FUNCTION job_open_in(jobs, CHAR(2)) RETURNS BOOLEAN AS $$
+  SELECT $1.country = $2
+    OR ($1.remote_policy = 'remote' AND (cardinality($1.remote_countries) = 0 OR $2 = ANY($1.remote_countries)))
+$$ LANGUAGE SQL STABLE;
+
+-- great-circle distance in km between two points, by the haversine formula
+CREATE FUNCTION distance_km(lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION,
+                            lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION)
+RETURNS DOUBLE PRECISION AS $$
+  SELECT 2 * 6371 * asin(least(1, sqrt(
+    sin(radians(lat2 - lat1) / 2) ^ 2
+    + cos(radians(lat1)) * cos(radians(lat2)) * sin(radians(lng2 - lng1) / 2) ^ 2
+  )))
+$$ LANGUAGE SQL IMMUTABLE;
+
 CREATE TABLE applications (
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  state TEXT NOT NULL DEFAULT 'applied'
+    CHECK (state IN ('interested', 'applied', 'interviewing', 'offered',
+                     'accepted', 'rejected', 'withdrawn')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_history (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  from_state TEXT,
+  to_state TEXT NOT NULL,
+  changed_by VARCHAR(25),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE company_members (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON UPDATE CASCADE ON DELETE CASCADE,
+  role TEXT NOT NULL
+    CHECK (role IN ('owner', 'recruiter', 'viewer')),
+  PRIMARY KEY (username, company_handle)
+);
+
+CREATE TABLE skills (
+  slug VARCHAR(50) PRIMARY KEY CHECK (slug ~ '^[a-z0-9][a-z0-9+#.-]*$'),
+  name TEXT NOT NULL
+);
+
+-- other names a skill goes by, e.g. "postgres" for "postgresql"
+CREATE TABLE skill_aliases (
+  alias VARCHAR(50) PRIMARY KEY CHECK (alias = lower(alias)),
+  skill_slug VARCHAR(50) NOT NULL
+    REFERENCES skills ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE job_skills (
+  job_id INTEGER
+    REFERENCES jobs ON DELETE CASCADE,
+  skill_slug VARCHAR(50)
+    REFERENCES skills ON UPDATE CASCADE ON DELETE CASCADE,
+  -- or else nice to have
+  required BOOLEAN NOT NULL DEFAULT TRUE,
+  PRIMARY KEY (job_id, skill_slug)
+);
+
+CREATE INDEX ON job_skills (skill_slug);
+
+CREATE TABLE user_skills (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  skill_slug VARCHAR(50)
+    REFERENCES skills ON UPDATE CASCADE ON DELETE CASCADE,
+  proficiency TEXT NOT NULL
+    CHECK (proficiency IN ('beginner', 'intermediate', 'advanced', 'expert')),
+  PRIMARY KEY (username, skill_slug)
+);
+
+-- the skill a name stands for, by its slug or an alias; NULL if none
+CREATE FUNCTION skill_slug_for(TEXT) RETURNS VARCHAR AS $$
+  SELECT slug FROM skills WHERE slug = $1
+  UNION ALL
+  SELECT skill_slug FROM skill_aliases WHERE alias = $1
+  LIMIT 1
+$$ LANGUAGE SQL STABLE;
+
+-- whether a job needs (or would like) all, or else any, of the named skills
+CREATE FUNCTION job_has_skills(jobs, TEXT[], match_all BOOLEAN) RETURNS BOOLEAN AS $$
+  SELECT CASE WHEN match_all THEN
+    NOT EXISTS (
+      SELECT 1
+      FROM unnest($2) AS t(name)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM job_skills WHERE job_id = $1.id AND skill_slug = skill_slug_for(t.name)
+      )
+    )
+  ELSE
+    EXISTS (
+      SELECT 1
+      FROM unnest($2) AS t(name)
+        JOIN job_skills ON skill_slug = skill_slug_for(t.name)
+      WHERE job_id = $1.id
+    )
+  END
+$$ LANGUAGE SQL STABLE;
+
+-- what a user wants from a job, for recommendations
+CREATE TABLE job_preferences (
+  username VARCHAR(25) PRIMARY KEY
+    REFERENCES users ON DELETE CASCADE,
+  -- a yearly amount in salary_currency
+  desired_salary INTEGER CHECK (desired_salary >= 0),
+  salary_currency CHAR(3) NOT NULL DEFAULT 'USD' CHECK (salary_currency ~ '^[A-Z]{3}$'),
+  country CHAR(2) CHECK (country ~ '^[A-Z]{2}$'),
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  radius_km DOUBLE PRECISION NOT NULL DEFAULT 50 CHECK (radius_km > 0),
+  remote_ok BOOLEAN NOT NULL DEFAULT TRUE,
+  CHECK ((latitude IS NULL) = (longitude IS NULL))
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  family_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX ON refresh_tokens (family_id);
+
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE user_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  purpose TEXT NOT NULL
+    CHECK (purpose IN ('password_reset', 'email_verification')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE login_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL,
+  last_failed_at TIMESTAMPTZ NOT NULL,
+  locked_until TIMESTAMPTZ
+);
+
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE TABLE settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL
+);
+
+CREATE TABLE api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  company_handle VARCHAR(25) NOT NULL
+    REFERENCES companies ON UPDATE CASCADE ON DELETE CASCADE,
+  scopes TEXT[] NOT NULL,
+  created_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  request_id TEXT
+);
+
+CREATE INDEX ON audit_log (target_type, target_id);
+CREATE INDEX ON audit_log (actor);
+CREATE INDEX ON audit_log (occurred_at);
+
+-- the audit log is append-only
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
@@ -1,17 +1,19 @@
--- both test users have the password "password"
+-- both test users have the password "password", and have verified their email
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email, is_admin, email_verified)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
-        FALSE),
+        FALSE,
+        TRUE),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
+        TRUE,
         TRUE);
 
 INSERT INTO companies (handle,
@@ -161,7 +163,7 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
+INSERT INTO jobs (title, salary_min, equity, company_handle)
 VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Information officer', 200000, 0, 'hall-mills'),
        ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
@@ -368,3 +370,6 @@ VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Learning disability nurse', 66000, NULL, 'ayala-buchanan'),
        ('Research scientist (medical)', 175000, NULL, 'norman-harvey'),
        ('Accommodation manager', 126000, NULL, 'mejia-scott-ryan');
+
+-- the salaries above are yearly, in US dollars
+UPDATE jobs SET salary_max = salary_min;
@@ -4,37 +4,98 @@
 
 const jwt = require('jsonwebtoken');
 const { SECRET_KEY } = require('../config');
-const { UnauthorizedError } = require('../expressError');
+const { UnauthorizedError, TokenExpiredError } = require('../expressError');
+const Membership = require('../models/membership');
+const ApiKey = require('../models/apiKey');
+const Session = require('../models/session');
+
+/** API keys are sent as "Authorization: ApiKey <key>". */
+
+const API_KEY_HEADER = /^ApiKey /i;
+
+/** The error for a request that isn't allowed: TokenExpiredError if it came
+ * with an expired token, else UnauthorizedError. */
+
+function unauthorized(res) {
+	return res.locals.tokenExpired ? new TokenExpiredError() : new UnauthorizedError();
+}
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if it's a valid access token that
+ * hasn't been revoked (see Session), store the token payload on res.locals
+ * (this will include the username and isAdmin field.) Tokens with an audience,
+ * such as those for the second step of logging in, aren't access tokens.
  *
  * It's not an error if no token was provided or if the token is not valid.
+ * An expired token sets res.locals.tokenExpired, so that routes needing a login
+ * raise TokenExpiredError (see unauthorized) and the client knows to refresh
+ * it; routes anyone can use still work.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
 	try {
 		const authHeader = req.headers && req.headers.authorization;
-		if (authHeader) {
+		if (authHeader && !API_KEY_HEADER.test(authHeader)) {
 			const token = authHeader.replace(/^[Bb]earer /, '').trim();
-			res.locals.user = jwt.verify(token, SECRET_KEY);
+			const payload = jwt.verify(token, SECRET_KEY);
+			if (!payload.aud && (await Session.isActive(payload))) res.locals.user = payload;
 		}
 		return next();
 	} catch (err) {
+		if (err instanceof jwt.TokenExpiredError) {
+			res.locals.tokenExpired = true;
+			return next();
+		}
+		if (err instanceof jwt.JsonWebTokenError) return next();
+		return next(err);
+	}
+}
+
+/** Middleware: Authenticate API key.
+ *
+ * If an API key was provided and it's good (see ApiKey.authenticate), store
+ * the key's principal on res.locals.apiKey: { id, name, companyHandle, scopes }.
+ * An API key never logs anyone in as a user; routes that accept one say so.
+ *
+ * It's not an error if no key was provided or if the key is not valid.
+ */
+
+async function authenticateApiKey(req, res, next) {
+	try {
+		const authHeader = req.headers && req.headers.authorization;
+		if (authHeader && API_KEY_HEADER.test(authHeader)) {
+			const apiKey = await ApiKey.authenticate(authHeader.replace(API_KEY_HEADER, '').trim());
+			if (apiKey) res.locals.apiKey = apiKey;
+		}
 		return next();
+	} catch (err) {
+		return next(err);
 	}
 }
 
 /** Middleware to use when they must be logged in.
  *
- * If not, raises Unauthorized.
+ * If not, raises Unauthorized, or TokenExpiredError if their token expired.
  */
 
 function ensureLoggedIn(req, res, next) {
 	try {
-		if (!res.locals.user) throw new UnauthorizedError();
+		if (!res.locals.user) throw unauthorized(res);
+		return next();
+	} catch (err) {
+		return next(err);
+	}
+}
+
+/** Middleware to use when they must be logged in or using an API key.
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureAuthenticated(req, res, next) {
+	try {
+		if (!res.locals.user && !res.locals.apiKey) throw unauthorized(res);
 		return next();
 	} catch (err) {
 		return next(err);
@@ -48,7 +109,9 @@ function ensureLoggedIn(req, res, next) {
 
 function ensureAdmin(req, res, next) {
 	try {
-		if (!res.locals.user.is_admin) throw new UnauthorizedError();
+		const { user } = res.locals;
+		if (!user) throw unauthorized(res);
+		if (!user.isAdmin) throw new UnauthorizedError();
 		return next();
 	} catch (err) {
 		return next(err);
@@ -62,17 +125,55 @@ function ensureAdmin(req, res, next) {
 
 function ensureAdminOrUser(req, res, next) {
 	try {
-		if (!res.locals.user.is_admin && res.locals.user.username !== req.params.username)
-			throw new UnauthorizedError();
+		const { user } = res.locals;
+		if (!user) throw unauthorized(res);
+		if (!user.isAdmin && user.username !== req.params.username) throw new UnauthorizedError();
 		return next();
 	} catch (err) {
 		return next(err);
 	}
 }
 
+/** Middleware factory for when they must have at least role at a company
+ * (viewer < recruiter < owner). Admins can act for any company.
+ *
+ * The company handle comes from getHandle(req), which may be async; by default
+ * it's the :handle route parameter. Roles are looked up on each request rather
+ * than carried in the token, so granting or removing one takes effect at once.
+ *
+ * If scope is given, an API key for the company with that scope will do
+ * instead (see ApiKey.hasScope).
+ *
+ * If not, raises Unauthorized.
+ */
+
+function ensureCompanyRole(role, getHandle = (req) => req.params.handle, scope) {
+	return async function(req, res, next) {
+		try {
+			const { user, apiKey } = res.locals;
+			if (apiKey && scope) {
+				if (!ApiKey.hasScope(apiKey, await getHandle(req), scope)) throw new UnauthorizedError();
+				return next();
+			}
+			if (!user) throw unauthorized(res);
+			if (user.isAdmin) return next();
+
+			const handle = await getHandle(req);
+			const userRole = await Membership.getRole(user.username, handle);
+			if (!Membership.hasRole(userRole, role)) throw new UnauthorizedError();
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+}
+
 module.exports = {
 	authenticateJWT,
+	authenticateApiKey,
 	ensureLoggedIn,
+	ensureAuthenticated,
 	ensureAdmin,
-	ensureAdminOrUser
+	ensureAdminOrUser,
+	ensureCompanyRole
 };
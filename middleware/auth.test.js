@@ -1,15 +1,40 @@
 'use strict';
 
 const jwt = require('jsonwebtoken');
-const { UnauthorizedError } = require('../expressError');
-const { authenticateJWT, ensureLoggedIn, ensureAdmin, ensureAdminOrUser } = require('./auth');
+const { UnauthorizedError, TokenExpiredError } = require('../expressError');
+const db = require('../db');
+const Membership = require('../models/membership');
+const Session = require('../models/session');
+const ApiKey = require('../models/apiKey');
+const {
+	authenticateJWT,
+	authenticateApiKey,
+	ensureLoggedIn,
+	ensureAuthenticated,
+	ensureAdmin,
+	ensureAdminOrUser,
+	ensureCompanyRole
+} = require('./auth');
 
 const { SECRET_KEY } = require('../config');
 const testJwt = jwt.sign({ username: 'test', isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: 'test', isAdmin: false }, 'wrong');
+const expiredJwt = jwt.sign({ username: 'test', isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET_KEY);
+
+afterAll(function() {
+	return db.end();
+});
 
 describe('authenticateJWT', function() {
-	test('works: via header', function() {
+	beforeEach(function() {
+		jest.spyOn(Session, 'isActive').mockImplementation(async ({ ver }) => ver !== 'revoked');
+	});
+
+	afterEach(function() {
+		jest.restoreAllMocks();
+	});
+
+	test('works: via header', async function() {
 		expect.assertions(2);
 		//there are multiple ways to pass an authorization token, this is how you pass it in the header.
 		//this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -18,7 +43,7 @@ describe('authenticateJWT', function() {
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({
 			user: {
 				iat: expect.any(Number),
@@ -28,29 +53,103 @@ describe('authenticateJWT', function() {
 		});
 	});
 
-	test('works: no header', function() {
+	test('works: no header', async function() {
 		expect.assertions(2);
 		const req = {};
 		const res = { locals: {} };
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 
-	test('works: invalid token', function() {
+	test('works: invalid token', async function() {
 		expect.assertions(2);
 		const req = { headers: { authorization: `Bearer ${badJwt}` } };
 		const res = { locals: {} };
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
-		authenticateJWT(req, res, next);
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test('works: expired token', async function() {
+		expect.assertions(2);
+		const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+		const res = { locals: {} };
+		const next = function(err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({ tokenExpired: true });
+	});
+
+	test('works: revoked token', async function() {
+		expect.assertions(2);
+		const revokedJwt = jwt.sign({ username: 'test', isAdmin: false, ver: 'revoked' }, SECRET_KEY);
+		const req = { headers: { authorization: `Bearer ${revokedJwt}` } };
+		const res = { locals: {} };
+		const next = function(err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
+		expect(res.locals).toEqual({});
+	});
+
+	test('works: ignores tokens for other uses', async function() {
+		expect.assertions(2);
+		const mfaJwt = jwt.sign({ username: 'test', isAdmin: false }, SECRET_KEY, { audience: 'mfa' });
+		const req = { headers: { authorization: `Bearer ${mfaJwt}` } };
+		const res = { locals: {} };
+		const next = function(err) {
+			expect(err).toBeFalsy();
+		};
+		await authenticateJWT(req, res, next);
 		expect(res.locals).toEqual({});
 	});
 });
 
+describe('authenticateApiKey', function() {
+	const principal = { id: 1, name: 'ats', companyHandle: 'c1', scopes: [ 'jobs:write' ] };
+
+	beforeEach(function() {
+		jest.spyOn(ApiKey, 'authenticate').mockImplementation(async (key) => (key === 'good' ? principal : undefined));
+	});
+
+	afterEach(function() {
+		jest.restoreAllMocks();
+	});
+
+	test('works', async function() {
+		const req = { headers: { authorization: 'ApiKey good' } };
+		const res = { locals: {} };
+		const next = jest.fn();
+		await authenticateApiKey(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+		expect(res.locals).toEqual({ apiKey: principal });
+	});
+
+	test('works: bad key', async function() {
+		const req = { headers: { authorization: 'ApiKey nope' } };
+		const res = { locals: {} };
+		const next = jest.fn();
+		await authenticateApiKey(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+		expect(res.locals).toEqual({});
+	});
+
+	test('works: ignores bearer tokens', async function() {
+		const req = { headers: { authorization: `Bearer ${testJwt}` } };
+		const res = { locals: {} };
+		const next = jest.fn();
+		await authenticateApiKey(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+		expect(ApiKey.authenticate).not.toHaveBeenCalled();
+	});
+});
+
 describe('ensureLoggedIn', function() {
 	test('works', function() {
 		expect.assertions(1);
@@ -71,13 +170,40 @@ describe('ensureLoggedIn', function() {
 		};
 		ensureLoggedIn(req, res, next);
 	});
+
+	test('token expired if the token had expired', function() {
+		expect.assertions(3);
+		const req = {};
+		const res = { locals: { tokenExpired: true } };
+		const next = function(err) {
+			expect(err instanceof TokenExpiredError).toBeTruthy();
+			expect(err.status).toEqual(401);
+			expect(err.code).toEqual('token_expired');
+		};
+		ensureLoggedIn(req, res, next);
+	});
+});
+
+describe('ensureAuthenticated', function() {
+	test('works for a user or an API key', function() {
+		const next = jest.fn();
+		ensureAuthenticated({}, { locals: { user: { username: 'test', isAdmin: false } } }, next);
+		ensureAuthenticated({}, { locals: { apiKey: { id: 1, companyHandle: 'c1', scopes: [] } } }, next);
+		expect(next.mock.calls).toEqual([ [], [] ]);
+	});
+
+	test('unauth if neither', function() {
+		const next = jest.fn();
+		ensureAuthenticated({}, { locals: {} }, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+	});
 });
 
 describe('ensureAdmin', function() {
 	test('works', function() {
 		expect.assertions(1);
 		const req = {};
-		const res = { locals: { user: { username: 'test', is_admin: true } } };
+		const res = { locals: { user: { username: 'test', isAdmin: true } } };
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
@@ -87,7 +213,27 @@ describe('ensureAdmin', function() {
 	test('unauth if not Admin', function() {
 		expect.assertions(1);
 		const req = {};
-		const res = { locals: { user: { username: 'test', is_admin: false } } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = function(err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureAdmin(req, res, next);
+	});
+
+	test('unauth if anon', function() {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: {} };
+		const next = function(err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureAdmin(req, res, next);
+	});
+
+	test('ignores a snake_case is_admin claim', function() {
+		expect.assertions(1);
+		const req = {};
+		const res = { locals: { user: { username: 'test', is_admin: true } } };
 		const next = function(err) {
 			expect(err instanceof UnauthorizedError).toBeTruthy();
 		};
@@ -99,7 +245,7 @@ describe('ensureAdminOrUser', function() {
 	test('works if admin', function() {
 		expect.assertions(1);
 		const req = { params: { username: 'not_test' } };
-		const res = { locals: { user: { username: 'test', is_admin: true } } };
+		const res = { locals: { user: { username: 'test', isAdmin: true } } };
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
@@ -109,7 +255,7 @@ describe('ensureAdminOrUser', function() {
 	test('works if username matches', function() {
 		expect.assertions(1);
 		const req = { params: { username: 'test' } };
-		const res = { locals: { user: { username: 'test', is_admin: false } } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
 		const next = function(err) {
 			expect(err).toBeFalsy();
 		};
@@ -119,10 +265,107 @@ describe('ensureAdminOrUser', function() {
 	test('unauth if not Admin and the username doesnt match', function() {
 		expect.assertions(1);
 		const req = { params: { username: 'not_test' } };
-		const res = { locals: { user: { username: 'test', is_admin: false } } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = function(err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		};
+		ensureAdminOrUser(req, res, next);
+	});
+
+	test('unauth if anon', function() {
+		expect.assertions(1);
+		const req = { params: { username: 'test' } };
+		const res = { locals: {} };
 		const next = function(err) {
 			expect(err instanceof UnauthorizedError).toBeTruthy();
 		};
 		ensureAdminOrUser(req, res, next);
 	});
 });
+
+describe('ensureCompanyRole', function() {
+	beforeEach(function() {
+		jest.spyOn(Membership, 'getRole').mockImplementation(async (username, handle) =>
+			username === 'test' && handle === 'c1' ? 'recruiter' : undefined
+		);
+	});
+
+	afterEach(function() {
+		jest.restoreAllMocks();
+	});
+
+	test('works if admin', async function() {
+		const req = { params: { handle: 'c2' } };
+		const res = { locals: { user: { username: 'admin', isAdmin: true } } };
+		const next = jest.fn();
+		await ensureCompanyRole('owner')(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+		expect(Membership.getRole).not.toHaveBeenCalled();
+	});
+
+	test('works if user has the role or better', async function() {
+		const req = { params: { handle: 'c1' } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = jest.fn();
+		await ensureCompanyRole('viewer')(req, res, next);
+		await ensureCompanyRole('recruiter')(req, res, next);
+		expect(next.mock.calls).toEqual([ [], [] ]);
+	});
+
+	test('works with a handle from elsewhere in the request', async function() {
+		const req = { body: { company_handle: 'c1' } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = jest.fn();
+		await ensureCompanyRole('recruiter', (req) => req.body.company_handle)(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+	});
+
+	test('unauth if role is too low', async function() {
+		const req = { params: { handle: 'c1' } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = jest.fn();
+		await ensureCompanyRole('owner')(req, res, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+	});
+
+	test('unauth if not a member', async function() {
+		const req = { params: { handle: 'c2' } };
+		const res = { locals: { user: { username: 'test', isAdmin: false } } };
+		const next = jest.fn();
+		await ensureCompanyRole('viewer')(req, res, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+	});
+
+	test('unauth if anon', async function() {
+		const req = { params: { handle: 'c1' } };
+		const res = { locals: {} };
+		const next = jest.fn();
+		await ensureCompanyRole('viewer')(req, res, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+	});
+
+	test('works with an API key with the scope for the company', async function() {
+		const req = { params: { handle: 'c1' } };
+		const res = { locals: { apiKey: { id: 1, companyHandle: 'c1', scopes: [ 'jobs:write' ] } } };
+		const next = jest.fn();
+		await ensureCompanyRole('recruiter', undefined, 'jobs:write')(req, res, next);
+		expect(next).toHaveBeenCalledWith();
+	});
+
+	test('unauth with an API key without the scope, or for another company', async function() {
+		const res = { locals: { apiKey: { id: 1, companyHandle: 'c1', scopes: [ 'jobs:write' ] } } };
+		const next = jest.fn();
+		await ensureCompanyRole('recruiter', undefined, 'applications:write')({ params: { handle: 'c1' } }, res, next);
+		await ensureCompanyRole('recruiter', undefined, 'jobs:write')({ params: { handle: 'c2' } }, res, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+		expect(next.mock.calls[1][0] instanceof UnauthorizedError).toBeTruthy();
+	});
+
+	test('unauth with an API key where no scope will do', async function() {
+		const req = { params: { handle: 'c1' } };
+		const res = { locals: { apiKey: { id: 1, companyHandle: 'c1', scopes: [ 'jobs:write' ] } } };
+		const next = jest.fn();
+		await ensureCompanyRole('owner')(req, res, next);
+		expect(next.mock.calls[0][0] instanceof UnauthorizedError).toBeTruthy();
+	});
+});
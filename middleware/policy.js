@@ -0,0 +1,182 @@
+'use strict';
+
+/** Who may do what: the authorization rule for every route, in one place.
+ *
+ * Each action (e.g. 'jobs:update') maps to a rule, and each route is guarded
+ * with authorize(action) before anything else runs. The rules are:
+ *   - anyone: no login needed
+ *   - loggedIn: any logged-in user
+ *   - adminOrSelf: an admin, or the user named by the :username parameter
+ *   - admin: admins only
+ *   - companyRole: an admin, or a user with at least a role at a company; where
+ *     a scope is given, an API key for the company with that scope will do too
+ *
+ * Failing a rule raises UnauthorizedError.
+ */
+
+const {
+	ensureLoggedIn,
+	ensureAuthenticated,
+	ensureAdmin,
+	ensureAdminOrUser,
+	ensureCompanyRole
+} = require('./auth');
+const Job = require('../models/job');
+const Membership = require('../models/membership');
+const ApiKey = require('../models/apiKey');
+
+/** Each rule is { rule, guards }, where guards are auth middleware run in turn. */
+
+const anyone = { rule: 'anyone', guards: [] };
+const loggedIn = { rule: 'loggedIn', guards: [ ensureLoggedIn ] };
+const adminOrSelf = { rule: 'adminOrSelf', guards: [ ensureLoggedIn, ensureAdminOrUser ] };
+const admin = { rule: 'admin', guards: [ ensureLoggedIn, ensureAdmin ] };
+
+/** The companyRole rule: at least role at the company from handle(req) (by
+ * default the :handle parameter), or an API key with scope there. */
+
+function companyRole(role, { handle, scope } = {}) {
+	return {
+		rule: 'companyRole',
+		role,
+		scope,
+		guards: [ scope ? ensureAuthenticated : ensureLoggedIn, ensureCompanyRole(role, handle, scope) ]
+	};
+}
+
+/** Company handles for companyRole, from elsewhere in the request. */
+
+const bodyCompany = (req) => req.body && req.body.company_handle;
+
+async function jobCompany(req) {
+	const job = await Job.get(req.params.ID);
+	return job.company_handle;
+}
+
+const POLICIES = {
+	'admin:settings:get': admin,
+	'admin:settings:update': admin,
+	'admin:audit:list': admin,
+
+	'auth:token': anyone,
+	'auth:token2fa': anyone,
+	'auth:register': anyone,
+	'auth:refresh': anyone,
+	'auth:logout': loggedIn,
+	'auth:logoutAll': loggedIn,
+	'auth:passwordReset': anyone,
+	'auth:verifyEmail': anyone,
+	'auth:verifyEmailResend': loggedIn,
+	'auth:twoFactor': loggedIn,
+
+	'companies:create': admin,
+	'companies:list': anyone,
+	'companies:get': anyone,
+	'companies:update': companyRole('owner', { scope: 'companies:write' }),
+	'companies:delete': admin,
+	'companies:restore': admin,
+	'companies:rename': admin,
+	'companies:applications:list': companyRole('viewer', { scope: 'applications:read' }),
+	'companies:members:list': companyRole('viewer'),
+	'companies:members:set': companyRole('owner'),
+	'companies:members:remove': companyRole('owner'),
+	'companies:apiKeys:list': companyRole('owner'),
+	'companies:apiKeys:create': companyRole('owner'),
+	'companies:apiKeys:revoke': companyRole('owner'),
+
+	'jobs:create': companyRole('recruiter', { handle: bodyCompany, scope: 'jobs:write' }),
+	'jobs:list': anyone,
+	'jobs:get': anyone,
+	'jobs:update': companyRole('recruiter', { handle: jobCompany, scope: 'jobs:write' }),
+	'jobs:delete': companyRole('recruiter', { handle: jobCompany, scope: 'jobs:write' }),
+	'jobs:restore': admin,
+	'jobs:skills:set': companyRole('recruiter', { handle: jobCompany, scope: 'jobs:write' }),
+	'jobs:applications:list': companyRole('viewer', { handle: jobCompany, scope: 'applications:read' }),
+	'jobs:applications:update': companyRole('recruiter', { handle: jobCompany, scope: 'applications:write' }),
+
+	'users:create': admin,
+	'users:list': admin,
+	'users:get': adminOrSelf,
+	'users:update': adminOrSelf,
+	'users:delete': adminOrSelf,
+	'users:restore': admin,
+	'users:unlock': admin,
+	'users:skills:set': adminOrSelf,
+	'users:preferences:get': adminOrSelf,
+	'users:preferences:set': adminOrSelf,
+	'users:recommendations:list': adminOrSelf,
+	'users:applications:list': adminOrSelf,
+	'users:applications:create': adminOrSelf,
+	'users:applications:get': adminOrSelf,
+	'users:applications:update': adminOrSelf,
+	'users:applications:withdraw': adminOrSelf,
+
+	'skills:create': admin,
+	'skills:list': anyone,
+	'skills:get': anyone,
+	'skills:update': admin,
+	'skills:delete': admin,
+
+	'search:query': anyone
+};
+
+/** Which unlisted jobs (drafts, paused, closed and expired) a request may see,
+ * for Job.findAll, Company.get and Search.find: all of them for admins, or else
+ * those at companies where the user is a recruiter or the API key has
+ * jobs:write.
+ *
+ * Returns { all: true } or { companies: [handle, ...] }
+ */
+
+async function jobVisibility(res) {
+	const { user, apiKey } = res.locals;
+	if (user && user.isAdmin) return { all: true };
+
+	const companies = [];
+	if (user) {
+		for (const { companyHandle, role } of await Membership.findForUser(user.username)) {
+			if (Membership.hasRole(role, 'recruiter')) companies.push(companyHandle);
+		}
+	}
+	if (apiKey && ApiKey.hasScope(apiKey, apiKey.companyHandle, 'jobs:write')) companies.push(apiKey.companyHandle);
+
+	return { companies };
+}
+
+/** Run one piece of auth middleware; resolves to the error it raised, if any. */
+
+function runGuard(guard, req, res) {
+	return new Promise((resolve) => guard(req, res, resolve));
+}
+
+/** Middleware factory: allow the request only if it passes action's rule.
+ *
+ * The returned middleware has an action property, so routes can be checked for
+ * having a policy. Throws at startup if action has no policy.
+ */
+
+function authorize(action) {
+	const policy = POLICIES[action];
+	if (!policy) throw new Error(`No policy for action: ${action}`);
+
+	async function authorizeAction(req, res, next) {
+		try {
+			for (const guard of policy.guards) {
+				const err = await runGuard(guard, req, res);
+				if (err) return next(err);
+			}
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	}
+
+	authorizeAction.action = action;
+	return authorizeAction;
+}
+
+module.exports = {
+	POLICIES,
+	authorize,
+	jobVisibility
+};
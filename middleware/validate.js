@@ -0,0 +1,82 @@
+'use strict';
+
+/** Middleware to validate requests against JSON schemas. */
+
+const jsonschema = require('jsonschema');
+const { BadRequestError } = require('../expressError');
+
+/** Coerce a query string value to the type its schema asks for.
+ *
+ * Query string values always arrive as strings, so "5" becomes 5 for integer
+ * and number properties and "true" / "false" become booleans. Anything else is
+ * left alone for the validator to reject.
+ *
+ * Used as jsonschema's preValidateProperty hook.
+ */
+
+function coerceQueryValue(instance, property, schema) {
+	const value = instance[property];
+	if (typeof value !== 'string' || !schema) return;
+
+	const types = [].concat(schema.type || []);
+	if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(value)) {
+		instance[property] = Number(value);
+	} else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+		instance[property] = value === 'true';
+	}
+}
+
+/** Validate data against schema.
+ *
+ * Throws BadRequestError with the list of problems if it's not valid.
+ */
+
+function validate(data, schema, options = {}) {
+	const validator = jsonschema.validate(data, schema, options);
+	if (!validator.valid) {
+		const errs = validator.errors.map((e) => e.stack);
+		throw new BadRequestError(errs);
+	}
+}
+
+/** Middleware: validate the request body against schema.
+ *
+ * If not valid, raises BadRequest.
+ */
+
+function validateBody(schema) {
+	return function(req, res, next) {
+		try {
+			validate(req.body, schema);
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+}
+
+/** Middleware: validate the query string against schema.
+ *
+ * Values are coerced to the types the schema asks for (see coerceQueryValue),
+ * and req.query is replaced with the coerced values.
+ *
+ * If not valid, raises BadRequest.
+ */
+
+function validateQuery(schema) {
+	return function(req, res, next) {
+		try {
+			const query = { ...req.query };
+			validate(query, schema, { preValidateProperty: coerceQueryValue });
+			req.query = query;
+			return next();
+		} catch (err) {
+			return next(err);
+		}
+	};
+}
+
+module.exports = {
+	validateBody,
+	validateQuery
+};
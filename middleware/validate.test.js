@@ -0,0 +1,85 @@
+'use strict';
+
+const { BadRequestError } = require('../expressError');
+const { validateBody, validateQuery } = require('./validate');
+
+const schema = {
+	type: 'object',
+	properties: {
+		name: { type: 'string' },
+		count: { type: 'integer', minimum: 0 },
+		active: { type: 'boolean' }
+	},
+	additionalProperties: false
+};
+
+describe('validateBody', function() {
+	test('works', function() {
+		expect.assertions(1);
+		const req = { body: { name: 'test', count: 1 } };
+		const next = function(err) {
+			expect(err).toBeFalsy();
+		};
+		validateBody(schema)(req, { locals: {} }, next);
+	});
+
+	test('bad request if invalid', function() {
+		expect.assertions(2);
+		const req = { body: { name: 'test', count: '1' } };
+		const next = function(err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+			expect(err.message).toEqual([ 'instance.count is not of a type(s) integer' ]);
+		};
+		validateBody(schema)(req, { locals: {} }, next);
+	});
+});
+
+describe('validateQuery', function() {
+	test('works: coerces values', function() {
+		expect.assertions(2);
+		const req = { query: { name: '5', count: '5', active: 'false' } };
+		const next = function(err) {
+			expect(err).toBeFalsy();
+		};
+		validateQuery(schema)(req, { locals: {} }, next);
+		expect(req.query).toEqual({ name: '5', count: 5, active: false });
+	});
+
+	test('bad request if values cannot be coerced', function() {
+		expect.assertions(2);
+		const req = { query: { count: 'five', active: 'yes' } };
+		const next = function(err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		};
+		validateQuery(schema)(req, { locals: {} }, next);
+		expect(req.query).toEqual({ count: 'five', active: 'yes' });
+	});
+
+	test('bad request on unknown parameters', function() {
+		expect.assertions(1);
+		const req = { query: { nope: '1' } };
+		const next = function(err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		};
+		validateQuery(schema)(req, { locals: {} }, next);
+	});
+});
+
+describe('job schemas', function() {
+	const jobNewSchema = require('../schemas/jobNew.json');
+
+	test.each([
+		[ { title: 'new', company_handle: 'c1', salary: 100, equity: '0.5' }, true ],
+		[ { title: 'new', company_handle: 'c1', equity: 0 }, true ],
+		[ { title: 'new', company_handle: 'c1', salary: -1 }, false ],
+		[ { title: 'new', company_handle: 'c1', equity: '1.5' }, false ],
+		[ { title: 'new', company_handle: 'c1', equity: 'lots' }, false ],
+		[ { title: 'new' }, false ]
+	])('jobNew %j valid: %s', function(body, valid) {
+		expect.assertions(1);
+		const next = function(err) {
+			expect(!err).toEqual(valid);
+		};
+		validateBody(jobNewSchema)({ body }, { locals: {} }, next);
+	});
+});
@@ -3,11 +3,15 @@ const bcrypt = require('bcrypt');
 const db = require('../db.js');
 const { BCRYPT_WORK_FACTOR } = require('../config');
 
+const testJobIds = [];
+
 async function commonBeforeAll() {
 	// noinspection SqlWithoutWhere
 	await db.query('DELETE FROM companies');
 	// noinspection SqlWithoutWhere
 	await db.query('DELETE FROM users');
+	// noinspection SqlWithoutWhere
+	await db.query('DELETE FROM skills');
 
 	await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -21,18 +25,54 @@ async function commonBeforeAll() {
                           password,
                           first_name,
                           last_name,
-                          email)
-        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com'),
-               ('u2', $2, 'U2F', 'U2L', 'u2@email.com')
+                          email,
+                          email_verified)
+        VALUES ('u1', $1, 'U1F', 'U1L', 'u1@email.com', TRUE),
+               ('u2', $2, 'U2F', 'U2L', 'u2@email.com', TRUE)
         RETURNING username`,
 		[ await bcrypt.hash('password1', BCRYPT_WORK_FACTOR), await bcrypt.hash('password2', BCRYPT_WORK_FACTOR) ]
 	);
 
+	const jobsRes = await db.query(`
+        INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle) VALUES
+        ('title1', 100000, 100000, 0.01, 'c1'), 
+        ('title2', 200000, 200000, 0.02, 'c2'),
+        ('title2', 300000, 300000, 0.03, 'c3')
+        RETURNING id`);
+	testJobIds.splice(0, testJobIds.length, ...jobsRes.rows.map((r) => r.id));
+
+	await db.query(
+		`
+        INSERT INTO applications (username, job_id, state)
+        VALUES ('u1', $1, 'applied')`,
+		[ testJobIds[0] ]
+	);
+	await db.query(
+		`
+        INSERT INTO application_history (username, job_id, from_state, to_state, changed_by)
+        VALUES ('u1', $1, NULL, 'applied', 'u1')`,
+		[ testJobIds[0] ]
+	);
+
+	await db.query(`
+        INSERT INTO skills (slug, name)
+        VALUES ('node', 'Node.js'),
+               ('sql', 'SQL')`);
+	await db.query(`
+        INSERT INTO skill_aliases (alias, skill_slug)
+        VALUES ('nodejs', 'node')`);
+	await db.query(
+		`
+        INSERT INTO job_skills (job_id, skill_slug, required)
+        VALUES ($1, 'node', TRUE),
+               ($1, 'sql', FALSE),
+               ($2, 'sql', TRUE)`,
+		[ testJobIds[0], testJobIds[1] ]
+	);
+
 	await db.query(`
-        INSERT INTO jobs (title, salary, equity, company_handle) VALUES
-        ('title1', 100000, 0.01, 'c1'), 
-        ('title2', 200000, 0.02, 'c2'),
-        ('title2', 300000, 0.03, 'c3')`);
+        INSERT INTO company_members (username, company_handle, role)
+        VALUES ('u2', 'c1', 'recruiter')`);
 }
 
 async function commonBeforeEach() {
@@ -51,5 +91,6 @@ module.exports = {
 	commonBeforeAll,
 	commonBeforeEach,
 	commonAfterEach,
-	commonAfterAll
+	commonAfterAll,
+	testJobIds
 };
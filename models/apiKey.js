@@ -0,0 +1,136 @@
+'use strict';
+
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { generateToken, hashToken } = require('../helpers/tokens');
+const AuditLog = require('./auditLog');
+
+/** What an API key can be allowed to do at its company:
+ *   - companies:write: edit the company
+ *   - jobs:write: post, edit and remove the company's jobs
+ *   - applications:read: see the company's applicants
+ *   - applications:write: move the company's applicants between states
+ */
+
+const SCOPES = [ 'companies:write', 'jobs:write', 'applications:read', 'applications:write' ];
+
+/** Columns returned for a key; never its hash. */
+
+const KEY_COLUMNS = `id,
+                  name,
+                  company_handle AS "companyHandle",
+                  scopes,
+                  created_by AS "createdBy",
+                  created_at AS "createdAt",
+                  expires_at AS "expiresAt",
+                  last_used_at AS "lastUsedAt"`;
+
+/** Related functions for API keys, which let other servers call the API for a
+ * company without logging in as someone.
+ *
+ * Only a hash of each key is stored. A key works until it expires (if it has
+ * an expiry) or is revoked.
+ */
+
+class ApiKey {
+	/** Does an API key principal (from ApiKey.authenticate) have scope at
+   * companyHandle?
+   **/
+
+	static hasScope(apiKey, companyHandle, scope) {
+		return apiKey.companyHandle === companyHandle && apiKey.scopes.includes(scope);
+	}
+
+	/** Create a key for a company, given { name, scopes, expiresAt }, where
+   * expiresAt is optional. createdBy is the username minting it.
+   *
+   * Returns { apiKey, key }
+   *   where apiKey is { id, name, companyHandle, scopes, createdBy, createdAt, expiresAt, lastUsedAt }
+   *   and key is the key itself, which can't be recovered later
+   *
+   * Throws NotFoundError if the company doesn't exist, or BadRequestError if
+   * a scope is unknown or expiresAt has passed.
+   **/
+
+	static async create(companyHandle, { name, scopes, expiresAt = null }, createdBy) {
+		const unknown = scopes.filter((s) => !SCOPES.includes(s));
+		if (unknown.length) throw new BadRequestError(`Unknown scopes: ${unknown.join(', ')}`);
+		if (expiresAt && new Date(expiresAt) <= new Date()) throw new BadRequestError('expiresAt has already passed');
+
+		const companyCheck = await db.query(
+			`SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+			[ companyHandle ]
+		);
+		if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+
+		const key = generateToken();
+		const [ apiKey ] = await AuditLog.recordChange(
+			`INSERT INTO api_keys (name, key_hash, company_handle, scopes, created_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING ${KEY_COLUMNS}`,
+			[ name, hashToken(key), companyHandle, [ ...new Set(scopes) ], createdBy, expiresAt ],
+			{ action: 'apiKey.create', targetType: 'apiKey', targetId: AuditLog.CHANGED, after: AuditLog.CHANGED }
+		);
+
+		return { apiKey, key };
+	}
+
+	/** Given a key, return the principal it stands for, recording that it was
+   * used: { id, name, companyHandle, scopes }
+   *
+   * Returns undefined if the key is unknown, expired or revoked, or its
+   * company is deleted.
+   **/
+
+	static async authenticate(key) {
+		const result = await db.query(
+			`UPDATE api_keys
+           SET last_used_at = NOW()
+           WHERE key_hash = $1
+             AND revoked_at IS NULL
+             AND (expires_at IS NULL OR expires_at > NOW())
+             AND company_handle IN (SELECT handle FROM companies WHERE deleted_at IS NULL)
+           RETURNING id, name, company_handle AS "companyHandle", scopes`,
+			[ hashToken(key) ]
+		);
+
+		return result.rows[0];
+	}
+
+	/** Find a company's keys that haven't been revoked, newest first.
+   *
+   * Returns [{ id, name, companyHandle, scopes, createdBy, createdAt, expiresAt, lastUsedAt }, ...]
+   **/
+
+	static async findForCompany(companyHandle) {
+		const result = await db.query(
+			`SELECT ${KEY_COLUMNS}
+           FROM api_keys
+           WHERE company_handle = $1 AND revoked_at IS NULL
+           ORDER BY created_at DESC, id DESC`,
+			[ companyHandle ]
+		);
+
+		return result.rows;
+	}
+
+	/** Revoke one of a company's keys; returns undefined.
+   *
+   * Throws NotFoundError if the company has no such key.
+   **/
+
+	static async revoke(companyHandle, id) {
+		const [ apiKey ] = await AuditLog.recordChange(
+			`UPDATE api_keys
+           SET revoked_at = NOW()
+           WHERE id = $1 AND company_handle = $2 AND revoked_at IS NULL
+           RETURNING ${KEY_COLUMNS}`,
+			[ id, companyHandle ],
+			{ action: 'apiKey.revoke', targetType: 'apiKey', targetId: id, before: AuditLog.CHANGED }
+		);
+
+		if (!apiKey) throw new NotFoundError(`No API key ${id} at company: ${companyHandle}`);
+	}
+}
+
+module.exports = ApiKey;
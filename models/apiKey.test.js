@@ -0,0 +1,145 @@
+'use strict';
+
+const db = require('../db.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+const ApiKey = require('./apiKey.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const newKey = { name: 'ATS', scopes: [ 'jobs:write', 'applications:read' ] };
+
+/************************************** create */
+
+describe('create', function() {
+	test('works', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', newKey, 'u1');
+		expect(apiKey).toEqual({
+			id: expect.any(Number),
+			name: 'ATS',
+			companyHandle: 'c1',
+			scopes: [ 'jobs:write', 'applications:read' ],
+			createdBy: 'u1',
+			createdAt: expect.any(Date),
+			expiresAt: null,
+			lastUsedAt: null
+		});
+
+		const stored = await db.query(`SELECT key_hash FROM api_keys WHERE id = $1`, [ apiKey.id ]);
+		expect(stored.rows[0].key_hash).toEqual(hashToken(key));
+	});
+
+	test('works: with expiry', async function() {
+		const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+		const { apiKey } = await ApiKey.create('c1', { ...newKey, expiresAt: expiresAt.toISOString() }, 'u1');
+		expect(apiKey.expiresAt).toEqual(expiresAt);
+	});
+
+	test('bad request with an unknown scope', async function() {
+		expect.assertions(1);
+		try {
+			await ApiKey.create('c1', { name: 'ATS', scopes: [ 'users:write' ] }, 'u1');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if expiry has passed', async function() {
+		expect.assertions(1);
+		try {
+			await ApiKey.create('c1', { ...newKey, expiresAt: '2000-01-01T00:00:00Z' }, 'u1');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such company', async function() {
+		expect.assertions(1);
+		try {
+			await ApiKey.create('nope', newKey, 'u1');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** authenticate */
+
+describe('authenticate', function() {
+	test('works, and records the use', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', newKey, 'u1');
+		expect(await ApiKey.authenticate(key)).toEqual({
+			id: apiKey.id,
+			name: 'ATS',
+			companyHandle: 'c1',
+			scopes: [ 'jobs:write', 'applications:read' ]
+		});
+
+		const [ found ] = await ApiKey.findForCompany('c1');
+		expect(found.lastUsedAt).toEqual(expect.any(Date));
+	});
+
+	test('undefined for an unknown key', async function() {
+		expect(await ApiKey.authenticate('nope')).toBeUndefined();
+	});
+
+	test('undefined for an expired key', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', newKey, 'u1');
+		await db.query(`UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [ apiKey.id ]);
+		expect(await ApiKey.authenticate(key)).toBeUndefined();
+	});
+
+	test('undefined for a revoked key', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', newKey, 'u1');
+		await ApiKey.revoke('c1', apiKey.id);
+		expect(await ApiKey.authenticate(key)).toBeUndefined();
+	});
+});
+
+/************************************** hasScope */
+
+describe('hasScope', function() {
+	test('works', function() {
+		const principal = { id: 1, name: 'ATS', companyHandle: 'c1', scopes: [ 'jobs:write' ] };
+		expect(ApiKey.hasScope(principal, 'c1', 'jobs:write')).toEqual(true);
+		expect(ApiKey.hasScope(principal, 'c1', 'applications:read')).toEqual(false);
+		expect(ApiKey.hasScope(principal, 'c2', 'jobs:write')).toEqual(false);
+	});
+});
+
+/************************************** findForCompany */
+
+describe('findForCompany', function() {
+	test('works', async function() {
+		const first = await ApiKey.create('c1', newKey, 'u1');
+		const second = await ApiKey.create('c1', { name: 'Other', scopes: [ 'jobs:write' ] }, 'u1');
+		await ApiKey.create('c2', newKey, 'u1');
+		const keys = await ApiKey.findForCompany('c1');
+		expect(keys.map((k) => k.id)).toEqual([ second.apiKey.id, first.apiKey.id ]);
+		expect(keys[0]).not.toHaveProperty('keyHash');
+	});
+});
+
+/************************************** revoke */
+
+describe('revoke', function() {
+	test('works', async function() {
+		const { apiKey } = await ApiKey.create('c1', newKey, 'u1');
+		await ApiKey.revoke('c1', apiKey.id);
+		expect(await ApiKey.findForCompany('c1')).toEqual([]);
+	});
+
+	test("not found for another company's key", async function() {
+		expect.assertions(1);
+		const { apiKey } = await ApiKey.create('c1', newKey, 'u1');
+		try {
+			await ApiKey.revoke('c2', apiKey.id);
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
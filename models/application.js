@@ -0,0 +1,405 @@
+'use strict';
+
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { sqlForFilter, parseSort } = require('../helpers/sql');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const AuditLog = require('./auditLog');
+
+/** The states an application can be in, and the states each can move to.
+ *
+ * accepted, rejected and withdrawn are final.
+ */
+
+const TRANSITIONS = {
+	interested: [ 'applied', 'withdrawn' ],
+	applied: [ 'interviewing', 'rejected', 'withdrawn' ],
+	interviewing: [ 'offered', 'rejected', 'withdrawn' ],
+	offered: [ 'accepted', 'rejected', 'withdrawn' ],
+	accepted: [],
+	rejected: [],
+	withdrawn: []
+};
+
+/** States an application can start in. */
+
+const INITIAL_STATES = [ 'interested', 'applied' ];
+
+/** Search filters accepted by Application.findForUser (see sqlForFilter).
+ * notDeleted is always applied, hiding applications to deleted jobs. */
+
+const USER_APPLICATION_FILTERS = {
+	notDeleted: { col: 'j.deleted_at IS NULL', op: 'flag' },
+	username: { col: 'a.username', op: 'eq' },
+	state: { col: 'a.state', op: 'eq' },
+	appliedAfter: { col: 'a.created_at', op: 'min' },
+	appliedBefore: { col: 'a.created_at', op: 'max' }
+};
+
+/** The order of Application.findForUser: newest first (see sqlForPage). */
+
+const USER_APPLICATION_ORDER = [ { col: 'a.created_at', desc: true }, { col: 'a.job_id', desc: false } ];
+
+/** Search filters accepted by Application.findApplicants (see sqlForFilter).
+ * notDeleted is always applied, hiding deleted jobs and users. */
+
+const APPLICANT_FILTERS = {
+	notDeleted: { col: 'j.deleted_at IS NULL AND u.deleted_at IS NULL', op: 'flag' },
+	applied: { col: `a.state <> 'interested'`, op: 'flag' },
+	jobId: { col: 'a.job_id', op: 'eq' },
+	companyHandle: { col: 'j.company_handle', op: 'eq' },
+	state: { col: 'a.state', op: 'eq' },
+	appliedAfter: { col: 'a.created_at', op: 'min' },
+	appliedBefore: { col: 'a.created_at', op: 'max' }
+};
+
+/** Keys Application.findApplicants can sort on, mapped to their columns (see parseSort). */
+
+const APPLICANT_SORTABLE = {
+	username: 'a.username',
+	firstName: 'u.first_name',
+	lastName: 'u.last_name',
+	jobId: 'a.job_id',
+	state: 'a.state',
+	createdAt: 'a.created_at',
+	updatedAt: 'a.updated_at'
+};
+
+/** An application in the audit log: target id "username/jobId". */
+
+function auditTarget(username, jobId) {
+	return { targetType: 'application', targetId: `${username}/${jobId}` };
+}
+
+/** Related functions for job applications. */
+
+class Application {
+	/** Create an application for a user to a job, in state (interested or applied).
+   *
+   * The first entry of the application's history is recorded, changed by changedBy.
+   *
+   * Returns { username, jobId, state }
+   *
+   * Throws NotFoundError if the user or job doesn't exist, or BadRequestError
+   * if the user already applied or state isn't an initial state.
+   **/
+
+	static async create(username, jobId, state = 'applied', changedBy = username) {
+		if (!INITIAL_STATES.includes(state)) {
+			throw new BadRequestError(`Applications must start as one of: ${INITIAL_STATES.join(', ')}`);
+		}
+
+		const userCheck = await db.query(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [
+			username
+		]);
+		if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		const jobCheck = await db.query(`SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`, [ jobId ]);
+		if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+		// insert the application and its first history entry in one statement,
+		// so one can't be saved without the other
+		const result = await db.query(
+			`WITH app AS (
+             INSERT INTO applications (username, job_id, state)
+             VALUES ($1, $2, $3)
+             ON CONFLICT DO NOTHING
+             RETURNING username, job_id, state)
+           INSERT INTO application_history (username, job_id, from_state, to_state, changed_by)
+           SELECT username, job_id, NULL, state, $4
+           FROM app
+           RETURNING username, job_id AS "jobId", to_state AS "state"`,
+			[ username, jobId, state, changedBy ]
+		);
+		const application = result.rows[0];
+
+		if (!application) throw new BadRequestError(`Already applied to job: ${jobId}`);
+
+		await AuditLog.record({ action: 'application.create', ...auditTarget(username, jobId), after: application });
+
+		return application;
+	}
+
+	/** Find a page of a user's applications, with their job and company.
+   *
+   * Can filter on { state, appliedAfter, appliedBefore }, where the dates are
+   * compared to when the application was made. Newest applications come first.
+   *
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * Returns { applications, total, next, prev }
+   *   where applications is [{ jobId, state, createdAt, updatedAt, title, salary,
+   *                            equity, companyHandle, companyName }, ...]
+   **/
+
+	static async findForUser(username, { state, appliedAfter, appliedBefore, limit, offset, cursor } = {}) {
+		const page = getPage({ limit, offset, cursor });
+		const { where, values } = sqlForFilter(
+			{ notDeleted: true, username, state, appliedAfter, appliedBefore },
+			USER_APPLICATION_FILTERS
+		);
+		const pageSql = sqlForPage(page, USER_APPLICATION_ORDER, { where, startIdx: values.length + 1 });
+
+		const countRes = await db.query(
+			`SELECT COUNT(*)::integer AS "total"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+           ${where}`,
+			values
+		);
+
+		const result = await db.query(
+			`SELECT a.job_id AS "jobId",
+                  a.state,
+                  a.created_at AS "createdAt",
+                  a.updated_at AS "updatedAt",
+                  j.title,
+                  j.salary,
+                  j.equity,
+                  c.handle AS "companyHandle",
+                  c.name AS "companyName",
+                  ${pageSql.cursorColumn}
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
+		);
+
+		const { rows, ...info } = pageOf(page, USER_APPLICATION_ORDER, result.rows, countRes.rows[0].total);
+		return { applications: rows, ...info };
+	}
+
+	/** Find a page of applicants, to one job or to any job at a company.
+   *
+   * Users who only saved a job (interested) haven't applied, so aren't
+   * included.
+   *
+   * Must be given one of { jobId, companyHandle }. Can filter on { state,
+   * appliedAfter, appliedBefore }, and sort with { sort }, e.g. 'lastName,-createdAt'
+   * (see parseSort); newest applications come first by default.
+   *
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * Returns { applications, total, next, prev }
+   *   where applications is [{ username, firstName, lastName, email, jobId,
+   *                            jobTitle, state, createdAt, updatedAt }, ...]
+   *
+   * Throws BadRequestError on an unknown sort key.
+   **/
+
+	static async findApplicants({
+		jobId,
+		companyHandle,
+		state,
+		appliedAfter,
+		appliedBefore,
+		sort,
+		limit,
+		offset,
+		cursor
+	}) {
+		const page = getPage({ limit, offset, cursor });
+		const order = parseSort(sort, APPLICANT_SORTABLE, '-createdAt,username,jobId');
+		const { where, values } = sqlForFilter(
+			{ notDeleted: true, applied: true, jobId, companyHandle, state, appliedAfter, appliedBefore },
+			APPLICANT_FILTERS
+		);
+		const pageSql = sqlForPage(page, order, { where, startIdx: values.length + 1 });
+
+		const countRes = await db.query(
+			`SELECT COUNT(*)::integer AS "total"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = a.username
+           ${where}`,
+			values
+		);
+
+		const result = await db.query(
+			`SELECT a.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  u.email,
+                  a.job_id AS "jobId",
+                  j.title AS "jobTitle",
+                  a.state,
+                  a.created_at AS "createdAt",
+                  a.updated_at AS "updatedAt",
+                  ${pageSql.cursorColumn}
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = a.username
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
+		);
+
+		const { rows, ...info } = pageOf(page, order, result.rows, countRes.rows[0].total);
+		return { applications: rows, ...info };
+	}
+
+	/** Given a username and job id, return the application.
+   *
+   * Returns { username, jobId, state, createdAt, updatedAt, history }
+   *   where history is [{ fromState, toState, changedBy, changedAt }, ...], oldest first
+   *
+   * Throws NotFoundError if not found, or if the user or job is deleted.
+   **/
+
+	static async get(username, jobId) {
+		const appRes = await db.query(
+			`SELECT a.username,
+                  a.job_id AS "jobId",
+                  a.state,
+                  a.created_at AS "createdAt",
+                  a.updated_at AS "updatedAt"
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN users AS u ON u.username = a.username
+           WHERE a.username = $1 AND a.job_id = $2 AND j.deleted_at IS NULL AND u.deleted_at IS NULL`,
+			[ username, jobId ]
+		);
+
+		const application = appRes.rows[0];
+
+		if (!application) throw new NotFoundError(`No application: ${username}, ${jobId}`);
+
+		const historyRes = await db.query(
+			`SELECT from_state AS "fromState",
+                  to_state AS "toState",
+                  changed_by AS "changedBy",
+                  changed_at AS "changedAt"
+           FROM application_history
+           WHERE username = $1 AND job_id = $2
+           ORDER BY id`,
+			[ username, jobId ]
+		);
+		application.history = historyRes.rows;
+
+		return application;
+	}
+
+	/** Move an application to a new state, recording the change in its history.
+   *
+   * Returns the updated application, as from Application.get.
+   *
+   * Throws NotFoundError if not found, or BadRequestError if the application
+   * can't move from its current state to state, or is moving to applied and
+   * the job isn't listed (as for User.apply).
+   **/
+
+	static async transition(username, jobId, state, changedBy) {
+		const current = await Application.get(username, jobId);
+
+		if (!TRANSITIONS[current.state].includes(state)) {
+			throw new BadRequestError(`Cannot change application from ${current.state} to ${state}`);
+		}
+		if (state === 'applied') {
+			const jobRes = await db.query(`SELECT job_is_listed(jobs) AS "listed" FROM jobs WHERE id = $1`, [ jobId ]);
+			if (!jobRes.rows[0].listed) throw new BadRequestError(`Job is not open for applications: ${jobId}`);
+		}
+
+		// only update if the state hasn't changed since we checked it, and
+		// record the history entry in the same statement
+		const result = await db.query(
+			`WITH app AS (
+             UPDATE applications
+             SET state = $3, updated_at = NOW()
+             WHERE username = $1 AND job_id = $2 AND state = $4
+             RETURNING username, job_id, state)
+           INSERT INTO application_history (username, job_id, from_state, to_state, changed_by)
+           SELECT username, job_id, $4, state, $5
+           FROM app
+           RETURNING id`,
+			[ username, jobId, state, current.state, changedBy ]
+		);
+
+		if (!result.rows[0]) throw new BadRequestError('Application was changed by another request; try again');
+
+		await AuditLog.record({
+			action: 'application.update',
+			...auditTarget(username, jobId),
+			before: { state: current.state },
+			after: { state }
+		});
+
+		return Application.get(username, jobId);
+	}
+
+	/** Move several users' applications to one job to a new state at once.
+   *
+   * Either every application is changed or, if any of them can't be, none are.
+   * An application that is changed by another request in the meantime is
+   * skipped.
+   *
+   * Returns [username, ...] for the applications that were changed.
+   *
+   * Throws NotFoundError if any of the users hasn't applied to the job, or
+   * BadRequestError if any application can't move to state.
+   **/
+
+	static async transitionMany(jobId, usernames, state, changedBy) {
+		const currentRes = await db.query(
+			`SELECT a.username, a.state
+           FROM applications AS a
+             JOIN users AS u ON u.username = a.username
+           WHERE a.job_id = $1 AND a.username = ANY($2) AND a.state <> 'interested' AND u.deleted_at IS NULL`,
+			[ jobId, usernames ]
+		);
+		const current = new Map(currentRes.rows.map((a) => [ a.username, a.state ]));
+
+		const missing = usernames.filter((u) => !current.has(u));
+		if (missing.length) throw new NotFoundError(`No application to job ${jobId} for: ${missing.join(', ')}`);
+
+		const invalid = usernames.filter((u) => !TRANSITIONS[current.get(u)].includes(state));
+		if (invalid.length) {
+			throw new BadRequestError(`Cannot change application to ${state} for: ${invalid.join(', ')}`);
+		}
+
+		const result = await db.query(
+			`WITH target AS (
+             SELECT * FROM unnest($2::text[], $3::text[]) AS t(username, from_state)),
+           app AS (
+             UPDATE applications AS a
+             SET state = $4, updated_at = NOW()
+             FROM target AS t
+             WHERE a.job_id = $1 AND a.username = t.username AND a.state = t.from_state
+             RETURNING a.username, a.job_id, t.from_state)
+           INSERT INTO application_history (username, job_id, from_state, to_state, changed_by)
+           SELECT username, job_id, from_state, $4, $5
+           FROM app
+           RETURNING username`,
+			[ jobId, usernames, usernames.map((u) => current.get(u)), state, changedBy ]
+		);
+		const updated = result.rows.map((r) => r.username);
+
+		for (const username of updated) {
+			await AuditLog.record({
+				action: 'application.update',
+				...auditTarget(username, jobId),
+				before: { state: current.get(username) },
+				after: { state }
+			});
+		}
+
+		return updated;
+	}
+
+	/** Withdraw a user's application; the application and its history are kept.
+   *
+   * Returns the updated application, as from Application.get.
+   *
+   * Throws NotFoundError if not found, or BadRequestError if the application
+   * is already accepted, rejected or withdrawn.
+   **/
+
+	static async withdraw(username, jobId, changedBy = username) {
+		return Application.transition(username, jobId, 'withdrawn', changedBy);
+	}
+}
+
+module.exports = Application;
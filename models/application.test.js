@@ -0,0 +1,349 @@
+'use strict';
+
+const db = require('../db.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const Application = require('./application.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe('create', function() {
+	test('works', async function() {
+		const application = await Application.create('u2', testJobIds[1]);
+		expect(application).toEqual({ username: 'u2', jobId: testJobIds[1], state: 'applied' });
+
+		const found = await Application.get('u2', testJobIds[1]);
+		expect(found.history).toEqual([
+			{ fromState: null, toState: 'applied', changedBy: 'u2', changedAt: expect.any(Date) }
+		]);
+	});
+
+	test('works: interested', async function() {
+		const application = await Application.create('u2', testJobIds[1], 'interested');
+		expect(application.state).toEqual('interested');
+	});
+
+	test('bad request if not an initial state', async function() {
+		expect.assertions(1);
+		try {
+			await Application.create('u2', testJobIds[1], 'offered');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if already applied', async function() {
+		expect.assertions(1);
+		try {
+			await Application.create('u1', testJobIds[0]);
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such job', async function() {
+		expect.assertions(1);
+		try {
+			await Application.create('u1', 0);
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such user', async function() {
+		expect.assertions(1);
+		try {
+			await Application.create('nope', testJobIds[0]);
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** findForUser */
+
+describe('findForUser', function() {
+	test('works', async function() {
+		const result = await Application.findForUser('u1');
+		expect(result).toEqual({
+			applications: [
+				{
+					jobId: testJobIds[0],
+					state: 'applied',
+					createdAt: expect.any(Date),
+					updatedAt: expect.any(Date),
+					title: 'title1',
+					salary: 100000,
+					equity: '0.01',
+					companyHandle: 'c1',
+					companyName: 'C1'
+				}
+			],
+			total: 1,
+			next: null,
+			prev: null
+		});
+	});
+
+	test('works: state filter', async function() {
+		await Application.create('u1', testJobIds[1], 'interested');
+		let result = await Application.findForUser('u1', { state: 'interested' });
+		expect(result.applications.map((a) => a.jobId)).toEqual([ testJobIds[1] ]);
+		result = await Application.findForUser('u1', { state: 'offered' });
+		expect(result.applications).toEqual([]);
+	});
+
+	test('works: date filters', async function() {
+		await db.query(`UPDATE applications SET created_at = '2020-06-01' WHERE username = 'u1'`);
+		let result = await Application.findForUser('u1', { appliedAfter: '2020-05-01', appliedBefore: '2020-07-01' });
+		expect(result.total).toEqual(1);
+		result = await Application.findForUser('u1', { appliedAfter: '2020-06-02' });
+		expect(result.total).toEqual(0);
+	});
+
+	test('works: pagination', async function() {
+		await Application.create('u1', testJobIds[1]);
+		await Application.create('u1', testJobIds[2]);
+		const result = await Application.findForUser('u1', { limit: 2 });
+		expect(result.applications.length).toEqual(2);
+		expect(result.total).toEqual(3);
+		expect(result.next).toEqual(expect.any(String));
+	});
+
+	test('only includes the given user', async function() {
+		const result = await Application.findForUser('u2');
+		expect(result).toEqual({ applications: [], total: 0, next: null, prev: null });
+	});
+
+	test('leaves out deleted jobs', async function() {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [ testJobIds[0] ]);
+		const result = await Application.findForUser('u1');
+		expect(result).toEqual({ applications: [], total: 0, next: null, prev: null });
+	});
+});
+
+/************************************** findApplicants */
+
+describe('findApplicants', function() {
+	test('works: by job', async function() {
+		const result = await Application.findApplicants({ jobId: testJobIds[0] });
+		expect(result).toEqual({
+			applications: [
+				{
+					username: 'u1',
+					firstName: 'U1F',
+					lastName: 'U1L',
+					email: 'u1@email.com',
+					jobId: testJobIds[0],
+					jobTitle: 'title1',
+					state: 'applied',
+					createdAt: expect.any(Date),
+					updatedAt: expect.any(Date)
+				}
+			],
+			total: 1,
+			next: null,
+			prev: null
+		});
+	});
+
+	test('works: by company', async function() {
+		await Application.create('u2', testJobIds[1]);
+		let result = await Application.findApplicants({ companyHandle: 'c2' });
+		expect(result.applications.map((a) => a.username)).toEqual([ 'u2' ]);
+		result = await Application.findApplicants({ companyHandle: 'c3' });
+		expect(result.total).toEqual(0);
+	});
+
+	test('leaves out deleted users', async function() {
+		await db.query(`UPDATE users SET deleted_at = NOW() WHERE username = 'u1'`);
+		const result = await Application.findApplicants({ jobId: testJobIds[0] });
+		expect(result).toEqual({ applications: [], total: 0, next: null, prev: null });
+	});
+
+	test('works: filter and sort', async function() {
+		await Application.create('u2', testJobIds[0]);
+		await Application.transition('u2', testJobIds[0], 'interviewing', 'u1');
+		let result = await Application.findApplicants({ jobId: testJobIds[0], sort: '-username' });
+		expect(result.applications.map((a) => a.username)).toEqual([ 'u2', 'u1' ]);
+		result = await Application.findApplicants({ jobId: testJobIds[0], state: 'interviewing' });
+		expect(result.applications.map((a) => a.username)).toEqual([ 'u2' ]);
+	});
+
+	test('leaves out users who only saved the job', async function() {
+		await Application.create('u2', testJobIds[0], 'interested');
+		let result = await Application.findApplicants({ jobId: testJobIds[0] });
+		expect(result.applications.map((a) => a.username)).toEqual([ 'u1' ]);
+		expect(result.total).toEqual(1);
+		result = await Application.findApplicants({ companyHandle: 'c1', state: 'interested' });
+		expect(result).toEqual({ applications: [], total: 0, next: null, prev: null });
+	});
+
+	test('bad request with unknown sort key', async function() {
+		expect.assertions(1);
+		try {
+			await Application.findApplicants({ jobId: testJobIds[0], sort: 'password' });
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** get */
+
+describe('get', function() {
+	test('works', async function() {
+		const application = await Application.get('u1', testJobIds[0]);
+		expect(application).toEqual({
+			username: 'u1',
+			jobId: testJobIds[0],
+			state: 'applied',
+			createdAt: expect.any(Date),
+			updatedAt: expect.any(Date),
+			history: [ { fromState: null, toState: 'applied', changedBy: 'u1', changedAt: expect.any(Date) } ]
+		});
+	});
+
+	test('not found if no such application', async function() {
+		expect.assertions(1);
+		try {
+			await Application.get('u2', testJobIds[0]);
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('not found if the job is deleted', async function() {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [ testJobIds[0] ]);
+		await expect(Application.get('u1', testJobIds[0])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** transition */
+
+describe('transition', function() {
+	test('works', async function() {
+		await Application.transition('u1', testJobIds[0], 'interviewing', 'admin');
+		const application = await Application.transition('u1', testJobIds[0], 'offered', 'admin');
+		expect(application.state).toEqual('offered');
+		expect(application.history.map((h) => [ h.fromState, h.toState, h.changedBy ])).toEqual([
+			[ null, 'applied', 'u1' ],
+			[ 'applied', 'interviewing', 'admin' ],
+			[ 'interviewing', 'offered', 'admin' ]
+		]);
+
+		const result = await db.query(`SELECT state FROM applications WHERE username = 'u1' AND job_id = $1`, [
+			testJobIds[0]
+		]);
+		expect(result.rows).toEqual([ { state: 'offered' } ]);
+	});
+
+	test('bad request on invalid transition', async function() {
+		expect.assertions(2);
+		try {
+			await Application.transition('u1', testJobIds[0], 'accepted', 'admin');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+			expect(err.message).toEqual('Cannot change application from applied to accepted');
+		}
+	});
+
+	test('bad request applying once the job has closed', async function() {
+		await Application.create('u2', testJobIds[1], 'interested');
+		await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [ testJobIds[1] ]);
+		await expect(Application.transition('u2', testJobIds[1], 'applied', 'u2')).rejects.toThrow(
+			`Job is not open for applications: ${testJobIds[1]}`
+		);
+	});
+
+	test('bad request from a final state', async function() {
+		expect.assertions(1);
+		await Application.transition('u1', testJobIds[0], 'withdrawn', 'u1');
+		try {
+			await Application.transition('u1', testJobIds[0], 'applied', 'u1');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such application', async function() {
+		expect.assertions(1);
+		try {
+			await Application.transition('u2', testJobIds[0], 'withdrawn', 'u2');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** withdraw */
+
+describe('withdraw', function() {
+	test('works', async function() {
+		const application = await Application.withdraw('u1', testJobIds[0]);
+		expect(application.state).toEqual('withdrawn');
+		expect(application.history.map((h) => h.toState)).toEqual([ 'applied', 'withdrawn' ]);
+	});
+
+	test('bad request if already withdrawn', async function() {
+		expect.assertions(1);
+		await Application.withdraw('u1', testJobIds[0]);
+		try {
+			await Application.withdraw('u1', testJobIds[0]);
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** transitionMany */
+
+describe('transitionMany', function() {
+	test('works', async function() {
+		await Application.create('u2', testJobIds[0]);
+		const updated = await Application.transitionMany(testJobIds[0], [ 'u1', 'u2' ], 'interviewing', 'admin');
+		expect(updated.sort()).toEqual([ 'u1', 'u2' ]);
+
+		const u2App = await Application.get('u2', testJobIds[0]);
+		expect(u2App.state).toEqual('interviewing');
+		expect(u2App.history.map((h) => [ h.fromState, h.toState, h.changedBy ])).toEqual([
+			[ null, 'applied', 'u2' ],
+			[ 'applied', 'interviewing', 'admin' ]
+		]);
+	});
+
+	test('changes none if any transition is invalid', async function() {
+		expect.assertions(3);
+		await Application.create('u2', testJobIds[0]);
+		await Application.withdraw('u2', testJobIds[0]);
+		try {
+			await Application.transitionMany(testJobIds[0], [ 'u1', 'u2' ], 'interviewing', 'admin');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+			expect(err.message).toEqual('Cannot change application to interviewing for: u2');
+		}
+		const u1App = await Application.get('u1', testJobIds[0]);
+		expect(u1App.state).toEqual('applied');
+	});
+
+	test('not found for a user who only saved the job', async function() {
+		await Application.create('u2', testJobIds[0], 'interested');
+		await expect(
+			Application.transitionMany(testJobIds[0], [ 'u1', 'u2' ], 'interviewing', 'admin')
+		).rejects.toThrow(NotFoundError);
+	});
+
+	test('not found if a user has not applied', async function() {
+		expect.assertions(1);
+		try {
+			await Application.transitionMany(testJobIds[0], [ 'u1', 'u2' ], 'rejected', 'admin');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
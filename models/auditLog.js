@@ -0,0 +1,188 @@
+'use strict';
+
+const db = require('../db');
+const { sqlForFilter } = require('../helpers/sql');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const { getActor, getRequestId } = require('../helpers/requestContext');
+
+/** Fields whose values are never written to the audit log. */
+
+const REDACTED_FIELDS = [ 'password' ];
+
+const AUDIT_FILTERS = {
+	actor: { col: 'actor', op: 'eq' },
+	action: { col: 'action', op: 'eq' },
+	targetType: { col: 'target_type', op: 'eq' },
+	targetId: { col: 'target_id', op: 'eq' },
+	since: { col: 'occurred_at', op: 'min' },
+	until: { col: 'occurred_at', op: 'max' },
+	// a date-only until takes in the whole of that day
+	untilDate: { col: 'occurred_at < ?::date + 1', op: 'expr' }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** The order of AuditLog.findAll: newest first (see sqlForPage). */
+
+const AUDIT_ORDER = [ { col: 'occurred_at', desc: true }, { col: 'id', desc: true } ];
+
+/** Stands for the row a change returned, in AuditLog.recordChange. */
+
+const CHANGED = Symbol('changed');
+
+/** Copy of a record with redacted fields masked; null stays null. */
+
+function redact(record) {
+	if (!record) return null;
+	if (record === CHANGED) return record;
+	const copy = { ...record };
+	for (const field of REDACTED_FIELDS) {
+		if (field in copy) copy[field] = '[redacted]';
+	}
+	return copy;
+}
+
+/** For an update, keep only the fields that changed:
+ *
+ * { a: 1, b: 2 }, { a: 1, b: 3 } => [ { b: 2 }, { b: 3 } ]
+ */
+
+function diff(before, after) {
+	const changedBefore = {};
+	const changedAfter = {};
+	for (const key of new Set([ ...Object.keys(before), ...Object.keys(after) ])) {
+		if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+			changedBefore[key] = before[key];
+			changedAfter[key] = after[key];
+		}
+	}
+	return [ changedBefore, changedAfter ];
+}
+
+/** A change's before and after as written to the log: redacted, and for an
+ * update only the fields that changed. */
+
+function toRecords(before, after) {
+	const [ recordBefore, recordAfter ] = [ redact(before), redact(after) ];
+	return recordBefore && recordAfter ? diff(recordBefore, recordAfter) : [ recordBefore, recordAfter ];
+}
+
+/** Related functions for the audit log: an append-only record of every change
+ * to companies (and their members), jobs, users (and their lockouts),
+ * applications, skills, API keys and settings, saying who made it and in which
+ * request (see helpers/requestContext.js).
+ */
+
+class AuditLog {
+	/** Record a change; returns undefined.
+   *
+   * action is e.g. 'company.update', and targetType / targetId say what was
+   * changed. before is the target beforehand (null for a create) and after is
+   * the target afterwards (null for a delete). For updates, only the fields
+   * that changed are kept.
+   **/
+
+	static async record({ action, targetType, targetId, before = null, after = null }) {
+		const [ recordBefore, recordAfter ] = toRecords(before, after);
+
+		await db.query(
+			`INSERT INTO audit_log (actor, action, target_type, target_id, before, after, request_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+			[
+				getActor(),
+				action,
+				targetType,
+				String(targetId),
+				recordBefore && JSON.stringify(recordBefore),
+				recordAfter && JSON.stringify(recordAfter),
+				getRequestId()
+			]
+		);
+	}
+
+	/** Make a change and record it in the same statement, so that neither is
+   * saved without the other; returns the rows the change returned.
+   *
+   * sql is an INSERT, UPDATE or DELETE with a RETURNING clause and values are
+   * its values. The entry is as for record, and is made once for each row
+   * returned. targetId can be AuditLog.CHANGED for the returned row's id, and
+   * before or after for the whole row (which isn't redacted).
+   **/
+
+	static async recordChange(sql, values, { action, targetType, targetId, before = null, after = null }) {
+		const params = [ ...values ];
+		const param = (value) => `$${params.push(value)}`;
+		const [ recordBefore, recordAfter ] =
+			before === CHANGED || after === CHANGED ? [ before, after ].map(redact) : toRecords(before, after);
+		const json = (record) =>
+			record === CHANGED ? 'to_jsonb(changed)' : `${param(record && JSON.stringify(record))}::jsonb`;
+
+		const result = await db.query(
+			`WITH changed AS (${sql}),
+                logged AS (
+                  INSERT INTO audit_log (actor, action, target_type, target_id, before, after, request_id)
+                  SELECT ${param(getActor())},
+                         ${param(action)},
+                         ${param(targetType)},
+                         ${targetId === CHANGED ? 'changed.id::text' : param(String(targetId))},
+                         ${json(recordBefore)},
+                         ${json(recordAfter)},
+                         ${param(getRequestId())}
+                  FROM changed)
+           SELECT * FROM changed`,
+			params
+		);
+
+		return result.rows;
+	}
+
+	/** Find a page of audit log entries, newest first.
+   *
+   * Can filter on { actor, action, targetType, targetId, since, until }, where
+   * since and until are dates or date-times. A date until is up to the end of
+   * that day.
+   *
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * Returns { entries, total, next, prev }
+   *   where entries is [{ id, occurredAt, actor, action, targetType, targetId,
+   *                       before, after, requestId }, ...]
+   **/
+
+	static async findAll({ actor, action, targetType, targetId, since, until, limit, offset, cursor } = {}) {
+		const page = getPage({ limit, offset, cursor });
+		const untilDate = DATE_ONLY.test(until) ? [ until ] : undefined;
+		const { where, values } = sqlForFilter(
+			{ actor, action, targetType, targetId, since, until: untilDate ? undefined : until, untilDate },
+			AUDIT_FILTERS
+		);
+		const pageSql = sqlForPage(page, AUDIT_ORDER, { where, startIdx: values.length + 1 });
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM audit_log ${where}`, values);
+
+		const result = await db.query(
+			`SELECT id,
+                  occurred_at AS "occurredAt",
+                  actor,
+                  action,
+                  target_type AS "targetType",
+                  target_id AS "targetId",
+                  before,
+                  after,
+                  request_id AS "requestId",
+                  ${pageSql.cursorColumn}
+           FROM audit_log
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
+		);
+
+		const { rows, ...info } = pageOf(page, AUDIT_ORDER, result.rows, countRes.rows[0].total);
+		return { entries: rows, ...info };
+	}
+}
+
+AuditLog.CHANGED = CHANGED;
+
+module.exports = AuditLog;
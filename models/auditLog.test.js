@@ -0,0 +1,289 @@
+'use strict';
+
+const db = require('../db.js');
+const AuditLog = require('./auditLog.js');
+const Company = require('./company.js');
+const Job = require('./job.js');
+const User = require('./user.js');
+const Application = require('./application.js');
+const Membership = require('./membership.js');
+const ApiKey = require('./apiKey.js');
+const Setting = require('./setting.js');
+const { runWithContext } = require('../helpers/requestContext');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The audit log can't be cleared between tests, so each test acts as its
+ * own actor and only looks at that actor's entries. */
+
+function asActor(actor, fn) {
+	return runWithContext({ requestId: `req-${actor}`, actor }, fn);
+}
+
+/************************************** record */
+
+describe('record', function() {
+	test('works: create', async function() {
+		await asActor('rec-create', () =>
+			AuditLog.record({
+				action: 'company.create',
+				targetType: 'company',
+				targetId: 'c9',
+				after: { handle: 'c9' }
+			})
+		);
+
+		const { entries } = await AuditLog.findAll({ actor: 'rec-create' });
+		expect(entries).toEqual([
+			{
+				id: expect.any(Number),
+				occurredAt: expect.any(Date),
+				actor: 'rec-create',
+				action: 'company.create',
+				targetType: 'company',
+				targetId: 'c9',
+				before: null,
+				after: { handle: 'c9' },
+				requestId: 'req-rec-create'
+			}
+		]);
+	});
+
+	test('works: update keeps only changed fields', async function() {
+		await asActor('rec-update', () =>
+			AuditLog.record({
+				action: 'company.update',
+				targetType: 'company',
+				targetId: 'c1',
+				before: { name: 'C1', description: 'Desc1' },
+				after: { name: 'New', description: 'Desc1' }
+			})
+		);
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ actor: 'rec-update' });
+		expect(entry.before).toEqual({ name: 'C1' });
+		expect(entry.after).toEqual({ name: 'New' });
+	});
+
+	test('redacts passwords', async function() {
+		await asActor('rec-redact', () =>
+			AuditLog.record({
+				action: 'user.update',
+				targetType: 'user',
+				targetId: 'u1',
+				before: { password: 'old-hash' },
+				after: { password: 'new-hash' }
+			})
+		);
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ actor: 'rec-redact' });
+		expect(entry.before).toEqual({});
+		expect(entry.after).toEqual({});
+
+		await asActor('rec-redact-new', () =>
+			AuditLog.record({ action: 'user.create', targetType: 'user', targetId: 'u9', after: { password: 'hash' } })
+		);
+		const { entries: [ created ] } = await AuditLog.findAll({ actor: 'rec-redact-new' });
+		expect(created.after).toEqual({ password: '[redacted]' });
+	});
+
+	test('works with no context', async function() {
+		await AuditLog.record({ action: 'job.delete', targetType: 'job', targetId: 999999, before: { id: 999999 } });
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ targetType: 'job', targetId: '999999' });
+		expect(entry.actor).toBeNull();
+		expect(entry.requestId).toBeNull();
+	});
+
+	test('is append-only', async function() {
+		await asActor('rec-append', () =>
+			AuditLog.record({ action: 'company.create', targetType: 'company', targetId: 'c9' })
+		);
+
+		await expect(db.query(`UPDATE audit_log SET actor = 'someone' WHERE actor = 'rec-append'`)).rejects.toThrow(
+			/append-only/
+		);
+	});
+});
+
+/************************************** recordChange */
+
+describe('recordChange', function() {
+	test('works', async function() {
+		const rows = await asActor('rec-change', () =>
+			AuditLog.recordChange(
+				`UPDATE companies SET name = 'New' WHERE handle = $1 RETURNING handle AS id, name`,
+				[ 'c1' ],
+				{ action: 'company.update', targetType: 'company', targetId: AuditLog.CHANGED, after: AuditLog.CHANGED }
+			)
+		);
+		expect(rows).toEqual([ { id: 'c1', name: 'New' } ]);
+
+		const { entries } = await AuditLog.findAll({ actor: 'rec-change' });
+		expect(entries).toEqual([
+			expect.objectContaining({
+				action: 'company.update',
+				targetId: 'c1',
+				before: null,
+				after: { id: 'c1', name: 'New' },
+				requestId: 'req-rec-change'
+			})
+		]);
+	});
+
+	test('records nothing if nothing changed', async function() {
+		const rows = await asActor('rec-no-change', () =>
+			AuditLog.recordChange(`DELETE FROM companies WHERE handle = $1 RETURNING handle`, [ 'nope' ], {
+				action: 'company.delete',
+				targetType: 'company',
+				targetId: 'nope',
+				before: { handle: 'nope' }
+			})
+		);
+		expect(rows).toEqual([]);
+		expect((await AuditLog.findAll({ actor: 'rec-no-change' })).total).toEqual(0);
+	});
+});
+
+/************************************** model hooks */
+
+describe('model changes are recorded', function() {
+	test('company create, update and delete', async function() {
+		await asActor('hooks-company', async () => {
+			await Company.create({ handle: 'new', name: 'New', description: 'New Description', numEmployees: 1 });
+			await Company.update('new', { name: 'Newer' });
+			await Company.remove('new');
+		});
+
+		const { entries } = await AuditLog.findAll({ actor: 'hooks-company' });
+		expect(entries.map((e) => e.action)).toEqual([ 'company.delete', 'company.update', 'company.create' ]);
+		expect(entries.every((e) => e.targetType === 'company' && e.targetId === 'new')).toBe(true);
+		expect(entries[1].before).toEqual({ name: 'New' });
+		expect(entries[1].after).toEqual({ name: 'Newer' });
+		expect(entries[0].after).toBeNull();
+	});
+
+	test('job update and delete', async function() {
+		await asActor('hooks-job', async () => {
+			await Job.update(testJobIds[0], { title: 'New' });
+			await Job.remove(testJobIds[0]);
+		});
+
+		const { entries } = await AuditLog.findAll({ actor: 'hooks-job' });
+		expect(entries.map((e) => [ e.action, e.targetId ])).toEqual([
+			[ 'job.delete', String(testJobIds[0]) ],
+			[ 'job.update', String(testJobIds[0]) ]
+		]);
+		expect(entries[1].before).toEqual({ title: 'title1' });
+		expect(entries[1].after).toEqual({ title: 'New' });
+	});
+
+	test('user update, with the password redacted', async function() {
+		await asActor('hooks-user', () => User.update('u1', { firstName: 'New', password: 'new-password' }));
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ actor: 'hooks-user' });
+		expect(entry.action).toEqual('user.update');
+		expect(entry.before).toEqual({ firstName: 'U1F' });
+		expect(entry.after).toEqual({ firstName: 'New', password: '[redacted]' });
+	});
+
+	test('application create', async function() {
+		await asActor('hooks-app', () => Application.create('u2', testJobIds[1]));
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ actor: 'hooks-app' });
+		expect(entry.action).toEqual('application.create');
+		expect(entry.targetType).toEqual('application');
+		expect(entry.targetId).toEqual(`u2/${testJobIds[1]}`);
+	});
+
+	test('company members set and removed', async function() {
+		await asActor('hooks-member', async () => {
+			await Membership.set('c1', 'u1', 'viewer');
+			await Membership.set('c1', 'u1', 'owner');
+			await Membership.remove('c1', 'u1');
+		});
+
+		const { entries } = await AuditLog.findAll({ actor: 'hooks-member' });
+		expect(entries.every((e) => e.action === 'company.update' && e.targetId === 'c1')).toBe(true);
+		expect(entries.map((e) => [ e.before, e.after ])).toEqual([
+			[ { members: { u1: 'owner' } }, { members: { u1: null } } ],
+			[ { members: { u1: 'viewer' } }, { members: { u1: 'owner' } } ],
+			[ { members: { u1: null } }, { members: { u1: 'viewer' } } ]
+		]);
+	});
+
+	test('API key create and revoke', async function() {
+		const { apiKey } = await asActor('hooks-apikey', () =>
+			ApiKey.create('c1', { name: 'ATS', scopes: [ 'jobs:write' ] }, 'u1')
+		);
+		await asActor('hooks-apikey', () => ApiKey.revoke('c1', apiKey.id));
+
+		const { entries } = await AuditLog.findAll({ actor: 'hooks-apikey' });
+		expect(entries.map((e) => [ e.action, e.targetType, e.targetId ])).toEqual([
+			[ 'apiKey.revoke', 'apiKey', String(apiKey.id) ],
+			[ 'apiKey.create', 'apiKey', String(apiKey.id) ]
+		]);
+		expect(entries[1].after).toEqual(expect.objectContaining({ name: 'ATS', companyHandle: 'c1' }));
+		expect(entries[0].after).toBeNull();
+	});
+
+	test('setting update', async function() {
+		await asActor('hooks-setting', () => Setting.update({ requireAdmin2fa: true }));
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ actor: 'hooks-setting' });
+		expect(entry).toEqual(
+			expect.objectContaining({
+				action: 'setting.update',
+				targetType: 'setting',
+				targetId: 'requireAdmin2fa',
+				before: { value: false },
+				after: { value: true }
+			})
+		);
+	});
+});
+
+/************************************** findAll */
+
+describe('findAll', function() {
+	beforeEach(async function() {
+		for (const action of [ 'company.create', 'company.update', 'job.create' ]) {
+			await asActor('find', () => AuditLog.record({ action, targetType: action.split('.')[0], targetId: 'x' }));
+		}
+	});
+
+	test('works: newest first', async function() {
+		const { entries, total } = await AuditLog.findAll({ actor: 'find' });
+		expect(total).toEqual(3);
+		expect(entries.map((e) => e.action)).toEqual([ 'job.create', 'company.update', 'company.create' ]);
+	});
+
+	test('works: filter by action and target', async function() {
+		expect((await AuditLog.findAll({ actor: 'find', action: 'company.update' })).total).toEqual(1);
+		expect((await AuditLog.findAll({ actor: 'find', targetType: 'company', targetId: 'x' })).total).toEqual(2);
+	});
+
+	test('works: filter by time range', async function() {
+		expect((await AuditLog.findAll({ actor: 'find', since: '2000-01-01' })).total).toEqual(3);
+		expect((await AuditLog.findAll({ actor: 'find', until: '2000-01-01' })).total).toEqual(0);
+		expect((await AuditLog.findAll({ actor: 'find', since: '2999-01-01' })).total).toEqual(0);
+	});
+
+	test('works: until a date takes in the whole day', async function() {
+		const { rows: [ { today } ] } = await db.query(`SELECT CURRENT_DATE::text AS "today"`);
+		expect((await AuditLog.findAll({ actor: 'find', until: today })).total).toEqual(3);
+		expect((await AuditLog.findAll({ actor: 'find', until: `${today} 00:00` })).total).toEqual(0);
+	});
+
+	test('works: paginated', async function() {
+		const first = await AuditLog.findAll({ actor: 'find', limit: 2 });
+		expect(first.entries.map((e) => e.action)).toEqual([ 'job.create', 'company.update' ]);
+
+		const second = await AuditLog.findAll({ actor: 'find', limit: 2, offset: 2 });
+		expect(second.entries.map((e) => e.action)).toEqual([ 'company.create' ]);
+	});
+});
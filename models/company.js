@@ -2,9 +2,40 @@
 
 const db = require('../db');
 const { BadRequestError, NotFoundError } = require('../expressError');
-const { sqlForPartialUpdate } = require('../helpers/sql');
+const { sqlForPartialUpdate, sqlForFilter, parseSort } = require('../helpers/sql');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const AuditLog = require('./auditLog');
 
-/** Related functions for companies. */
+/** Search filters accepted by Company.findAll (see sqlForFilter). notDeleted
+ * is always applied. */
+
+const COMPANY_FILTERS = {
+	notDeleted: { col: 'deleted_at IS NULL', op: 'flag' },
+	nameLike: { col: 'name', op: 'ilike' },
+	minEmployees: { col: 'num_employees', op: 'min' },
+	maxEmployees: { col: 'num_employees', op: 'max' }
+};
+
+/** Keys Company.findAll can sort on, mapped to their columns (see parseSort). */
+
+const COMPANY_SORTABLE = {
+	handle: 'handle',
+	name: 'name',
+	numEmployees: 'num_employees'
+};
+
+/** Columns returned for a company. */
+
+const COMPANY_COLUMNS = `handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`;
+
+/** Related functions for companies.
+ *
+ * Deleting a company (and its jobs) only marks it deleted: it is hidden from
+ * everything but Company.restore until Company.purge removes it for good.
+ *
+ * A company can be renamed to a new handle; its old handles are remembered so
+ * lookups by them can be redirected (see Company.findRenamed).
+ */
 
 class Company {
 	/** Create a company (from data), update db, return new company data.
@@ -13,7 +44,8 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if company already in database, even if deleted. A
+   * company's old handle can be taken, which ends its redirect.
    * */
 
 	static async create({ handle, name, description, numEmployees, logoUrl }) {
@@ -27,68 +59,83 @@ class Company {
 		if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate company: ${handle}`);
 
 		const result = await db.query(
-			`INSERT INTO companies
+			`WITH redirect AS (
+             DELETE FROM company_handle_redirects WHERE old_handle = $1)
+           INSERT INTO companies
            (handle, name, description, num_employees, logo_url)
            VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+           RETURNING ${COMPANY_COLUMNS}`,
 			[ handle, name, description, numEmployees, logoUrl ]
 		);
 		const company = result.rows[0];
 
+		await AuditLog.record({ action: 'company.create', targetType: 'company', targetId: handle, after: company });
+
 		return company;
 	}
 
-	/** Find all companies.
+	/** Find a page of companies.
+   *
+   * Can filter on { nameLike, minEmployees, maxEmployees }, where nameLike is a
+   * case-insensitive, partial match on the company name.
+   *
+   * Can sort with { sort }, e.g. '-numEmployees,name' (see parseSort); the
+   * default order is by name.
    *
-   * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * Returns { companies, total, next, prev }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *
+   * Throws BadRequestError if minEmployees is greater than maxEmployees, or on an
+   * unknown sort key.
    * */
 
-	static async findAll(nameLike, minEmployees, maxEmployees) {
+	static async findAll({ nameLike, minEmployees, maxEmployees, sort, limit, offset, cursor } = {}) {
+		if (minEmployees !== undefined && maxEmployees !== undefined && +minEmployees > +maxEmployees) {
+			throw new BadRequestError('Invalid query string');
+		}
+
+		const page = getPage({ limit, offset, cursor });
+		const order = parseSort(sort, COMPANY_SORTABLE, 'name,handle');
+		const { where, values } = sqlForFilter(
+			{ notDeleted: true, nameLike, minEmployees, maxEmployees },
+			COMPANY_FILTERS
+		);
+		const pageSql = sqlForPage(page, order, { where, startIdx: values.length + 1 });
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM companies ${where}`, values);
+
 		const companiesRes = await db.query(
 			`SELECT handle,
                   name,
                   description,
                   num_employees AS "numEmployees",
-                  logo_url AS "logoUrl"
+                  logo_url AS "logoUrl",
+                  ${pageSql.cursorColumn}
            FROM companies
-           ORDER BY name`
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
 		);
 
-		// if the method parameters used for filtering are defined, filter the companies accordingly, and return the new list
-		let companies = companiesRes.rows;
-		if (nameLike) {
-			companies = companies.filter((company) => {
-				return company.name.includes(nameLike);
-			});
-		}
-		if (minEmployees && maxEmployees) {
-			if (maxEmployees < minEmployees) {
-				throw new BadRequestError('Invalid query string');
-			}
-		}
-		if (minEmployees) {
-			companies = companies.filter((company) => {
-				return company.numEmployees >= minEmployees;
-			});
-		}
-		if (maxEmployees) {
-			companies = companies.filter((company) => {
-				return company.numEmployees <= maxEmployees;
-			});
-		}
-
-		return companies;
+		const { rows, ...info } = pageOf(page, order, companiesRes.rows, countRes.rows[0].total);
+		return { companies: rows, ...info };
 	}
 
 	/** Given a company handle, return data about company.
    *
+   * Only the company's listed jobs are included (see Job.isListed), unless
+   * visibility, as for Job.findAll, allows all of its jobs.
+   *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
-   *   where jobs is [{ id, title, salary, equity, companyHandle }, ...]
+   *   where jobs is [{ id, title, salary, equity, status }, ...]
    *
    * Throws NotFoundError if not found.
    **/
 
-	static async get(handle) {
+	static async get(handle, { all = false, companies = [] } = {}) {
 		const companyRes = await db.query(
 			`SELECT handle,
                   name,
@@ -96,7 +143,7 @@ class Company {
                   num_employees AS "numEmployees",
                   logo_url AS "logoUrl"
            FROM companies
-           WHERE handle = $1`,
+           WHERE handle = $1 AND deleted_at IS NULL`,
 			[ handle ]
 		);
 
@@ -108,10 +155,12 @@ class Company {
 			`SELECT id,
 					title,
 					salary,
-					equity
+					equity,
+					status
 				FROM jobs
-				WHERE company_handle = $1`,
-			[ handle ]
+				WHERE company_handle = $1 AND deleted_at IS NULL AND ($2 OR job_is_listed(jobs))
+				ORDER BY id`,
+			[ handle, all || companies.includes(handle) ]
 		);
 		const jobs = jobsRes.rows;
 
@@ -137,9 +186,16 @@ class Company {
 		});
 		const handleVarIdx = '$' + (values.length + 1);
 
+		const beforeRes = await db.query(
+			`SELECT ${COMPANY_COLUMNS}
+           FROM companies
+           WHERE handle = $1 AND deleted_at IS NULL`,
+			[ handle ]
+		);
+
 		const querySql = `UPDATE companies 
                       SET ${setCols} 
-                      WHERE handle = ${handleVarIdx} 
+                      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL 
                       RETURNING handle, 
                                 name, 
                                 description, 
@@ -150,25 +206,174 @@ class Company {
 
 		if (!company) throw new NotFoundError(`No company: ${handle}`);
 
+		await AuditLog.record({
+			action: 'company.update',
+			targetType: 'company',
+			targetId: handle,
+			before: beforeRes.rows[0],
+			after: company
+		});
+
 		return company;
 	}
 
-	/** Delete given company from database; returns undefined.
+	/** Change a company's handle to newHandle. Everything that refers to the
+   * company follows it, and the old handle is recorded so lookups by it can be
+   * redirected; so are any handles the company had before.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if company not found, or BadRequestError if
+   * newHandle is the same or belongs to another company, even a deleted one.
+   **/
+
+	static async rename(handle, newHandle) {
+		if (newHandle === handle) throw new BadRequestError(`Company is already called: ${handle}`);
+
+		const duplicateCheck = await db.query(`SELECT handle FROM companies WHERE handle = $1`, [ newHandle ]);
+		if (duplicateCheck.rows[0]) throw new BadRequestError(`Duplicate company: ${newHandle}`);
+
+		// jobs, members, API keys and older redirects follow by ON UPDATE
+		// CASCADE; a redirect from newHandle (when renaming back) is dropped
+		const result = await db.query(
+			`WITH company AS (
+             UPDATE companies
+             SET handle = $2
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING ${COMPANY_COLUMNS}),
+           taken AS (
+             DELETE FROM company_handle_redirects WHERE old_handle = $2),
+           redirect AS (
+             INSERT INTO company_handle_redirects (old_handle, company_handle)
+             SELECT $1, handle FROM company)
+           SELECT * FROM company`,
+			[ handle, newHandle ]
+		);
+		const company = result.rows[0];
+
+		if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+		await AuditLog.record({
+			action: 'company.rename',
+			targetType: 'company',
+			targetId: newHandle,
+			before: { handle },
+			after: { handle: newHandle }
+		});
+
+		return company;
+	}
+
+	/** Given a handle a company used to have, return its current handle, or
+   * undefined if the handle was never renamed.
+   **/
+
+	static async findRenamed(oldHandle) {
+		const result = await db.query(
+			`SELECT company_handle AS "handle"
+           FROM company_handle_redirects
+           WHERE old_handle = $1`,
+			[ oldHandle ]
+		);
+
+		return result.rows[0] && result.rows[0].handle;
+	}
+
+	/** Delete given company, and its jobs, until restored; returns undefined.
+   *
+   * The jobs are marked deleted at the same time as the company, so restoring
+   * the company brings back just those jobs, not ones deleted before.
    *
    * Throws NotFoundError if company not found.
    **/
 
 	static async remove(handle) {
 		const result = await db.query(
-			`DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+			`WITH company AS (
+             UPDATE companies
+             SET deleted_at = NOW()
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING ${COMPANY_COLUMNS}, deleted_at),
+           jobs AS (
+             UPDATE jobs
+             SET deleted_at = company.deleted_at
+             FROM company
+             WHERE jobs.company_handle = company.handle AND jobs.deleted_at IS NULL)
+           SELECT handle, name, description, "numEmployees", "logoUrl"
+           FROM company`,
 			[ handle ]
 		);
 		const company = result.rows[0];
 
 		if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+		await AuditLog.record({ action: 'company.delete', targetType: 'company', targetId: handle, before: company });
+	}
+
+	/** Restore a deleted company, along with the jobs deleted with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl }
+   *
+   * Throws NotFoundError if there's no deleted company with that handle.
+   **/
+
+	static async restore(handle) {
+		// old is the row as it was before the update
+		const result = await db.query(
+			`WITH company AS (
+             UPDATE companies AS c
+             SET deleted_at = NULL
+             FROM companies AS old
+             WHERE c.handle = $1 AND old.handle = c.handle AND old.deleted_at IS NOT NULL
+             RETURNING c.handle,
+                       c.name,
+                       c.description,
+                       c.num_employees AS "numEmployees",
+                       c.logo_url AS "logoUrl",
+                       old.deleted_at),
+           jobs AS (
+             UPDATE jobs
+             SET deleted_at = NULL
+             FROM company
+             WHERE jobs.company_handle = company.handle AND jobs.deleted_at = company.deleted_at)
+           SELECT handle, name, description, "numEmployees", "logoUrl"
+           FROM company`,
+			[ handle ]
+		);
+		const company = result.rows[0];
+
+		if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+		await AuditLog.record({ action: 'company.restore', targetType: 'company', targetId: handle, after: company });
+
+		return company;
+	}
+
+	/** Permanently remove companies deleted before deletedBefore (a Date), with
+   * their jobs and applications.
+   *
+   * Returns [handle, ...] for the companies removed.
+   **/
+
+	static async purge(deletedBefore) {
+		const result = await db.query(
+			`DELETE
+           FROM companies
+           WHERE deleted_at < $1
+           RETURNING ${COMPANY_COLUMNS}`,
+			[ deletedBefore ]
+		);
+
+		for (const company of result.rows) {
+			await AuditLog.record({
+				action: 'company.purge',
+				targetType: 'company',
+				targetId: company.handle,
+				before: company
+			});
+		}
+
+		return result.rows.map((c) => c.handle);
 	}
 }
 
@@ -3,7 +3,7 @@
 const db = require('../db.js');
 const { BadRequestError, NotFoundError } = require('../expressError');
 const Company = require('./company.js');
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -56,7 +56,7 @@ describe('create', function() {
 
 describe('findAll', function() {
 	test('works: no filter', async function() {
-		let companies = await Company.findAll();
+		let { companies } = await Company.findAll();
 		expect(companies).toEqual([
 			{
 				handle: 'c1',
@@ -83,7 +83,7 @@ describe('findAll', function() {
 	});
 
 	test('works: nameLike filter', async function() {
-		let companies = await Company.findAll('C1');
+		let { companies } = await Company.findAll({ nameLike: 'C1' });
 		expect(companies).toEqual([
 			{
 				description: 'Desc1',
@@ -96,7 +96,7 @@ describe('findAll', function() {
 	});
 
 	test('works: minEmployees filter', async function() {
-		let companies = await Company.findAll(undefined, 3);
+		let { companies } = await Company.findAll({ minEmployees: 3 });
 		expect(companies).toEqual([
 			{
 				description: 'Desc3',
@@ -109,7 +109,7 @@ describe('findAll', function() {
 	});
 
 	test('works: maxEmployees filter', async function() {
-		let companies = await Company.findAll(undefined, undefined, 1);
+		let { companies } = await Company.findAll({ maxEmployees: 1 });
 		expect(companies).toEqual([
 			{
 				description: 'Desc1',
@@ -121,9 +121,60 @@ describe('findAll', function() {
 		]);
 	});
 
+	test('works: nameLike filter is case-insensitive', async function() {
+		let { companies } = await Company.findAll({ nameLike: 'c2' });
+		expect(companies.map((c) => c.handle)).toEqual([ 'c2' ]);
+	});
+
+	test('works: all filters', async function() {
+		let { companies } = await Company.findAll({ nameLike: 'c', minEmployees: 2, maxEmployees: 2 });
+		expect(companies.map((c) => c.handle)).toEqual([ 'c2' ]);
+	});
+
+	test('works: pagination', async function() {
+		const first = await Company.findAll({ limit: 2 });
+		expect(first.companies.map((c) => c.handle)).toEqual([ 'c1', 'c2' ]);
+		expect(first).toEqual(expect.objectContaining({ total: 3, next: expect.any(String), prev: null }));
+
+		const second = await Company.findAll({ limit: 2, cursor: first.next });
+		expect(second.companies.map((c) => c.handle)).toEqual([ 'c3' ]);
+		expect(second).toEqual(expect.objectContaining({ total: 3, next: null, prev: expect.any(String) }));
+
+		const byOffset = await Company.findAll({ nameLike: 'c', limit: 1, offset: 1 });
+		expect(byOffset.companies.map((c) => c.handle)).toEqual([ 'c2' ]);
+		expect(byOffset.total).toEqual(3);
+	});
+
+	test('works: sort', async function() {
+		let { companies } = await Company.findAll({ sort: '-numEmployees' });
+		expect(companies.map((c) => c.handle)).toEqual([ 'c3', 'c2', 'c1' ]);
+	});
+
+	test('bad request with unknown sort key', async function() {
+		expect.assertions(1);
+		try {
+			await Company.findAll({ sort: 'description' });
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('filters in the database', async function() {
+		const spy = jest.spyOn(db, 'query');
+		try {
+			await Company.findAll({ nameLike: 'c', minEmployees: 2 });
+			const [ sql, values ] = spy.mock.calls[0];
+			expect(sql).toMatch(/WHERE \(deleted_at IS NULL\) AND name ILIKE \$1 AND num_employees >= \$2/);
+			expect(values).toEqual([ '%c%', 2 ]);
+		} finally {
+			spy.mockRestore();
+		}
+	});
+
 	test('error: incorrect filtering', async function() {
+		expect.assertions(1);
 		try {
-			await Company.findAll(undefined, 4, 2);
+			await Company.findAll({ minEmployees: 4, maxEmployees: 2 });
 		} catch (err) {
 			expect(err instanceof BadRequestError).toBeTruthy();
 		}
@@ -144,6 +195,21 @@ describe('get', function() {
 		});
 	});
 
+	test('only listed jobs, unless all are visible', async function() {
+		await db.query(`UPDATE jobs SET status = 'draft' WHERE company_handle = 'c1'`);
+
+		let { company } = await Company.get('c1');
+		expect(company.jobs).toEqual([]);
+
+		({ company } = await Company.get('c1', { companies: [ 'c1' ] }));
+		expect(company.jobs.map((j) => j.status)).toEqual([ 'draft' ]);
+
+		({ company } = await Company.get('c1', { all: true }));
+		expect(company.jobs.length).toEqual(1);
+		({ company } = await Company.get('c1', { companies: [ 'c2' ] }));
+		expect(company.jobs).toEqual([]);
+	});
+
 	test('not found if no such company', async function() {
 		try {
 			await Company.get('nope');
@@ -236,13 +302,82 @@ describe('update', function() {
 	});
 });
 
+/************************************** rename */
+
+describe('rename', function() {
+	test('works: moves jobs and members, and records the old handle', async function() {
+		await db.query(`INSERT INTO company_members (username, company_handle, role) VALUES ('u1', 'c1', 'owner')`);
+
+		const company = await Company.rename('c1', 'c1-new');
+		expect(company).toEqual({
+			handle: 'c1-new',
+			name: 'C1',
+			description: 'Desc1',
+			numEmployees: 1,
+			logoUrl: 'http://c1.img'
+		});
+
+		const { company: { jobs } } = await Company.get('c1-new');
+		expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+		const membersRes = await db.query(`SELECT company_handle FROM company_members WHERE username = 'u1'`);
+		expect(membersRes.rows).toEqual([ { company_handle: 'c1-new' } ]);
+		expect(await Company.findRenamed('c1')).toEqual('c1-new');
+		await expect(Company.get('c1')).rejects.toThrow(NotFoundError);
+	});
+
+	test('works: older handles follow later renames', async function() {
+		await Company.rename('c1', 'c1-b');
+		await Company.rename('c1-b', 'c1-c');
+
+		expect(await Company.findRenamed('c1')).toEqual('c1-c');
+		expect(await Company.findRenamed('c1-b')).toEqual('c1-c');
+	});
+
+	test('works: renaming back drops the redirect', async function() {
+		await Company.rename('c1', 'c1-b');
+		await Company.rename('c1-b', 'c1');
+
+		expect(await Company.findRenamed('c1')).toBeUndefined();
+		expect(await Company.findRenamed('c1-b')).toEqual('c1');
+	});
+
+	test('a new company can take an old handle', async function() {
+		await Company.rename('c1', 'c1-b');
+		await Company.create({ handle: 'c1', name: 'Another', description: 'Desc' });
+
+		expect(await Company.findRenamed('c1')).toBeUndefined();
+	});
+
+	test('bad request if the new handle is taken', async function() {
+		await expect(Company.rename('c1', 'c2')).rejects.toThrow(BadRequestError);
+		await expect(Company.rename('c1', 'c1')).rejects.toThrow(BadRequestError);
+	});
+
+	test('not found if no such company', async function() {
+		await expect(Company.rename('nope', 'new')).rejects.toThrow(NotFoundError);
+		expect(await Company.findRenamed('nope')).toBeUndefined();
+	});
+});
+
 /************************************** remove */
 
 describe('remove', function() {
-	test('works', async function() {
+	test('works: marks the company and its jobs deleted', async function() {
 		await Company.remove('c1');
-		const res = await db.query("SELECT handle FROM companies WHERE handle='c1'");
-		expect(res.rows.length).toEqual(0);
+		const res = await db.query("SELECT deleted_at FROM companies WHERE handle='c1'");
+		expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+
+		const jobsRes = await db.query("SELECT deleted_at FROM jobs WHERE company_handle='c1'");
+		expect(jobsRes.rows).toEqual([ { deleted_at: res.rows[0].deleted_at } ]);
+	});
+
+	test('hides the company from finders', async function() {
+		await Company.remove('c1');
+
+		const { companies } = await Company.findAll();
+		expect(companies.map((c) => c.handle)).toEqual([ 'c2', 'c3' ]);
+		await expect(Company.get('c1')).rejects.toThrow(NotFoundError);
+		await expect(Company.update('c1', { name: 'New' })).rejects.toThrow(NotFoundError);
 	});
 
 	test('not found if no such company', async function() {
@@ -253,4 +388,59 @@ describe('remove', function() {
 			expect(err instanceof NotFoundError).toBeTruthy();
 		}
 	});
+
+	test('not found if already deleted', async function() {
+		await Company.remove('c1');
+		await expect(Company.remove('c1')).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** restore */
+
+describe('restore', function() {
+	test('works, with the jobs deleted along with it', async function() {
+		await Company.remove('c1');
+
+		const company = await Company.restore('c1');
+		expect(company).toEqual({
+			handle: 'c1',
+			name: 'C1',
+			description: 'Desc1',
+			numEmployees: 1,
+			logoUrl: 'http://c1.img'
+		});
+		const { company: { jobs } } = await Company.get('c1');
+		expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+	});
+
+	test('leaves jobs deleted before the company deleted', async function() {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [ testJobIds[0] ]);
+		await Company.remove('c1');
+
+		await Company.restore('c1');
+		const { company: { jobs } } = await Company.get('c1');
+		expect(jobs).toEqual([]);
+	});
+
+	test('not found if not deleted', async function() {
+		await expect(Company.restore('c1')).rejects.toThrow(NotFoundError);
+		await expect(Company.restore('nope')).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** purge */
+
+describe('purge', function() {
+	test('works: only companies deleted before the cutoff', async function() {
+		await db.query(`UPDATE companies SET deleted_at = NOW() - INTERVAL '60 days' WHERE handle = 'c1'`);
+		await Company.remove('c2');
+
+		const purged = await Company.purge(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+		expect(purged).toEqual([ 'c1' ]);
+
+		const res = await db.query(`SELECT handle FROM companies ORDER BY handle`);
+		expect(res.rows.map((r) => r.handle)).toEqual([ 'c2', 'c3' ]);
+		const jobsRes = await db.query(`SELECT id FROM jobs WHERE company_handle = 'c1'`);
+		expect(jobsRes.rows).toEqual([]);
+	});
 });
@@ -2,93 +2,383 @@
 
 const db = require('../db');
 const { BadRequestError, NotFoundError } = require('../expressError');
-const { sqlForPartialUpdate } = require('../helpers/sql');
+const { sqlForPartialUpdate, sqlForFilter, parseSort } = require('../helpers/sql');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const AuditLog = require('./auditLog');
 
-/** Related functions for jobs. */
+/** The statuses a job can have, and the statuses each can move to:
+ *   - draft: not yet public
+ *   - published: public and open to applications, until expires_at if set
+ *   - paused: hidden for now
+ *   - closed: finished with; final
+ */
+
+const STATUS_TRANSITIONS = {
+	draft: [ 'published', 'closed' ],
+	published: [ 'paused', 'closed' ],
+	paused: [ 'published', 'closed' ],
+	closed: []
+};
+
+/** Statuses a job can start in. */
+
+const INITIAL_STATUSES = [ 'draft', 'published' ];
+
+/** Columns returned for a job. */
+
+const JOB_COLUMNS = `id,
+                  title,
+                  salary,
+                  salary_min::float8 AS salary_min,
+                  salary_max::float8 AS salary_max,
+                  salary_currency,
+                  salary_period,
+                  annual_salary_min,
+                  annual_salary_max,
+                  equity,
+                  company_handle,
+                  city,
+                  region,
+                  country,
+                  latitude,
+                  longitude,
+                  remote_policy,
+                  remote_countries,
+                  status,
+                  published_at,
+                  expires_at`;
+
+/** The most a job can pay an hour, so that a year of it (2080 hours) still
+ * fits in salary. */
+
+const MAX_HOURLY_SALARY = Math.floor(2147483647 / 2080);
+
+/** ISO 4217 currency codes a salary can be in. */
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/** Search filters accepted by Job.findAll (see sqlForFilter). notDeleted and
+ * visibleAt are always applied. */
+
+const JOB_FILTERS = {
+	notDeleted: { col: 'deleted_at IS NULL', op: 'flag' },
+	visibleAt: { col: 'job_is_listed(jobs) OR company_handle', op: 'any' },
+	title: { col: 'title', op: 'ilike' },
+	minSalary: { col: 'annual_salary_max', op: 'min' },
+	maxSalary: { col: 'annual_salary_min', op: 'max' },
+	currency: { col: 'salary_currency', op: 'eq' },
+	hasEquity: { col: 'equity > 0', op: 'flag' },
+	company_handle: { col: 'company_handle', op: 'eq' },
+	status: { col: 'status', op: 'eq' },
+	near: { col: 'distance_km(latitude, longitude, ?, ?) <= ?', op: 'expr' },
+	country: { col: 'job_open_in(jobs, ?)', op: 'expr' },
+	remote: { col: `remote_policy = 'remote'`, op: 'flag' },
+	skills: { col: 'job_has_skills(jobs, ?, ?)', op: 'expr' }
+};
+
+/** How far from near Job.findAll looks, if not told. */
+
+const DEFAULT_RADIUS_KM = 50;
+
+/** Keys Job.findAll can sort on, mapped to their columns (see parseSort). */
+
+const JOB_SORTABLE = {
+	id: 'id',
+	title: 'title',
+	salary: 'salary',
+	annual_salary_min: 'annual_salary_min',
+	annual_salary_max: 'annual_salary_max',
+	equity: 'equity',
+	company_handle: 'company_handle',
+	published_at: 'published_at',
+	expires_at: 'expires_at'
+};
+
+/** Throw BadRequestError unless a job's pay makes sense: a known currency,
+ * a range that doesn't end before it starts and, if hourly, no more than
+ * MAX_HOURLY_SALARY. */
+
+function checkPay({ salary_min, salary_max, salary_currency, salary_period }) {
+	if (salary_currency && !CURRENCIES.has(salary_currency)) {
+		throw new BadRequestError(`Unknown currency: ${salary_currency}`);
+	}
+	if (salary_min != null && salary_max != null && salary_min > salary_max) {
+		throw new BadRequestError('salary_min is more than salary_max');
+	}
+	if (salary_period === 'hourly' && [ salary_min, salary_max ].some((amount) => amount > MAX_HOURLY_SALARY)) {
+		throw new BadRequestError(`Hourly pay can't be more than ${MAX_HOURLY_SALARY}`);
+	}
+}
+
+/** Throw BadRequestError unless a job's location makes sense: latitude and
+ * longitude must come together. */
+
+function checkLocation({ latitude, longitude }) {
+	if ((latitude == null) !== (longitude == null)) {
+		throw new BadRequestError('latitude and longitude must be given together');
+	}
+}
+
+/** Parse a near filter, "lat,lng", to [lat, lng].
+ *
+ * Throws BadRequestError if it isn't a point on the globe.
+ */
+
+function parseNear(near) {
+	const [ lat, lng ] = String(near).split(',').map(Number);
+	if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) throw new BadRequestError(`Invalid near: ${near}`);
+	return [ lat, lng ];
+}
+
+/** Parse a skills filter, a comma-separated list of skill slugs or aliases. */
+
+function parseSkills(skills) {
+	return String(skills)
+		.split(',')
+		.map((s) => s.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+/** Has an expiry time passed? */
+
+function hasPassed(expiresAt) {
+	return Boolean(expiresAt) && new Date(expiresAt) <= new Date();
+}
+
+/** Related functions for jobs.
+ *
+ * A job's pay is a range, salary_min to salary_max (either may be null and
+ * both are to the cent), in salary_currency per salary_period (hourly or
+ * yearly). annual_salary_min and annual_salary_max are the same range per
+ * year, so jobs paid by the hour and by the year can be compared. salary is
+ * the older single figure, kept as annual_salary_max rounded to a whole
+ * amount; giving it alone sets the range to just that amount.
+ *
+ * A job can have a location (city, region, country, latitude, longitude; all
+ * optional) and a remote_policy of onsite, hybrid or remote. remote_countries
+ * are the countries a remote job can be done from; none means anywhere.
+ * Countries are ISO 3166-1 alpha-2 codes.
+ *
+ * Only listed jobs, which are published and haven't expired, are public;
+ * which of the rest a request may see is up to the caller (see jobVisibility
+ * in middleware/policy.js).
+ *
+ * Deleting a job only marks it deleted: it is hidden from everything but
+ * Job.restore until Job.purge removes it for good.
+ */
 
 class Job {
+	/** Is a job listed, i.e. public: published and not expired? The same test
+   * as job_is_listed in the database.
+   **/
+
+	static isListed(job) {
+		return job.status === 'published' && !hasPassed(job.expires_at);
+	}
+
 	/** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, company_handle }
+   * data should be { title, salary, salary_min, salary_max, salary_currency,
+   * salary_period, equity, company_handle, city, region, country, latitude,
+   * longitude, remote_policy, remote_countries, status, expires_at }, where
+   * status is draft or published (the default), salary_currency defaults to
+   * USD, salary_period to yearly, remote_policy to onsite, and expires_at is
+   * optional.
    *
-   * Returns { title, salary, equity, company_handle }
+   * Returns { title, salary, salary_min, salary_max, salary_currency, salary_period,
+   *           annual_salary_min, annual_salary_max, equity, company_handle, city,
+   *           region, country, latitude, longitude, remote_policy, remote_countries,
+   *           status, published_at, expires_at }
    *
-   * Throws BadRequestError if job already in database.
+   * Throws NotFoundError if the company doesn't exist, or BadRequestError if
+   * status isn't an initial status, expires_at has passed, or the pay or
+   * location doesn't make sense.
    * */
 
-	static async create({ title, salary, equity, company_handle }) {
+	static async create({
+		title,
+		salary,
+		salary_min,
+		salary_max,
+		salary_currency = 'USD',
+		salary_period = 'yearly',
+		equity,
+		company_handle,
+		city,
+		region,
+		country,
+		latitude,
+		longitude,
+		remote_policy = 'onsite',
+		remote_countries = [],
+		status = 'published',
+		expires_at = null
+	}) {
+		if (!INITIAL_STATUSES.includes(status)) {
+			throw new BadRequestError(`Jobs must start as one of: ${INITIAL_STATUSES.join(', ')}`);
+		}
+		if (hasPassed(expires_at)) throw new BadRequestError('expires_at has already passed');
+		if (salary !== undefined && salary_min === undefined && salary_max === undefined) {
+			salary_min = salary_max = salary;
+		}
+		checkPay({ salary_min, salary_max, salary_currency, salary_period });
+		checkLocation({ latitude, longitude });
+
 		const result = await db.query(
 			`INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
-           RETURNING title, salary, equity, company_handle`,
-			[ title, salary, equity, company_handle ]
+           (title, equity, company_handle, status, published_at, expires_at,
+            salary_min, salary_max, salary_currency, salary_period,
+            city, region, country, latitude, longitude, remote_policy, remote_countries)
+           SELECT $1, $2, handle, $4, CASE WHEN $4 = 'published' THEN NOW() END, $5, $6, $7, $8, $9,
+                  $10, $11, $12, $13, $14, $15, $16
+           FROM companies
+           WHERE handle = $3 AND deleted_at IS NULL
+           RETURNING ${JOB_COLUMNS}`,
+			[
+				title,
+				equity,
+				company_handle,
+				status,
+				expires_at,
+				salary_min,
+				salary_max,
+				salary_currency,
+				salary_period,
+				city,
+				region,
+				country,
+				latitude,
+				longitude,
+				remote_policy,
+				[ ...new Set(remote_countries) ]
+			]
 		);
-		const job = result.rows[0];
+
+		if (!result.rows[0]) throw new NotFoundError(`No company: ${company_handle}`);
+		const { id, ...job } = result.rows[0];
+
+		await AuditLog.record({ action: 'job.create', targetType: 'job', targetId: id, after: { id, ...job } });
 
 		return job;
 	}
 
-	/** Find all jobs.
+	/** Find a page of jobs.
    *
-   * Returns [{ id, title, salary, equity, company_handle }, ...]
+   * Can filter on { title, minSalary, maxSalary, currency, hasEquity,
+   * company_handle, status }, where title is a case-insensitive, partial match
+   * and hasEquity (if true) only includes jobs with a non-zero equity.
+   * minSalary and maxSalary are yearly amounts, and find jobs whose annual
+   * range reaches at least minSalary or starts at most at maxSalary. They
+   * don't convert between currencies, so are best used with currency.
+   *
+   * Can also filter on { near, radiusKm, country, remote }: near is "lat,lng"
+   * and finds jobs within radiusKm (by default 50) of it; country finds jobs
+   * there or remote jobs open to it; remote (if true) only includes remote
+   * jobs.
+   *
+   * Can also filter on { skills, match }: skills is a comma-separated list of
+   * skill slugs or aliases, and finds jobs needing (or liking) all of them, or
+   * any of them if match is "any".
+   *
+   * Can sort with { sort }, e.g. '-salary,title' (see parseSort); the default
+   * order is by title.
+   *
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * visibility says which jobs that aren't listed to include: { all: true }
+   * for all of them, or { companies: [handle, ...] } for those at some
+   * companies. By default, only listed jobs are found.
+   *
+   * Returns { jobs, total, next, prev }
+   *   where jobs is [{ id, title, salary, salary_min, salary_max, salary_currency,
+   *                    salary_period, annual_salary_min, annual_salary_max, equity,
+   *                    company_handle, city, region, country, latitude, longitude,
+   *                    remote_policy, remote_countries, status, published_at,
+   *                    expires_at }, ...]
+   *
+   * Throws BadRequestError on an unknown sort key or an invalid near.
    * */
 
-	static async findAll(title, minSalary, hasEquity) {
+	static async findAll(
+		{
+			title,
+			minSalary,
+			maxSalary,
+			currency,
+			hasEquity,
+			company_handle,
+			status,
+			near,
+			radiusKm = DEFAULT_RADIUS_KM,
+			country,
+			remote,
+			skills,
+			match = 'all',
+			sort,
+			limit,
+			offset,
+			cursor
+		} = {},
+		{ all = false, companies = [] } = {}
+	) {
+		const page = getPage({ limit, offset, cursor });
+		const order = parseSort(sort, JOB_SORTABLE, 'title,id');
+		const { where, values } = sqlForFilter(
+			{
+				notDeleted: true,
+				visibleAt: all ? undefined : companies,
+				title,
+				minSalary,
+				maxSalary,
+				currency,
+				hasEquity,
+				company_handle,
+				status,
+				near: near && [ ...parseNear(near), radiusKm ],
+				country: country && [ country ],
+				remote,
+				skills: skills && [ parseSkills(skills), match === 'all' ]
+			},
+			JOB_FILTERS
+		);
+		const pageSql = sqlForPage(page, order, { where, startIdx: values.length + 1 });
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM jobs ${where}`, values);
+
 		const jobsRes = await db.query(
-			`SELECT 
-                  id,
-                  title,
-                  salary,
-                  equity,
-                  company_handle
+			`SELECT ${JOB_COLUMNS},
+                  ${pageSql.cursorColumn}
            FROM jobs
-           ORDER BY title`
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
 		);
 
-		// if the method parameters used for filtering are defined, filter the jobs accordingly, and return the new list
-		let jobs = jobsRes.rows;
-		if (title) {
-			jobs = jobs.filter((job) => {
-				return job.title.toLowerCase().includes(title.toLowerCase());
-			});
-		}
-		if (minSalary) {
-			jobs = jobs.filter((job) => {
-				return job.salary >= minSalary;
-			});
-		}
-		if (hasEquity) {
-			jobs = jobs.filter((job) => {
-				return job.equity !== 0;
-			});
-		}
-
-		return jobs;
+		const { rows, ...info } = pageOf(page, order, jobsRes.rows, countRes.rows[0].total);
+		return { jobs: rows, ...info };
 	}
 
-	/** Given a job ID, return data about job.
+	/** Given a job ID, return data about job, whether or not it's listed.
    *
-   * Returns { title, salary, equity, company_handle }
+   * Returns { title, salary, salary_min, salary_max, salary_currency, salary_period,
+   *           annual_salary_min, annual_salary_max, equity, company_handle, city,
+   *           region, country, latitude, longitude, remote_policy, remote_countries,
+   *           status, published_at, expires_at }
    *
    * Throws NotFoundError if not found.
    **/
 
 	static async get(ID) {
 		const jobRes = await db.query(
-			`SELECT
-            title,
-            salary,
-            equity,
-            company_handle
+			`SELECT ${JOB_COLUMNS}
            FROM jobs
-           WHERE id = $1`,
+           WHERE id = $1 AND deleted_at IS NULL`,
 			[ ID ]
 		);
 
-		const job = jobRes.rows[0];
-
-		if (!job) throw new NotFoundError(`No job: ${ID}`);
+		if (!jobRes.rows[0]) throw new NotFoundError(`No job: ${ID}`);
+		const { id, ...job } = jobRes.rows[0];
 
 		return job;
 	}
@@ -98,11 +388,21 @@ class Job {
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity}
+   * Data can include: {title, salary, salary_min, salary_max, salary_currency,
+   * salary_period, equity, city, region, country, latitude, longitude,
+   * remote_policy, remote_countries, status, expires_at}
    *
-   * Returns { title, salary, equity, company_handle }
+   * status can only move as STATUS_TRANSITIONS allows. Publishing a job for
+   * the first time sets its published_at.
    *
-   * Throws NotFoundError if not found.
+   * Returns { id, title, salary, salary_min, salary_max, salary_currency, salary_period,
+   *           annual_salary_min, annual_salary_max, equity, company_handle, city,
+   *           region, country, latitude, longitude, remote_policy, remote_countries,
+   *           status, published_at, expires_at }
+   *
+   * Throws NotFoundError if not found, or BadRequestError if status can't
+   * change that way, expires_at has passed, the job would be published after
+   * expiring, or the pay or location doesn't make sense.
    */
 
 	static async update(ID, data) {
@@ -112,42 +412,179 @@ class Job {
 		if (data.company_handle) {
 			delete data.company_handle;
 		}
-		const { setCols, values } = sqlForPartialUpdate(data, {});
+		// salary follows the range, so it's never set itself
+		const { salary, ...rest } = data;
+		data = rest;
+		if (salary !== undefined && data.salary_min === undefined && data.salary_max === undefined) {
+			data = { ...data, salary_min: salary, salary_max: salary };
+		}
+		if (data.remote_countries) data = { ...data, remote_countries: [ ...new Set(data.remote_countries) ] };
+		let { setCols, values } = sqlForPartialUpdate(data, {});
+
+		const beforeRes = await db.query(
+			`SELECT ${JOB_COLUMNS}
+           FROM jobs
+           WHERE id = $1 AND deleted_at IS NULL`,
+			[ ID ]
+		);
+		const before = beforeRes.rows[0];
+
+		if (!before) throw new NotFoundError(`No job: ${ID}`);
+
+		checkPay({ ...before, ...data });
+		checkLocation({ ...before, ...data });
+
+		const expiresAt = data.expires_at !== undefined ? data.expires_at : before.expires_at;
+		if (data.expires_at && hasPassed(data.expires_at)) throw new BadRequestError('expires_at has already passed');
 
+		let statusCheck = '';
+		if (data.status !== undefined && data.status !== before.status) {
+			if (!STATUS_TRANSITIONS[before.status].includes(data.status)) {
+				throw new BadRequestError(`Cannot change job from ${before.status} to ${data.status}`);
+			}
+			if (data.status === 'published' && hasPassed(expiresAt)) {
+				throw new BadRequestError('Job has expired; give it a later expires_at to publish it');
+			}
+			if (data.status === 'published') setCols += ', published_at = COALESCE(published_at, NOW())';
+
+			// only update if the status hasn't changed since we checked it
+			values.push(before.status);
+			statusCheck = `AND status = $${values.length}`;
+		}
 		const IDVarIdx = '$' + (values.length + 1);
 
 		const querySql = `UPDATE jobs 
                       SET ${setCols} 
-                      WHERE id = ${IDVarIdx} 
-                      RETURNING id,
-                                title, 
-                                salary, 
-                                equity, 
-                                company_handle`;
+                      WHERE id = ${IDVarIdx} AND deleted_at IS NULL ${statusCheck}
+                      RETURNING ${JOB_COLUMNS}`;
 		const result = await db.query(querySql, [ ...values, ID ]);
 		const job = result.rows[0];
 
+		if (!job && statusCheck) throw new BadRequestError('Job was changed by another request; try again');
 		if (!job) throw new NotFoundError(`No job: ${ID}`);
 
+		await AuditLog.record({
+			action: 'job.update',
+			targetType: 'job',
+			targetId: ID,
+			before,
+			after: job
+		});
+
 		return job;
 	}
 
-	/** Delete given job from database; returns undefined.
+	/** Delete given job until restored; returns undefined.
    *
    * Throws NotFoundError if job not found.
    **/
 
 	static async remove(ID) {
 		const result = await db.query(
-			`DELETE
-           FROM jobs
-           WHERE id = $1
-           RETURNING id`,
+			`UPDATE jobs
+           SET deleted_at = NOW()
+           WHERE id = $1 AND deleted_at IS NULL
+           RETURNING ${JOB_COLUMNS}`,
 			[ ID ]
 		);
 		const job = result.rows[0];
 
 		if (!job) throw new NotFoundError(`No job: ${ID}`);
+
+		await AuditLog.record({ action: 'job.delete', targetType: 'job', targetId: ID, before: job });
+	}
+
+	/** Restore a deleted job.
+   *
+   * Returns { id, title, salary, salary_min, salary_max, salary_currency, salary_period,
+   *           annual_salary_min, annual_salary_max, equity, company_handle, city,
+   *           region, country, latitude, longitude, remote_policy, remote_countries,
+   *           status, published_at, expires_at }
+   *
+   * Throws NotFoundError if there's no deleted job with that ID, or
+   * BadRequestError if its company is deleted too (restore that instead).
+   **/
+
+	static async restore(ID) {
+		const checkRes = await db.query(
+			`SELECT c.handle, c.deleted_at IS NOT NULL AS "companyDeleted"
+           FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+			[ ID ]
+		);
+		const check = checkRes.rows[0];
+
+		if (!check) throw new NotFoundError(`No deleted job: ${ID}`);
+		if (check.companyDeleted) throw new BadRequestError(`Company is deleted; restore it first: ${check.handle}`);
+
+		const result = await db.query(
+			`UPDATE jobs
+           SET deleted_at = NULL
+           WHERE id = $1 AND deleted_at IS NOT NULL
+           RETURNING ${JOB_COLUMNS}`,
+			[ ID ]
+		);
+		const job = result.rows[0];
+
+		if (!job) throw new NotFoundError(`No deleted job: ${ID}`);
+
+		await AuditLog.record({ action: 'job.restore', targetType: 'job', targetId: ID, after: job });
+
+		return job;
+	}
+
+	/** Close published and paused jobs whose expires_at has passed.
+   *
+   * Returns [id, ...] for the jobs closed.
+   **/
+
+	static async closeExpired() {
+		// old is the row as it was before the update
+		const result = await db.query(
+			`UPDATE jobs AS j
+           SET status = 'closed'
+           FROM jobs AS old
+           WHERE old.id = j.id
+             AND j.status IN ('published', 'paused')
+             AND j.expires_at <= NOW()
+             AND j.deleted_at IS NULL
+           RETURNING j.id, old.status AS "oldStatus"`
+		);
+
+		for (const { id, oldStatus } of result.rows) {
+			await AuditLog.record({
+				action: 'job.update',
+				targetType: 'job',
+				targetId: id,
+				before: { status: oldStatus },
+				after: { status: 'closed' }
+			});
+		}
+
+		return result.rows.map((j) => j.id);
+	}
+
+	/** Permanently remove jobs deleted before deletedBefore (a Date), with their
+   * applications.
+   *
+   * Returns [id, ...] for the jobs removed.
+   **/
+
+	static async purge(deletedBefore) {
+		const result = await db.query(
+			`DELETE
+           FROM jobs
+           WHERE deleted_at < $1
+           RETURNING ${JOB_COLUMNS}`,
+			[ deletedBefore ]
+		);
+
+		for (const job of result.rows) {
+			await AuditLog.record({ action: 'job.purge', targetType: 'job', targetId: job.id, before: job });
+		}
+
+		return result.rows.map((j) => j.id);
 	}
 }
 
@@ -3,13 +3,42 @@
 const db = require('../db.js');
 const { BadRequestError, NotFoundError } = require('../expressError');
 const Job = require('./job.js');
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The lifecycle fields of a job that was published when created. */
+
+const published = { status: 'published', published_at: expect.any(Date), expires_at: null };
+
+/** The location fields of a job created without a location. */
+
+const unlocated = {
+	city: null,
+	region: null,
+	country: null,
+	latitude: null,
+	longitude: null,
+	remote_policy: 'onsite',
+	remote_countries: []
+};
+
+/** The pay fields of a job paid amount a year in US dollars, as from a lone salary. */
+
+function yearly(amount) {
+	return {
+		salary_min: amount,
+		salary_max: amount,
+		salary_currency: 'USD',
+		salary_period: 'yearly',
+		annual_salary_min: amount,
+		annual_salary_max: amount
+	};
+}
+
 /************************************** create */
 
 describe('create', function() {
@@ -22,7 +51,7 @@ describe('create', function() {
 
 	test('works', async function() {
 		const job = await Job.create(newJob);
-		expect(job).toEqual(newJob);
+		expect(job).toEqual({ ...newJob, ...yearly(400000), ...unlocated, ...published });
 
 		const result = await db.query(
 			`SELECT title, salary, equity, company_handle
@@ -38,13 +67,108 @@ describe('create', function() {
 			}
 		]);
 	});
+
+	test('works: as a draft', async function() {
+		const job = await Job.create({ ...newJob, status: 'draft' });
+		expect(job).toEqual({
+			...newJob,
+			...yearly(400000),
+			...unlocated,
+			status: 'draft',
+			published_at: null,
+			expires_at: null
+		});
+	});
+
+	test('works: with an expiry', async function() {
+		const expires_at = new Date(Date.now() + 60 * 60 * 1000);
+		const job = await Job.create({ ...newJob, expires_at });
+		expect(job.expires_at).toEqual(expires_at);
+	});
+
+	test('works: with a pay range', async function() {
+		const job = await Job.create({
+			title: 'new',
+			salary_min: 30,
+			salary_max: 40,
+			salary_currency: 'EUR',
+			salary_period: 'hourly',
+			company_handle: 'c3'
+		});
+		expect(job).toEqual(
+			expect.objectContaining({
+				salary: 83200,
+				salary_min: 30,
+				salary_max: 40,
+				salary_currency: 'EUR',
+				salary_period: 'hourly',
+				annual_salary_min: 62400,
+				annual_salary_max: 83200
+			})
+		);
+	});
+
+	test('works: with hourly pay to the cent', async function() {
+		const job = await Job.create({ title: 'new', salary_min: 22.5, salary_period: 'hourly', company_handle: 'c3' });
+		expect(job).toEqual(expect.objectContaining({ salary_min: 22.5, annual_salary_min: 46800 }));
+	});
+
+	test('bad request if a year of the hourly pay is too much', async function() {
+		await expect(
+			Job.create({ title: 'new', salary_min: 1500000, salary_period: 'hourly', company_handle: 'c3' })
+		).rejects.toThrow(BadRequestError);
+	});
+
+	test('works: with a location and remote policy', async function() {
+		const job = await Job.create({
+			...newJob,
+			city: 'Berlin',
+			region: 'Berlin',
+			country: 'DE',
+			latitude: 52.52,
+			longitude: 13.405,
+			remote_policy: 'remote',
+			remote_countries: [ 'DE', 'AT', 'DE' ]
+		});
+		expect(job).toEqual(
+			expect.objectContaining({
+				city: 'Berlin',
+				region: 'Berlin',
+				country: 'DE',
+				latitude: 52.52,
+				longitude: 13.405,
+				remote_policy: 'remote',
+				remote_countries: [ 'DE', 'AT' ]
+			})
+		);
+	});
+
+	test('bad request with only one of latitude and longitude', async function() {
+		await expect(Job.create({ ...newJob, latitude: 52.52 })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request with an unknown currency', async function() {
+		await expect(Job.create({ ...newJob, salary_currency: 'XYZ' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request if salary_min is more than salary_max', async function() {
+		await expect(Job.create({ ...newJob, salary_min: 2, salary_max: 1 })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request if not starting as draft or published', async function() {
+		await expect(Job.create({ ...newJob, status: 'closed' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request if already expired', async function() {
+		await expect(Job.create({ ...newJob, expires_at: '2000-01-01T00:00:00Z' })).rejects.toThrow(BadRequestError);
+	});
 });
 
 /************************************** findAll */
 
 describe('findAll', function() {
 	test('works: no filter', async function() {
-		let jobs = await Job.findAll();
+		let { jobs } = await Job.findAll();
 		jobs.map((job) => {
 			delete job.id;
 		});
@@ -53,25 +177,34 @@ describe('findAll', function() {
 				company_handle: 'c1',
 				equity: '0.01',
 				salary: 100000,
-				title: 'title1'
+				...yearly(100000),
+				title: 'title1',
+				...unlocated,
+				...published
 			},
 			{
 				company_handle: 'c2',
 				equity: '0.02',
 				salary: 200000,
-				title: 'title2'
+				...yearly(200000),
+				title: 'title2',
+				...unlocated,
+				...published
 			},
 			{
 				company_handle: 'c3',
 				equity: '0.03',
 				salary: 300000,
-				title: 'title2'
+				...yearly(300000),
+				title: 'title2',
+				...unlocated,
+				...published
 			}
 		]);
 	});
 
 	test('works: title filter', async function() {
-		let jobs = await Job.findAll('title1');
+		let { jobs } = await Job.findAll({ title: 'title1' });
 		jobs.map((job) => {
 			delete job.id;
 		});
@@ -80,13 +213,16 @@ describe('findAll', function() {
 				company_handle: 'c1',
 				equity: '0.01',
 				salary: 100000,
-				title: 'title1'
+				...yearly(100000),
+				title: 'title1',
+				...unlocated,
+				...published
 			}
 		]);
 	});
 
 	test('works: minSalary filter', async function() {
-		let jobs = await Job.findAll(undefined, 200000);
+		let { jobs } = await Job.findAll({ minSalary: 200000 });
 		jobs.map((job) => {
 			delete job.id;
 		});
@@ -95,19 +231,25 @@ describe('findAll', function() {
 				company_handle: 'c2',
 				equity: '0.02',
 				salary: 200000,
-				title: 'title2'
+				...yearly(200000),
+				title: 'title2',
+				...unlocated,
+				...published
 			},
 			{
 				company_handle: 'c3',
 				equity: '0.03',
 				salary: 300000,
-				title: 'title2'
+				...yearly(300000),
+				title: 'title2',
+				...unlocated,
+				...published
 			}
 		]);
 	});
 
 	test('works: hasEquity filter', async function() {
-		let jobs = await Job.findAll(undefined, undefined, true);
+		let { jobs } = await Job.findAll({ hasEquity: true });
 		jobs.map((job) => {
 			delete job.id;
 		});
@@ -116,21 +258,231 @@ describe('findAll', function() {
 				company_handle: 'c1',
 				equity: '0.01',
 				salary: 100000,
-				title: 'title1'
+				...yearly(100000),
+				title: 'title1',
+				...unlocated,
+				...published
 			},
 			{
 				company_handle: 'c2',
 				equity: '0.02',
 				salary: 200000,
-				title: 'title2'
+				...yearly(200000),
+				title: 'title2',
+				...unlocated,
+				...published
 			},
 			{
 				company_handle: 'c3',
 				equity: '0.03',
 				salary: 300000,
-				title: 'title2'
+				...yearly(300000),
+				title: 'title2',
+				...unlocated,
+				...published
+			}
+		]);
+	});
+	test('works: title filter is case-insensitive', async function() {
+		let { jobs } = await Job.findAll({ title: 'TITLE1' });
+		expect(jobs.map((j) => j.title)).toEqual([ 'title1' ]);
+	});
+
+	describe('pay filters', function() {
+		beforeEach(async function() {
+			// 50 an hour is 104000 a year
+			await db.query(
+				`UPDATE jobs SET salary_min = 40, salary_max = 50, salary_period = 'hourly', salary_currency = 'EUR'
+             WHERE id = $1`,
+				[ testJobIds[0] ]
+			);
+		});
+
+		test('minSalary compares annual pay', async function() {
+			let { jobs } = await Job.findAll({ minSalary: 100000 });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1], testJobIds[2] ]);
+			({ jobs } = await Job.findAll({ minSalary: 110000 }));
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[1], testJobIds[2] ]);
+		});
+
+		test('maxSalary compares annual pay', async function() {
+			let { jobs } = await Job.findAll({ maxSalary: 200000 });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+			({ jobs } = await Job.findAll({ maxSalary: 80000 }));
+			expect(jobs).toEqual([]);
+		});
+
+		test('currency', async function() {
+			const { jobs } = await Job.findAll({ currency: 'EUR' });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+		});
+
+		test('sorts on annual pay', async function() {
+			const { jobs } = await Job.findAll({ sort: 'annual_salary_max' });
+			expect(jobs.map((j) => j.annual_salary_max)).toEqual([ 104000, 200000, 300000 ]);
+		});
+	});
+
+	describe('location filters', function() {
+		beforeEach(async function() {
+			// Berlin; Potsdam, 27km away; Munich, 504km away
+			const places = [
+				[ testJobIds[0], 'DE', 52.52, 13.405, 'onsite', [] ],
+				[ testJobIds[1], 'US', 52.39, 13.065, 'remote', [ 'US' ] ],
+				[ testJobIds[2], 'FR', 48.137, 11.575, 'remote', [] ]
+			];
+			for (const [ id, country, latitude, longitude, remote_policy, remote_countries ] of places) {
+				await db.query(
+					`UPDATE jobs
+               SET country = $2, latitude = $3, longitude = $4, remote_policy = $5, remote_countries = $6
+               WHERE id = $1`,
+					[ id, country, latitude, longitude, remote_policy, remote_countries ]
+				);
 			}
+		});
+
+		test('near, within 50km by default', async function() {
+			const { jobs } = await Job.findAll({ near: '52.52,13.405' });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+		});
+
+		test('near, within radiusKm', async function() {
+			let { jobs } = await Job.findAll({ near: '52.52,13.405', radiusKm: 10 });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+			({ jobs } = await Job.findAll({ near: '52.52,13.405', radiusKm: 510 }));
+			expect(jobs.length).toEqual(3);
+			({ jobs } = await Job.findAll({ near: '52.52,13.405', radiusKm: 500 }));
+			expect(jobs.length).toEqual(2);
+		});
+
+		test('country includes remote jobs open to it', async function() {
+			let { jobs } = await Job.findAll({ country: 'DE' });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[2] ]);
+			({ jobs } = await Job.findAll({ country: 'US' }));
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[1], testJobIds[2] ]);
+		});
+
+		test('remote', async function() {
+			const { jobs } = await Job.findAll({ remote: true });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[1], testJobIds[2] ]);
+		});
+
+		test('bad request with an invalid near', async function() {
+			await expect(Job.findAll({ near: '91,0' })).rejects.toThrow(BadRequestError);
+			await expect(Job.findAll({ near: 'here' })).rejects.toThrow(BadRequestError);
+		});
+	});
+
+	test('works: hasEquity filter excludes zero and null equity', async function() {
+		await db.query(`
+        INSERT INTO jobs (title, salary_min, salary_max, equity, company_handle) VALUES
+        ('no equity', 100, 100, 0, 'c1'),
+        ('null equity', 100, 100, NULL, 'c1')`);
+		let { jobs } = await Job.findAll({ hasEquity: true });
+		expect(jobs.map((j) => j.title)).toEqual([ 'title1', 'title2', 'title2' ]);
+		({ jobs } = await Job.findAll({ hasEquity: false }));
+		expect(jobs.length).toEqual(5);
+	});
+
+	test('works: pagination', async function() {
+		const first = await Job.findAll({ minSalary: 200000, limit: 1 });
+		expect(first.jobs.map((j) => j.salary)).toEqual([ 200000 ]);
+		expect(first).toEqual(expect.objectContaining({ total: 2, next: expect.any(String), prev: null }));
+
+		const second = await Job.findAll({ minSalary: 200000, limit: 1, cursor: first.next });
+		expect(second.jobs.map((j) => j.salary)).toEqual([ 300000 ]);
+		expect(second).toEqual(expect.objectContaining({ total: 2, next: null, prev: expect.any(String) }));
+	});
+
+	test('works: pagination with jobs added between pages', async function() {
+		const first = await Job.findAll({ limit: 2 });
+		expect(first.jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+
+		await Job.create({ title: 'a first job', salary_min: 100, company_handle: 'c1' });
+		const second = await Job.findAll({ limit: 2, cursor: first.next });
+		expect(second.jobs.map((j) => j.id)).toEqual([ testJobIds[2] ]);
+		expect(second.next).toBeNull();
+
+		const back = await Job.findAll({ limit: 2, cursor: second.prev });
+		expect(back.jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+		expect(back.prev).toEqual(expect.any(String));
+	});
+
+	test('bad request with a cursor for another sort', async function() {
+		const { next } = await Job.findAll({ limit: 1 });
+		await expect(Job.findAll({ sort: '-salary', limit: 1, cursor: next })).rejects.toThrow(BadRequestError);
+	});
+
+	test('works: sort', async function() {
+		let { jobs } = await Job.findAll({ sort: 'title,-salary' });
+		expect(jobs.map((j) => [ j.title, j.salary ])).toEqual([
+			[ 'title1', 100000 ],
+			[ 'title2', 300000 ],
+			[ 'title2', 200000 ]
 		]);
+		({ jobs } = await Job.findAll({ sort: '-company_handle' }));
+		expect(jobs.map((j) => j.company_handle)).toEqual([ 'c3', 'c2', 'c1' ]);
+	});
+
+	test('works: skills filter', async function() {
+		let { jobs } = await Job.findAll({ skills: 'node,sql' });
+		expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+
+		({ jobs } = await Job.findAll({ skills: 'NodeJS, sql', match: 'any' }));
+		expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+
+		({ jobs } = await Job.findAll({ skills: 'sql,nope', match: 'all' }));
+		expect(jobs).toEqual([]);
+	});
+
+	test('bad request with unknown sort key', async function() {
+		expect.assertions(1);
+		try {
+			await Job.findAll({ sort: 'nope' });
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	describe('visibility', function() {
+		beforeEach(async function() {
+			await db.query(`UPDATE jobs SET status = 'draft', published_at = NULL WHERE id = $1`, [ testJobIds[0] ]);
+			await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [ testJobIds[1] ]);
+		});
+
+		test('only listed jobs by default', async function() {
+			const { jobs, total } = await Job.findAll();
+			expect(total).toEqual(1);
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[2] ]);
+		});
+
+		test('all jobs with all', async function() {
+			const { total } = await Job.findAll({}, { all: true });
+			expect(total).toEqual(3);
+		});
+
+		test("all of some companies' jobs with companies", async function() {
+			const { jobs } = await Job.findAll({}, { companies: [ 'c1' ] });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[2] ]);
+		});
+
+		test('works: status filter', async function() {
+			const { jobs } = await Job.findAll({ status: 'draft' }, { all: true });
+			expect(jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+		});
+	});
+
+	test('filters in the database', async function() {
+		const spy = jest.spyOn(db, 'query');
+		try {
+			await Job.findAll({ title: 'title', minSalary: 200000, hasEquity: true });
+			const [ sql, values ] = spy.mock.calls[0];
+			expect(sql).toMatch(/WHERE \(deleted_at IS NULL\) AND \(job_is_listed\(jobs\) OR company_handle = ANY\(\$1\)\)/);
+			expect(sql).toMatch(/AND title ILIKE \$2 AND annual_salary_max >= \$3 AND \(equity > 0\)/);
+			expect(values).toEqual([ [], '%title%', 200000 ]);
+		} finally {
+			spy.mockRestore();
+		}
 	});
 });
 
@@ -138,7 +490,7 @@ describe('findAll', function() {
 
 describe('get', function() {
 	test('works', async function() {
-		const jobs = await Job.findAll();
+		const { jobs } = await Job.findAll();
 		const id = jobs[0].id;
 		let job = await Job.get(id);
 		delete job.id;
@@ -146,7 +498,10 @@ describe('get', function() {
 			company_handle: 'c1',
 			equity: '0.01',
 			salary: 100000,
-			title: 'title1'
+			...yearly(100000),
+			title: 'title1',
+			...unlocated,
+			...published
 		});
 	});
 
@@ -160,6 +515,26 @@ describe('get', function() {
 	});
 });
 
+/************************************** isListed */
+
+describe('isListed', function() {
+	test('works', function() {
+		expect(Job.isListed({ status: 'published', expires_at: null })).toBe(true);
+		expect(Job.isListed({ status: 'published', expires_at: new Date(Date.now() + 60000) })).toBe(true);
+		expect(Job.isListed({ status: 'published', expires_at: new Date(Date.now() - 60000) })).toBe(false);
+		expect(Job.isListed({ status: 'paused', expires_at: null })).toBe(false);
+		expect(Job.isListed({ status: 'draft', expires_at: null })).toBe(false);
+	});
+
+	test('agrees with the database', async function() {
+		await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [ testJobIds[0] ]);
+		await db.query(`UPDATE jobs SET status = 'paused' WHERE id = $1`, [ testJobIds[1] ]);
+
+		const res = await db.query(`SELECT id, status, expires_at, job_is_listed(jobs) AS listed FROM jobs`);
+		for (const job of res.rows) expect(Job.isListed(job)).toEqual(job.listed);
+	});
+});
+
 /************************************** update */
 
 describe('update', function() {
@@ -171,7 +546,7 @@ describe('update', function() {
 	};
 
 	test('works', async function() {
-		const jobs = await Job.findAll();
+		const { jobs } = await Job.findAll();
 		const id = jobs[0].id;
 		let job = await Job.update(id, updateData);
 		expect(job).toEqual({
@@ -179,7 +554,10 @@ describe('update', function() {
 			company_handle: 'c1',
 			equity: '0.05',
 			salary: 500000,
-			title: 'new title'
+			...yearly(500000),
+			title: 'new title',
+			...unlocated,
+			...published
 		});
 
 		const result = await db.query(
@@ -207,8 +585,92 @@ describe('update', function() {
 		}
 	});
 
+	test('works: publishing a draft sets published_at', async function() {
+		await db.query(`UPDATE jobs SET status = 'draft', published_at = NULL WHERE id = $1`, [ testJobIds[0] ]);
+
+		const job = await Job.update(testJobIds[0], { status: 'published' });
+		expect(job.status).toEqual('published');
+		expect(job.published_at).toEqual(expect.any(Date));
+	});
+
+	test('works: pausing and republishing keeps published_at', async function() {
+		const { published_at } = await Job.get(testJobIds[0]);
+
+		await Job.update(testJobIds[0], { status: 'paused' });
+		const job = await Job.update(testJobIds[0], { status: 'published' });
+		expect(job.published_at).toEqual(published_at);
+	});
+
+	test('works: clearing expires_at', async function() {
+		await db.query(`UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE id = $1`, [ testJobIds[0] ]);
+
+		const job = await Job.update(testJobIds[0], { expires_at: null });
+		expect(job.expires_at).toBeNull();
+	});
+
+	test('works: pay range', async function() {
+		const job = await Job.update(testJobIds[0], { salary_max: 150000, salary_currency: 'GBP' });
+		expect(job).toEqual(
+			expect.objectContaining({ salary: 150000, salary_min: 100000, salary_max: 150000, salary_currency: 'GBP' })
+		);
+	});
+
+	test('works: salary alone sets the range', async function() {
+		const job = await Job.update(testJobIds[0], { salary: 120000 });
+		expect(job).toEqual(expect.objectContaining({ salary: 120000, salary_min: 120000, salary_max: 120000 }));
+	});
+
+	test('works: switching to hourly pay', async function() {
+		const job = await Job.update(testJobIds[0], { salary_min: 50, salary_max: 60, salary_period: 'hourly' });
+		expect(job).toEqual(
+			expect.objectContaining({ salary: 124800, annual_salary_min: 104000, annual_salary_max: 124800 })
+		);
+	});
+
+	test('bad request if switching to hourly pay makes a year of it too much', async function() {
+		await Job.update(testJobIds[0], { salary: 2000000 });
+		await expect(Job.update(testJobIds[0], { salary_period: 'hourly' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('works: location', async function() {
+		const job = await Job.update(testJobIds[0], { city: 'Lyon', country: 'FR', latitude: 45.76, longitude: 4.84 });
+		expect(job).toEqual(expect.objectContaining({ city: 'Lyon', country: 'FR', latitude: 45.76, longitude: 4.84 }));
+	});
+
+	test('bad request if latitude would be set without longitude', async function() {
+		await expect(Job.update(testJobIds[0], { latitude: 45.76 })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request if the pay range would end before it starts', async function() {
+		await expect(Job.update(testJobIds[0], { salary_min: 200000 })).rejects.toThrow(BadRequestError);
+		await expect(Job.update(testJobIds[0], { salary_currency: 'ABC' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request changing status in a way not allowed', async function() {
+		await Job.update(testJobIds[0], { status: 'closed' });
+
+		await expect(Job.update(testJobIds[0], { status: 'published' })).rejects.toThrow(BadRequestError);
+		await expect(Job.update(testJobIds[1], { status: 'draft' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request publishing an expired job', async function() {
+		await db.query(`UPDATE jobs SET status = 'paused', expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [
+			testJobIds[0]
+		]);
+
+		await expect(Job.update(testJobIds[0], { status: 'published' })).rejects.toThrow(BadRequestError);
+		const job = await Job.update(testJobIds[0], { status: 'published', expires_at: null });
+		expect(job.status).toEqual('published');
+	});
+
+	test('bad request with an expires_at that has passed', async function() {
+		await expect(Job.update(testJobIds[0], { expires_at: '2000-01-01T00:00:00Z' })).rejects.toThrow(
+			BadRequestError
+		);
+	});
+
 	test('bad request with no data', async function() {
-		const jobs = await Job.findAll();
+		const { jobs } = await Job.findAll();
 		const id = jobs[0].id;
 		try {
 			await Job.update(id, {});
@@ -222,12 +684,20 @@ describe('update', function() {
 // /************************************** remove */
 
 describe('remove', function() {
-	test('works', async function() {
-		const jobs = await Job.findAll();
-		const id = jobs[0].id;
-		await Job.remove(id);
-		const res = await db.query(`SELECT id FROM jobs WHERE id=${id}`);
-		expect(res.rows.length).toEqual(0);
+	test('works: marks the job deleted', async function() {
+		await Job.remove(testJobIds[0]);
+		const res = await db.query(`SELECT deleted_at FROM jobs WHERE id = $1`, [ testJobIds[0] ]);
+		expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+	});
+
+	test('hides the job from finders', async function() {
+		await Job.remove(testJobIds[0]);
+
+		const { jobs, total } = await Job.findAll();
+		expect(total).toEqual(2);
+		expect(jobs.map((j) => j.title)).toEqual([ 'title2', 'title2' ]);
+		await expect(Job.get(testJobIds[0])).rejects.toThrow(NotFoundError);
+		await expect(Job.update(testJobIds[0], { title: 'New' })).rejects.toThrow(NotFoundError);
 	});
 
 	test('not found if no such job', async function() {
@@ -239,3 +709,70 @@ describe('remove', function() {
 		}
 	});
 });
+
+/************************************** restore */
+
+describe('restore', function() {
+	test('works', async function() {
+		await Job.remove(testJobIds[0]);
+
+		const job = await Job.restore(testJobIds[0]);
+		expect(job).toEqual({
+			id: testJobIds[0],
+			title: 'title1',
+			salary: 100000,
+			...yearly(100000),
+			equity: '0.01',
+			company_handle: 'c1',
+			...unlocated,
+			...published
+		});
+		expect((await Job.get(testJobIds[0])).title).toEqual('title1');
+	});
+
+	test('bad request if its company is deleted', async function() {
+		await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'c1'`);
+		await Job.remove(testJobIds[0]);
+
+		await expect(Job.restore(testJobIds[0])).rejects.toThrow(BadRequestError);
+	});
+
+	test('not found if not deleted', async function() {
+		await expect(Job.restore(testJobIds[0])).rejects.toThrow(NotFoundError);
+		await expect(Job.restore(-1)).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** closeExpired */
+
+describe('closeExpired', function() {
+	test('works: closes published and paused jobs that have expired', async function() {
+		await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [ testJobIds[0] ]);
+		await db.query(`UPDATE jobs SET status = 'paused', expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [
+			testJobIds[1]
+		]);
+		await db.query(`UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE id = $1`, [ testJobIds[2] ]);
+
+		const closed = await Job.closeExpired();
+		expect(closed.sort()).toEqual([ testJobIds[0], testJobIds[1] ].sort());
+
+		const res = await db.query(`SELECT status FROM jobs ORDER BY id`);
+		expect(res.rows.map((r) => r.status)).toEqual([ 'closed', 'closed', 'published' ]);
+		expect(await Job.closeExpired()).toEqual([]);
+	});
+});
+
+/************************************** purge */
+
+describe('purge', function() {
+	test('works: only jobs deleted before the cutoff', async function() {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() - INTERVAL '60 days' WHERE id = $1`, [ testJobIds[0] ]);
+		await Job.remove(testJobIds[1]);
+
+		const purged = await Job.purge(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+		expect(purged).toEqual([ testJobIds[0] ]);
+
+		const res = await db.query(`SELECT id FROM jobs ORDER BY id`);
+		expect(res.rows.map((r) => r.id)).toEqual([ testJobIds[1], testJobIds[2] ]);
+	});
+});
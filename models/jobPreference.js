@@ -0,0 +1,127 @@
+'use strict';
+
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const AuditLog = require('./auditLog');
+
+/** ISO 4217 currency codes a desired salary can be in. */
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/** Preferences of a user who hasn't set any. */
+
+const DEFAULTS = {
+	desiredSalary: null,
+	salaryCurrency: 'USD',
+	country: null,
+	latitude: null,
+	longitude: null,
+	radiusKm: 50,
+	remoteOk: true
+};
+
+/** Columns returned for preferences. */
+
+const PREFERENCE_COLUMNS = `desired_salary AS "desiredSalary",
+                  salary_currency AS "salaryCurrency",
+                  country,
+                  latitude,
+                  longitude,
+                  radius_km AS "radiusKm",
+                  remote_ok AS "remoteOk"`;
+
+/** Throw NotFoundError unless username is a user who hasn't been deleted. */
+
+async function checkUser(username) {
+	const userCheck = await db.query(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [
+		username
+	]);
+	if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+}
+
+/** Related functions for what users want from a job, which their
+ * recommendations are scored against (see Recommendation).
+ *
+ * Preferences are { desiredSalary, salaryCurrency, country, latitude,
+ * longitude, radiusKm, remoteOk }: the least they want paid a year, in
+ * salaryCurrency; where they want to work, as a country and/or a point with
+ * jobs within radiusKm of it; and whether remote jobs they can do from there
+ * will do.
+ */
+
+class JobPreference {
+	/** Given a username, return their preferences, or DEFAULTS if they haven't
+   * set any.
+   *
+   * Returns { desiredSalary, salaryCurrency, country, latitude, longitude, radiusKm, remoteOk }
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+	static async get(username) {
+		await checkUser(username);
+
+		const result = await db.query(`SELECT ${PREFERENCE_COLUMNS} FROM job_preferences WHERE username = $1`, [
+			username
+		]);
+
+		return result.rows[0] || { ...DEFAULTS };
+	}
+
+	/** Set a user's preferences from data, replacing what they had; anything
+   * left out goes back to its default.
+   *
+   * Returns { desiredSalary, salaryCurrency, country, latitude, longitude, radiusKm, remoteOk }
+   *
+   * Throws NotFoundError if there's no such user, or BadRequestError on an
+   * unknown currency or only one of latitude and longitude.
+   **/
+
+	static async set(username, data) {
+		const prefs = { ...DEFAULTS, ...data };
+		if (!CURRENCIES.has(prefs.salaryCurrency)) throw new BadRequestError(`Unknown currency: ${prefs.salaryCurrency}`);
+		if ((prefs.latitude == null) !== (prefs.longitude == null)) {
+			throw new BadRequestError('latitude and longitude must be given together');
+		}
+
+		const before = await JobPreference.get(username);
+
+		const result = await db.query(
+			`INSERT INTO job_preferences
+             (username, desired_salary, salary_currency, country, latitude, longitude, radius_km, remote_ok)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (username) DO UPDATE SET
+             desired_salary = EXCLUDED.desired_salary,
+             salary_currency = EXCLUDED.salary_currency,
+             country = EXCLUDED.country,
+             latitude = EXCLUDED.latitude,
+             longitude = EXCLUDED.longitude,
+             radius_km = EXCLUDED.radius_km,
+             remote_ok = EXCLUDED.remote_ok
+           RETURNING ${PREFERENCE_COLUMNS}`,
+			[
+				username,
+				prefs.desiredSalary,
+				prefs.salaryCurrency,
+				prefs.country,
+				prefs.latitude,
+				prefs.longitude,
+				prefs.radiusKm,
+				prefs.remoteOk
+			]
+		);
+		const after = result.rows[0];
+
+		await AuditLog.record({
+			action: 'user.update',
+			targetType: 'user',
+			targetId: username,
+			before: { preferences: before },
+			after: { preferences: after }
+		});
+
+		return after;
+	}
+}
+
+module.exports = JobPreference;
@@ -0,0 +1,67 @@
+'use strict';
+
+const { BadRequestError, NotFoundError } = require('../expressError');
+const JobPreference = require('./jobPreference.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const defaults = {
+	desiredSalary: null,
+	salaryCurrency: 'USD',
+	country: null,
+	latitude: null,
+	longitude: null,
+	radiusKm: 50,
+	remoteOk: true
+};
+
+/************************************** get */
+
+describe('get', function() {
+	test('works: defaults if none set', async function() {
+		expect(await JobPreference.get('u1')).toEqual(defaults);
+	});
+
+	test('not found if no such user', async function() {
+		await expect(JobPreference.get('nope')).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** set */
+
+describe('set', function() {
+	test('works', async function() {
+		const prefs = {
+			desiredSalary: 120000,
+			salaryCurrency: 'EUR',
+			country: 'DE',
+			latitude: 52.52,
+			longitude: 13.405,
+			radiusKm: 25,
+			remoteOk: false
+		};
+		expect(await JobPreference.set('u1', prefs)).toEqual(prefs);
+		expect(await JobPreference.get('u1')).toEqual(prefs);
+	});
+
+	test('works: replaces, with defaults for anything left out', async function() {
+		await JobPreference.set('u1', { desiredSalary: 120000, country: 'DE', remoteOk: false });
+		expect(await JobPreference.set('u1', { country: 'FR' })).toEqual({ ...defaults, country: 'FR' });
+	});
+
+	test('bad request with unknown currency', async function() {
+		await expect(JobPreference.set('u1', { salaryCurrency: 'XYZ' })).rejects.toThrow(BadRequestError);
+	});
+
+	test('bad request with latitude but no longitude', async function() {
+		await expect(JobPreference.set('u1', { latitude: 52.52 })).rejects.toThrow(BadRequestError);
+	});
+
+	test('not found if no such user', async function() {
+		await expect(JobPreference.set('nope', {})).rejects.toThrow(NotFoundError);
+	});
+});
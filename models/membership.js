@@ -0,0 +1,143 @@
+'use strict';
+
+const db = require('../db');
+const { NotFoundError } = require('../expressError');
+const AuditLog = require('./auditLog');
+
+/** Company roles, from least to most access. Each role can do everything the
+ * roles before it can:
+ *   - viewer: see the company's applicants
+ *   - recruiter: manage the company's jobs and applicants
+ *   - owner: edit the company and manage its members
+ */
+
+const ROLES = [ 'viewer', 'recruiter', 'owner' ];
+
+/** Related functions for users' roles at companies. */
+
+class Membership {
+	/** Does role give at least the access of minRole? */
+
+	static hasRole(role, minRole) {
+		return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+	}
+
+	/** Given a username and company handle, return the user's role there, or
+   * undefined if they aren't a member.
+   **/
+
+	static async getRole(username, companyHandle) {
+		const result = await db.query(
+			`SELECT role
+           FROM company_members
+           WHERE username = $1 AND company_handle = $2`,
+			[ username, companyHandle ]
+		);
+
+		return result.rows[0] && result.rows[0].role;
+	}
+
+	/** Find all members of a company.
+   *
+   * Returns [{ username, firstName, lastName, role }, ...]
+   **/
+
+	static async findForCompany(companyHandle) {
+		const result = await db.query(
+			`SELECT m.username,
+                  u.first_name AS "firstName",
+                  u.last_name AS "lastName",
+                  m.role
+           FROM company_members AS m
+             JOIN users AS u ON u.username = m.username
+           WHERE m.company_handle = $1 AND u.deleted_at IS NULL
+           ORDER BY m.username`,
+			[ companyHandle ]
+		);
+
+		return result.rows;
+	}
+
+	/** Find all of a user's company roles.
+   *
+   * Returns [{ companyHandle, role }, ...]
+   **/
+
+	static async findForUser(username) {
+		const result = await db.query(
+			`SELECT company_handle AS "companyHandle", role
+           FROM company_members
+           WHERE username = $1
+           ORDER BY company_handle`,
+			[ username ]
+		);
+
+		return result.rows;
+	}
+
+	/** Give a user a role at a company, replacing any role they had there.
+   *
+   * Returns { username, companyHandle, role }
+   *
+   * Throws NotFoundError if the user or company doesn't exist.
+   **/
+
+	static async set(companyHandle, username, role) {
+		const companyCheck = await db.query(
+			`SELECT handle FROM companies WHERE handle = $1 AND deleted_at IS NULL`,
+			[ companyHandle ]
+		);
+		if (!companyCheck.rows[0]) throw new NotFoundError(`No company: ${companyHandle}`);
+
+		const userCheck = await db.query(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [
+			username
+		]);
+		if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		const before = await Membership.getRole(username, companyHandle);
+
+		const [ member ] = await AuditLog.recordChange(
+			`INSERT INTO company_members (username, company_handle, role)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (username, company_handle) DO UPDATE SET role = EXCLUDED.role
+           RETURNING username, company_handle AS "companyHandle", role`,
+			[ username, companyHandle, role ],
+			{
+				action: 'company.update',
+				targetType: 'company',
+				targetId: companyHandle,
+				before: { members: { [username]: before || null } },
+				after: { members: { [username]: role } }
+			}
+		);
+
+		return member;
+	}
+
+	/** Remove a user from a company; returns undefined.
+   *
+   * Throws NotFoundError if they weren't a member.
+   **/
+
+	static async remove(companyHandle, username) {
+		const role = await Membership.getRole(username, companyHandle);
+		if (!role) throw new NotFoundError(`No member ${username} at company: ${companyHandle}`);
+
+		await AuditLog.recordChange(
+			`DELETE
+           FROM company_members
+           WHERE username = $1 AND company_handle = $2
+           RETURNING role`,
+			[ username, companyHandle ],
+			{
+				action: 'company.update',
+				targetType: 'company',
+				targetId: companyHandle,
+				before: { members: { [username]: role } },
+				after: { members: { [username]: null } }
+			}
+		);
+	}
+}
+
+module.exports = Membership;
@@ -0,0 +1,110 @@
+'use strict';
+
+const { NotFoundError } = require('../expressError');
+const Membership = require('./membership.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** hasRole */
+
+describe('hasRole', function() {
+	test('works', function() {
+		expect(Membership.hasRole('owner', 'viewer')).toBeTruthy();
+		expect(Membership.hasRole('recruiter', 'recruiter')).toBeTruthy();
+		expect(Membership.hasRole('viewer', 'recruiter')).toBeFalsy();
+		expect(Membership.hasRole(undefined, 'viewer')).toBeFalsy();
+	});
+});
+
+/************************************** getRole */
+
+describe('getRole', function() {
+	test('works', async function() {
+		expect(await Membership.getRole('u2', 'c1')).toEqual('recruiter');
+	});
+
+	test('undefined if not a member', async function() {
+		expect(await Membership.getRole('u1', 'c1')).toBeUndefined();
+	});
+});
+
+/************************************** findForCompany */
+
+describe('findForCompany', function() {
+	test('works', async function() {
+		expect(await Membership.findForCompany('c1')).toEqual([
+			{ username: 'u2', firstName: 'U2F', lastName: 'U2L', role: 'recruiter' }
+		]);
+	});
+
+	test('works: no members', async function() {
+		expect(await Membership.findForCompany('c2')).toEqual([]);
+	});
+});
+
+/************************************** findForUser */
+
+describe('findForUser', function() {
+	test('works', async function() {
+		await Membership.set('c3', 'u2', 'viewer');
+		expect(await Membership.findForUser('u2')).toEqual([
+			{ companyHandle: 'c1', role: 'recruiter' },
+			{ companyHandle: 'c3', role: 'viewer' }
+		]);
+	});
+});
+
+/************************************** set */
+
+describe('set', function() {
+	test('works: new member', async function() {
+		const member = await Membership.set('c2', 'u1', 'owner');
+		expect(member).toEqual({ username: 'u1', companyHandle: 'c2', role: 'owner' });
+		expect(await Membership.getRole('u1', 'c2')).toEqual('owner');
+	});
+
+	test('works: replaces role', async function() {
+		await Membership.set('c1', 'u2', 'viewer');
+		expect(await Membership.getRole('u2', 'c1')).toEqual('viewer');
+	});
+
+	test('not found if no such company', async function() {
+		expect.assertions(1);
+		try {
+			await Membership.set('nope', 'u1', 'owner');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such user', async function() {
+		expect.assertions(1);
+		try {
+			await Membership.set('c1', 'nope', 'owner');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** remove */
+
+describe('remove', function() {
+	test('works', async function() {
+		await Membership.remove('c1', 'u2');
+		expect(await Membership.getRole('u2', 'c1')).toBeUndefined();
+	});
+
+	test('not found if not a member', async function() {
+		expect.assertions(1);
+		try {
+			await Membership.remove('c1', 'u1');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
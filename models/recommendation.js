@@ -0,0 +1,218 @@
+'use strict';
+
+const db = require('../db');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const JobPreference = require('./jobPreference');
+
+/** The most each part of a recommendation's score can add up to, out of 100:
+ *   - skills: the job's skills the user has, required ones counting double
+ *   - salary: all or nothing, for paying at least the user's desired salary
+ *   - location: all or nothing, for being where the user wants to work
+ *   - history: half for being at a company the user applied to before, and
+ *     half by how many of the job's skills were on jobs they applied to
+ */
+
+const WEIGHTS = { skills: 50, salary: 20, location: 20, history: 10 };
+
+/** Listed jobs the user $1 hasn't applied to, with what they're scored on and
+ * their scores, given preferences $2 (desired salary), $3 (its currency), $4
+ * (country), $5 and $6 (latitude and longitude), $7 (radius) and $8 (remote
+ * ok). Jobs scoring nothing are left out. */
+
+const SCORED = `
+    WITH applied AS (
+           SELECT a.job_id, j.company_handle
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+           WHERE a.username = $1),
+         candidates AS (
+           SELECT j.id,
+                  j.title,
+                  j.company_handle,
+                  c.name AS company_name,
+                  j.published_at,
+                  j.annual_salary_max,
+                  j.salary_currency,
+                  j.remote_policy,
+                  ARRAY(SELECT js.skill_slug FROM job_skills AS js
+                        WHERE js.job_id = j.id AND js.required
+                          AND js.skill_slug IN (SELECT skill_slug FROM user_skills WHERE username = $1)
+                        ORDER BY 1) AS matched_required,
+                  ARRAY(SELECT js.skill_slug FROM job_skills AS js
+                        WHERE js.job_id = j.id AND js.required
+                          AND js.skill_slug NOT IN (SELECT skill_slug FROM user_skills WHERE username = $1)
+                        ORDER BY 1) AS missing_required,
+                  ARRAY(SELECT js.skill_slug FROM job_skills AS js
+                        WHERE js.job_id = j.id AND NOT js.required
+                          AND js.skill_slug IN (SELECT skill_slug FROM user_skills WHERE username = $1)
+                        ORDER BY 1) AS matched_nice,
+                  ARRAY(SELECT js.skill_slug FROM job_skills AS js
+                        WHERE js.job_id = j.id AND NOT js.required
+                          AND js.skill_slug NOT IN (SELECT skill_slug FROM user_skills WHERE username = $1)
+                        ORDER BY 1) AS missing_nice,
+                  ARRAY(SELECT js.skill_slug FROM job_skills AS js
+                        WHERE js.job_id = j.id
+                          AND js.skill_slug IN (SELECT skill_slug FROM job_skills
+                                                WHERE job_id IN (SELECT job_id FROM applied))
+                        ORDER BY 1) AS familiar_skills,
+                  (SELECT COUNT(*) FROM job_skills WHERE job_id = j.id) AS skill_count,
+                  j.company_handle IN (SELECT company_handle FROM applied) AS applied_at_company,
+                  distance_km(j.latitude, j.longitude, $5, $6) AS distance_km,
+                  $4::char(2) IS NOT NULL AND j.country = $4::char(2) AS in_country,
+                  $8 AND j.remote_policy = 'remote'
+                    AND (job_open_in(j, $4::char(2)) OR ($4::char(2) IS NULL AND cardinality(j.remote_countries) = 0))
+                    AS remote_ok,
+                  $2::integer IS NOT NULL AND j.salary_currency = $3 AND j.annual_salary_max >= $2 AS pays_enough
+           FROM jobs AS j
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE j.deleted_at IS NULL
+             AND job_is_listed(j)
+             AND j.id NOT IN (SELECT job_id FROM applied)),
+         parts AS (
+           SELECT *,
+                  COALESCE(ROUND(${WEIGHTS.skills}
+                    * (2 * cardinality(matched_required) + cardinality(matched_nice))::numeric
+                    / NULLIF(2 * (cardinality(matched_required) + cardinality(missing_required))
+                             + cardinality(matched_nice) + cardinality(missing_nice), 0)), 0)::integer
+                    AS skills_score,
+                  CASE WHEN pays_enough THEN ${WEIGHTS.salary} ELSE 0 END AS salary_score,
+                  CASE WHEN distance_km <= $7 OR in_country OR remote_ok THEN ${WEIGHTS.location} ELSE 0 END
+                    AS location_score,
+                  ROUND(${WEIGHTS.history / 2}
+                    * (applied_at_company::integer
+                       + COALESCE(cardinality(familiar_skills)::numeric / NULLIF(skill_count, 0), 0)))::integer
+                    AS history_score
+           FROM candidates)
+    SELECT *, skills_score + salary_score + location_score + history_score AS score
+    FROM parts
+    WHERE skills_score + salary_score + location_score + history_score > 0`;
+
+/** The order of Recommendation.findForUser, on columns of SCORED: best first,
+ * then newest (see sqlForPage). */
+
+const RECOMMENDATION_ORDER = [
+	{ col: 'score', desc: true },
+	{ col: 'published_at', desc: true },
+	{ col: 'id', desc: false }
+];
+
+/** Why a job scored what it did on skills. */
+
+function skillsReason({ matched_required, missing_required, matched_nice, missing_nice }) {
+	const required = matched_required.length + missing_required.length;
+	const nice = matched_nice.length + missing_nice.length;
+	if (!required && !nice) return 'The job lists no skills';
+
+	const counts = [];
+	if (required) counts.push(`${matched_required.length} of ${required} required`);
+	if (nice) counts.push(`${matched_nice.length} of ${nice} nice-to-have`);
+	return `You have ${counts.join(' and ')} skills`;
+}
+
+/** Why a job scored what it did on salary. */
+
+function salaryReason({ annual_salary_max, salary_currency, pays_enough }, { desiredSalary, salaryCurrency }) {
+	if (desiredSalary == null) return 'You have no desired salary';
+	if (annual_salary_max == null || salary_currency !== salaryCurrency) return `No salary given in ${salaryCurrency}`;
+
+	const pays = `Pays up to ${annual_salary_max} ${salaryCurrency} a year`;
+	return `${pays}, ${pays_enough ? 'at least' : 'less than'} the ${desiredSalary} you want`;
+}
+
+/** Why a job scored what it did on location. */
+
+function locationReason({ distance_km, in_country, remote_ok }, { country, latitude, radiusKm }) {
+	if (distance_km != null && distance_km <= radiusKm) return `${Math.round(distance_km)} km from you`;
+	if (in_country) return `In ${country}`;
+	if (remote_ok) return country ? `Remote, open to ${country}` : 'Remote, open anywhere';
+	// remoteOk alone isn't a preference of where to work: it's on by default
+	if (!country && latitude == null) return 'You have no location preference';
+	return 'Not where you want to work';
+}
+
+/** Why a job scored what it did on application history. */
+
+function historyReason({ company_name, applied_at_company, familiar_skills }) {
+	const reasons = [];
+	if (applied_at_company) reasons.push(`You applied to other jobs at ${company_name}`);
+	if (familiar_skills.length) reasons.push(`It asks for ${familiar_skills.join(', ')}, like jobs you applied to`);
+	return reasons.length ? reasons.join('; ') : 'Nothing like the jobs you applied to';
+}
+
+/** Shape a row of SCORED as a recommendation, given the preferences it was
+ * scored against. */
+
+function toRecommendation(row, prefs) {
+	const { id, title, company_handle, company_name, score } = row;
+	return {
+		job: { id, title, company_handle, company_name },
+		score,
+		breakdown: {
+			skills: {
+				score: row.skills_score,
+				max: WEIGHTS.skills,
+				matched: [ ...row.matched_required, ...row.matched_nice ],
+				missing: [ ...row.missing_required, ...row.missing_nice ],
+				reason: skillsReason(row)
+			},
+			salary: { score: row.salary_score, max: WEIGHTS.salary, reason: salaryReason(row, prefs) },
+			location: { score: row.location_score, max: WEIGHTS.location, reason: locationReason(row, prefs) },
+			history: { score: row.history_score, max: WEIGHTS.history, reason: historyReason(row) }
+		}
+	};
+}
+
+/** Related functions for recommending jobs to users.
+ *
+ * Each listed job the user hasn't applied to is scored out of 100 against
+ * their skills, their preferences (see JobPreference) and the jobs they've
+ * applied to, as set out in WEIGHTS. Scores depend only on those, so the same
+ * data always gives the same recommendations, and each comes with a breakdown
+ * of its score.
+ */
+
+class Recommendation {
+	/** Find jobs to recommend to a user, best first; ties go to the newest.
+   *
+   * Returns { recommendations, total, next, prev }
+   *   where recommendations is [{ job, score, breakdown }, ...]
+   *   where job is { id, title, company_handle, company_name }
+   *   and breakdown is { skills, salary, location, history }, each
+   *   { score, max, reason }, and skills also has matched and missing, the
+   *   job's skill slugs the user has and doesn't
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+	static async findForUser(username, { limit, offset, cursor } = {}) {
+		const page = getPage({ limit, offset, cursor });
+		const prefs = await JobPreference.get(username);
+		const values = [
+			username,
+			prefs.desiredSalary,
+			prefs.salaryCurrency,
+			prefs.country,
+			prefs.latitude,
+			prefs.longitude,
+			prefs.radiusKm,
+			prefs.remoteOk
+		];
+		const pageSql = sqlForPage(page, RECOMMENDATION_ORDER, { startIdx: values.length + 1 });
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM (${SCORED}) AS scored`, values);
+
+		const result = await db.query(
+			`SELECT *, ${pageSql.cursorColumn}
+           FROM (${SCORED}) AS scored
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
+		);
+
+		const { rows, ...info } = pageOf(page, RECOMMENDATION_ORDER, result.rows, countRes.rows[0].total);
+		return { recommendations: rows.map((row) => toRecommendation(row, prefs)), ...info };
+	}
+}
+
+module.exports = Recommendation;
@@ -0,0 +1,140 @@
+'use strict';
+
+const db = require('../db.js');
+const { NotFoundError } = require('../expressError');
+const Recommendation = require('./recommendation.js');
+const JobPreference = require('./jobPreference.js');
+const Skill = require('./skill.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** u1 has applied to the first job, which needs node and would like sql. */
+
+/************************************** findForUser */
+
+describe('findForUser', function() {
+	test('works: only history to go on', async function() {
+		const { recommendations, total } = await Recommendation.findForUser('u1');
+		expect(total).toEqual(1);
+		expect(recommendations).toEqual([
+			{
+				job: { id: testJobIds[1], title: 'title2', company_handle: 'c2', company_name: 'C2' },
+				score: 5,
+				breakdown: {
+					skills: { score: 0, max: 50, matched: [], missing: [ 'sql' ], reason: 'You have 0 of 1 required skills' },
+					salary: { score: 0, max: 20, reason: 'You have no desired salary' },
+					location: { score: 0, max: 20, reason: 'You have no location preference' },
+					history: { score: 5, max: 10, reason: 'It asks for sql, like jobs you applied to' }
+				}
+			}
+		]);
+	});
+
+	test('works: skills, salary and location', async function() {
+		await Skill.setForUser('u1', [ { skill: 'sql', proficiency: 'expert' } ]);
+		await JobPreference.set('u1', { desiredSalary: 250000, country: 'US' });
+		await db.query(`UPDATE jobs SET country = 'US' WHERE id = $1`, [ testJobIds[2] ]);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		expect(recommendations.map((r) => [ r.job.id, r.score ])).toEqual([ [ testJobIds[1], 55 ], [ testJobIds[2], 40 ] ]);
+		expect(recommendations[0].breakdown.skills).toEqual({
+			score: 50,
+			max: 50,
+			matched: [ 'sql' ],
+			missing: [],
+			reason: 'You have 1 of 1 required skills'
+		});
+		expect(recommendations[0].breakdown.salary).toEqual({
+			score: 0,
+			max: 20,
+			reason: 'Pays up to 200000 USD a year, less than the 250000 you want'
+		});
+		expect(recommendations[1].breakdown).toEqual({
+			skills: { score: 0, max: 50, matched: [], missing: [], reason: 'The job lists no skills' },
+			salary: { score: 20, max: 20, reason: 'Pays up to 300000 USD a year, at least the 250000 you want' },
+			location: { score: 20, max: 20, reason: 'In US' },
+			history: { score: 0, max: 10, reason: 'Nothing like the jobs you applied to' }
+		});
+	});
+
+	test('works: required skills count double', async function() {
+		await Skill.setForJob(testJobIds[2], [ { skill: 'node' }, { skill: 'sql', required: false } ]);
+		await Skill.setForUser('u1', [ { skill: 'sql', proficiency: 'beginner' } ]);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		const { skills } = recommendations.find((r) => r.job.id === testJobIds[2]).breakdown;
+		expect(skills).toEqual({
+			score: 17,
+			max: 50,
+			matched: [ 'sql' ],
+			missing: [ 'node' ],
+			reason: 'You have 0 of 1 required and 1 of 1 nice-to-have skills'
+		});
+	});
+
+	test('works: near and remote', async function() {
+		await JobPreference.set('u1', { latitude: 52.52, longitude: 13.405, radiusKm: 10 });
+		await db.query(`UPDATE jobs SET latitude = 52.5, longitude = 13.4 WHERE id = $1`, [ testJobIds[1] ]);
+		await db.query(`UPDATE jobs SET remote_policy = 'remote' WHERE id = $1`, [ testJobIds[2] ]);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		expect(recommendations.map((r) => [ r.job.id, r.breakdown.location ])).toEqual([
+			[ testJobIds[1], { score: 20, max: 20, reason: '2 km from you' } ],
+			[ testJobIds[2], { score: 20, max: 20, reason: 'Remote, open anywhere' } ]
+		]);
+
+		await JobPreference.set('u1', { remoteOk: false });
+		const { recommendations: [ onlyHistory ] } = await Recommendation.findForUser('u1');
+		expect(onlyHistory.breakdown.location).toEqual({ score: 0, max: 20, reason: 'You have no location preference' });
+	});
+
+	test('works: location with default preferences', async function() {
+		await JobPreference.set('u1', {});
+		await db.query(`UPDATE jobs SET remote_policy = 'remote' WHERE id = $1`, [ testJobIds[2] ]);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		expect(recommendations.map((r) => [ r.job.id, r.breakdown.location ])).toEqual([
+			[ testJobIds[2], { score: 20, max: 20, reason: 'Remote, open anywhere' } ],
+			[ testJobIds[1], { score: 0, max: 20, reason: 'You have no location preference' } ]
+		]);
+	});
+
+	test('works: other jobs at a company applied to', async function() {
+		const newJob = await db.query(
+			`INSERT INTO jobs (title, company_handle) VALUES ('title4', 'c1') RETURNING id`
+		);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		const { history } = recommendations.find((r) => r.job.id === newJob.rows[0].id).breakdown;
+		expect(history).toEqual({ score: 5, max: 10, reason: 'You applied to other jobs at C1' });
+	});
+
+	test('leaves out jobs applied to, and unlisted jobs', async function() {
+		await Skill.setForUser('u1', [ { skill: 'node', proficiency: 'expert' } ]);
+		await db.query(`UPDATE jobs SET status = 'paused' WHERE id = $1`, [ testJobIds[1] ]);
+
+		const { recommendations } = await Recommendation.findForUser('u1');
+		expect(recommendations).toEqual([]);
+	});
+
+	test('is deterministic, and paginated', async function() {
+		await JobPreference.set('u1', { country: 'US' });
+		await db.query(`UPDATE jobs SET country = 'US'`);
+
+		const all = await Recommendation.findForUser('u1');
+		expect(await Recommendation.findForUser('u1')).toEqual(all);
+
+		const first = await Recommendation.findForUser('u1', { limit: 1 });
+		expect(first.recommendations).toEqual(all.recommendations.slice(0, 1));
+		const second = await Recommendation.findForUser('u1', { limit: 1, cursor: first.next });
+		expect(second.recommendations).toEqual(all.recommendations.slice(1, 2));
+	});
+
+	test('not found if no such user', async function() {
+		await expect(Recommendation.findForUser('nope')).rejects.toThrow(NotFoundError);
+	});
+});
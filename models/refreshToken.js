@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('../db');
+const { UnauthorizedError } = require('../expressError');
+const { generateToken, hashToken } = require('../helpers/tokens');
+const { REFRESH_TOKEN_TTL } = require('../config');
+
+/** Related functions for refresh tokens.
+ *
+ * Only a hash of each token is stored. Every refresh token belongs to a family:
+ * the first is issued at login, and each rotation replaces it with a new one in
+ * the same family. A rotated token can't be used again; if it is, it was
+ * probably stolen, so the whole family is revoked.
+ */
+
+class RefreshToken {
+	/** Issue a new refresh token for a user, starting a new family unless
+   * familyId is given.
+   *
+   * Returns the token; it can't be recovered later.
+   **/
+
+	static async create(username, familyId = crypto.randomUUID()) {
+		const token = generateToken();
+
+		await db.query(
+			`INSERT INTO refresh_tokens (token_hash, username, family_id, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')`,
+			[ hashToken(token), username, familyId, REFRESH_TOKEN_TTL ]
+		);
+
+		return token;
+	}
+
+	/** Exchange a refresh token for a new one in the same family.
+   *
+   * Returns { user, refreshToken }
+   *   where user is { username, isAdmin, tokenVersion, twoFactorEnabled }, for a
+   *   new access token
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked. If
+   * the token was already rotated, its whole family is revoked too.
+   **/
+
+	static async rotate(token) {
+		const tokenHash = hashToken(token);
+		const newToken = generateToken();
+
+		// mark the old token used and issue its replacement in one statement, so
+		// two requests racing with the same token can't both succeed
+		const result = await db.query(
+			`WITH used AS (
+             UPDATE refresh_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND revoked_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username, family_id),
+           issued AS (
+             INSERT INTO refresh_tokens (token_hash, username, family_id, expires_at)
+             SELECT $2, username, family_id, NOW() + $3 * INTERVAL '1 second'
+             FROM used
+             RETURNING username)
+           SELECT u.username,
+                  u.is_admin AS "isAdmin",
+                  u.token_version AS "tokenVersion",
+                  u.totp_enabled AS "twoFactorEnabled"
+           FROM issued
+             JOIN users AS u ON u.username = issued.username`,
+			[ tokenHash, hashToken(newToken), REFRESH_TOKEN_TTL ]
+		);
+
+		if (result.rows[0]) return { user: result.rows[0], refreshToken: newToken };
+
+		const oldRes = await db.query(
+			`SELECT family_id AS "familyId", used_at AS "usedAt"
+           FROM refresh_tokens
+           WHERE token_hash = $1`,
+			[ tokenHash ]
+		);
+		const old = oldRes.rows[0];
+
+		if (old && old.usedAt) {
+			await RefreshToken.revokeFamily(old.familyId);
+			throw new UnauthorizedError('Refresh token reused; please log in again');
+		}
+
+		throw new UnauthorizedError('Invalid refresh token');
+	}
+
+	/** Revoke a user's refresh token, and every token in its family; returns
+   * undefined. Unknown tokens, and other users' tokens, are ignored.
+   **/
+
+	static async revoke(username, token) {
+		await db.query(
+			`UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE revoked_at IS NULL
+             AND family_id = (SELECT family_id
+                              FROM refresh_tokens
+                              WHERE token_hash = $1 AND username = $2)`,
+			[ hashToken(token), username ]
+		);
+	}
+
+	/** Revoke every token in a family; returns undefined. */
+
+	static async revokeFamily(familyId) {
+		await db.query(
+			`UPDATE refresh_tokens
+           SET revoked_at = NOW()
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+			[ familyId ]
+		);
+	}
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,82 @@
+'use strict';
+
+const db = require('../db.js');
+const { UnauthorizedError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+const RefreshToken = require('./refreshToken.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe('create', function() {
+	test('works', async function() {
+		const token = await RefreshToken.create('u1');
+		const result = await db.query(`SELECT username, token_hash, expires_at FROM refresh_tokens`);
+		expect(result.rows).toEqual([ { username: 'u1', token_hash: hashToken(token), expires_at: expect.any(Date) } ]);
+		expect(result.rows[0].expires_at > new Date()).toBeTruthy();
+	});
+});
+
+/************************************** rotate */
+
+describe('rotate', function() {
+	test('works', async function() {
+		const token = await RefreshToken.create('u1');
+		const result = await RefreshToken.rotate(token);
+		expect(result).toEqual({
+			user: { username: 'u1', isAdmin: false, tokenVersion: 0, twoFactorEnabled: false },
+			refreshToken: expect.any(String)
+		});
+		expect(result.refreshToken).not.toEqual(token);
+
+		const rotated = await RefreshToken.rotate(result.refreshToken);
+		expect(rotated.user.username).toEqual('u1');
+	});
+
+	test('revokes the family on reuse', async function() {
+		expect.assertions(3);
+		const token = await RefreshToken.create('u1');
+		const otherToken = await RefreshToken.create('u1');
+		const { refreshToken } = await RefreshToken.rotate(token);
+
+		try {
+			await RefreshToken.rotate(token);
+		} catch (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		}
+		try {
+			await RefreshToken.rotate(refreshToken);
+		} catch (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		}
+
+		// other logins are left alone
+		const result = await RefreshToken.rotate(otherToken);
+		expect(result.user.username).toEqual('u1');
+	});
+
+	test('unauth if expired', async function() {
+		expect.assertions(1);
+		const token = await RefreshToken.create('u1');
+		await db.query(`UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 day'`);
+		try {
+			await RefreshToken.rotate(token);
+		} catch (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		}
+	});
+
+	test('unauth if unknown', async function() {
+		expect.assertions(1);
+		try {
+			await RefreshToken.rotate('nope');
+		} catch (err) {
+			expect(err instanceof UnauthorizedError).toBeTruthy();
+		}
+	});
+});
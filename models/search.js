@@ -0,0 +1,113 @@
+'use strict';
+
+const db = require('../db');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+
+/** What can be searched for. */
+
+const SEARCH_TYPES = [ 'company', 'job' ];
+
+/** ts_headline options for snippets: matches are wrapped in <mark>, in up to
+ * two fragments of the text. */
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MinWords=15, MaxWords=35, MaxFragments=2';
+
+/** The search query $1, parsed as by websearch_to_tsquery. */
+
+const QUERY = `websearch_to_tsquery('english', $1)`;
+
+/** Companies and jobs matching QUERY, among the types $2 and with unlisted jobs
+ * only at the companies $3 (or anywhere, if $3 is null).
+ *
+ * Each is { type, handle, id, name, title, rank, snippet }, where handle and
+ * name are the company's and id and title are null for companies. */
+
+const MATCHES = `
+    SELECT 'company' AS type,
+           c.handle,
+           NULL::integer AS id,
+           c.name,
+           NULL AS title,
+           ts_rank(c.search_vector, ${QUERY}) AS rank,
+           ts_headline('english', html_escape(c.description), ${QUERY}, '${HEADLINE_OPTIONS}') AS snippet
+    FROM companies AS c
+    WHERE 'company' = ANY($2) AND c.deleted_at IS NULL AND c.search_vector @@ ${QUERY}
+    UNION ALL
+    SELECT 'job',
+           c.handle,
+           j.id,
+           c.name,
+           j.title,
+           ts_rank(j.search_vector, ${QUERY}),
+           ts_headline('english', html_escape(j.title), ${QUERY}, '${HEADLINE_OPTIONS}')
+    FROM jobs AS j
+      JOIN companies AS c ON c.handle = j.company_handle
+    WHERE 'job' = ANY($2)
+      AND j.deleted_at IS NULL
+      AND ($3::text[] IS NULL OR job_is_listed(j) OR j.company_handle = ANY($3))
+      AND j.search_vector @@ ${QUERY}`;
+
+/** The order of Search.find, on columns of MATCHES: best match first (see
+ * sqlForPage). */
+
+const SEARCH_ORDER = [
+	{ col: 'rank', desc: true },
+	{ col: 'type', desc: false },
+	{ col: 'handle', desc: false },
+	{ col: 'id', desc: false }
+];
+
+/** Shape a row of MATCHES as a company or a job. */
+
+function toResult({ type, handle, id, name, title, rank, snippet }) {
+	return type === 'company'
+		? { type, handle, name, rank, snippet }
+		: { type, id, title, company_handle: handle, company_name: name, rank, snippet };
+}
+
+/** Full-text search across companies (by name and description) and jobs (by
+ * title).
+ *
+ * Words are stemmed, so "engineering" finds "engineers". Company names count
+ * for more than their descriptions.
+ */
+
+class Search {
+	/** Find companies and jobs matching q, best match first.
+   *
+   * q is as typed into a search engine: words (all must match), "quoted
+   * phrases", "or" between alternatives and "-" before words to leave out.
+   * type, if given, is company or job, to find only those.
+   *
+   * Like Job.findAll, unlisted jobs are only found with visibility
+   * { all: true } or at { companies: [handle, ...] }.
+   *
+   * Returns { results, total, next, prev }
+   *   where results is [{ type: 'company', handle, name, rank, snippet }
+   *                     or { type: 'job', id, title, company_handle, company_name, rank, snippet }, ...]
+   *   and snippet is HTML-escaped text with the matches in <mark>: a
+   *   company's description or a job's title
+   **/
+
+	static async find({ q, type, limit, offset, cursor } = {}, { all = false, companies = [] } = {}) {
+		const page = getPage({ limit, offset, cursor });
+		const pageSql = sqlForPage(page, SEARCH_ORDER, { startIdx: 4 });
+		const values = [ q, type ? [ type ] : SEARCH_TYPES, all ? null : companies ];
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM (${MATCHES}) AS m`, values);
+
+		const result = await db.query(
+			`SELECT *, ${pageSql.cursorColumn}
+           FROM (${MATCHES}) AS m
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			[ ...values, ...pageSql.values ]
+		);
+
+		const { rows, ...info } = pageOf(page, SEARCH_ORDER, result.rows, countRes.rows[0].total);
+		return { results: rows.map(toResult), ...info };
+	}
+}
+
+module.exports = Search;
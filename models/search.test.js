@@ -0,0 +1,100 @@
+'use strict';
+
+const db = require('../db.js');
+const Search = require('./search.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function() {
+	await db.query(`
+        INSERT INTO companies (handle, name, num_employees, description)
+        VALUES ('acme', 'Acme Engineering', 10, 'We build bridges & <b>roads</b>.'),
+               ('bolt', 'Bolt', 20, 'A software engineering consultancy.')`);
+	await db.query(`UPDATE jobs SET title = 'Senior Software Engineer' WHERE id = $1`, [ testJobIds[0] ]);
+	await db.query(`UPDATE jobs SET title = 'Engineer, Software Tools' WHERE id = $1`, [ testJobIds[1] ]);
+});
+
+/************************************** find */
+
+describe('find', function() {
+	test('works: stemmed, best match first', async function() {
+		const { results, total } = await Search.find({ q: 'engineers' });
+		expect(total).toEqual(4);
+		expect(results.map((r) => r.handle || r.id)).toEqual([ 'acme', testJobIds[0], testJobIds[1], 'bolt' ]);
+		expect(results[0]).toEqual({
+			type: 'company',
+			handle: 'acme',
+			name: 'Acme Engineering',
+			rank: expect.any(Number),
+			snippet: 'We build bridges &amp; &lt;b&gt;roads&lt;/b&gt;.'
+		});
+		expect(results[1]).toEqual({
+			type: 'job',
+			id: testJobIds[0],
+			title: 'Senior Software Engineer',
+			company_handle: 'c1',
+			company_name: 'C1',
+			rank: expect.any(Number),
+			snippet: 'Senior Software <mark>Engineer</mark>'
+		});
+		expect(results[3].snippet).toEqual('software <mark>engineering</mark> consultancy');
+		expect(results[0].rank).toBeGreaterThan(results[3].rank);
+	});
+
+	test('works: phrases, or and leaving words out', async function() {
+		let { results } = await Search.find({ q: '"software engineer"' });
+		expect(results.map((r) => r.handle || r.id)).toEqual([ testJobIds[0], 'bolt' ]);
+
+		// a job's title outranks a company's description
+		({ results } = await Search.find({ q: 'bridges or tools' }));
+		expect(results.map((r) => r.handle || r.id)).toEqual([ testJobIds[1], 'acme' ]);
+
+		({ results } = await Search.find({ q: 'software -senior' }));
+		expect(results.map((r) => r.handle || r.id)).toEqual(expect.arrayContaining([ testJobIds[1], 'bolt' ]));
+		expect(results.length).toEqual(2);
+	});
+
+	test('works: type', async function() {
+		const { results } = await Search.find({ q: 'engineer', type: 'company' });
+		expect(results.map((r) => r.handle)).toEqual([ 'acme', 'bolt' ]);
+	});
+
+	test('works: no matches, or only stop words', async function() {
+		expect((await Search.find({ q: 'plumber' })).results).toEqual([]);
+		expect((await Search.find({ q: 'the' })).results).toEqual([]);
+	});
+
+	test('works: paginated', async function() {
+		const first = await Search.find({ q: 'engineer', limit: 3 });
+		expect(first.results.length).toEqual(3);
+		expect(first.next).not.toBeNull();
+
+		const second = await Search.find({ q: 'engineer', limit: 3, cursor: first.next });
+		expect(second.results.map((r) => r.handle)).toEqual([ 'bolt' ]);
+	});
+
+	test('leaves out deleted companies and jobs', async function() {
+		await db.query(`UPDATE companies SET deleted_at = NOW() WHERE handle = 'acme'`);
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [ testJobIds[0] ]);
+
+		const { results } = await Search.find({ q: 'engineer' });
+		expect(results.map((r) => r.handle || r.id)).toEqual([ testJobIds[1], 'bolt' ]);
+	});
+
+	test('finds unlisted jobs only with visibility', async function() {
+		await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [ testJobIds[0] ]);
+
+		let { results } = await Search.find({ q: 'senior' });
+		expect(results).toEqual([]);
+
+		({ results } = await Search.find({ q: 'senior' }, { companies: [ 'c1' ] }));
+		expect(results.map((r) => r.id)).toEqual([ testJobIds[0] ]);
+
+		({ results } = await Search.find({ q: 'senior' }, { all: true }));
+		expect(results.map((r) => r.id)).toEqual([ testJobIds[0] ]);
+	});
+});
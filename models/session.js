@@ -0,0 +1,64 @@
+'use strict';
+
+const db = require('../db');
+
+/** Related functions for revoking access tokens before they expire.
+ *
+ * Each token carries its user's token version (ver) and a unique id (jti). A
+ * token is revoked if the user's token version has moved on since it was
+ * issued, which revokes all of their tokens at once, or if its jti is on the
+ * denylist, which revokes just that one.
+ */
+
+class Session {
+	/** Given a token payload, is the token still good?
+   *
+   * False if it has been revoked or its user no longer exists or is deleted.
+   **/
+
+	static async isActive({ username, ver = 0, jti }) {
+		const result = await db.query(
+			`SELECT token_version = $2
+                    AND NOT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $3) AS "active"
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+			[ username, ver, jti || null ]
+		);
+
+		return Boolean(result.rows[0] && result.rows[0].active);
+	}
+
+	/** Revoke a single token, given its jti and exp (in seconds since the
+   * epoch) from the payload; returns undefined.
+   *
+   * Denylist entries are only needed until the token would have expired
+   * anyway, so expired entries are cleared out at the same time.
+   **/
+
+	static async revoke({ jti, exp }) {
+		await db.query(`DELETE FROM revoked_tokens WHERE expires_at < NOW()`);
+		await db.query(
+			`INSERT INTO revoked_tokens (jti, expires_at)
+           VALUES ($1, to_timestamp($2))
+           ON CONFLICT DO NOTHING`,
+			[ jti, exp ]
+		);
+	}
+
+	/** Revoke every access and refresh token a user has; returns undefined. */
+
+	static async revokeAll(username) {
+		await db.query(
+			`WITH refresh AS (
+             UPDATE refresh_tokens
+             SET revoked_at = NOW()
+             WHERE username = $1 AND revoked_at IS NULL)
+           UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1`,
+			[ username ]
+		);
+	}
+}
+
+module.exports = Session;
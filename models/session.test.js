@@ -0,0 +1,65 @@
+'use strict';
+
+const db = require('../db.js');
+const Session = require('./session.js');
+const RefreshToken = require('./refreshToken.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const inAnHour = Math.floor(Date.now() / 1000) + 60 * 60;
+
+/************************************** isActive */
+
+describe('isActive', function() {
+	test('works', async function() {
+		expect(await Session.isActive({ username: 'u1', ver: 0, jti: 'a' })).toBeTruthy();
+		expect(await Session.isActive({ username: 'u1' })).toBeTruthy();
+	});
+
+	test('false for an old token version', async function() {
+		expect(await Session.isActive({ username: 'u1', ver: 1, jti: 'a' })).toBeFalsy();
+	});
+
+	test('false if no such user', async function() {
+		expect(await Session.isActive({ username: 'nope', ver: 0, jti: 'a' })).toBeFalsy();
+	});
+});
+
+/************************************** revoke */
+
+describe('revoke', function() {
+	test('works', async function() {
+		await Session.revoke({ jti: 'a', exp: inAnHour });
+		expect(await Session.isActive({ username: 'u1', ver: 0, jti: 'a' })).toBeFalsy();
+		expect(await Session.isActive({ username: 'u1', ver: 0, jti: 'b' })).toBeTruthy();
+	});
+
+	test('clears out expired entries', async function() {
+		await Session.revoke({ jti: 'old', exp: Math.floor(Date.now() / 1000) - 60 });
+		await Session.revoke({ jti: 'a', exp: inAnHour });
+		const result = await db.query(`SELECT jti FROM revoked_tokens`);
+		expect(result.rows).toEqual([ { jti: 'a' } ]);
+	});
+});
+
+/************************************** revokeAll */
+
+describe('revokeAll', function() {
+	test('works', async function() {
+		const refreshToken = await RefreshToken.create('u1');
+		await Session.revokeAll('u1');
+
+		expect(await Session.isActive({ username: 'u1', ver: 0, jti: 'a' })).toBeFalsy();
+		expect(await Session.isActive({ username: 'u1', ver: 1, jti: 'a' })).toBeTruthy();
+		await expect(RefreshToken.rotate(refreshToken)).rejects.toThrow('Invalid refresh token');
+	});
+
+	test('leaves other users alone', async function() {
+		await Session.revokeAll('u1');
+		expect(await Session.isActive({ username: 'u2', ver: 0, jti: 'a' })).toBeTruthy();
+	});
+});
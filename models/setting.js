@@ -0,0 +1,66 @@
+'use strict';
+
+const db = require('../db');
+const AuditLog = require('./auditLog');
+
+/** Site-wide settings admins can change while the app runs, with their
+ * defaults:
+ *   - requireAdmin2fa: admins must use two-factor authentication to act as admins
+ */
+
+const DEFAULTS = {
+	requireAdmin2fa: false
+};
+
+/** Related functions for site-wide settings. */
+
+class Setting {
+	/** Return all settings: { requireAdmin2fa } */
+
+	static async getAll() {
+		const result = await db.query(`SELECT key, value FROM settings`);
+		const settings = { ...DEFAULTS };
+		for (const { key, value } of result.rows) {
+			if (key in DEFAULTS) settings[key] = value;
+		}
+		return settings;
+	}
+
+	/** Return the value of one setting. */
+
+	static async get(key) {
+		const settings = await Setting.getAll();
+		return settings[key];
+	}
+
+	/** Change settings with data, e.g. { requireAdmin2fa: true }; settings not
+   * in data are left alone.
+   *
+   * Returns all settings, as from Setting.getAll.
+   **/
+
+	static async update(data) {
+		const before = await Setting.getAll();
+
+		for (const [ key, value ] of Object.entries(data)) {
+			await AuditLog.recordChange(
+				`INSERT INTO settings (key, value)
+             VALUES ($1, $2)
+             ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value
+             RETURNING key`,
+				[ key, JSON.stringify(value) ],
+				{
+					action: 'setting.update',
+					targetType: 'setting',
+					targetId: key,
+					before: { value: before[key] },
+					after: { value }
+				}
+			);
+		}
+
+		return Setting.getAll();
+	}
+}
+
+module.exports = Setting;
@@ -0,0 +1,29 @@
+'use strict';
+
+const Setting = require('./setting.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** getAll */
+
+describe('getAll', function() {
+	test('works: defaults', async function() {
+		expect(await Setting.getAll()).toEqual({ requireAdmin2fa: false });
+	});
+});
+
+/************************************** update */
+
+describe('update', function() {
+	test('works', async function() {
+		expect(await Setting.update({ requireAdmin2fa: true })).toEqual({ requireAdmin2fa: true });
+		expect(await Setting.get('requireAdmin2fa')).toEqual(true);
+
+		await Setting.update({ requireAdmin2fa: false });
+		expect(await Setting.get('requireAdmin2fa')).toEqual(false);
+	});
+});
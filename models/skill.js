@@ -0,0 +1,312 @@
+'use strict';
+
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const AuditLog = require('./auditLog');
+
+/** How well a user can know a skill, from least to most. */
+
+const PROFICIENCIES = [ 'beginner', 'intermediate', 'advanced', 'expert' ];
+
+/** Columns returned for a skill, from skills AS s. */
+
+const SKILL_COLUMNS = `s.slug,
+                  s.name,
+                  ARRAY(SELECT alias FROM skill_aliases WHERE skill_slug = s.slug ORDER BY alias) AS aliases`;
+
+/** Skills are named by slug or alias, in any case. */
+
+function normalize(name) {
+	return name.trim().toLowerCase();
+}
+
+/** Throw BadRequestError if any of names is the slug or an alias of a skill
+ * other than exceptSlug. */
+
+async function checkNamesFree(names, exceptSlug = null) {
+	const result = await db.query(
+		`SELECT slug AS name FROM skills WHERE slug = ANY($1) AND slug IS DISTINCT FROM $2
+         UNION
+         SELECT alias FROM skill_aliases WHERE alias = ANY($1) AND skill_slug IS DISTINCT FROM $2
+         ORDER BY name`,
+		[ names, exceptSlug ]
+	);
+
+	if (result.rows.length) {
+		throw new BadRequestError(`Already a skill: ${result.rows.map((r) => r.name).join(', ')}`);
+	}
+}
+
+/** Given skill names (slugs or aliases), return the slug of each, in order.
+ *
+ * Throws BadRequestError if any name isn't a skill.
+ */
+
+async function resolve(names) {
+	const result = await db.query(
+		`SELECT t.name, skill_slug_for(t.name) AS slug
+         FROM unnest($1::text[]) WITH ORDINALITY AS t(name, n)
+         ORDER BY t.n`,
+		[ names.map(normalize) ]
+	);
+
+	const unknown = result.rows.filter((r) => !r.slug).map((r) => r.name);
+	if (unknown.length) throw new BadRequestError(`Unknown skills: ${unknown.join(', ')}`);
+
+	return result.rows.map((r) => r.slug);
+}
+
+/** Related functions for skills: the taxonomy itself, the skills jobs need and
+ * the skills users have.
+ *
+ * Each skill has a slug (e.g. "postgresql"), a display name and any number of
+ * aliases (e.g. "postgres"). Anywhere a skill is named, its slug or an alias
+ * will do, in any case.
+ */
+
+class Skill {
+	/** Create a skill (from data), update db, return new skill data.
+   *
+   * data should be { slug, name, aliases }, where aliases is optional.
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws BadRequestError if the slug or an alias is already some skill's
+   * slug or alias.
+   **/
+
+	static async create({ slug, name, aliases = [] }) {
+		aliases = [ ...new Set(aliases.map(normalize)) ].filter((a) => a !== slug);
+		await checkNamesFree([ slug, ...aliases ]);
+
+		const result = await db.query(
+			`WITH s AS (
+             INSERT INTO skills (slug, name) VALUES ($1, $2) RETURNING slug, name),
+           a AS (
+             INSERT INTO skill_aliases (alias, skill_slug) SELECT unnest($3::text[]), slug FROM s)
+           SELECT slug, name FROM s`,
+			[ slug, name, aliases ]
+		);
+		const skill = { ...result.rows[0], aliases: aliases.sort() };
+
+		await AuditLog.record({ action: 'skill.create', targetType: 'skill', targetId: slug, after: skill });
+
+		return skill;
+	}
+
+	/** Find all skills, by slug.
+   *
+   * Returns [{ slug, name, aliases }, ...]
+   **/
+
+	static async findAll() {
+		const result = await db.query(
+			`SELECT ${SKILL_COLUMNS}
+           FROM skills AS s
+           ORDER BY s.slug`
+		);
+
+		return result.rows;
+	}
+
+	/** Given a skill's slug or alias, return the skill.
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+	static async get(name) {
+		const result = await db.query(
+			`SELECT ${SKILL_COLUMNS}
+           FROM skills AS s
+           WHERE s.slug = skill_slug_for($1)`,
+			[ normalize(name) ]
+		);
+		const skill = result.rows[0];
+
+		if (!skill) throw new NotFoundError(`No skill: ${name}`);
+
+		return skill;
+	}
+
+	/** Update a skill with data, which can include { name, aliases }. aliases,
+   * if given, replaces the skill's aliases.
+   *
+   * Returns { slug, name, aliases }
+   *
+   * Throws NotFoundError if not found, or BadRequestError if an alias is
+   * already another skill's slug or alias.
+   **/
+
+	static async update(slug, { name, aliases }) {
+		const before = await Skill.get(slug);
+		if (before.slug !== slug) throw new NotFoundError(`No skill: ${slug}`);
+
+		if (aliases) {
+			aliases = [ ...new Set(aliases.map(normalize)) ].filter((a) => a !== slug);
+			await checkNamesFree(aliases, slug);
+		}
+
+		await db.query(
+			`WITH s AS (
+             UPDATE skills SET name = COALESCE($2, name) WHERE slug = $1 RETURNING slug),
+           removed AS (
+             DELETE FROM skill_aliases
+             WHERE skill_slug = $1 AND $3::text[] IS NOT NULL AND alias <> ALL($3))
+           INSERT INTO skill_aliases (alias, skill_slug)
+           SELECT unnest($3::text[]), slug FROM s
+           ON CONFLICT (alias) DO NOTHING`,
+			[ slug, name, aliases ]
+		);
+		const skill = await Skill.get(slug);
+
+		await AuditLog.record({ action: 'skill.update', targetType: 'skill', targetId: slug, before, after: skill });
+
+		return skill;
+	}
+
+	/** Delete a skill, and every job's and user's link to it; returns undefined.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+	static async remove(slug) {
+		const before = await Skill.get(slug);
+		if (before.slug !== slug) throw new NotFoundError(`No skill: ${slug}`);
+
+		await db.query(`DELETE FROM skills WHERE slug = $1`, [ slug ]);
+
+		await AuditLog.record({ action: 'skill.delete', targetType: 'skill', targetId: slug, before });
+	}
+
+	/** Find the skills a job needs, required ones first.
+   *
+   * Returns [{ slug, name, required }, ...]
+   **/
+
+	static async findForJob(jobId) {
+		const result = await db.query(
+			`SELECT s.slug, s.name, js.required
+           FROM job_skills AS js
+             JOIN skills AS s ON s.slug = js.skill_slug
+           WHERE js.job_id = $1
+           ORDER BY js.required DESC, s.slug`,
+			[ jobId ]
+		);
+
+		return result.rows;
+	}
+
+	/** Set the skills a job needs, replacing any it had, from
+   * [{ skill, required }, ...], where skill is a slug or alias and required
+   * defaults to true. A skill given twice is required if either says so.
+   *
+   * Returns [{ slug, name, required }, ...], as from Skill.findForJob
+   *
+   * Throws NotFoundError if there's no such job, or BadRequestError if a skill
+   * is unknown.
+   **/
+
+	static async setForJob(jobId, skills) {
+		const jobCheck = await db.query(`SELECT id FROM jobs WHERE id = $1 AND deleted_at IS NULL`, [ jobId ]);
+		if (!jobCheck.rows[0]) throw new NotFoundError(`No job: ${jobId}`);
+
+		const slugs = await resolve(skills.map((s) => s.skill));
+		const required = new Map();
+		skills.forEach(({ required: req = true }, i) => required.set(slugs[i], required.get(slugs[i]) || req));
+
+		const before = await Skill.findForJob(jobId);
+
+		await db.query(
+			`WITH removed AS (
+             DELETE FROM job_skills WHERE job_id = $1 AND skill_slug <> ALL($2))
+           INSERT INTO job_skills (job_id, skill_slug, required)
+           SELECT $1, t.slug, t.required
+           FROM unnest($2::text[], $3::boolean[]) AS t(slug, required)
+           ON CONFLICT (job_id, skill_slug) DO UPDATE SET required = EXCLUDED.required`,
+			[ jobId, [ ...required.keys() ], [ ...required.values() ] ]
+		);
+		const after = await Skill.findForJob(jobId);
+
+		await AuditLog.record({
+			action: 'job.update',
+			targetType: 'job',
+			targetId: jobId,
+			before: { skills: before },
+			after: { skills: after }
+		});
+
+		return after;
+	}
+
+	/** Find the skills a user has, most proficient first.
+   *
+   * Returns [{ slug, name, proficiency }, ...]
+   **/
+
+	static async findForUser(username) {
+		const result = await db.query(
+			`SELECT s.slug, s.name, us.proficiency
+           FROM user_skills AS us
+             JOIN skills AS s ON s.slug = us.skill_slug
+           WHERE us.username = $1
+           ORDER BY array_position($2::text[], us.proficiency) DESC, s.slug`,
+			[ username, PROFICIENCIES ]
+		);
+
+		return result.rows;
+	}
+
+	/** Set the skills a user has, replacing any they had, from
+   * [{ skill, proficiency }, ...], where skill is a slug or alias and
+   * proficiency is one of PROFICIENCIES. A skill given twice gets the higher
+   * proficiency.
+   *
+   * Returns [{ slug, name, proficiency }, ...], as from Skill.findForUser
+   *
+   * Throws NotFoundError if there's no such user, or BadRequestError if a
+   * skill is unknown.
+   **/
+
+	static async setForUser(username, skills) {
+		const userCheck = await db.query(`SELECT username FROM users WHERE username = $1 AND deleted_at IS NULL`, [
+			username
+		]);
+		if (!userCheck.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+		const slugs = await resolve(skills.map((s) => s.skill));
+		const level = new Map();
+		skills.forEach(({ proficiency }, i) => {
+			const known = level.get(slugs[i]);
+			if (!known || PROFICIENCIES.indexOf(proficiency) > PROFICIENCIES.indexOf(known)) {
+				level.set(slugs[i], proficiency);
+			}
+		});
+
+		const before = await Skill.findForUser(username);
+
+		await db.query(
+			`WITH removed AS (
+             DELETE FROM user_skills WHERE username = $1 AND skill_slug <> ALL($2))
+           INSERT INTO user_skills (username, skill_slug, proficiency)
+           SELECT $1, t.slug, t.proficiency
+           FROM unnest($2::text[], $3::text[]) AS t(slug, proficiency)
+           ON CONFLICT (username, skill_slug) DO UPDATE SET proficiency = EXCLUDED.proficiency`,
+			[ username, [ ...level.keys() ], [ ...level.values() ] ]
+		);
+		const after = await Skill.findForUser(username);
+
+		await AuditLog.record({
+			action: 'user.update',
+			targetType: 'user',
+			targetId: username,
+			before: { skills: before },
+			after: { skills: after }
+		});
+
+		return after;
+	}
+}
+
+module.exports = Skill;
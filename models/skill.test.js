@@ -0,0 +1,156 @@
+'use strict';
+
+const { BadRequestError, NotFoundError } = require('../expressError');
+const db = require('../db.js');
+const Skill = require('./skill.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, testJobIds } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe('create', function() {
+	test('works', async function() {
+		const skill = await Skill.create({ slug: 'c++', name: 'C++', aliases: [ 'CPP', 'cplusplus', 'cpp', 'c++' ] });
+		expect(skill).toEqual({ slug: 'c++', name: 'C++', aliases: [ 'cplusplus', 'cpp' ] });
+		expect(await Skill.get('Cpp')).toEqual(skill);
+	});
+
+	test('bad request if slug or an alias is taken', async function() {
+		await expect(Skill.create({ slug: 'node', name: 'Node' })).rejects.toThrow(BadRequestError);
+		await expect(Skill.create({ slug: 'js', name: 'JS', aliases: [ 'nodejs' ] })).rejects.toThrow(
+			'Already a skill: nodejs'
+		);
+	});
+});
+
+/************************************** findAll */
+
+describe('findAll', function() {
+	test('works', async function() {
+		expect(await Skill.findAll()).toEqual([
+			{ slug: 'node', name: 'Node.js', aliases: [ 'nodejs' ] },
+			{ slug: 'sql', name: 'SQL', aliases: [] }
+		]);
+	});
+});
+
+/************************************** get */
+
+describe('get', function() {
+	test('works by slug or alias', async function() {
+		const node = { slug: 'node', name: 'Node.js', aliases: [ 'nodejs' ] };
+		expect(await Skill.get('node')).toEqual(node);
+		expect(await Skill.get('NodeJS')).toEqual(node);
+	});
+
+	test('not found if no such skill', async function() {
+		await expect(Skill.get('nope')).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** update */
+
+describe('update', function() {
+	test('works', async function() {
+		const skill = await Skill.update('node', { name: 'Node', aliases: [ 'node.js', 'nodejs' ] });
+		expect(skill).toEqual({ slug: 'node', name: 'Node', aliases: [ 'node.js', 'nodejs' ] });
+	});
+
+	test('works: clears aliases', async function() {
+		const skill = await Skill.update('node', { aliases: [] });
+		expect(skill).toEqual({ slug: 'node', name: 'Node.js', aliases: [] });
+	});
+
+	test('not found by alias', async function() {
+		await expect(Skill.update('nodejs', { name: 'Node' })).rejects.toThrow(NotFoundError);
+	});
+
+	test("bad request if an alias is another skill's", async function() {
+		await expect(Skill.update('sql', { aliases: [ 'nodejs' ] })).rejects.toThrow(BadRequestError);
+	});
+});
+
+/************************************** remove */
+
+describe('remove', function() {
+	test('works, unlinking jobs', async function() {
+		await Skill.remove('sql');
+		await expect(Skill.get('sql')).rejects.toThrow(NotFoundError);
+		expect(await Skill.findForJob(testJobIds[1])).toEqual([]);
+	});
+
+	test('not found if no such skill', async function() {
+		await expect(Skill.remove('nope')).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** findForJob */
+
+describe('findForJob', function() {
+	test('works: required first', async function() {
+		expect(await Skill.findForJob(testJobIds[0])).toEqual([
+			{ slug: 'node', name: 'Node.js', required: true },
+			{ slug: 'sql', name: 'SQL', required: false }
+		]);
+	});
+});
+
+/************************************** setForJob */
+
+describe('setForJob', function() {
+	test('works: replaces skills, required winning', async function() {
+		const skills = await Skill.setForJob(testJobIds[0], [
+			{ skill: 'sql', required: false },
+			{ skill: 'SQL' },
+			{ skill: 'nodejs', required: false }
+		]);
+		expect(skills).toEqual([
+			{ slug: 'sql', name: 'SQL', required: true },
+			{ slug: 'node', name: 'Node.js', required: false }
+		]);
+	});
+
+	test('bad request with unknown skills', async function() {
+		await expect(Skill.setForJob(testJobIds[0], [ { skill: 'cobol' }, { skill: 'node' } ])).rejects.toThrow(
+			'Unknown skills: cobol'
+		);
+	});
+
+	test('not found if no such job', async function() {
+		await expect(Skill.setForJob(0, [])).rejects.toThrow(NotFoundError);
+	});
+
+	test('not found if job deleted', async function() {
+		await db.query(`UPDATE jobs SET deleted_at = NOW() WHERE id = $1`, [ testJobIds[0] ]);
+		await expect(Skill.setForJob(testJobIds[0], [])).rejects.toThrow(NotFoundError);
+	});
+});
+
+/************************************** findForUser, setForUser */
+
+describe('setForUser', function() {
+	test('works: most proficient first, highest winning', async function() {
+		const skills = await Skill.setForUser('u1', [
+			{ skill: 'sql', proficiency: 'intermediate' },
+			{ skill: 'node', proficiency: 'expert' },
+			{ skill: 'sql', proficiency: 'beginner' }
+		]);
+		expect(skills).toEqual([
+			{ slug: 'node', name: 'Node.js', proficiency: 'expert' },
+			{ slug: 'sql', name: 'SQL', proficiency: 'intermediate' }
+		]);
+		expect(await Skill.findForUser('u1')).toEqual(skills);
+
+		expect(await Skill.setForUser('u1', [ { skill: 'sql', proficiency: 'advanced' } ])).toEqual([
+			{ slug: 'sql', name: 'SQL', proficiency: 'advanced' }
+		]);
+	});
+
+	test('not found if no such user', async function() {
+		await expect(Skill.setForUser('nope', [])).rejects.toThrow(NotFoundError);
+	});
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const crypto = require('crypto');
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+const { generateSecret, verifyCode, otpauthUri } = require('../helpers/totp');
+
+/** How many recovery codes a user gets when they turn on two-factor auth. */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** Random bytes in each recovery code. Codes are stored as unsalted hashes
+ * (see hashToken), so they need enough entropy (80 bits) that a leaked hash
+ * can't be brute-forced. */
+
+const RECOVERY_CODE_BYTES = 10;
+
+/** Random recovery code, as hex in groups of five: "1a2b3-c4d5e-6f708-192a3". */
+
+function generateRecoveryCode() {
+	const hex = crypto.randomBytes(RECOVERY_CODE_BYTES).toString('hex');
+	return hex.match(/.{5}/g).join('-');
+}
+
+/** Compare recovery codes ignoring case, spaces and dashes, so
+ * "1A2B3 C4D5E 6F708 192A3" works too. */
+
+function normalizeRecoveryCode(code) {
+	return code.replace(/[\s-]+/g, '').toLowerCase();
+}
+
+/** Related functions for TOTP two-factor authentication.
+ *
+ * Turning it on takes two steps: enroll stores a new secret, and confirm
+ * checks the user's authenticator app has it, turns it on and issues recovery
+ * codes. Each code, TOTP or recovery, works only once.
+ */
+
+class TwoFactor {
+	/** Start turning on two-factor auth for a user with a new secret.
+   *
+   * Returns { secret, otpauthUri } for the user's authenticator app.
+   *
+   * Throws NotFoundError if the user doesn't exist, or BadRequestError if
+   * two-factor auth is already on.
+   **/
+
+	static async enroll(username) {
+		const secret = generateSecret();
+
+		const result = await db.query(
+			`UPDATE users
+           SET totp_secret = CASE WHEN totp_enabled THEN totp_secret ELSE $2 END,
+               totp_last_counter = CASE WHEN totp_enabled THEN totp_last_counter ELSE NULL END
+           WHERE username = $1
+           RETURNING totp_enabled AS "enabled"`,
+			[ username, secret ]
+		);
+		const user = result.rows[0];
+
+		if (!user) throw new NotFoundError(`No user: ${username}`);
+		if (user.enabled) throw new BadRequestError('Two-factor authentication is already on');
+
+		return { secret, otpauthUri: otpauthUri(secret, username) };
+	}
+
+	/** Finish turning on two-factor auth, given a code from the new secret.
+   *
+   * Returns { recoveryCodes }: codes that each stand in for a TOTP code once.
+   * They can't be recovered later.
+   *
+   * Throws BadRequestError if the user hasn't enrolled, two-factor auth is
+   * already on, or the code is wrong.
+   **/
+
+	static async confirm(username, code) {
+		const userRes = await db.query(
+			`SELECT totp_secret AS "secret", totp_enabled AS "enabled"
+           FROM users
+           WHERE username = $1`,
+			[ username ]
+		);
+		const user = userRes.rows[0];
+
+		if (!user) throw new NotFoundError(`No user: ${username}`);
+		if (user.enabled) throw new BadRequestError('Two-factor authentication is already on');
+		if (!user.secret) throw new BadRequestError('Enroll in two-factor authentication first');
+
+		const counter = verifyCode(user.secret, code);
+		if (counter === null) throw new BadRequestError('Invalid code');
+
+		const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+		await db.query(
+			`WITH old AS (
+             DELETE FROM recovery_codes WHERE username = $1),
+           codes AS (
+             INSERT INTO recovery_codes (username, code_hash)
+             SELECT $1, code_hash FROM unnest($3::text[]) AS code_hash)
+           UPDATE users
+           SET totp_enabled = TRUE, totp_last_counter = $2
+           WHERE username = $1`,
+			[ username, counter, recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c))) ]
+		);
+
+		return { recoveryCodes };
+	}
+
+	/** Is two-factor auth on for a user? */
+
+	static async isEnabled(username) {
+		const result = await db.query(`SELECT totp_enabled AS "enabled" FROM users WHERE username = $1`, [ username ]);
+		return Boolean(result.rows[0] && result.rows[0].enabled);
+	}
+
+	/** Check a TOTP code or recovery code for a user, using it up.
+   *
+   * Returns true if it's good, false if not (including when two-factor auth
+   * is off).
+   **/
+
+	static async verify(username, code) {
+		const userRes = await db.query(
+			`SELECT totp_secret AS "secret"
+           FROM users
+           WHERE username = $1 AND totp_enabled`,
+			[ username ]
+		);
+		const user = userRes.rows[0];
+		if (!user || typeof code !== 'string') return false;
+
+		const counter = verifyCode(user.secret, code);
+		if (counter !== null) {
+			// a code can't be used again, nor can an older one
+			const result = await db.query(
+				`UPDATE users
+             SET totp_last_counter = $2
+             WHERE username = $1 AND (totp_last_counter IS NULL OR totp_last_counter < $2)
+             RETURNING username`,
+				[ username, counter ]
+			);
+			return Boolean(result.rows[0]);
+		}
+
+		const result = await db.query(
+			`UPDATE recovery_codes
+           SET used_at = NOW()
+           WHERE id = (SELECT id
+                       FROM recovery_codes
+                       WHERE username = $1 AND code_hash = $2 AND used_at IS NULL
+                       LIMIT 1)
+             -- so two requests racing with the same code can't both use it
+             AND used_at IS NULL
+           RETURNING id`,
+			[ username, hashToken(normalizeRecoveryCode(code)) ]
+		);
+		return Boolean(result.rows[0]);
+	}
+
+	/** Turn off two-factor auth for a user, removing their secret and recovery
+   * codes; returns undefined.
+   *
+   * Throws NotFoundError if the user doesn't exist.
+   **/
+
+	static async disable(username) {
+		const result = await db.query(
+			`WITH codes AS (
+             DELETE FROM recovery_codes WHERE username = $1)
+           UPDATE users
+           SET totp_secret = NULL, totp_enabled = FALSE, totp_last_counter = NULL
+           WHERE username = $1
+           RETURNING username`,
+			[ username ]
+		);
+
+		if (!result.rows[0]) throw new NotFoundError(`No user: ${username}`);
+	}
+}
+
+module.exports = TwoFactor;
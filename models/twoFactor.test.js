@@ -0,0 +1,168 @@
+'use strict';
+
+const db = require('../db.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { codeFor, counterAt } = require('../helpers/totp');
+const TwoFactor = require('./twoFactor.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** The code for secret a number of steps from now. */
+
+function codeAt(secret, steps = 0) {
+	return codeFor(secret, counterAt(Date.now()) + steps);
+}
+
+/** Enroll and confirm u1; returns { secret, recoveryCodes }. */
+
+async function enable() {
+	const { secret } = await TwoFactor.enroll('u1');
+	const { recoveryCodes } = await TwoFactor.confirm('u1', codeAt(secret, -1));
+	return { secret, recoveryCodes };
+}
+
+/************************************** enroll */
+
+describe('enroll', function() {
+	test('works', async function() {
+		const { secret, otpauthUri } = await TwoFactor.enroll('u1');
+		expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+		expect(otpauthUri).toContain(`secret=${secret}`);
+		expect(await TwoFactor.isEnabled('u1')).toEqual(false);
+	});
+
+	test('bad request if already on', async function() {
+		expect.assertions(1);
+		await enable();
+		try {
+			await TwoFactor.enroll('u1');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('not found if no such user', async function() {
+		expect.assertions(1);
+		try {
+			await TwoFactor.enroll('nope');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** confirm */
+
+describe('confirm', function() {
+	test('works', async function() {
+		const { recoveryCodes } = await enable();
+		expect(recoveryCodes).toHaveLength(10);
+		expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}(-[0-9a-f]{5}){3}$/);
+		expect(await TwoFactor.isEnabled('u1')).toEqual(true);
+
+		const stored = await db.query(`SELECT code_hash FROM recovery_codes WHERE username = 'u1'`);
+		expect(stored.rows).toHaveLength(10);
+		expect(stored.rows.map((r) => r.code_hash)).not.toContain(recoveryCodes[0]);
+	});
+
+	test('recovery codes have at least 80 bits of entropy', async function() {
+		const { recoveryCodes } = await enable();
+
+		// 20 random hex digits each
+		for (const code of recoveryCodes) expect(code.replace(/-/g, '')).toMatch(/^[0-9a-f]{20}$/);
+		expect(new Set(recoveryCodes).size).toEqual(10);
+		const digits = new Set(recoveryCodes.join('').replace(/-/g, ''));
+		expect(digits.size).toBeGreaterThan(10);
+	});
+
+	test('bad request with a wrong code', async function() {
+		expect.assertions(2);
+		const { secret } = await TwoFactor.enroll('u1');
+		try {
+			await TwoFactor.confirm('u1', codeAt(secret, 5));
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+		expect(await TwoFactor.isEnabled('u1')).toEqual(false);
+	});
+
+	test('bad request if not enrolled', async function() {
+		expect.assertions(1);
+		try {
+			await TwoFactor.confirm('u1', '123456');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
+
+/************************************** verify */
+
+describe('verify', function() {
+	test('works', async function() {
+		const { secret } = await enable();
+		expect(await TwoFactor.verify('u1', codeAt(secret))).toEqual(true);
+	});
+
+	test('refuses a code used before, or an older one', async function() {
+		const { secret } = await enable();
+		expect(await TwoFactor.verify('u1', codeAt(secret))).toEqual(true);
+		expect(await TwoFactor.verify('u1', codeAt(secret))).toEqual(false);
+		expect(await TwoFactor.verify('u1', codeAt(secret, -1))).toEqual(false);
+	});
+
+	test('refuses a wrong code', async function() {
+		const { secret } = await enable();
+		expect(await TwoFactor.verify('u1', codeAt(secret, 5))).toEqual(false);
+		expect(await TwoFactor.verify('u1', 'nope')).toEqual(false);
+	});
+
+	test('works with a recovery code, once', async function() {
+		const { recoveryCodes } = await enable();
+		expect(await TwoFactor.verify('u1', ` ${recoveryCodes[0].toUpperCase()} `)).toEqual(true);
+		expect(await TwoFactor.verify('u1', recoveryCodes[0])).toEqual(false);
+		expect(await TwoFactor.verify('u1', recoveryCodes[1])).toEqual(true);
+	});
+
+	test('works with a recovery code typed with a space for the dash', async function() {
+		const { recoveryCodes } = await enable();
+		expect(await TwoFactor.verify('u1', recoveryCodes[0].replace(/-/g, ' '))).toEqual(true);
+		expect(await TwoFactor.verify('u1', recoveryCodes[0])).toEqual(false);
+	});
+
+	test('false if not on', async function() {
+		const { secret } = await TwoFactor.enroll('u1');
+		expect(await TwoFactor.verify('u1', codeAt(secret))).toEqual(false);
+	});
+
+	test("false with another user's recovery code", async function() {
+		const { recoveryCodes } = await enable();
+		expect(await TwoFactor.verify('u2', recoveryCodes[0])).toEqual(false);
+	});
+});
+
+/************************************** disable */
+
+describe('disable', function() {
+	test('works', async function() {
+		await enable();
+		await TwoFactor.disable('u1');
+		expect(await TwoFactor.isEnabled('u1')).toEqual(false);
+
+		const stored = await db.query(`SELECT * FROM recovery_codes WHERE username = 'u1'`);
+		expect(stored.rows).toEqual([]);
+	});
+
+	test('not found if no such user', async function() {
+		expect.assertions(1);
+		try {
+			await TwoFactor.disable('nope');
+		} catch (err) {
+			expect(err instanceof NotFoundError).toBeTruthy();
+		}
+	});
+});
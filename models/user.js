@@ -2,17 +2,44 @@
 
 const db = require('../db');
 const bcrypt = require('bcrypt');
-const { sqlForPartialUpdate } = require('../helpers/sql');
-const { NotFoundError, BadRequestError, UnauthorizedError } = require('../expressError');
+const { sqlForPartialUpdate, parseSort } = require('../helpers/sql');
+const { getPage, sqlForPage, pageOf } = require('../helpers/pagination');
+const Application = require('./application');
+const Session = require('./session');
+const AuditLog = require('./auditLog');
+const { NotFoundError, BadRequestError, UnauthorizedError, ForbiddenError } = require('../expressError');
 
 const { BCRYPT_WORK_FACTOR } = require('../config.js');
 
-/** Related functions for users. */
+/** Keys User.findAll can sort on, mapped to their columns (see parseSort). */
+
+const USER_SORTABLE = {
+	username: 'username',
+	firstName: 'first_name',
+	lastName: 'last_name',
+	email: 'email'
+};
+
+/** Columns returned for a user. */
+
+const USER_COLUMNS = `username,
+                  first_name AS "firstName",
+                  last_name AS "lastName",
+                  email,
+                  email_verified AS "emailVerified",
+                  is_admin AS "isAdmin"`;
+
+/** Related functions for users.
+ *
+ * Deleting a user only marks them deleted: they can't log in and are hidden
+ * from everything but User.restore until User.purge removes them for good.
+ */
 
 class User {
 	/** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, emailVerified, is_admin,
+   *           tokenVersion, twoFactorEnabled }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -25,9 +52,12 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  email_verified AS "emailVerified",
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion",
+                  totp_enabled AS "twoFactorEnabled"
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
 			[ username ]
 		);
 
@@ -45,11 +75,11 @@ class User {
 		throw new UnauthorizedError('Invalid username/password');
 	}
 
-	/** Register user with data.
+	/** Register user with data. Their email starts unverified.
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, including deleted users.
    **/
 
 	static async register({ username, password, firstName, lastName, email, isAdmin }) {
@@ -75,51 +105,73 @@ class User {
             email,
             is_admin)
            VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName", last_name AS "lastName", email, is_admin AS "isAdmin"`,
+           RETURNING username,
+                     first_name AS "firstName",
+                     last_name AS "lastName",
+                     email,
+                     email_verified AS "emailVerified",
+                     is_admin AS "isAdmin"`,
 			[ username, hashedPassword, firstName, lastName, email, isAdmin ]
 		);
 
 		const user = result.rows[0];
 
+		await AuditLog.record({ action: 'user.create', targetType: 'user', targetId: username, after: user });
+
 		return user;
 	}
 
-	/** Find all users.
+	/** Find a page of users.
+   *
+   * Can sort with { sort }, e.g. 'lastName,firstName' (see parseSort); the
+   * default order is by username.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Pages are chosen with { limit, offset } or { limit, cursor } (see getPage).
+   *
+   * Returns { users, total, next, prev }
+   *   where users is [{ username, first_name, last_name, email, is_admin }, ...]
+   *
+   * Throws BadRequestError on an unknown sort key.
    **/
 
-	static async findAll() {
+	static async findAll({ sort, limit, offset, cursor } = {}) {
+		const page = getPage({ limit, offset, cursor });
+		const order = parseSort(sort, USER_SORTABLE, 'username');
+		const pageSql = sqlForPage(page, order, { where: 'WHERE deleted_at IS NULL' });
+
+		const countRes = await db.query(`SELECT COUNT(*)::integer AS "total" FROM users WHERE deleted_at IS NULL`);
+
 		const result = await db.query(
 			`SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  ${pageSql.cursorColumn}
            FROM users
-           ORDER BY username`
+           ${pageSql.where}
+           ${pageSql.orderBy}
+           ${pageSql.clause}`,
+			pageSql.values
 		);
 
-		return result.rows;
+		const { rows, ...info } = pageOf(page, order, result.rows, countRes.rows[0].total);
+		return { users: rows, ...info };
 	}
 
 	/** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name, state }
+   * Returns { username, first_name, last_name, email, emailVerified, is_admin, jobs }
+   *   where jobs is [{ id, title, company_handle, company_name, state }, ...]
    *
    * Throws NotFoundError if user not found.
    **/
 
 	static async get(username) {
 		const userRes = await db.query(
-			`SELECT username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin"
+			`SELECT ${USER_COLUMNS}
            FROM users
-           WHERE username = $1`,
+           WHERE username = $1 AND deleted_at IS NULL`,
 			[ username ]
 		);
 
@@ -127,11 +179,40 @@ class User {
 
 		if (!user) throw new NotFoundError(`No user: ${username}`);
 
-		const jobsRes = await db.query(`SELECT jobID FROM applications WHERE username = $1`, [ username ]);
+		const jobsRes = await db.query(
+			`SELECT j.id,
+                  j.title,
+                  j.company_handle,
+                  c.name AS "company_name",
+                  a.state
+           FROM applications AS a
+             JOIN jobs AS j ON j.id = a.job_id
+             JOIN companies AS c ON c.handle = j.company_handle
+           WHERE a.username = $1 AND j.deleted_at IS NULL
+           ORDER BY a.created_at, j.id`,
+			[ username ]
+		);
+
+		return { ...user, jobs: jobsRes.rows };
+	}
+
+	/** Find the users with an email address, ignoring case.
+   *
+   * Returns [{ username, firstName, email }, ...]
+   **/
 
-		const jobs = jobsRes.rows[0];
+	static async findByEmail(email) {
+		const result = await db.query(
+			`SELECT username,
+                  first_name AS "firstName",
+                  email
+           FROM users
+           WHERE lower(email) = lower($1) AND deleted_at IS NULL
+           ORDER BY username`,
+			[ email ]
+		);
 
-		return { ...user, jobs };
+		return result.rows;
 	}
 
 	/** Update user data with `data`.
@@ -142,7 +223,10 @@ class User {
    * Data can include:
    *   { firstName, lastName, password, email, isAdmin }
    *
-   * Returns { username, firstName, lastName, email, isAdmin }
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+   *
+   * Changing the email makes it unverified again. Changing the password or setting isAdmin to false revokes all of the
+   * user's tokens (see Session.revokeAll).
    *
    * Throws NotFoundError if not found.
    *
@@ -156,58 +240,185 @@ class User {
 			data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
 		}
 
-		const { setCols, values } = sqlForPartialUpdate(data, {
+		let { setCols, values } = sqlForPartialUpdate(data, {
 			firstName: 'first_name',
 			lastName: 'last_name',
 			isAdmin: 'is_admin'
 		});
+		if (data.email !== undefined) {
+			// compared against the email before the update
+			values.push(data.email);
+			setCols += `, email_verified = email_verified AND email = $${values.length}`;
+		}
 		const usernameVarIdx = '$' + (values.length + 1);
 
+		const beforeRes = await db.query(
+			`SELECT ${USER_COLUMNS}
+           FROM users
+           WHERE username = $1 AND deleted_at IS NULL`,
+			[ username ]
+		);
+
 		const querySql = `UPDATE users 
                       SET ${setCols} 
-                      WHERE username = ${usernameVarIdx} 
+                      WHERE username = ${usernameVarIdx} AND deleted_at IS NULL 
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
                                 email,
+                                email_verified AS "emailVerified",
                                 is_admin AS "isAdmin"`;
 		const result = await db.query(querySql, [ ...values, username ]);
 		const user = result.rows[0];
 
 		if (!user) throw new NotFoundError(`No user: ${username}`);
 
+		// a new password shows in the log as changed, with its value redacted
+		await AuditLog.record({
+			action: 'user.update',
+			targetType: 'user',
+			targetId: username,
+			before: beforeRes.rows[0],
+			after: data.password ? { ...user, password: data.password } : user
+		});
+
+		// a new password or losing admin rights logs the user out everywhere
+		if (data.password || data.isAdmin === false) await Session.revokeAll(username);
+
 		delete user.password;
 		return user;
 	}
 
-	/** Delete given user from database; returns undefined. */
+	/** Mark a user's email verified; returns undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
+
+	static async verifyEmail(username) {
+		// old is the row as it was before the update
+		const result = await db.query(
+			`UPDATE users AS u
+           SET email_verified = TRUE
+           FROM users AS old
+           WHERE u.username = $1 AND old.username = u.username AND u.deleted_at IS NULL
+           RETURNING old.email_verified AS "wasVerified"`,
+			[ username ]
+		);
+		const user = result.rows[0];
+
+		if (!user) throw new NotFoundError(`No user: ${username}`);
+
+		if (!user.wasVerified) {
+			await AuditLog.record({
+				action: 'user.update',
+				targetType: 'user',
+				targetId: username,
+				before: { emailVerified: false },
+				after: { emailVerified: true }
+			});
+		}
+	}
+
+	/** Delete given user until restored, logging them out everywhere; returns
+   * undefined.
+   *
+   * Throws NotFoundError if user not found.
+   **/
 
 	static async remove(username) {
-		let result = await db.query(
-			`DELETE
-           FROM users
-           WHERE username = $1
-           RETURNING username`,
+		const result = await db.query(
+			`UPDATE users
+           SET deleted_at = NOW()
+           WHERE username = $1 AND deleted_at IS NULL
+           RETURNING ${USER_COLUMNS}`,
 			[ username ]
 		);
 		const user = result.rows[0];
 
 		if (!user) throw new NotFoundError(`No user: ${username}`);
+
+		await Session.revokeAll(username);
+		await AuditLog.record({ action: 'user.delete', targetType: 'user', targetId: username, before: user });
 	}
 
-	/** Apply to a job given user's username; returns jobId. */
+	/** Restore a deleted user. They need to log in again.
+   *
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+   *
+   * Throws NotFoundError if there's no deleted user with that username.
+   **/
 
-	static async apply(username, job_id) {
+	static async restore(username) {
 		const result = await db.query(
-			`INSERT INTO applications
-          (username, job_id)
-           VALUES ($1, $2)
-           RETURNING job_id`,
-			[ username, job_id ]
+			`UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING ${USER_COLUMNS}`,
+			[ username ]
 		);
-		const application = result.rows[0].job_id;
+		const user = result.rows[0];
+
+		if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+		await AuditLog.record({ action: 'user.restore', targetType: 'user', targetId: username, after: user });
+
+		return user;
+	}
+
+	/** Permanently remove users deleted before deletedBefore (a Date), with
+   * their applications.
+   *
+   * Returns [username, ...] for the users removed.
+   **/
+
+	static async purge(deletedBefore) {
+		const result = await db.query(
+			`DELETE
+           FROM users
+           WHERE deleted_at < $1
+           RETURNING ${USER_COLUMNS}`,
+			[ deletedBefore ]
+		);
+
+		for (const user of result.rows) {
+			await AuditLog.record({ action: 'user.purge', targetType: 'user', targetId: user.username, before: user });
+		}
+
+		return result.rows.map((u) => u.username);
+	}
+
+	/** Apply to a job given user's username; returns jobId.
+   *
+   * state is where the application starts: 'applied' (the default), or
+   * 'interested' for a job the user is only saving for later.
+   *
+   * Throws NotFoundError if the user or job doesn't exist, ForbiddenError if
+   * the user hasn't verified their email, or BadRequestError if the job isn't
+   * listed (it's closed, expired, paused or a draft) or the user already
+   * applied.
+   **/
+
+	static async apply(username, job_id, state = 'applied') {
+		const userRes = await db.query(
+			`SELECT email_verified AS "emailVerified" FROM users WHERE username = $1 AND deleted_at IS NULL`,
+			[ username ]
+		);
+		const user = userRes.rows[0];
+
+		if (!user) throw new NotFoundError(`No user: ${username}`);
+		if (!user.emailVerified) throw new ForbiddenError('Verify your email before applying to jobs');
+
+		const jobRes = await db.query(
+			`SELECT job_is_listed(jobs) AS "listed" FROM jobs WHERE id = $1 AND deleted_at IS NULL`,
+			[ job_id ]
+		);
+		const job = jobRes.rows[0];
+
+		if (!job) throw new NotFoundError(`No job: ${job_id}`);
+		if (!job.listed) throw new BadRequestError(`Job is not open for applications: ${job_id}`);
 
-		if (!application) throw new NotFoundError(`Adding application has failed.`);
+		const application = await Application.create(username, job_id, state);
+		return application.jobId;
 	}
 }
 
@@ -4,14 +4,17 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ForbiddenError,
 } = require("../expressError");
 const db = require("../db.js");
 const User = require("./user.js");
+const Session = require("./session.js");
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  testJobIds,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -29,7 +32,10 @@ describe("authenticate", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
+      tokenVersion: 0,
+      twoFactorEnabled: false,
     });
   });
 
@@ -68,7 +74,7 @@ describe("register", function () {
       ...newUser,
       password: "password",
     });
-    expect(user).toEqual(newUser);
+    expect(user).toEqual({ ...newUser, emailVerified: false });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(false);
@@ -81,7 +87,7 @@ describe("register", function () {
       password: "password",
       isAdmin: true,
     });
-    expect(user).toEqual({ ...newUser, isAdmin: true });
+    expect(user).toEqual({ ...newUser, emailVerified: false, isAdmin: true });
     const found = await db.query("SELECT * FROM users WHERE username = 'new'");
     expect(found.rows.length).toEqual(1);
     expect(found.rows[0].is_admin).toEqual(true);
@@ -109,7 +115,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -127,6 +133,29 @@ describe("findAll", function () {
       },
     ]);
   });
+  test("works: sort", async function () {
+    const { users } = await User.findAll({ sort: "-username" });
+    expect(users.map(u => u.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("bad request with unknown sort key", async function () {
+    expect.assertions(1);
+    try {
+      await User.findAll({ sort: "password" });
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: pagination", async function () {
+    const page = await User.findAll({ limit: 1, offset: 1 });
+    expect(page.users.map(u => u.username)).toEqual(["u2"]);
+    expect(page).toEqual(expect.objectContaining({
+      total: 2,
+      next: null,
+      prev: expect.any(String),
+    }));
+  });
 });
 
 /************************************** get */
@@ -139,10 +168,25 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
+      jobs: [
+        {
+          id: testJobIds[0],
+          title: "title1",
+          company_handle: "c1",
+          company_name: "C1",
+          state: "applied",
+        },
+      ],
     });
   });
 
+  test("works: no applications", async function () {
+    let user = await User.get("u2");
+    expect(user.jobs).toEqual([]);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.get("nope");
@@ -153,6 +197,19 @@ describe("get", function () {
   });
 });
 
+/************************************** findByEmail */
+
+describe("findByEmail", function () {
+  test("works", async function () {
+    const users = await User.findByEmail("U1@email.com");
+    expect(users).toEqual([{ username: "u1", firstName: "U1F", email: "u1@email.com" }]);
+  });
+
+  test("works: no users", async function () {
+    expect(await User.findByEmail("nope@email.com")).toEqual([]);
+  });
+});
+
 /************************************** update */
 
 describe("update", function () {
@@ -168,9 +225,15 @@ describe("update", function () {
     expect(job).toEqual({
       username: "u1",
       ...updateData,
+      emailVerified: false,
     });
   });
 
+  test("works: same email stays verified", async function () {
+    const user = await User.update("u1", { email: "u1@email.com" });
+    expect(user.emailVerified).toEqual(true);
+  });
+
   test("works: set password", async function () {
     let job = await User.update("u1", {
       password: "new",
@@ -180,6 +243,7 @@ describe("update", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
+      emailVerified: true,
       isAdmin: false,
     });
     const found = await db.query("SELECT * FROM users WHERE username = 'u1'");
@@ -187,6 +251,23 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: set password revokes tokens", async function () {
+    await User.update("u1", { password: "new-password" });
+    expect(await Session.isActive({ username: "u1", ver: 0 })).toBeFalsy();
+    expect(await Session.isActive({ username: "u1", ver: 1 })).toBeTruthy();
+  });
+
+  test("works: removing admin revokes tokens", async function () {
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    await User.update("u1", { isAdmin: false });
+    expect(await Session.isActive({ username: "u1", ver: 0 })).toBeFalsy();
+  });
+
+  test("works: other changes keep tokens", async function () {
+    await User.update("u1", { firstName: "NewF" });
+    expect(await Session.isActive({ username: "u1", ver: 0 })).toBeTruthy();
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -212,11 +293,23 @@ describe("update", function () {
 /************************************** remove */
 
 describe("remove", function () {
-  test("works", async function () {
+  test("works: marks the user deleted", async function () {
     await User.remove("u1");
     const res = await db.query(
-        "SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+        "SELECT deleted_at FROM users WHERE username='u1'");
+    expect(res.rows[0].deleted_at).toEqual(expect.any(Date));
+  });
+
+  test("hides the user and logs them out", async function () {
+    await User.remove("u1");
+
+    await expect(User.get("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.authenticate("u1", "password1"))
+        .rejects.toThrow(UnauthorizedError);
+    expect(await User.findByEmail("u1@email.com")).toEqual([]);
+    const { users } = await User.findAll();
+    expect(users.map(u => u.username)).toEqual(["u2"]);
+    expect(await Session.isActive({ username: "u1", ver: 0 })).toBe(false);
   });
 
   test("not found if no such user", async function () {
@@ -228,3 +321,131 @@ describe("remove", function () {
     }
   });
 });
+
+/************************************** restore */
+
+describe("restore", function () {
+  test("works", async function () {
+    await User.remove("u1");
+
+    const user = await User.restore("u1");
+    expect(user).toEqual({
+      username: "u1",
+      firstName: "U1F",
+      lastName: "U1L",
+      email: "u1@email.com",
+      emailVerified: true,
+      isAdmin: false,
+    });
+    expect((await User.authenticate("u1", "password1")).username).toEqual("u1");
+  });
+
+  test("not found if not deleted", async function () {
+    await expect(User.restore("u1")).rejects.toThrow(NotFoundError);
+    await expect(User.restore("nope")).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** purge */
+
+describe("purge", function () {
+  test("works: only users deleted before the cutoff", async function () {
+    await db.query(
+        `UPDATE users SET deleted_at = NOW() - INTERVAL '60 days'
+         WHERE username = 'u1'`);
+    await User.remove("u2");
+
+    const purged = await User.purge(
+        new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    expect(purged).toEqual(["u1"]);
+
+    const res = await db.query(`SELECT username FROM users`);
+    expect(res.rows).toEqual([{ username: "u2" }]);
+    const appsRes = await db.query(
+        `SELECT job_id FROM applications WHERE username = 'u1'`);
+    expect(appsRes.rows).toEqual([]);
+  });
+});
+
+/************************************** verifyEmail */
+
+describe("verifyEmail", function () {
+  test("works", async function () {
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u1'");
+    await User.verifyEmail("u1");
+    const user = await User.get("u1");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("not found if no such user", async function () {
+    expect.assertions(1);
+    try {
+      await User.verifyEmail("nope");
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** apply */
+
+describe("apply", function () {
+  test("works", async function () {
+    const jobId = await User.apply("u2", testJobIds[1]);
+    expect(jobId).toEqual(testJobIds[1]);
+    const res = await db.query(
+        "SELECT state FROM applications WHERE username = 'u2' AND job_id = $1",
+        [testJobIds[1]]);
+    expect(res.rows).toEqual([{ state: "applied" }]);
+  });
+
+  test("works: interested", async function () {
+    await User.apply("u2", testJobIds[1], "interested");
+    const res = await db.query(
+        "SELECT state FROM applications WHERE username = 'u2' AND job_id = $1",
+        [testJobIds[1]]);
+    expect(res.rows).toEqual([{ state: "interested" }]);
+  });
+
+  test("forbidden if email not verified", async function () {
+    expect.assertions(1);
+    await db.query("UPDATE users SET email_verified = FALSE WHERE username = 'u2'");
+    try {
+      await User.apply("u2", testJobIds[1]);
+    } catch (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    }
+  });
+
+  test("bad request if already applied", async function () {
+    expect.assertions(1);
+    try {
+      await User.apply("u1", testJobIds[0]);
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if job is closed, paused or a draft", async function () {
+    for (const status of ["closed", "paused", "draft"]) {
+      await db.query("UPDATE jobs SET status = $1 WHERE id = $2", [status, testJobIds[1]]);
+      await expect(User.apply("u2", testJobIds[1])).rejects.toThrow(BadRequestError);
+    }
+  });
+
+  test("bad request if job has expired", async function () {
+    await db.query(
+        "UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+        [testJobIds[1]]);
+    await expect(User.apply("u2", testJobIds[1])).rejects.toThrow(BadRequestError);
+  });
+
+  test("not found if no such job", async function () {
+    expect.assertions(1);
+    try {
+      await User.apply("u1", 0);
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
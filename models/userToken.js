@@ -0,0 +1,72 @@
+'use strict';
+
+const db = require('../db');
+const { BadRequestError } = require('../expressError');
+const { generateToken, hashToken } = require('../helpers/tokens');
+
+/** Related functions for single-use tokens sent to users, e.g. to reset their
+ * password. Each token has a purpose, and only a hash of it is stored.
+ */
+
+class UserToken {
+	/** Issue a token for purpose to a user, good for ttl seconds. Any unused
+   * tokens they had for the same purpose stop working.
+   *
+   * Returns the token; it can't be recovered later.
+   **/
+
+	static async create(username, purpose, ttl) {
+		const token = generateToken();
+
+		await db.query(
+			`WITH replaced AS (
+             UPDATE user_tokens
+             SET used_at = NOW()
+             WHERE username = $2 AND purpose = $3 AND used_at IS NULL)
+           INSERT INTO user_tokens (token_hash, username, purpose, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')`,
+			[ hashToken(token), username, purpose, ttl ]
+		);
+
+		return token;
+	}
+
+	/** Use up a token for purpose. The user's other unused tokens for the same
+   * purpose are used up with it.
+   *
+   * Returns the username the token was issued to.
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+	static async consume(token, purpose) {
+		const tokenHash = hashToken(token);
+
+		const result = await db.query(
+			`WITH used AS (
+             UPDATE user_tokens
+             SET used_at = NOW()
+             WHERE token_hash = $1
+               AND purpose = $2
+               AND used_at IS NULL
+               AND expires_at > NOW()
+             RETURNING username),
+           others AS (
+             UPDATE user_tokens AS t
+             SET used_at = NOW()
+             FROM used
+             WHERE t.username = used.username
+               AND t.purpose = $2
+               AND t.used_at IS NULL
+               AND t.token_hash <> $1)
+           SELECT username FROM used`,
+			[ tokenHash, purpose ]
+		);
+
+		if (!result.rows[0]) throw new BadRequestError('Invalid or expired token');
+
+		return result.rows[0].username;
+	}
+}
+
+module.exports = UserToken;
@@ -0,0 +1,90 @@
+'use strict';
+
+const db = require('../db.js');
+const { BadRequestError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+const UserToken = require('./userToken.js');
+const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll } = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe('create', function() {
+	test('works', async function() {
+		const token = await UserToken.create('u1', 'password_reset', 60);
+		const result = await db.query(`SELECT token_hash, username, purpose, used_at FROM user_tokens`);
+		expect(result.rows).toEqual([
+			{ token_hash: hashToken(token), username: 'u1', purpose: 'password_reset', used_at: null }
+		]);
+	});
+});
+
+/************************************** consume */
+
+describe('consume', function() {
+	test('works', async function() {
+		const token = await UserToken.create('u1', 'password_reset', 60);
+		expect(await UserToken.consume(token, 'password_reset')).toEqual('u1');
+	});
+
+	test('works only once', async function() {
+		expect.assertions(1);
+		const token = await UserToken.create('u1', 'password_reset', 60);
+		await UserToken.consume(token, 'password_reset');
+		try {
+			await UserToken.consume(token, 'password_reset');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('only the newest token works', async function() {
+		expect.assertions(3);
+		const older = await UserToken.create('u1', 'password_reset', 60);
+		const newer = await UserToken.create('u1', 'password_reset', 60);
+		const otherUser = await UserToken.create('u2', 'password_reset', 60);
+		const otherPurpose = await UserToken.create('u1', 'email_verification', 60);
+		try {
+			await UserToken.consume(older, 'password_reset');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+		expect(await UserToken.consume(newer, 'password_reset')).toEqual('u1');
+		expect(await UserToken.consume(otherUser, 'password_reset')).toEqual('u2');
+		await UserToken.consume(otherPurpose, 'email_verification');
+	});
+
+	test('bad request for another purpose', async function() {
+		expect.assertions(1);
+		const token = await UserToken.create('u1', 'email_verification', 60);
+		try {
+			await UserToken.consume(token, 'password_reset');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if expired', async function() {
+		expect.assertions(1);
+		const token = await UserToken.create('u1', 'password_reset', 60);
+		await db.query(`UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 minute'`);
+		try {
+			await UserToken.consume(token, 'password_reset');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+
+	test('bad request if unknown', async function() {
+		expect.assertions(1);
+		try {
+			await UserToken.consume('nope', 'password_reset');
+		} catch (err) {
+			expect(err instanceof BadRequestError).toBeTruthy();
+		}
+	});
+});
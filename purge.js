@@ -0,0 +1,45 @@
+"use strict";
+
+/** Permanently remove companies, jobs and users that were deleted more than
+ * DELETED_RETENTION seconds ago. Until then, admins can restore them.
+ *
+ * Run it regularly, e.g. daily from cron:
+ *
+ *     node purge.js
+ */
+
+const db = require("./db");
+const Company = require("./models/company");
+const Job = require("./models/job");
+const User = require("./models/user");
+const { runWithContext } = require("./helpers/requestContext");
+const { DELETED_RETENTION } = require("./config");
+
+/** Purge everything deleted before deletedBefore (a Date).
+ *
+ * Returns { jobs, companies, users }, each a list of what was removed.
+ */
+
+async function purgeDeleted(deletedBefore) {
+  // jobs first, so each job deleted with its company is logged on its own
+  const jobs = await Job.purge(deletedBefore);
+  const companies = await Company.purge(deletedBefore);
+  const users = await User.purge(deletedBefore);
+  return { jobs, companies, users };
+}
+
+if (require.main === module) {
+  const deletedBefore = new Date(Date.now() - DELETED_RETENTION * 1000);
+
+  runWithContext({ actor: "purge" }, () => purgeDeleted(deletedBefore))
+      .then(({ jobs, companies, users }) => {
+        console.log(`Purged ${jobs.length} jobs, ${companies.length} companies, ${users.length} users`);
+      })
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+module.exports = { purgeDeleted };
@@ -5,6 +5,13 @@ const User = require('../models/user');
 const Company = require('../models/company');
 const { createToken } = require('../helpers/tokens');
 const Job = require('../models/job.js');
+const Membership = require('../models/membership');
+const Skill = require('../models/skill');
+const { transports } = require('../helpers/mailer');
+const loginThrottle = require('../helpers/loginThrottle');
+const { MemoryThrottleStore } = require('../helpers/throttleStores');
+
+const testJobIds = [];
 
 async function commonBeforeAll() {
 	// noinspection SqlWithoutWhere
@@ -13,6 +20,8 @@ async function commonBeforeAll() {
 	await db.query('DELETE FROM companies');
 	// noinspection SqlWithoutWhere
 	await db.query('DELETE FROM jobs');
+	// noinspection SqlWithoutWhere
+	await db.query('DELETE FROM skills');
 
 	await Company.create({
 		handle: 'c1',
@@ -81,9 +90,27 @@ async function commonBeforeAll() {
 		equity: '0.03',
 		company_handle: 'c3'
 	});
+
+	const jobsRes = await db.query(`SELECT id FROM jobs ORDER BY title`);
+	testJobIds.splice(0, testJobIds.length, ...jobsRes.rows.map((r) => r.id));
+
+	await Skill.create({ slug: 'node', name: 'Node.js', aliases: [ 'nodejs' ] });
+	await Skill.create({ slug: 'sql', name: 'SQL' });
+	await Skill.setForJob(testJobIds[0], [ { skill: 'node' }, { skill: 'sql', required: false } ]);
+	await Skill.setForJob(testJobIds[1], [ { skill: 'sql' } ]);
+
+	await User.verifyEmail('u1');
+	await User.verifyEmail('u2');
+	await User.verifyEmail('u3');
+
+	await User.apply('u1', testJobIds[0]);
+
+	await Membership.set('c1', 'u2', 'recruiter');
 }
 
 async function commonBeforeEach() {
+	transports.memory.sent.length = 0;
+	loginThrottle.setStore(new MemoryThrottleStore());
 	await db.query('BEGIN');
 }
 
@@ -96,11 +123,14 @@ async function commonAfterAll() {
 }
 
 const u1Token = createToken({ username: 'u1', isAdmin: true });
+const u2Token = createToken({ username: 'u2', isAdmin: false });
 
 module.exports = {
 	commonBeforeAll,
 	commonBeforeEach,
 	commonAfterEach,
 	commonAfterAll,
-	u1Token
+	u1Token,
+	u2Token,
+	testJobIds
 };
@@ -0,0 +1,76 @@
+'use strict';
+
+/** Routes for site administration. */
+
+const express = require('express');
+const { authorize } = require('../middleware/policy');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const Setting = require('../models/setting');
+const AuditLog = require('../models/auditLog');
+const settingsUpdateSchema = require('../schemas/settingsUpdate.json');
+const auditSearchSchema = require('../schemas/auditSearch.json');
+
+const router = express.Router();
+
+/** GET /settings  =>  { settings: { requireAdmin2fa } }
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.get('/settings', authorize('admin:settings:get'), async function(req, res, next) {
+	try {
+		const settings = await Setting.getAll();
+		return res.json({ settings });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /settings { requireAdmin2fa }  =>  { settings: { requireAdmin2fa } }
+ *
+ * requireAdmin2fa: admins without two-factor authentication are logged in
+ * without admin rights until they turn it on.
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.patch(
+	'/settings',
+	authorize('admin:settings:update'),
+	validateBody(settingsUpdateSchema),
+	async function(req, res, next) {
+		try {
+			const settings = await Setting.update(req.body);
+			return res.json({ settings });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** GET /audit  =>
+ *   { entries: [ { id, occurredAt, actor, action, targetType, targetId, before, after, requestId }, ...],
+ *     total, next, prev }
+ *
+ * The audit log of changes to companies, jobs, users, applications, skills,
+ * API keys and settings, newest first. actor is a username, or "apikey:<id>"
+ * for an API key.
+ *
+ * Can filter on actor, action (e.g. user.update), targetType (company, job,
+ * user, application, skill, apiKey or setting), targetId, and since / until
+ * (dates or date-times).
+ * Results are paginated with limit and either offset or cursor.
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.get('/audit', authorize('admin:audit:list'), validateQuery(auditSearchSchema), async function(req, res, next) {
+	try {
+		const result = await AuditLog.findAll(req.query);
+		return res.json(result);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token
+} = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /admin/settings */
+
+describe('GET /admin/settings', function() {
+	test('works for admin', async function() {
+		const resp = await request(app).get('/admin/settings').set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ settings: { requireAdmin2fa: false } });
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).get('/admin/settings').set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).get('/admin/settings');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** PATCH /admin/settings */
+
+describe('PATCH /admin/settings', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.patch('/admin/settings')
+			.send({ requireAdmin2fa: true })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ settings: { requireAdmin2fa: true } });
+	});
+
+	test('bad request with invalid data', async function() {
+		const resp = await request(app)
+			.patch('/admin/settings')
+			.send({ requireAdmin2fa: 'yes' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with no settings', async function() {
+		const resp = await request(app).patch('/admin/settings').send({}).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.patch('/admin/settings')
+			.send({ requireAdmin2fa: true })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).patch('/admin/settings').send({ requireAdmin2fa: true });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** GET /admin/audit */
+
+describe('GET /admin/audit', function() {
+	test('works for admin: records who changed what, in which request', async function() {
+		const delResp = await request(app)
+			.delete('/companies/c3')
+			.set('X-Request-Id', 'audit-test-1')
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(delResp.headers['x-request-id']).toEqual('audit-test-1');
+
+		const resp = await request(app)
+			.get('/admin/audit')
+			.query({ targetType: 'company', targetId: 'c3' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.entries[0]).toEqual({
+			id: expect.any(Number),
+			occurredAt: expect.any(String),
+			actor: 'u1',
+			action: 'company.delete',
+			targetType: 'company',
+			targetId: 'c3',
+			before: expect.objectContaining({ handle: 'c3', name: 'C3' }),
+			after: null,
+			requestId: 'audit-test-1'
+		});
+	});
+
+	test('works for admin: filters by actor and time range', async function() {
+		await request(app).patch('/users/u2').send({ firstName: 'New' }).set('authorization', `Bearer ${u2Token}`);
+
+		const resp = await request(app)
+			.get('/admin/audit')
+			.query({ actor: 'u2', action: 'user.update', since: '2000-01-01' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body.entries.length).toEqual(1);
+		expect(resp.body.entries[0]).toEqual(
+			expect.objectContaining({
+				actor: 'u2',
+				targetId: 'u2',
+				before: { firstName: 'U2F' },
+				after: { firstName: 'New' }
+			})
+		);
+
+		const later = await request(app)
+			.get('/admin/audit')
+			.query({ actor: 'u2', action: 'user.update', since: '2999-01-01' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(later.body.entries).toEqual([]);
+	});
+
+	test('makes up a request id if none is sent', async function() {
+		const resp = await request(app).get('/companies');
+		expect(resp.headers['x-request-id']).toEqual(expect.any(String));
+	});
+
+	test('bad request with invalid filters', async function() {
+		const resp = await request(app)
+			.get('/admin/audit')
+			.query({ since: 'yesterday' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).get('/admin/audit').set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).get('/admin/audit');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -2,65 +2,387 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const Session = require("../models/session");
+const UserToken = require("../models/userToken");
+const TwoFactor = require("../models/twoFactor");
+const Setting = require("../models/setting");
 const express = require("express");
 const router = new express.Router();
-const { createToken } = require("../helpers/tokens");
+const { createToken, createMfaToken, verifyMfaToken } = require("../helpers/tokens");
+const { sendPasswordReset, sendVerification } = require("../helpers/accountEmails");
+const loginThrottle = require("../helpers/loginThrottle");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const authRefreshSchema = require("../schemas/authRefresh.json");
+const authLogoutSchema = require("../schemas/authLogout.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const verifyEmailSchema = require("../schemas/verifyEmail.json");
+const twoFactorLoginSchema = require("../schemas/twoFactorLogin.json");
+const twoFactorCodeSchema = require("../schemas/twoFactorCode.json");
+const { authorize } = require("../middleware/policy");
+const { BadRequestError, UnauthorizedError } = require("../expressError");
+const { validateBody, validateQuery } = require("../middleware/validate");
 
-/** POST /auth/token:  { username, password } => { token }
+/** Does user have to turn on two-factor auth before acting as an admin?
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * While the requireAdmin2fa setting is on, admins without two-factor auth get
+ * access tokens without admin rights.
+ */
+
+async function needsAdmin2fa(user) {
+  return Boolean(user.isAdmin && !user.twoFactorEnabled && await Setting.get("requireAdmin2fa"));
+}
+
+/** Create a JWT token for user, as limited by needsAdmin2fa. */
+
+async function accessTokenFor(user) {
+  if (await needsAdmin2fa(user)) return createToken({ ...user, isAdmin: false });
+  return createToken(user);
+}
+
+/** Issue a new access token and refresh token for user.
+ *
+ * Returns { token, refreshToken }, plus adminRequires2fa: true if the token
+ * was issued without admin rights by needsAdmin2fa.
+ */
+
+async function issueTokens(user) {
+  const token = await accessTokenFor(user);
+  const refreshToken = await RefreshToken.create(user.username);
+  if (await needsAdmin2fa(user)) return { token, refreshToken, adminRequires2fa: true };
+  return { token, refreshToken };
+}
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
+ *                                              or { mfaRequired: true, mfaToken }
+ *
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token to get a new one once it expires (see POST /auth/refresh).
+ * Routes needing a login answer an expired token with 401 and error code
+ * token_expired.
+ *
+ * If the user has two-factor auth on, instead returns an mfaToken to send with
+ * a code to POST /auth/token/2fa within MFA_TOKEN_TTL seconds.
+ *
+ * After too many failed attempts for a username or from an IP address, returns
+ * 429 with a Retry-After header until the lockout ends (see loginThrottle).
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", authorize("auth:token"), validateBody(userAuthSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const { username, password } = req.body;
+    await loginThrottle.checkLogin(username, req.ip);
+
+    let user;
+    try {
+      user = await User.authenticate(username, password);
+    } catch (err) {
+      if (err instanceof UnauthorizedError) await loginThrottle.recordFailure(username, req.ip);
+      throw err;
     }
 
-    const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    if (user.twoFactorEnabled) {
+      return res.json({ mfaRequired: true, mfaToken: createMfaToken(user) });
+    }
+
+    await loginThrottle.recordSuccess(username);
+
+    const tokens = await issueTokens(user);
+    return res.json(tokens);
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/token/2fa:  { mfaToken, code } => { token, refreshToken }
+ *
+ * The second step of logging in with two-factor auth: code is a TOTP code from
+ * the user's authenticator app, or one of their recovery codes. Failed codes
+ * count towards login lockouts, as for POST /auth/token.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/token/2fa",
+  authorize("auth:token2fa"),
+  validateBody(twoFactorLoginSchema),
+  async function (req, res, next) {
+    try {
+      const user = verifyMfaToken(req.body.mfaToken);
+      if (!await Session.isActive({ username: user.username, ver: user.tokenVersion })) {
+        throw new UnauthorizedError("Login expired; please log in again");
+      }
+      await loginThrottle.checkLogin(user.username, req.ip);
+
+      if (!await TwoFactor.verify(user.username, req.body.code)) {
+        await loginThrottle.recordFailure(user.username, req.ip);
+        throw new UnauthorizedError("Invalid code");
+      }
+      await loginThrottle.recordSuccess(user.username);
+
+      const tokens = await issueTokens({ ...user, twoFactorEnabled: true });
+      return res.json(tokens);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token, as for POST /auth/token.
+ *
+ * The new account's email starts unverified, and a token to verify it is
+ * emailed to it (see GET /auth/verify-email).
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/register", authorize("auth:register"), validateBody(userRegisterSchema), async function (req, res, next) {
+  try {
+    const newUser = await User.register({ ...req.body, isAdmin: false });
+    await sendVerification(newUser);
+    const tokens = await issueTokens(newUser);
+    return res.status(201).json(tokens);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token. Each
+ * refresh token can only be used once; using one again revokes every refresh
+ * token issued from the same login.
+ *
+ * Authorization required: none
+ */
+
+router.post("/refresh", authorize("auth:refresh"), validateBody(authRefreshSchema), async function (req, res, next) {
+  try {
+    const { user, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    const token = await accessTokenFor(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: username }
+ *
+ * Revokes the JWT token used to make this request and, if given, the refresh
+ * token from the same login.
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout", authorize("auth:logout"), validateBody(authLogoutSchema), async function (req, res, next) {
+  try {
+    const { username } = res.locals.user;
+    await Session.revoke(res.locals.user);
+    if (req.body.refreshToken) await RefreshToken.revoke(username, req.body.refreshToken);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout-all:   => { loggedOut: username }
+ *
+ * Revokes every JWT token and refresh token the user has, logging them out of
+ * all sessions.
+ *
+ * Authorization required: login
+ */
+
+router.post("/logout-all", authorize("auth:logoutAll"), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
+    const { username } = res.locals.user;
+    await Session.revokeAll(username);
+    return res.json({ loggedOut: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+
+/** POST /auth/password-reset/request:   { email } => { message }
+ *
+ * Emails a password reset token to each user with that address; the token
+ * expires after PASSWORD_RESET_TTL seconds. The response is the same whether
+ * or not any user has the address, so it can't be used to find accounts.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/request",
+  authorize("auth:passwordReset"),
+  validateBody(passwordResetRequestSchema),
+  async function (req, res, next) {
+    try {
+      const users = await User.findByEmail(req.body.email);
+      for (const user of users) {
+        await sendPasswordReset(user);
+      }
+      return res.status(202).json({ message: "If an account has that email, a reset token has been sent to it" });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+
+/** POST /auth/password-reset/confirm:   { token, password } => { passwordReset: username }
+ *
+ * Sets a new password using a token from POST /auth/password-reset/request.
+ * Each token works once. The user is logged out of every session.
+ *
+ * Authorization required: none
+ */
+
+router.post(
+  "/password-reset/confirm",
+  authorize("auth:passwordReset"),
+  validateBody(passwordResetConfirmSchema),
+  async function (req, res, next) {
+    try {
+      const username = await UserToken.consume(req.body.token, "password_reset");
+      await User.update(username, { password: req.body.password });
+      return res.json({ passwordReset: username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
+
+/** GET /auth/verify-email?token=[token]   => { verified: username }
+ *
+ * Marks the user's email verified, using a token emailed to them on
+ * registration or when they changed their email. Each token works once.
+ *
+ * Authorization required: none
+ */
+
+router.get(
+  "/verify-email",
+  authorize("auth:verifyEmail"),
+  validateQuery(verifyEmailSchema),
+  async function (req, res, next) {
+    try {
+      const username = await UserToken.consume(req.query.token, "email_verification");
+      await User.verifyEmail(username);
+      return res.json({ verified: username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
+/** POST /auth/verify-email/resend:   => { sent: email }
+ *
+ * Emails the logged in user a new verification token; earlier ones stop
+ * working.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", authorize("auth:verifyEmailResend"), async function (req, res, next) {
+  try {
+    const user = await User.get(res.locals.user.username);
+    if (user.emailVerified) throw new BadRequestError("Email is already verified");
+    await sendVerification(user);
+    return res.json({ sent: user.email });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+
+/** POST /auth/2fa/enroll:   => { secret, otpauthUri }
+ *
+ * Starts turning on two-factor auth with a new secret, to add to an
+ * authenticator app (usually by showing otpauthUri as a QR code). It isn't on
+ * until confirmed with POST /auth/2fa/confirm.
+ *
+ * Authorization required: login
+ */
+
+router.post("/2fa/enroll", authorize("auth:twoFactor"), async function (req, res, next) {
+  try {
+    const result = await TwoFactor.enroll(res.locals.user.username);
+    return res.json(result);
   } catch (err) {
     return next(err);
   }
 });
 
 
+/** POST /auth/2fa/confirm:   { code } => { recoveryCodes }
+ *
+ * Turns on two-factor auth, given a code from the authenticator app. Returns
+ * one-time recovery codes to use if the app is lost; they aren't shown again.
+ *
+ * Authorization required: login
+ */
+
+router.post(
+  "/2fa/confirm",
+  authorize("auth:twoFactor"),
+  validateBody(twoFactorCodeSchema),
+  async function (req, res, next) {
+    try {
+      const result = await TwoFactor.confirm(res.locals.user.username, req.body.code);
+      return res.json(result);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
+/** POST /auth/2fa/disable:   { code } => { disabled: username }
+ *
+ * Turns off two-factor auth, given a current code or a recovery code.
+ *
+ * Authorization required: login
+ */
+
+router.post(
+  "/2fa/disable",
+  authorize("auth:twoFactor"),
+  validateBody(twoFactorCodeSchema),
+  async function (req, res, next) {
+    try {
+      const { username } = res.locals.user;
+      if (!await TwoFactor.verify(username, req.body.code)) throw new BadRequestError("Invalid code");
+      await TwoFactor.disable(username);
+      return res.json({ disabled: username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+
 module.exports = router;
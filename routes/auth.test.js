@@ -1,14 +1,23 @@
 "use strict";
 
+const jwt = require("jsonwebtoken");
 const request = require("supertest");
 
 const app = require("../app");
+const { SECRET_KEY } = require("../config");
+const { transports } = require("../helpers/mailer");
+const { codeFor, counterAt } = require("../helpers/totp");
+const User = require("../models/user");
+const Setting = require("../models/setting");
+const TwoFactor = require("../models/twoFactor");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  u2Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -16,6 +25,13 @@ beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The token in the last email sent. */
+
+function sentToken() {
+  const { text } = transports.memory.sent[transports.memory.sent.length - 1];
+  return text.match(/^[\w-]{43}$/m)[0];
+}
+
 /************************************** POST /auth/token */
 
 describe("POST /auth/token", function () {
@@ -28,6 +44,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -51,6 +68,39 @@ describe("POST /auth/token", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("429 after too many failures, even with the right password", async function () {
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+          .post("/auth/token")
+          .send({
+            username: "u1",
+            password: "nope",
+          });
+    }
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers["retry-after"]).toEqual("60");
+  });
+
+  test("success clears earlier failures", async function () {
+    const login = (password) => request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password,
+        });
+    for (let i = 0; i < 4; i++) await login("nope");
+    await login("password1");
+    for (let i = 0; i < 4; i++) await login("nope");
+    const resp = await login("password1");
+    expect(resp.statusCode).toEqual(200);
+  });
+
   test("bad request with missing data", async function () {
     const resp = await request(app)
         .post("/auth/token")
@@ -87,9 +137,26 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
+  test("sends a verification email", async function () {
+    await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(transports.memory.sent.map(m => m.to)).toEqual(["new@email.com"]);
+
+    const user = await User.get("new");
+    expect(user.emailVerified).toEqual(false);
+  });
+
   test("bad request with missing fields", async function () {
     const resp = await request(app)
         .post("/auth/register")
@@ -112,3 +179,580 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await login();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth when reused, and revokes the rest of the family", async function () {
+    const refreshToken = await login();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+
+    const reused = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reused.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth with unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    const { token, refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken })
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.body).toEqual({ loggedOut: "u1" });
+
+    const after = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${token}`);
+    expect(after.statusCode).toEqual(401);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("leaves other tokens alone", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+
+    const other = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(other.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** expired access tokens */
+
+describe("expired access tokens", function () {
+  const expiredToken = jwt.sign(
+      { username: "u1", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 },
+      SECRET_KEY);
+
+  test("unauth with a token_expired code where a login is needed", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .set("authorization", `Bearer ${expiredToken}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.code).toEqual("token_expired");
+  });
+
+  test("no code for other unauthorized requests", async function () {
+    const resp = await request(app).post("/auth/logout");
+    expect(resp.body.error.code).toBeUndefined();
+  });
+
+  test("don't stop routes anyone can use", async function () {
+    const jobs = await request(app)
+        .get("/jobs")
+        .set("authorization", `Bearer ${expiredToken}`);
+    expect(jobs.statusCode).toEqual(200);
+
+    const login = await request(app)
+        .post("/auth/token")
+        .set("authorization", `Bearer ${expiredToken}`)
+        .send({ username: "u1", password: "password1" });
+    expect(login.statusCode).toEqual(200);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .set("authorization", `Bearer ${expiredToken}`)
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(200);
+  });
+});
+
+/************************************** POST /auth/logout-all */
+
+describe("POST /auth/logout-all", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u2",
+          password: "password2",
+        });
+
+    const resp = await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ loggedOut: "u2" });
+
+    const after = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(after.statusCode).toEqual(401);
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: login.body.refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+
+    const again = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u2",
+          password: "password2",
+        });
+    const fresh = await request(app)
+        .get("/users/u2")
+        .set("authorization", `Bearer ${again.body.token}`);
+    expect(fresh.statusCode).toEqual(200);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/logout-all");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  async function requestReset(email) {
+    return request(app)
+        .post("/auth/password-reset/request")
+        .send({ email });
+  }
+
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+
+    const resp = await requestReset("user1@user.com");
+    expect(resp.statusCode).toEqual(202);
+    expect(transports.memory.sent.map(m => m.to)).toEqual(["user1@user.com"]);
+
+    const confirm = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: sentToken(), password: "new-password" });
+    expect(confirm.body).toEqual({ passwordReset: "u1" });
+
+    const oldPassword = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "password1",
+        });
+    expect(oldPassword.statusCode).toEqual(401);
+
+    const newPassword = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u1",
+          password: "new-password",
+        });
+    expect(newPassword.statusCode).toEqual(200);
+
+    // existing sessions are logged out
+    const oldSession = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${login.body.token}`);
+    expect(oldSession.statusCode).toEqual(401);
+  });
+
+  test("same response for unknown email", async function () {
+    const resp = await requestReset("nobody@user.com");
+    expect(resp.statusCode).toEqual(202);
+    expect(transports.memory.sent).toEqual([]);
+  });
+
+  test("bad request reusing a token", async function () {
+    await requestReset("user1@user.com");
+    const token = sentToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "new-password" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "other-password" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid data", async function () {
+    let resp = await requestReset("not-an-email");
+    expect(resp.statusCode).toEqual(400);
+
+    await requestReset("user1@user.com");
+    resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: sentToken(), password: "abc" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/verify-email */
+
+describe("GET /auth/verify-email", function () {
+  async function register() {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    return resp.body.token;
+  }
+
+  test("works", async function () {
+    await register();
+    const resp = await request(app).get(`/auth/verify-email?token=${sentToken()}`);
+    expect(resp.body).toEqual({ verified: "new" });
+
+    const user = await User.get("new");
+    expect(user.emailVerified).toEqual(true);
+  });
+
+  test("bad request reusing a token", async function () {
+    await register();
+    const token = sentToken();
+    await request(app).get(`/auth/verify-email?token=${token}`);
+    const resp = await request(app).get(`/auth/verify-email?token=${token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with a password reset token", async function () {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "user1@user.com" });
+    const resp = await request(app).get(`/auth/verify-email?token=${sentToken()}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing token", async function () {
+    const resp = await request(app).get("/auth/verify-email");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unverified users can't apply to jobs until verified", async function () {
+    const token = await register();
+    const jobs = await request(app).get("/jobs");
+    const jobId = jobs.body.jobs[0].id;
+
+    let resp = await request(app)
+        .post(`/users/new/jobs/${jobId}`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(403);
+
+    await request(app).get(`/auth/verify-email?token=${sentToken()}`);
+    resp = await request(app)
+        .post(`/users/new/jobs/${jobId}`)
+        .set("authorization", `Bearer ${token}`);
+    expect(resp.statusCode).toEqual(201);
+  });
+});
+
+/************************************** POST /auth/verify-email/resend */
+
+describe("POST /auth/verify-email/resend", function () {
+  test("works, and earlier tokens stop working", async function () {
+    const registered = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const firstToken = sentToken();
+
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${registered.body.token}`);
+    expect(resp.body).toEqual({ sent: "new@email.com" });
+    expect(sentToken()).not.toEqual(firstToken);
+
+    const old = await request(app).get(`/auth/verify-email?token=${firstToken}`);
+    expect(old.statusCode).toEqual(400);
+  });
+
+  test("bad request if already verified", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app).post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** two-factor auth */
+
+describe("two-factor auth", function () {
+  /** The code for secret a number of steps from now. */
+
+  function codeAt(secret, steps = 0) {
+    return codeFor(secret, counterAt(Date.now()) + steps);
+  }
+
+  /** Turn on two-factor auth for u2; returns { secret, recoveryCodes }. */
+
+  async function enable() {
+    const enrolled = await request(app)
+        .post("/auth/2fa/enroll")
+        .set("authorization", `Bearer ${u2Token}`);
+    const { secret } = enrolled.body;
+    const confirmed = await request(app)
+        .post("/auth/2fa/confirm")
+        .send({ code: codeAt(secret, -1) })
+        .set("authorization", `Bearer ${u2Token}`);
+    return { secret, recoveryCodes: confirmed.body.recoveryCodes };
+  }
+
+  async function login() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u2",
+          password: "password2",
+        });
+    return resp.body;
+  }
+
+  test("enroll works", async function () {
+    const resp = await request(app)
+        .post("/auth/2fa/enroll")
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({
+      secret: expect.any(String),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\/Jobly%3Au2\?/),
+    });
+  });
+
+  test("confirm works", async function () {
+    const { recoveryCodes } = await enable();
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  test("confirm: bad request with a wrong code", async function () {
+    const enrolled = await request(app)
+        .post("/auth/2fa/enroll")
+        .set("authorization", `Bearer ${u2Token}`);
+    const resp = await request(app)
+        .post("/auth/2fa/confirm")
+        .send({ code: codeAt(enrolled.body.secret, 5) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("enroll and confirm: unauth for anon", async function () {
+    const enrolled = await request(app).post("/auth/2fa/enroll");
+    expect(enrolled.statusCode).toEqual(401);
+    const confirmed = await request(app)
+        .post("/auth/2fa/confirm")
+        .send({ code: "123456" });
+    expect(confirmed.statusCode).toEqual(401);
+  });
+
+  test("login takes two steps once on", async function () {
+    const { secret } = await enable();
+    const first = await login();
+    expect(first).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+
+    // the mfa token can't be used as an access token
+    const asAccess = await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${first.mfaToken}`);
+    expect(asAccess.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: first.mfaToken, code: codeAt(secret) });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("second step: unauth reusing a code", async function () {
+    const { secret } = await enable();
+    const code = codeAt(secret);
+    await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: (await login()).mfaToken, code });
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: (await login()).mfaToken, code });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("second step: works with a recovery code, once", async function () {
+    const { recoveryCodes } = await enable();
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: (await login()).mfaToken, code: recoveryCodes[0] });
+    expect(resp.statusCode).toEqual(200);
+
+    const reused = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: (await login()).mfaToken, code: recoveryCodes[0] });
+    expect(reused.statusCode).toEqual(401);
+  });
+
+  test("second step: 429 after too many wrong codes", async function () {
+    const { secret } = await enable();
+    const { mfaToken } = await login();
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+          .post("/auth/token/2fa")
+          .send({ mfaToken, code: "000000" });
+    }
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: codeAt(secret) });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test("second step: unauth with a bad mfa token", async function () {
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: u2Token, code: "123456" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("second step: unauth after logging out everywhere", async function () {
+    const { secret } = await enable();
+    const { mfaToken } = await login();
+    await request(app)
+        .post("/auth/logout-all")
+        .set("authorization", `Bearer ${u2Token}`);
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken, code: codeAt(secret) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("disable works", async function () {
+    const { secret } = await enable();
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ code: codeAt(secret) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.body).toEqual({ disabled: "u2" });
+    expect(await login()).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+    });
+  });
+
+  test("disable: bad request with a wrong code", async function () {
+    const { secret } = await enable();
+    const resp = await request(app)
+        .post("/auth/2fa/disable")
+        .send({ code: codeAt(secret, 5) })
+        .set("authorization", `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("admins without it lose admin rights while it's required", async function () {
+    await Setting.update({ requireAdmin2fa: true });
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u3",
+          password: "password3",
+        });
+    expect(resp.body).toEqual({
+      "token": expect.any(String),
+      "refreshToken": expect.any(String),
+      "adminRequires2fa": true,
+    });
+    expect(jwt.decode(resp.body.token).isAdmin).toEqual(false);
+
+    const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: resp.body.refreshToken });
+    expect(jwt.decode(refreshed.body.token).isAdmin).toEqual(false);
+  });
+
+  test("admins with it keep admin rights while it's required", async function () {
+    await Setting.update({ requireAdmin2fa: true });
+    const { secret } = await TwoFactor.enroll("u3");
+    await TwoFactor.confirm("u3", codeAt(secret, -1));
+    const first = await request(app)
+        .post("/auth/token")
+        .send({
+          username: "u3",
+          password: "password3",
+        });
+    const resp = await request(app)
+        .post("/auth/token/2fa")
+        .send({ mfaToken: first.body.mfaToken, code: codeAt(secret) });
+    expect(resp.body.adminRequires2fa).toBeUndefined();
+    expect(jwt.decode(resp.body.token).isAdmin).toEqual(true);
+  });
+});
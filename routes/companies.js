@@ -2,18 +2,42 @@
 
 /** Routes for companies. */
 
-const jsonschema = require('jsonschema');
 const express = require('express');
 
-const { BadRequestError } = require('../expressError');
-const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const { authorize, jobVisibility } = require('../middleware/policy');
+const { validateBody, validateQuery } = require('../middleware/validate');
 const Company = require('../models/company');
+const Application = require('../models/application');
+const Membership = require('../models/membership');
+const ApiKey = require('../models/apiKey');
+const { NotFoundError } = require('../expressError');
 
 const companyNewSchema = require('../schemas/companyNew.json');
 const companyUpdateSchema = require('../schemas/companyUpdate.json');
+const companyRenameSchema = require('../schemas/companyRename.json');
+const companySearchSchema = require('../schemas/companySearch.json');
+const applicantSearchSchema = require('../schemas/applicantSearch.json');
+const memberUpdateSchema = require('../schemas/memberUpdate.json');
+const apiKeyNewSchema = require('../schemas/apiKeyNew.json');
 
 const router = new express.Router();
 
+/** A GET for a company by a handle it used to have (see Company.rename) is
+ * redirected to the same URL with its current handle, with 301 Moved
+ * Permanently. */
+
+router.param('handle', async function(req, res, next, handle) {
+	if (req.method !== 'GET') return next();
+
+	try {
+		const newHandle = await Company.findRenamed(handle);
+		if (!newHandle) return next();
+		return res.redirect(301, req.baseUrl + req.url.replace(/^\/[^/?]*/, `/${newHandle}`));
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** POST / { company } =>  { company }
  *
  * company should be { handle, name, description, numEmployees, logoUrl }
@@ -23,14 +47,8 @@ const router = new express.Router();
  * Authorization required: login and Admin
  */
 
-router.post('/', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.post('/', authorize('companies:create'), validateBody(companyNewSchema), async function(req, res, next) {
 	try {
-		const validator = jsonschema.validate(req.body, companyNewSchema);
-		if (!validator.valid) {
-			const errs = validator.errors.map((e) => e.stack);
-			throw new BadRequestError(errs);
-		}
-
 		const company = await Company.create(req.body);
 		return res.status(201).json({ company });
 	} catch (err) {
@@ -39,24 +57,27 @@ router.post('/', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total, next, prev }
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
  *
+ * Can be sorted with sort, a comma-separated list of handle, name and
+ * numEmployees, each prefixed with "-" for descending order.
+ *
+ * Results are paginated with limit and either offset or cursor, where cursor
+ * is the next or prev value from another page.
+ *
  * Authorization required: none
  */
 
-router.get('/', async function(req, res, next) {
+router.get('/', authorize('companies:list'), validateQuery(companySearchSchema), async function(req, res, next) {
 	try {
-		// grab potential filters from the query string and send them as parameters in the model method
-		const nameLike = req.query.nameLike;
-		const minEmployees = req.query.minEmployees;
-		const maxEmployees = req.query.maxEmployees;
-		const companies = await Company.findAll(nameLike, minEmployees, maxEmployees);
-		return res.json({ companies });
+		const result = await Company.findAll(req.query);
+		return res.json(result);
 	} catch (err) {
 		return next(err);
 	}
@@ -65,20 +86,53 @@ router.get('/', async function(req, res, next) {
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salary, equity, status }, ...]
+ *
+ * jobs only has the company's listed jobs, unless the caller can see all of
+ * them (see GET /jobs).
  *
  * Authorization required: none
  */
 
-router.get('/:handle', async function(req, res, next) {
+router.get('/:handle', authorize('companies:get'), async function(req, res, next) {
 	try {
-		const company = await Company.get(req.params.handle);
+		const company = await Company.get(req.params.handle, await jobVisibility(res));
 		return res.json({ company });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** GET /[handle]/applications  =>  { applications: [...], total, next, prev }
+ *
+ * Returns the applicants to any of the company's jobs, newest first:
+ *   [{ username, firstName, lastName, email, jobId, jobTitle, state, createdAt, updatedAt }, ...]
+ * Users who only saved a job haven't applied, and aren't listed.
+ *
+ * Can filter on state and appliedAfter / appliedBefore, and be sorted with sort,
+ * a comma-separated list of username, firstName, lastName, jobId, state,
+ * createdAt and updatedAt, each prefixed with "-" for descending order.
+ * Results are paginated with limit and either offset or cursor.
+ *
+ * Authorization required: login and (Admin or company viewer), or an API key
+ * for the company with applications:read
+ */
+
+router.get(
+	'/:handle/applications',
+	authorize('companies:applications:list'),
+	validateQuery(applicantSearchSchema),
+	async function(req, res, next) {
+		try {
+			await Company.get(req.params.handle);
+			const result = await Application.findApplicants({ ...req.query, companyHandle: req.params.handle });
+			return res.json(result);
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
 /** PATCH /[handle] { fld1, fld2, ... } => { company }
  *
  * Patches company data.
@@ -87,33 +141,189 @@ router.get('/:handle', async function(req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
- * Authorization required: login and Admin
+ * Authorization required: login and (Admin or company owner), or an API key
+ * for the company with companies:write
+ */
+
+router.patch(
+	'/:handle',
+	authorize('companies:update'),
+	validateBody(companyUpdateSchema),
+	async function(req, res, next) {
+		try {
+			const company = await Company.update(req.params.handle, req.body);
+			return res.json({ company });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * The company and its jobs are hidden until restored, or purged after
+ * DELETED_RETENTION.
+ *
+ * Authorization: login and Admin
  */
 
-router.patch('/:handle', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.delete('/:handle', authorize('companies:delete'), async function(req, res, next) {
 	try {
-		const validator = jsonschema.validate(req.body, companyUpdateSchema);
-		if (!validator.valid) {
-			const errs = validator.errors.map((e) => e.stack);
-			throw new BadRequestError(errs);
+		await Company.remove(req.params.handle);
+		return res.json({ deleted: req.params.handle });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[handle]/rename { handle }  =>  { company }
+ *
+ * Gives the company a new handle. Its jobs, members and API keys move with it,
+ * and GET requests for the old handle are redirected to the new one.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: login and Admin
+ */
+
+router.post(
+	'/:handle/rename',
+	authorize('companies:rename'),
+	validateBody(companyRenameSchema),
+	async function(req, res, next) {
+		try {
+			const company = await Company.rename(req.params.handle, req.body.handle);
+			return res.json({ company });
+		} catch (err) {
+			return next(err);
 		}
+	}
+);
+
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Restores a deleted company, with the jobs deleted along with it.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl }
+ *
+ * Authorization required: login and Admin
+ */
 
-		const company = await Company.update(req.params.handle, req.body);
+router.post('/:handle/restore', authorize('companies:restore'), async function(req, res, next) {
+	try {
+		const company = await Company.restore(req.params.handle);
 		return res.json({ company });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** DELETE /[handle]  =>  { deleted: handle }
+/** GET /[handle]/members  =>  { members: [ { username, firstName, lastName, role }, ...] }
  *
- * Authorization: login and Admin
+ * Authorization required: login and (Admin or company viewer)
  */
 
-router.delete('/:handle', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.get('/:handle/members', authorize('companies:members:list'), async function(req, res, next) {
 	try {
-		await Company.remove(req.params.handle);
-		return res.json({ deleted: req.params.handle });
+		await Company.get(req.params.handle);
+		const members = await Membership.findForCompany(req.params.handle);
+		return res.json({ members });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PUT /[handle]/members/[username] { role }  =>  { member: { username, companyHandle, role } }
+ *
+ * Gives the user a role at the company (owner, recruiter or viewer), replacing
+ * any role they already had there.
+ *
+ * Authorization required: login and (Admin or company owner)
+ */
+
+router.put(
+	'/:handle/members/:username',
+	authorize('companies:members:set'),
+	validateBody(memberUpdateSchema),
+	async function(req, res, next) {
+		try {
+			const member = await Membership.set(req.params.handle, req.params.username, req.body.role);
+			return res.json({ member });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** DELETE /[handle]/members/[username]  =>  { removed: username }
+ *
+ * Authorization required: login and (Admin or company owner)
+ */
+
+router.delete('/:handle/members/:username', authorize('companies:members:remove'), async function(
+	req,
+	res,
+	next
+) {
+	try {
+		await Membership.remove(req.params.handle, req.params.username);
+		return res.json({ removed: req.params.username });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[handle]/api-keys  =>
+ *   { apiKeys: [ { id, name, companyHandle, scopes, createdBy, createdAt, expiresAt, lastUsedAt }, ...] }
+ *
+ * Lists the company's API keys that haven't been revoked, newest first.
+ *
+ * Authorization required: login and (Admin or company owner)
+ */
+
+router.get('/:handle/api-keys', authorize('companies:apiKeys:list'), async function(req, res, next) {
+	try {
+		await Company.get(req.params.handle);
+		const apiKeys = await ApiKey.findForCompany(req.params.handle);
+		return res.json({ apiKeys });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** POST /[handle]/api-keys { name, scopes, expiresAt }  =>  { apiKey, key }
+ *
+ * Mints an API key for the company, for other servers to send as
+ * "Authorization: ApiKey <key>". scopes are what it may do (see models/apiKey.js);
+ * expiresAt is optional. The key itself is only returned here.
+ *
+ * Authorization required: login and (Admin or company owner)
+ */
+
+router.post(
+	'/:handle/api-keys',
+	authorize('companies:apiKeys:create'),
+	validateBody(apiKeyNewSchema),
+	async function(req, res, next) {
+		try {
+			const result = await ApiKey.create(req.params.handle, req.body, res.locals.user.username);
+			return res.status(201).json(result);
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** DELETE /[handle]/api-keys/[id]  =>  { revoked: id }
+ *
+ * Authorization required: login and (Admin or company owner)
+ */
+
+router.delete('/:handle/api-keys/:id', authorize('companies:apiKeys:revoke'), async function(req, res, next) {
+	try {
+		if (!/^\d+$/.test(req.params.id)) throw new NotFoundError(`No API key: ${req.params.id}`);
+		await ApiKey.revoke(req.params.handle, req.params.id);
+		return res.json({ revoked: +req.params.id });
 	} catch (err) {
 		return next(err);
 	}
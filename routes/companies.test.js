@@ -4,8 +4,18 @@ const request = require('supertest');
 
 const db = require('../db');
 const app = require('../app');
-
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, u1Token } = require('./_testCommon');
+const Membership = require('../models/membership');
+const ApiKey = require('../models/apiKey');
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -23,8 +33,14 @@ describe('POST /companies', function() {
 		numEmployees: 10
 	};
 
-	test('not ok for non admin users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app).post('/companies').send(newCompany).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({ company: newCompany });
+	});
+
+	test('not ok for non admin users', async function() {
+		const resp = await request(app).post('/companies').send(newCompany).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
@@ -37,7 +53,7 @@ describe('POST /companies', function() {
 				numEmployees: 10
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(400);
 	});
 
 	test('bad request with invalid data', async function() {
@@ -48,7 +64,7 @@ describe('POST /companies', function() {
 				logoUrl: 'not-a-url'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(400);
 	});
 });
 
@@ -80,10 +96,41 @@ describe('GET /companies', function() {
 					numEmployees: 3,
 					logoUrl: 'http://c3.img'
 				}
-			]
+			],
+			total: 3,
+			next: null,
+			prev: null
 		});
 	});
 
+	test('paginates', async function() {
+		const first = await request(app).get('/companies?limit=2');
+		expect(first.statusCode).toEqual(200);
+		expect(first.body.companies.map((c) => c.handle)).toEqual([ 'c1', 'c2' ]);
+		expect(first.body.total).toEqual(3);
+
+		const second = await request(app).get(`/companies?limit=2&cursor=${first.body.next}`);
+		expect(second.body.companies.map((c) => c.handle)).toEqual([ 'c3' ]);
+		expect(second.body.next).toEqual(null);
+	});
+
+	test('sorts', async function() {
+		const resp = await request(app).get('/companies?sort=-numEmployees,name');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.companies.map((c) => c.handle)).toEqual([ 'c3', 'c2', 'c1' ]);
+	});
+
+	test('bad request with unknown sort key', async function() {
+		const resp = await request(app).get('/companies?sort=logoUrl');
+		expect(resp.statusCode).toEqual(400);
+		expect(resp.body.error.message).toMatch(/Invalid sort key: logoUrl/);
+	});
+
+	test('bad request with invalid pagination', async function() {
+		const resp = await request(app).get('/companies?cursor=nope');
+		expect(resp.statusCode).toEqual(400);
+	});
+
 	test('fails: test next() handler', async function() {
 		// there's no normal failure event which will cause this route to fail ---
 		// thus making it hard to test that the error-handler works with it. This
@@ -101,6 +148,12 @@ describe('GET /companies', function() {
 		expect(resp.body.companies.length).toEqual(1);
 	});
 
+	test('filter companies by name is case-insensitive', async function() {
+		const resp = await request(app).get('/companies?nameLike=c3');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.companies.map((c) => c.handle)).toEqual([ 'c3' ]);
+	});
+
 	test('filter companies by minEmployees', async function() {
 		//using minEmployees in the query string should filter the companies to include only the companies that have
 		// more than or equal to that number of employees
@@ -124,6 +177,21 @@ describe('GET /companies', function() {
 		expect(resp.body.companies.length).toEqual(1);
 	});
 
+	test('bad request with non-numeric filters', async function() {
+		const resp = await request(app).get('/companies?minEmployees=many');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with out-of-range filters', async function() {
+		const resp = await request(app).get('/companies?minEmployees=99999999999');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with unknown filters', async function() {
+		const resp = await request(app).get('/companies?handle=c1');
+		expect(resp.statusCode).toEqual(400);
+	});
+
 	test('test invalid filters', async function() {
 		// minEmployees cannot be higher than maxEmployees
 		const resp = await request(app).get('/companies?minEmployees=2&maxEmployees=1');
@@ -161,26 +229,101 @@ describe('GET /companies/:handle', function() {
 		});
 	});
 
+	test('lists unlisted jobs only to those who can see them', async function() {
+		await db.query(`UPDATE jobs SET status = 'draft' WHERE company_handle = 'c1'`);
+
+		let resp = await request(app).get(`/companies/c1`);
+		expect(resp.body.company.company.jobs).toEqual([]);
+
+		resp = await request(app).get(`/companies/c1`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.company.company.jobs.map((j) => j.status)).toEqual([ 'draft' ]);
+	});
+
 	test('not found for no such company', async function() {
 		const resp = await request(app).get(`/companies/nope`);
 		expect(resp.statusCode).toEqual(404);
 	});
 });
 
+/************************************** GET /companies/:handle/applications */
+
+describe('GET /companies/:handle/applications', function() {
+	test('works for company member', async function() {
+		const resp = await request(app).get(`/companies/c1/applications`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.applications.map((a) => a.username)).toEqual([ 'u1' ]);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).get(`/companies/c2/applications`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).get(`/companies/c1/applications`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('works with an API key with applications:read', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		const resp = await request(app).get(`/companies/c1/applications`).set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.applications.map((a) => a.username)).toEqual([ 'u1' ]);
+	});
+
+	test("unauth with another company's API key", async function() {
+		const { key } = await ApiKey.create('c2', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		const resp = await request(app).get(`/companies/c1/applications`).set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
 /************************************** PATCH /companies/:handle */
 
 describe('PATCH /companies/:handle', function() {
-	test('doesnt work for users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app)
 			.patch(`/companies/c1`)
 			.send({
 				name: 'C1-new'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.company.name).toEqual('C1-new');
+	});
+
+	test('works for company owner', async function() {
+		await Membership.set('c1', 'u2', 'owner');
+		const resp = await request(app)
+			.patch(`/companies/c1`)
+			.send({
+				name: 'C1-new'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+	});
+
+	test('doesnt work for users', async function() {
+		const resp = await request(app)
+			.patch(`/companies/c2`)
+			.send({
+				name: 'C2-new'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
 
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
 
+	test('doesnt work for company recruiter', async function() {
+		const resp = await request(app)
+			.patch(`/companies/c1`)
+			.send({
+				name: 'C1-new'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test('unauth for anon', async function() {
 		const resp = await request(app).patch(`/companies/c1`).send({
 			name: 'C1-new'
@@ -188,6 +331,24 @@ describe('PATCH /companies/:handle', function() {
 		expect(resp.statusCode).toEqual(401);
 	});
 
+	test('works with an API key with companies:write', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'companies:write' ] }, 'u1');
+		const resp = await request(app)
+			.patch(`/companies/c1`)
+			.send({ name: 'C1-new' })
+			.set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(200);
+	});
+
+	test('unauth with an API key without companies:write', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'jobs:write' ] }, 'u1');
+		const resp = await request(app)
+			.patch(`/companies/c1`)
+			.send({ name: 'C1-new' })
+			.set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test('not found on no such company', async function() {
 		const resp = await request(app)
 			.patch(`/companies/nope`)
@@ -195,7 +356,7 @@ describe('PATCH /companies/:handle', function() {
 				name: 'new nope'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(404);
 	});
 
 	test('bad request on handle change attempt', async function() {
@@ -205,7 +366,7 @@ describe('PATCH /companies/:handle', function() {
 				handle: 'c1-new'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(400);
 	});
 
 	test('bad request on invalid data', async function() {
@@ -215,15 +376,215 @@ describe('PATCH /companies/:handle', function() {
 				logoUrl: 'not-a-url'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** GET /companies/:handle/members */
+
+describe('GET /companies/:handle/members', function() {
+	test('works for company member', async function() {
+		const resp = await request(app).get(`/companies/c1/members`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({
+			members: [ { username: 'u2', firstName: 'U2F', lastName: 'U2L', role: 'recruiter' } ]
+		});
+	});
+
+	test('unauth for non-members', async function() {
+		const resp = await request(app).get(`/companies/c2/members`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found on no such company', async function() {
+		const resp = await request(app).get(`/companies/nope/members`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** PUT /companies/:handle/members/:username */
+
+describe('PUT /companies/:handle/members/:username', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.put(`/companies/c2/members/u2`)
+			.send({ role: 'owner' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ member: { username: 'u2', companyHandle: 'c2', role: 'owner' } });
+	});
+
+	test('works for company owner', async function() {
+		await Membership.set('c1', 'u2', 'owner');
+		const resp = await request(app)
+			.put(`/companies/c1/members/u3`)
+			.send({ role: 'viewer' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({ member: { username: 'u3', companyHandle: 'c1', role: 'viewer' } });
+	});
+
+	test('unauth for company recruiter', async function() {
+		const resp = await request(app)
+			.put(`/companies/c1/members/u2`)
+			.send({ role: 'owner' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('bad request on invalid role', async function() {
+		const resp = await request(app)
+			.put(`/companies/c1/members/u2`)
+			.send({ role: 'boss' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('not found on no such user', async function() {
+		const resp = await request(app)
+			.put(`/companies/c1/members/nope`)
+			.send({ role: 'viewer' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** DELETE /companies/:handle/members/:username */
+
+describe('DELETE /companies/:handle/members/:username', function() {
+	test('works for admin', async function() {
+		const resp = await request(app).delete(`/companies/c1/members/u2`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ removed: 'u2' });
+	});
+
+	test('unauth for company recruiter', async function() {
+		const resp = await request(app).delete(`/companies/c1/members/u2`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found on non-member', async function() {
+		const resp = await request(app).delete(`/companies/c1/members/u3`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** /companies/:handle/api-keys */
+
+describe('POST /companies/:handle/api-keys', function() {
+	test('works for company owner', async function() {
+		await Membership.set('c1', 'u2', 'owner');
+		const resp = await request(app)
+			.post(`/companies/c1/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'jobs:write' ] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({
+			apiKey: {
+				id: expect.any(Number),
+				name: 'ATS',
+				companyHandle: 'c1',
+				scopes: [ 'jobs:write' ],
+				createdBy: 'u2',
+				createdAt: expect.any(String),
+				expiresAt: null,
+				lastUsedAt: null
+			},
+			key: expect.any(String)
+		});
+	});
+
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.post(`/companies/c2/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'applications:read' ], expiresAt: '2999-01-01T00:00:00Z' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.apiKey.expiresAt).toEqual('2999-01-01T00:00:00.000Z');
+	});
+
+	test('unauth for company recruiter', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'jobs:write' ] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth with an API key', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'companies:write' ] }, 'u1');
+		const resp = await request(app)
+			.post(`/companies/c1/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'jobs:write' ] })
+			.set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('bad request with an unknown scope', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'users:write' ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('not found on no such company', async function() {
+		const resp = await request(app)
+			.post(`/companies/nope/api-keys`)
+			.send({ name: 'ATS', scopes: [ 'jobs:write' ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+describe('GET /companies/:handle/api-keys', function() {
+	test('works for admin, and shows when keys were last used', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		await request(app).get(`/companies/c1/applications`).set('authorization', `ApiKey ${key}`);
+		const resp = await request(app).get(`/companies/c1/api-keys`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body.apiKeys).toEqual([
+			{ ...apiKey, createdAt: expect.any(String), lastUsedAt: expect.any(String) }
+		]);
+	});
+
+	test('unauth for company recruiter', async function() {
+		const resp = await request(app).get(`/companies/c1/api-keys`).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 });
 
+describe('DELETE /companies/:handle/api-keys/:id', function() {
+	test('works for admin, and the key stops working', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		const resp = await request(app)
+			.delete(`/companies/c1/api-keys/${apiKey.id}`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ revoked: apiKey.id });
+
+		const used = await request(app).get(`/companies/c1/applications`).set('authorization', `ApiKey ${key}`);
+		expect(used.statusCode).toEqual(401);
+	});
+
+	test('unauth for company recruiter', async function() {
+		const { apiKey } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		const resp = await request(app)
+			.delete(`/companies/c1/api-keys/${apiKey.id}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found on no such key', async function() {
+		const resp = await request(app).delete(`/companies/c1/api-keys/nope`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
 /************************************** DELETE /companies/:handle */
 
 describe('DELETE /companies/:handle', function() {
-	test('doesnt works for users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app).delete(`/companies/c1`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ deleted: 'c1' });
+	});
+
+	test('doesnt works for users', async function() {
+		const resp = await request(app).delete(`/companies/c1`).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
 
@@ -234,6 +595,127 @@ describe('DELETE /companies/:handle', function() {
 
 	test('not found for no such company', async function() {
 		const resp = await request(app).delete(`/companies/nope`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('hides the company and its jobs', async function() {
+		await request(app).delete(`/companies/c1`).set('authorization', `Bearer ${u1Token}`);
+
+		expect((await request(app).get('/companies/c1')).statusCode).toEqual(404);
+		expect((await request(app).get(`/jobs/${testJobIds[0]}`)).statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /companies/:handle/rename */
+
+describe('POST /companies/:handle/rename', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c1-new' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			company: {
+				handle: 'c1-new',
+				name: 'C1',
+				description: 'Desc1',
+				numEmployees: 1,
+				logoUrl: 'http://c1.img'
+			}
+		});
+	});
+
+	test('GET by the old handle redirects', async function() {
+		await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c1-new' })
+			.set('authorization', `Bearer ${u1Token}`);
+
+		let resp = await request(app).get('/companies/c1');
+		expect(resp.statusCode).toEqual(301);
+		expect(resp.headers.location).toEqual('/companies/c1-new');
+
+		resp = await request(app)
+			.get('/companies/c1/applications?state=applied')
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(301);
+		expect(resp.headers.location).toEqual('/companies/c1-new/applications?state=applied');
+	});
+
+	test('other requests by the old handle are not redirected', async function() {
+		await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c1-new' })
+			.set('authorization', `Bearer ${u1Token}`);
+
+		const resp = await request(app)
+			.patch('/companies/c1')
+			.send({ name: 'New' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('bad request if the handle is taken', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c2' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with an invalid handle', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'Not A Handle' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c1-new' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found for no such company', async function() {
+		const resp = await request(app)
+			.post(`/companies/nope/rename`)
+			.send({ handle: 'new' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /companies/:handle/restore */
+
+describe('POST /companies/:handle/restore', function() {
+	test('works for admin', async function() {
+		await request(app).delete(`/companies/c1`).set('authorization', `Bearer ${u1Token}`);
+
+		const resp = await request(app).post(`/companies/c1/restore`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			company: {
+				handle: 'c1',
+				name: 'C1',
+				description: 'Desc1',
+				numEmployees: 1,
+				logoUrl: 'http://c1.img'
+			}
+		});
+		expect((await request(app).get(`/jobs/${testJobIds[0]}`)).statusCode).toEqual(200);
+	});
+
+	test('unauth for non-admin', async function() {
+		await request(app).delete(`/companies/c1`).set('authorization', `Bearer ${u1Token}`);
+
+		const resp = await request(app).post(`/companies/c1/restore`).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
+
+	test('not found if not deleted', async function() {
+		const resp = await request(app).post(`/companies/c1/restore`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
 });
@@ -1,53 +1,122 @@
 'use strict';
 
-/** Routes for jobs. */
+/** Routes for jobs.
+ *
+ * A job is returned as { id, title, salary, salary_min, salary_max,
+ * salary_currency, salary_period, annual_salary_min, annual_salary_max, equity,
+ * company_handle, city, region, country, latitude, longitude, remote_policy,
+ * remote_countries, status, published_at, expires_at }, where
+ * annual_salary_min and annual_salary_max are the pay per year and salary is
+ * annual_salary_max rounded to a whole amount; POST / and GET /[ID] leave out
+ * id.
+ */
 
-const jsonschema = require('jsonschema');
 const express = require('express');
 
-const { BadRequestError } = require('../expressError');
-const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const { authorize, jobVisibility } = require('../middleware/policy');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { NotFoundError } = require('../expressError');
 const Job = require('../models/job');
+const Company = require('../models/company');
+const Application = require('../models/application');
+const Skill = require('../models/skill');
+
+const jobNewSchema = require('../schemas/jobNew.json');
+const jobUpdateSchema = require('../schemas/jobUpdate.json');
+const jobSearchSchema = require('../schemas/jobSearch.json');
+const applicantSearchSchema = require('../schemas/applicantSearch.json');
+const applicationBulkUpdateSchema = require('../schemas/applicationBulkUpdate.json');
+const jobSkillsSchema = require('../schemas/jobSkills.json');
 
 const router = new express.Router();
 
+/** Job IDs are integers; anything else can't be a job. */
+
+router.param('ID', function(req, res, next, ID) {
+	if (!/^\d+$/.test(ID)) return next(new NotFoundError(`No job: ${ID}`));
+	return next();
+});
+
+/** Who to record as changing applications: the user, or "apikey:<id>" for an
+ * API key. */
+
+function changedBy(res) {
+	const { user, apiKey } = res.locals;
+	return user ? user.username : `apikey:${apiKey.id}`;
+}
+
 /** POST / { job } =>  { job }
 
- * job should be { title, salary, equity, company_handle }
- *
- * Returns { title, salary, equity, company_handle }
+ * job should be { title, salary, salary_min, salary_max, salary_currency,
+ * salary_period, equity, company_handle, city, region, country, latitude,
+ * longitude, remote_policy, remote_countries, status, expires_at }, where
+ * salary_currency is an ISO 4217 code (default USD), salary_period is hourly
+ * or yearly (the default), country and remote_countries are ISO 3166-1
+ * alpha-2 codes, remote_policy is onsite (the default), hybrid or remote,
+ * status is draft or published (the default) and expires_at is optional.
+ * salary_min and salary_max are kept to the cent, and salary alone sets both
+ * to it.
  *
- * Authorization required: login and Admin
+ * Authorization required: login and (Admin or recruiter at company_handle), or
+ * an API key for company_handle with jobs:write
  */
 
-router.post('/', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
-	try {
-		const job = await Job.create(req.body);
-		return res.status(201).json({ job });
-	} catch (err) {
-		return next(err);
+router.post(
+	'/',
+	authorize('jobs:create'),
+	validateBody(jobNewSchema),
+	async function(req, res, next) {
+		try {
+			const job = await Job.create(req.body);
+			return res.status(201).json({ job });
+		} catch (err) {
+			return next(err);
+		}
 	}
-});
+);
 
-/** GET /  =>
- *   { jobs: [ { id, title, salary, equity, company_handle }, ...] }
+/** GET /  =>  { jobs: [ job, ...], total, next, prev }
+ *
+ * Only published jobs that haven't expired are listed, except to admins, and
+ * to recruiters (or API keys with jobs:write) at a job's company.
  *
  * Can filter on provided search filters:
  * - title (will find case-insensitive, partial matches)
- * - minSalary
+ * - minSalary and maxSalary (yearly amounts, compared with each job's annual
+ *   pay whether it's paid hourly or yearly; currencies aren't converted, so
+ *   filter on currency too)
+ * - currency
  * - hasEquity 
+ * - company_handle (a company's old handle, from before it was renamed,
+ *   redirects with 301 Moved Permanently to the same search with the new one)
+ * - status
+ * - near and radiusKm (jobs within radiusKm, by default 50, of near, "lat,lng")
+ * - country (jobs there, or remote jobs open to it)
+ * - remote (only remote jobs)
+ * - skills and match (jobs needing all, or with match=any any, of skills, a
+ *   comma-separated list of skill slugs or aliases)
+ *
+ * Can be sorted with sort, a comma-separated list of id, title, salary,
+ * annual_salary_min, annual_salary_max, equity, company_handle, published_at
+ * and expires_at, each prefixed with "-" for descending order.
+ *
+ * Results are paginated with limit and either offset or cursor, where cursor
+ * is the next or prev value from another page.
  *
  * Authorization required: none
  */
 
-router.get('/', async function(req, res, next) {
+router.get('/', authorize('jobs:list'), validateQuery(jobSearchSchema), async function(req, res, next) {
 	try {
-		// grab potential filters from the query string and send them as parameters in the model method
-		const title = req.query.title;
-		const minSalary = req.query.minSalary;
-		const hasEquity = req.query.hasEquity;
-		const jobs = await Job.findAll(title, minSalary, hasEquity);
-		return res.json({ jobs });
+		const newHandle = req.query.company_handle && (await Company.findRenamed(req.query.company_handle));
+		if (newHandle) {
+			const url = new URL(req.originalUrl, 'http://localhost');
+			url.searchParams.set('company_handle', newHandle);
+			return res.redirect(301, url.pathname + url.search);
+		}
+
+		const result = await Job.findAll(req.query, await jobVisibility(res));
+		return res.json(result);
 	} catch (err) {
 		return next(err);
 	}
@@ -55,35 +124,132 @@ router.get('/', async function(req, res, next) {
 
 /** GET /[ID]  =>  { job }
  *
- *  Job is { title, salary, equity, company_handle }
+ * job also has skills: [{ slug, name, required }, ...]
+ *
+ * A job that isn't listed (a draft, or paused, closed or expired) is only
+ * found by those who can see all of its company's jobs, as for GET /.
  *
  * Authorization required: none
  */
 
-router.get('/:ID', async function(req, res, next) {
+router.get('/:ID', authorize('jobs:get'), async function(req, res, next) {
 	try {
 		const job = await Job.get(req.params.ID);
-		return res.json({ job });
+		if (!Job.isListed(job)) {
+			const { all, companies } = await jobVisibility(res);
+			if (!all && !companies.includes(job.company_handle)) throw new NotFoundError(`No job: ${req.params.ID}`);
+		}
+		const skills = await Skill.findForJob(req.params.ID);
+		return res.json({ job: { ...job, skills } });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** GET /[ID]/applications  =>  { applications: [...], total, next, prev }
+ *
+ * Returns the job's applicants, newest first:
+ *   [{ username, firstName, lastName, email, jobId, jobTitle, state, createdAt, updatedAt }, ...]
+ * Users who only saved a job haven't applied, and aren't listed.
+ *
+ * Can filter on state and appliedAfter / appliedBefore, and be sorted with sort,
+ * a comma-separated list of username, firstName, lastName, jobId, state,
+ * createdAt and updatedAt, each prefixed with "-" for descending order.
+ * Results are paginated with limit and either offset or cursor.
+ *
+ * Authorization required: login and (Admin or viewer at the job's company), or
+ * an API key for the job's company with applications:read
+ */
+
+router.get(
+	'/:ID/applications',
+	authorize('jobs:applications:list'),
+	validateQuery(applicantSearchSchema),
+	async function(req, res, next) {
+		try {
+			await Job.get(req.params.ID);
+			const result = await Application.findApplicants({ ...req.query, jobId: req.params.ID });
+			return res.json(result);
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** PATCH /[ID]/applications { usernames, state }  =>  { updated: [username, ...] }
+ *
+ * Moves the given users' applications to this job to a new state: one of the
+ * company's decisions, interviewing, offered or rejected. If any of them can't
+ * be moved, none are.
+ *
+ * Authorization required: login and (Admin or recruiter at the job's company),
+ * or an API key for the job's company with applications:write
+ */
+
+router.patch(
+	'/:ID/applications',
+	authorize('jobs:applications:update'),
+	validateBody(applicationBulkUpdateSchema),
+	async function(req, res, next) {
+		try {
+			await Job.get(req.params.ID);
+			const updated = await Application.transitionMany(
+				req.params.ID,
+				req.body.usernames,
+				req.body.state,
+				changedBy(res)
+			);
+			return res.json({ updated });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
 /** PATCH /[ID] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
  *
- * fields can be: { id, title, salary, equity, company_handle }
+ * fields can be: { title, salary, salary_min, salary_max, salary_currency,
+ * salary_period, equity, city, region, country, latitude, longitude,
+ * remote_policy, remote_countries, status, expires_at }
  *
- * Returns { id, title, salary, equity, company_handle }
+ * status moves along draft => published <=> paused, and any of them => closed,
+ * which is final.
  *
- * Authorization required: login and Admin
+ * Authorization required: login and (Admin or recruiter at the job's company),
+ * or an API key for the job's company with jobs:write
+ */
+
+router.patch(
+	'/:ID',
+	authorize('jobs:update'),
+	validateBody(jobUpdateSchema),
+	async function(req, res, next) {
+		try {
+			const job = await Job.update(req.params.ID, req.body);
+			return res.json({ job });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** PUT /[ID]/skills { skills: [{ skill, required }, ...] }  =>  { skills }
+ *
+ * Sets the skills the job needs, replacing any it had. skill is a slug or
+ * alias; required defaults to true, and false means nice-to-have.
+ *
+ * Returns { skills: [{ slug, name, required }, ...] }
+ *
+ * Authorization required: login and (Admin or recruiter at the job's company),
+ * or an API key for the job's company with jobs:write
  */
 
-router.patch('/:ID', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.put('/:ID/skills', authorize('jobs:skills:set'), validateBody(jobSkillsSchema), async function(req, res, next) {
 	try {
-		const job = await Job.update(req.params.ID, req.body);
-		return res.json({ job });
+		const skills = await Skill.setForJob(req.params.ID, req.body.skills);
+		return res.json({ skills });
 	} catch (err) {
 		return next(err);
 	}
@@ -91,10 +257,13 @@ router.patch('/:ID', ensureLoggedIn, ensureAdmin, async function(req, res, next)
 
 /** DELETE /[handle]  =>  { deleted: ID }
  *
- * Authorization: login and Admin
+ * The job is hidden until restored, or purged after DELETED_RETENTION.
+ *
+ * Authorization: login and (Admin or recruiter at the job's company), or an
+ * API key for the job's company with jobs:write
  */
 
-router.delete('/:ID', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.delete('/:ID', authorize('jobs:delete'), async function(req, res, next) {
 	try {
 		await Job.remove(req.params.ID);
 		return res.json({ deleted: req.params.ID });
@@ -103,4 +272,21 @@ router.delete('/:ID', ensureLoggedIn, ensureAdmin, async function(req, res, next
 	}
 });
 
+/** POST /[ID]/restore  =>  { job }
+ *
+ * Restores a deleted job. A job deleted along with its company is restored by
+ * restoring the company.
+ *
+ * Authorization required: login and Admin
+ */
+
+router.post('/:ID/restore', authorize('jobs:restore'), async function(req, res, next) {
+	try {
+		const job = await Job.restore(req.params.ID);
+		return res.json({ job });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
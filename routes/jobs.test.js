@@ -4,14 +4,54 @@ const request = require('supertest');
 
 const db = require('../db');
 const app = require('../app');
+const Membership = require('../models/membership');
+const Application = require('../models/application');
+const ApiKey = require('../models/apiKey');
 
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, u1Token } = require('./_testCommon');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
 afterEach(commonAfterEach);
 afterAll(commonAfterAll);
 
+/** The lifecycle fields of a job that was published when created. */
+
+const published = { status: 'published', published_at: expect.any(String), expires_at: null };
+
+/** The location fields of a job created without a location. */
+
+const unlocated = {
+	city: null,
+	region: null,
+	country: null,
+	latitude: null,
+	longitude: null,
+	remote_policy: 'onsite',
+	remote_countries: []
+};
+
+/** The pay fields of a job paid amount a year in US dollars, as from a lone salary. */
+
+function yearly(amount) {
+	return {
+		salary_min: amount,
+		salary_max: amount,
+		salary_currency: 'USD',
+		salary_period: 'yearly',
+		annual_salary_min: amount,
+		annual_salary_max: amount
+	};
+}
+
 /************************************** POST /jobs */
 
 describe('POST /jobs', function() {
@@ -22,12 +62,154 @@ describe('POST /jobs', function() {
 		company_handle: 'c3'
 	};
 
-	test('not ok for non admin users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app).post('/jobs').send(newJob).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({ job: { ...newJob, ...yearly(400000), ...unlocated, ...published } });
+	});
+
+	test('works: as a draft with an expiry', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ ...newJob, status: 'draft', expires_at: '2999-01-01T00:00:00Z' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.job).toEqual({
+			...newJob,
+			...yearly(400000),
+			...unlocated,
+			status: 'draft',
+			published_at: null,
+			expires_at: '2999-01-01T00:00:00.000Z'
+		});
+	});
+
+	test('works: with a pay range', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({
+				title: 'new',
+				salary_min: 60000,
+				salary_max: 80000,
+				salary_currency: 'EUR',
+				company_handle: 'c3'
+			})
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.job).toEqual(
+			expect.objectContaining({
+				salary_min: 60000,
+				salary_max: 80000,
+				salary_currency: 'EUR',
+				salary_period: 'yearly',
+				annual_salary_min: 60000,
+				annual_salary_max: 80000
+			})
+		);
+	});
+
+	test('works: with hourly pay to the cent', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ title: 'new', salary_min: 22.5, salary_max: 25, salary_period: 'hourly', company_handle: 'c3' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.job).toEqual(
+			expect.objectContaining({ salary: 52000, salary_min: 22.5, salary_max: 25, annual_salary_min: 46800 })
+		);
+	});
+
+	test('bad request with more hourly pay than fits in a year', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ title: 'new', salary_min: 1500000, salary_period: 'hourly', company_handle: 'c3' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('works: with a location', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ ...newJob, city: 'Lisbon', country: 'PT', latitude: 38.72, longitude: -9.14, remote_policy: 'hybrid' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body.job).toEqual(
+			expect.objectContaining({
+				city: 'Lisbon',
+				country: 'PT',
+				latitude: 38.72,
+				longitude: -9.14,
+				remote_policy: 'hybrid',
+				remote_countries: []
+			})
+		);
+	});
+
+	test('bad request with an invalid location', async function() {
+		const invalid = [ { country: 'Portugal' }, { latitude: 100, longitude: 0 }, { remote_policy: 'sometimes' } ];
+		for (const location of invalid) {
+			const resp = await request(app)
+				.post('/jobs')
+				.send({ ...newJob, ...location })
+				.set('authorization', `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test('bad request with an invalid currency or pay period', async function() {
+		for (const pay of [ { salary_currency: 'eur' }, { salary_currency: 'XYZ' }, { salary_period: 'weekly' } ]) {
+			const resp = await request(app)
+				.post('/jobs')
+				.send({ ...newJob, ...pay })
+				.set('authorization', `Bearer ${u1Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test('bad request starting in another status', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ ...newJob, status: 'closed' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ ...newJob, company_handle: 'c1' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(201);
+	});
+
+	test('not ok for non admin users', async function() {
+		const resp = await request(app).post('/jobs').send(newJob).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
 
+	test('unauth for anon', async function() {
+		const resp = await request(app).post('/jobs').send(newJob);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('works with an API key for the company with jobs:write', async function() {
+		const { key } = await ApiKey.create('c3', { name: 'ATS', scopes: [ 'jobs:write' ] }, 'u1');
+		const resp = await request(app).post('/jobs').send(newJob).set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(201);
+	});
+
+	test('unauth with an API key for another company', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'jobs:write' ] }, 'u1');
+		const resp = await request(app).post('/jobs').send(newJob).set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth with an unknown API key', async function() {
+		const resp = await request(app).post('/jobs').send(newJob).set('authorization', `ApiKey nope`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test('bad request with missing data', async function() {
 		const resp = await request(app)
 			.post('/jobs')
@@ -36,7 +218,7 @@ describe('POST /jobs', function() {
 				salary: 400000
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(400);
 	});
 
 	test('bad request with invalid data', async function() {
@@ -47,7 +229,15 @@ describe('POST /jobs', function() {
 				logoUrl: 'field doesnt exist in table'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
-		expect(resp.statusCode).toEqual(401);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with out-of-range salary', async function() {
+		const resp = await request(app)
+			.post('/jobs')
+			.send({ ...newJob, salary: 3000000000 })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
 	});
 });
 
@@ -57,6 +247,136 @@ describe('GET /jobs', function() {
 	test('ok for anon', async function() {
 		const resp = await request(app).get('/jobs');
 		expect(resp.body.jobs.length).toEqual(3);
+		expect(resp.body).toEqual(expect.objectContaining({ total: 3, next: null, prev: null }));
+	});
+
+	test('filter jobs with hasEquity=false', async function() {
+		const resp = await request(app).get('/jobs?hasEquity=false&minSalary=300000');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => j.salary)).toEqual([ 300000 ]);
+	});
+
+	test('filter jobs by maxSalary and currency, across pay periods', async function() {
+		await db.query(
+			`UPDATE jobs SET salary_min = 45, salary_max = 55, salary_period = 'hourly', salary_currency = 'EUR'
+           WHERE id = $1`,
+			[ testJobIds[0] ]
+		);
+
+		const resp = await request(app).get('/jobs?maxSalary=100000&currency=EUR');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => [ j.id, j.annual_salary_min, j.annual_salary_max ])).toEqual([
+			[ testJobIds[0], 93600, 114400 ]
+		]);
+	});
+
+	test('filter jobs near a point, by country and remote', async function() {
+		await db.query(
+			`UPDATE jobs SET country = 'DE', latitude = 52.52, longitude = 13.405 WHERE id = $1`,
+			[ testJobIds[0] ]
+		);
+		await db.query(`UPDATE jobs SET remote_policy = 'remote', remote_countries = '{DE}' WHERE id = $1`, [
+			testJobIds[1]
+		]);
+
+		let resp = await request(app).get('/jobs?near=52.5,13.4&radiusKm=5');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+
+		resp = await request(app).get('/jobs?near=-33.87,151.21');
+		expect(resp.body.jobs).toEqual([]);
+
+		resp = await request(app).get('/jobs?country=DE');
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+
+		resp = await request(app).get('/jobs?remote=true');
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[1] ]);
+	});
+
+	test('filter jobs by skills', async function() {
+		let resp = await request(app).get('/jobs?skills=node,sql');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+
+		resp = await request(app).get('/jobs?skills=nodejs,sql&match=any');
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[1] ]);
+	});
+
+	test('bad request with match but no skills', async function() {
+		const resp = await request(app).get('/jobs?match=any');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with radiusKm but no near', async function() {
+		const resp = await request(app).get('/jobs?radiusKm=5');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with invalid filters', async function() {
+		const resp = await request(app).get('/jobs?minSalary=lots');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with out-of-range filters', async function() {
+		const resp = await request(app).get('/jobs?minSalary=99999999999');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with unknown filters', async function() {
+		const resp = await request(app).get('/jobs?salary=100');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('sorts', async function() {
+		const resp = await request(app).get('/jobs?sort=-salary');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => j.salary)).toEqual([ 300000, 200000, 100000 ]);
+	});
+
+	test('bad request with unknown sort key', async function() {
+		const resp = await request(app).get('/jobs?sort=salary,nope');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('paginates', async function() {
+		const resp = await request(app).get('/jobs?limit=1&offset=1');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.jobs.map((j) => j.title)).toEqual([ 'title2' ]);
+		expect(resp.body.next).toEqual(expect.any(String));
+		expect(resp.body.prev).toEqual(expect.any(String));
+	});
+
+	describe('unlisted jobs', function() {
+		beforeEach(async function() {
+			await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [ testJobIds[0] ]);
+			await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [ testJobIds[1] ]);
+		});
+
+		test('hidden from anon', async function() {
+			const resp = await request(app).get('/jobs');
+			expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[2] ]);
+		});
+
+		test('shown to admins', async function() {
+			const resp = await request(app).get('/jobs').set('authorization', `Bearer ${u1Token}`);
+			expect(resp.body.total).toEqual(3);
+		});
+
+		test("shown to recruiters at the job's company", async function() {
+			const resp = await request(app).get('/jobs').set('authorization', `Bearer ${u2Token}`);
+			expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0], testJobIds[2] ]);
+		});
+
+		test('shown to API keys for the company with jobs:write', async function() {
+			const { key } = await ApiKey.create('c2', { name: 'ATS', scopes: [ 'jobs:write' ] }, 'u1');
+			const resp = await request(app).get('/jobs').set('authorization', `ApiKey ${key}`);
+			expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[1], testJobIds[2] ]);
+		});
+
+		test('filter jobs by status', async function() {
+			const resp = await request(app).get('/jobs?status=draft').set('authorization', `Bearer ${u1Token}`);
+			expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+		});
 	});
 
 	test('fails: test next() handler', async function() {
@@ -90,6 +410,25 @@ describe('GET /jobs', function() {
 		expect(resp.statusCode).toEqual(200);
 		expect(resp.body.jobs.length).toEqual(3);
 	});
+
+	test('filter jobs by company_handle', async function() {
+		const resp = await request(app).get('/jobs?company_handle=c1');
+		expect(resp.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+	});
+
+	test('redirects a renamed company_handle', async function() {
+		await request(app)
+			.post(`/companies/c1/rename`)
+			.send({ handle: 'c1-new' })
+			.set('authorization', `Bearer ${u1Token}`);
+
+		const resp = await request(app).get('/jobs?company_handle=c1&limit=5');
+		expect(resp.statusCode).toEqual(301);
+		expect(resp.headers.location).toEqual('/jobs?company_handle=c1-new&limit=5');
+
+		const moved = await request(app).get('/jobs?company_handle=c1-new');
+		expect(moved.body.jobs.map((j) => j.id)).toEqual([ testJobIds[0] ]);
+	});
 });
 
 /************************************** GET /jobs/:ID */
@@ -104,33 +443,193 @@ describe('GET /jobs/:ID', function() {
 				company_handle: 'c1',
 				equity: '0.01',
 				salary: 100000,
-				title: 'title1'
+				...yearly(100000),
+				title: 'title1',
+				...unlocated,
+				...published,
+				skills: [
+					{ slug: 'node', name: 'Node.js', required: true },
+					{ slug: 'sql', name: 'SQL', required: false }
+				]
 			}
 		});
 	});
 
+	test('not found for anon if not listed', async function() {
+		await db.query(`UPDATE jobs SET status = 'paused' WHERE id = $1`, [ testJobIds[0] ]);
+		const resp = await request(app).get(`/jobs/${testJobIds[0]}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('works for recruiter at the company if not listed', async function() {
+		await db.query(`UPDATE jobs SET status = 'paused' WHERE id = $1`, [ testJobIds[0] ]);
+		const resp = await request(app).get(`/jobs/${testJobIds[0]}`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.job.status).toEqual('paused');
+	});
+
 	test('not found for no such job', async function() {
 		const resp = await request(app).get(`/jobs/9999999`);
 		expect(resp.statusCode).toEqual(404);
 	});
 });
 
+/************************************** GET /jobs/:ID/applications */
+
+describe('GET /jobs/:ID/applications', function() {
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[0]}/applications`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.applications.map((a) => a.username)).toEqual([ 'u1' ]);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.get(`/jobs/${testJobIds[2]}/applications`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).get(`/jobs/${testJobIds[0]}/applications`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** PATCH /jobs/:ID/applications */
+
+describe('PATCH /jobs/:ID/applications', function() {
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body).toEqual({ updated: [ 'u1' ] });
+	});
+
+	test('bad request with a state only the candidate can choose', async function() {
+		for (const state of [ 'applied', 'accepted', 'withdrawn' ]) {
+			const resp = await request(app)
+				.patch(`/jobs/${testJobIds[0]}/applications`)
+				.send({ usernames: [ 'u1' ], state })
+				.set('authorization', `Bearer ${u2Token}`);
+			expect(resp.statusCode).toEqual(400);
+		}
+	});
+
+	test('unauth for viewer at the company', async function() {
+		await Membership.set('c1', 'u2', 'viewer');
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[2]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' });
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('works with an API key with applications:write, recorded as the key', async function() {
+		const { apiKey, key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:write' ] }, 'u1');
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' })
+			.set('authorization', `ApiKey ${key}`);
+		expect(resp.body).toEqual({ updated: [ 'u1' ] });
+
+		const { history } = await Application.get('u1', testJobIds[0]);
+		expect(history[history.length - 1].changedBy).toEqual(`apikey:${apiKey.id}`);
+	});
+
+	test('unauth with an API key with only applications:read', async function() {
+		const { key } = await ApiKey.create('c1', { name: 'ATS', scopes: [ 'applications:read' ] }, 'u1');
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}/applications`)
+			.send({ usernames: [ 'u1' ], state: 'interviewing' })
+			.set('authorization', `ApiKey ${key}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
 /************************************** PATCH /jobs/:ID */
 
 describe('PATCH /jobs/:ID', function() {
-	test('doesnt work for users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app)
-			.patch(`/jobs/c1`)
+			.patch(`/jobs/${testJobIds[2]}`)
 			.send({
 				title: 'new-job-title'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.job.title).toEqual('new-job-title');
+	});
+
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({
+				title: 'new-job-title'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+	});
+
+	test('works: pausing and closing', async function() {
+		let resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({ status: 'paused' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.job.status).toEqual('paused');
+
+		resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({ status: 'closed' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.job.status).toEqual('closed');
+
+		resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({ status: 'published' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with an unknown status', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({ status: 'archived' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('doesnt work for users', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[2]}`)
+			.send({
+				title: 'new-job-title'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
 
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
 
 	test('unauth for anon', async function() {
-		const resp = await request(app).patch(`/jobs/c1`).send({
+		const resp = await request(app).patch(`/jobs/${testJobIds[0]}`).send({
 			title: 'new-job-title'
 		});
 		expect(resp.statusCode).toEqual(401);
@@ -143,27 +642,149 @@ describe('PATCH /jobs/:ID', function() {
 				title: 'nope-job-title'
 			})
 			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('not found on invalid job id', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/c1`)
+			.send({
+				title: 'nope-job-title'
+			})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('bad request on company change attempt', async function() {
+		const resp = await request(app)
+			.patch(`/jobs/${testJobIds[0]}`)
+			.send({
+				company_handle: 'c2'
+			})
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+});
+
+/************************************** PUT /jobs/:ID/skills */
+
+describe('PUT /jobs/:ID/skills', function() {
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app)
+			.put(`/jobs/${testJobIds[0]}/skills`)
+			.send({ skills: [ { skill: 'sql' }, { skill: 'NodeJS', required: false } ] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({
+			skills: [ { slug: 'sql', name: 'SQL', required: true }, { slug: 'node', name: 'Node.js', required: false } ]
+		});
+	});
+
+	test('works: clears skills', async function() {
+		const resp = await request(app)
+			.put(`/jobs/${testJobIds[0]}/skills`)
+			.send({ skills: [] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ skills: [] });
+	});
+
+	test('bad request with unknown skill', async function() {
+		const resp = await request(app)
+			.put(`/jobs/${testJobIds[0]}/skills`)
+			.send({ skills: [ { skill: 'cobol' } ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with invalid data', async function() {
+		const resp = await request(app)
+			.put(`/jobs/${testJobIds[0]}/skills`)
+			.send({ skills: [ { required: true } ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for recruiter at another company', async function() {
+		const resp = await request(app)
+			.put(`/jobs/${testJobIds[1]}/skills`)
+			.send({ skills: [] })
+			.set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 });
 
 /************************************** DELETE /jobs/:ID */
 
-describe('DELETE /jobs/:ID', async function() {
-	const jobsResp = await request(app).get('/jobs');
-	const id = jobsResp.body.jobs[0].id;
+describe('DELETE /jobs/:ID', function() {
+	test('works for admin', async function() {
+		const resp = await request(app).delete(`/jobs/${testJobIds[2]}`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ deleted: `${testJobIds[2]}` });
+	});
+
+	test('works for recruiter at the company', async function() {
+		const resp = await request(app).delete(`/jobs/${testJobIds[0]}`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({ deleted: `${testJobIds[0]}` });
+	});
+
 	test('doesnt works for users', async function() {
-		const resp = await request(app).delete(`/jobs/${id}`).set('authorization', `Bearer ${u1Token}`);
+		const resp = await request(app).delete(`/jobs/${testJobIds[2]}`).set('authorization', `Bearer ${u2Token}`);
 		expect(resp.body).toEqual({ error: { message: 'Unauthorized', status: 401 } });
 	});
 
 	test('unauth for anon', async function() {
-		const resp = await request(app).delete(`/jobs/${id}`);
+		const resp = await request(app).delete(`/jobs/${testJobIds[2]}`);
 		expect(resp.statusCode).toEqual(401);
 	});
 
-	test('not found for no such company', async function() {
-		const resp = await request(app).delete(`/jobs/${id}`).set('authorization', `Bearer ${u1Token}`);
+	test('not found for no such job', async function() {
+		const resp = await request(app).delete(`/jobs/0`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('hides the job', async function() {
+		await request(app).delete(`/jobs/${testJobIds[2]}`).set('authorization', `Bearer ${u1Token}`);
+
+		expect((await request(app).get(`/jobs/${testJobIds[2]}`)).statusCode).toEqual(404);
+		const resp = await request(app).get('/jobs');
+		expect(resp.body.jobs.map((j) => j.id)).not.toContain(testJobIds[2]);
+	});
+});
+
+/************************************** POST /jobs/:ID/restore */
+
+describe('POST /jobs/:ID/restore', function() {
+	test('works for admin', async function() {
+		await request(app).delete(`/jobs/${testJobIds[2]}`).set('authorization', `Bearer ${u1Token}`);
+
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[2]}/restore`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			job: {
+				id: testJobIds[2],
+				title: 'title3',
+				salary: 300000,
+				...yearly(300000),
+				equity: '0.03',
+				company_handle: 'c3',
+				...unlocated,
+				...published
+			}
+		});
+	});
+
+	test('unauth for recruiter at the company', async function() {
+		await request(app).delete(`/jobs/${testJobIds[0]}`).set('authorization', `Bearer ${u2Token}`);
+
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[0]}/restore`)
+			.set('authorization', `Bearer ${u2Token}`);
 		expect(resp.statusCode).toEqual(401);
 	});
+
+	test('not found if not deleted', async function() {
+		const resp = await request(app)
+			.post(`/jobs/${testJobIds[2]}/restore`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
 });
@@ -0,0 +1,197 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const Membership = require('../models/membership');
+const { POLICIES } = require('../middleware/policy');
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Every endpoint, with the action it's authorized as. Paths are the routes'
+ * own, filled in per principal by pathFor; body is sent as is. */
+
+const ENDPOINTS = [
+	{ method: 'get', path: '/admin/settings', action: 'admin:settings:get' },
+	{ method: 'patch', path: '/admin/settings', action: 'admin:settings:update', body: { requireAdmin2fa: true } },
+	{ method: 'get', path: '/admin/audit', action: 'admin:audit:list' },
+
+	{ method: 'post', path: '/auth/token', action: 'auth:token' },
+	{ method: 'post', path: '/auth/token/2fa', action: 'auth:token2fa' },
+	{ method: 'post', path: '/auth/register', action: 'auth:register' },
+	{ method: 'post', path: '/auth/refresh', action: 'auth:refresh' },
+	{ method: 'post', path: '/auth/logout', action: 'auth:logout' },
+	{ method: 'post', path: '/auth/logout-all', action: 'auth:logoutAll' },
+	{ method: 'post', path: '/auth/password-reset/request', action: 'auth:passwordReset' },
+	{ method: 'post', path: '/auth/password-reset/confirm', action: 'auth:passwordReset' },
+	{ method: 'get', path: '/auth/verify-email', action: 'auth:verifyEmail' },
+	{ method: 'post', path: '/auth/verify-email/resend', action: 'auth:verifyEmailResend' },
+	{ method: 'post', path: '/auth/2fa/enroll', action: 'auth:twoFactor' },
+	{ method: 'post', path: '/auth/2fa/confirm', action: 'auth:twoFactor' },
+	{ method: 'post', path: '/auth/2fa/disable', action: 'auth:twoFactor' },
+
+	{ method: 'post', path: '/companies', action: 'companies:create' },
+	{ method: 'get', path: '/companies', action: 'companies:list' },
+	{ method: 'get', path: '/companies/:handle', action: 'companies:get' },
+	{ method: 'patch', path: '/companies/:handle', action: 'companies:update', body: { name: 'New' } },
+	{ method: 'delete', path: '/companies/:handle', action: 'companies:delete' },
+	{ method: 'post', path: '/companies/:handle/restore', action: 'companies:restore' },
+	{ method: 'post', path: '/companies/:handle/rename', action: 'companies:rename', body: { handle: 'c9' } },
+	{ method: 'get', path: '/companies/:handle/applications', action: 'companies:applications:list' },
+	{ method: 'get', path: '/companies/:handle/members', action: 'companies:members:list' },
+	{
+		method: 'put',
+		path: '/companies/:handle/members/:username',
+		action: 'companies:members:set',
+		body: { role: 'viewer' }
+	},
+	{ method: 'delete', path: '/companies/:handle/members/:username', action: 'companies:members:remove' },
+	{ method: 'get', path: '/companies/:handle/api-keys', action: 'companies:apiKeys:list' },
+	{ method: 'post', path: '/companies/:handle/api-keys', action: 'companies:apiKeys:create' },
+	{ method: 'delete', path: '/companies/:handle/api-keys/:id', action: 'companies:apiKeys:revoke' },
+
+	{ method: 'post', path: '/jobs', action: 'jobs:create', body: { title: 'new', company_handle: 'c3' } },
+	{ method: 'get', path: '/jobs', action: 'jobs:list' },
+	{ method: 'get', path: '/jobs/:ID', action: 'jobs:get' },
+	{ method: 'patch', path: '/jobs/:ID', action: 'jobs:update', body: { title: 'New' } },
+	{ method: 'delete', path: '/jobs/:ID', action: 'jobs:delete' },
+	{ method: 'post', path: '/jobs/:ID/restore', action: 'jobs:restore' },
+	{ method: 'put', path: '/jobs/:ID/skills', action: 'jobs:skills:set', body: { skills: [] } },
+	{ method: 'get', path: '/jobs/:ID/applications', action: 'jobs:applications:list' },
+	{ method: 'patch', path: '/jobs/:ID/applications', action: 'jobs:applications:update' },
+
+	{ method: 'post', path: '/users', action: 'users:create' },
+	{ method: 'get', path: '/users', action: 'users:list' },
+	{ method: 'get', path: '/users/:username', action: 'users:get' },
+	{ method: 'patch', path: '/users/:username', action: 'users:update', body: { firstName: 'New' } },
+	{ method: 'delete', path: '/users/:username', action: 'users:delete' },
+	{ method: 'post', path: '/users/:username/restore', action: 'users:restore' },
+	{ method: 'post', path: '/users/:username/unlock', action: 'users:unlock' },
+	{ method: 'put', path: '/users/:username/skills', action: 'users:skills:set', body: { skills: [] } },
+	{ method: 'get', path: '/users/:username/preferences', action: 'users:preferences:get' },
+	{ method: 'put', path: '/users/:username/preferences', action: 'users:preferences:set' },
+	{ method: 'get', path: '/users/:username/recommendations', action: 'users:recommendations:list' },
+	{ method: 'get', path: '/users/:username/applications', action: 'users:applications:list' },
+	{ method: 'post', path: '/users/:username/jobs/:job_id', action: 'users:applications:create' },
+	{ method: 'get', path: '/users/:username/jobs/:job_id', action: 'users:applications:get' },
+	{ method: 'patch', path: '/users/:username/jobs/:job_id', action: 'users:applications:update' },
+	{ method: 'delete', path: '/users/:username/jobs/:job_id', action: 'users:applications:withdraw' },
+
+	{ method: 'post', path: '/skills', action: 'skills:create', body: { slug: 'node', name: 'Node' } },
+	{ method: 'get', path: '/skills', action: 'skills:list' },
+	{ method: 'get', path: '/skills/:slug', action: 'skills:get' },
+	{ method: 'patch', path: '/skills/:slug', action: 'skills:update', body: { name: 'New' } },
+	{ method: 'delete', path: '/skills/:slug', action: 'skills:delete' },
+
+	{ method: 'get', path: '/search', action: 'search:query' }
+];
+
+/** Who makes each request. u2 isn't an admin; as "user" they act on another
+ * user (u3) or on a company they have no role at (c3), and as "self" they act
+ * on themselves or on c3 with the role the policy asks for. */
+
+const PRINCIPALS = {
+	anon: { token: null, username: 'u3' },
+	user: { token: u2Token, username: 'u3' },
+	self: { token: u2Token, username: 'u2' },
+	admin: { token: u1Token, username: 'u3' }
+};
+
+/** Which principals each rule lets through. */
+
+const ALLOWED = {
+	anyone: [ 'anon', 'user', 'self', 'admin' ],
+	loggedIn: [ 'user', 'self', 'admin' ],
+	adminOrSelf: [ 'self', 'admin' ],
+	admin: [ 'admin' ],
+	companyRole: [ 'self', 'admin' ]
+};
+
+function pathFor(path, principal) {
+	return path
+		.replace(':username', PRINCIPALS[principal].username)
+		.replace(':handle', 'c3')
+		.replace(/:ID|:job_id/, testJobIds[2])
+		.replace(':id', '1')
+		.replace(':slug', 'node');
+}
+
+/************************************** the matrix */
+
+describe('authorization matrix', function() {
+	for (const { method, path, action, body = {} } of ENDPOINTS) {
+		const policy = POLICIES[action];
+
+		for (const principal of Object.keys(PRINCIPALS)) {
+			const allowed = ALLOWED[policy.rule].includes(principal);
+
+			test(`${method.toUpperCase()} ${path}: ${allowed ? 'allowed' : 'unauth'} for ${principal}`, async function() {
+				if (principal === 'self' && policy.rule === 'companyRole') await Membership.set('c3', 'u2', policy.role);
+
+				let req = request(app)[method](pathFor(path, principal)).send(body);
+				if (PRINCIPALS[principal].token) req = req.set('authorization', `Bearer ${PRINCIPALS[principal].token}`);
+				const resp = await req;
+
+				if (allowed) expect(resp.statusCode).not.toEqual(401);
+				else expect(resp.statusCode).toEqual(401);
+			});
+		}
+	}
+});
+
+/************************************** coverage */
+
+describe('policies', function() {
+	/** [{ method, path, action }, ...] for every route mounted on the app. */
+
+	function appRoutes() {
+		const mounts = {
+			'/admin': require('./admin'),
+			'/auth': require('./auth'),
+			'/companies': require('./companies'),
+			'/jobs': require('./jobs'),
+			'/users': require('./users'),
+			'/skills': require('./skills'),
+			'/search': require('./search')
+		};
+
+		const routes = [];
+		for (const [ prefix, router ] of Object.entries(mounts)) {
+			for (const layer of router.stack.filter((l) => l.route)) {
+				// authorize(action) must come before anything else
+				const { action } = layer.route.stack[0].handle;
+				for (const method of Object.keys(layer.route.methods)) {
+					const path = layer.route.path === '/' ? prefix : prefix + layer.route.path;
+					routes.push({ method, path, action });
+				}
+			}
+		}
+		return routes;
+	}
+
+	test('every route is authorized first, and in the matrix', function() {
+		const routes = appRoutes();
+		expect(routes.filter((r) => !r.action)).toEqual([]);
+
+		const key = ({ method, path, action }) => `${method} ${path} ${action}`;
+		expect(routes.map(key).sort()).toEqual(ENDPOINTS.map(key).sort());
+	});
+
+	test('every policy is used', function() {
+		const used = new Set(appRoutes().map((r) => r.action));
+		expect(Object.keys(POLICIES).filter((a) => !used.has(a))).toEqual([]);
+	});
+});
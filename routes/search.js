@@ -0,0 +1,39 @@
+'use strict';
+
+/** Routes for searching. */
+
+const express = require('express');
+const { authorize, jobVisibility } = require('../middleware/policy');
+const { validateQuery } = require('../middleware/validate');
+const Search = require('../models/search');
+const searchSchema = require('../schemas/search.json');
+
+const router = express.Router();
+
+/** GET /?q=  =>  { results: [ result, ...], total, next, prev }
+ *
+ * Full-text search of company names and descriptions and job titles, best
+ * match first. Words are stemmed; q can have "quoted phrases", "or" between
+ * alternatives and "-" before words to leave out. type (company or job) limits
+ * results to one kind.
+ *
+ * Each result is { type: 'company', handle, name, rank, snippet } or
+ * { type: 'job', id, title, company_handle, company_name, rank, snippet },
+ * where snippet is HTML-escaped text with the matches in <mark>.
+ *
+ * Unlisted jobs are only found by those who can see them in GET /jobs.
+ * Results are paginated as for GET /jobs.
+ *
+ * Authorization required: none
+ **/
+
+router.get('/', authorize('search:query'), validateQuery(searchSchema), async function(req, res, next) {
+	try {
+		const result = await Search.find(req.query, await jobVisibility(res));
+		return res.json(result);
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
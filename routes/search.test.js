@@ -0,0 +1,83 @@
+'use strict';
+
+const request = require('supertest');
+
+const db = require('../db');
+const app = require('../app');
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe('GET /search', function() {
+	test('works for anon: companies and jobs', async function() {
+		await db.query(`UPDATE jobs SET title = 'Software Engineer' WHERE id = $1`, [ testJobIds[0] ]);
+		await db.query(`UPDATE companies SET description = 'We make software' WHERE handle = 'c2'`);
+
+		const resp = await request(app).get('/search?q=engineering+software');
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body).toEqual({
+			results: [
+				{
+					type: 'job',
+					id: testJobIds[0],
+					title: 'Software Engineer',
+					company_handle: 'c1',
+					company_name: 'C1',
+					rank: expect.any(Number),
+					snippet: '<mark>Software</mark> <mark>Engineer</mark>'
+				}
+			],
+			total: 1,
+			next: null,
+			prev: null
+		});
+
+		const either = await request(app).get('/search?q=engineering+or+software');
+		expect(either.body.results.map((r) => r.handle || r.id)).toEqual([ testJobIds[0], 'c2' ]);
+		expect(either.body.results[1]).toEqual({
+			type: 'company',
+			handle: 'c2',
+			name: 'C2',
+			rank: expect.any(Number),
+			snippet: 'make <mark>software</mark>'
+		});
+	});
+
+	test('works: type', async function() {
+		const resp = await request(app).get('/search?q=c1&type=company');
+		expect(resp.body.results.map((r) => r.handle)).toEqual([ 'c1' ]);
+	});
+
+	test('unlisted jobs only for recruiters at the company', async function() {
+		await db.query(`UPDATE jobs SET status = 'draft' WHERE id = $1`, [ testJobIds[0] ]);
+
+		let resp = await request(app).get('/search?q=title1');
+		expect(resp.body.results).toEqual([]);
+
+		resp = await request(app).get('/search?q=title1').set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.results.map((r) => r.id)).toEqual([ testJobIds[0] ]);
+	});
+
+	test('bad request without q', async function() {
+		const resp = await request(app).get('/search');
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request with unknown type', async function() {
+		const resp = await request(app).get('/search?q=c1&type=user');
+		expect(resp.statusCode).toEqual(400);
+	});
+});
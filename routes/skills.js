@@ -0,0 +1,99 @@
+'use strict';
+
+/** Routes for the skills taxonomy. */
+
+const express = require('express');
+const { authorize } = require('../middleware/policy');
+const { validateBody } = require('../middleware/validate');
+const Skill = require('../models/skill');
+const skillNewSchema = require('../schemas/skillNew.json');
+const skillUpdateSchema = require('../schemas/skillUpdate.json');
+
+const router = express.Router();
+
+/** POST / { slug, name, aliases }  =>  { skill }
+ *
+ * slug is lowercase letters, digits and any of "+#.-", e.g. "c++"; aliases
+ * are other names for the skill, e.g. "postgres" for "postgresql".
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.post('/', authorize('skills:create'), validateBody(skillNewSchema), async function(req, res, next) {
+	try {
+		const skill = await Skill.create(req.body);
+		return res.status(201).json({ skill });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /  =>  { skills: [ { slug, name, aliases }, ...] }
+ *
+ * Authorization required: none
+ **/
+
+router.get('/', authorize('skills:list'), async function(req, res, next) {
+	try {
+		const skills = await Skill.findAll();
+		return res.json({ skills });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[slug]  =>  { skill }
+ *
+ * slug can be an alias too.
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: none
+ **/
+
+router.get('/:slug', authorize('skills:get'), async function(req, res, next) {
+	try {
+		const skill = await Skill.get(req.params.slug);
+		return res.json({ skill });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PATCH /[slug] { name, aliases }  =>  { skill }
+ *
+ * aliases, if given, replaces the skill's aliases.
+ *
+ * Returns { slug, name, aliases }
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.patch('/:slug', authorize('skills:update'), validateBody(skillUpdateSchema), async function(req, res, next) {
+	try {
+		const skill = await Skill.update(req.params.slug, req.body);
+		return res.json({ skill });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** DELETE /[slug]  =>  { deleted: slug }
+ *
+ * Also removes the skill from every job and user that had it.
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.delete('/:slug', authorize('skills:delete'), async function(req, res, next) {
+	try {
+		await Skill.remove(req.params.slug);
+		return res.json({ deleted: req.params.slug });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** POST /skills */
+
+describe('POST /skills', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.post('/skills')
+			.send({ slug: 'postgresql', name: 'PostgreSQL', aliases: [ 'Postgres' ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({ skill: { slug: 'postgresql', name: 'PostgreSQL', aliases: [ 'postgres' ] } });
+	});
+
+	test('bad request with invalid slug', async function() {
+		const resp = await request(app)
+			.post('/skills')
+			.send({ slug: 'Node JS', name: 'Node' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request if taken', async function() {
+		const resp = await request(app)
+			.post('/skills')
+			.send({ slug: 'nodejs', name: 'Node' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.post('/skills')
+			.send({ slug: 'go', name: 'Go' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** GET /skills */
+
+describe('GET /skills', function() {
+	test('works for anon', async function() {
+		const resp = await request(app).get('/skills');
+		expect(resp.body).toEqual({
+			skills: [
+				{ slug: 'node', name: 'Node.js', aliases: [ 'nodejs' ] },
+				{ slug: 'sql', name: 'SQL', aliases: [] }
+			]
+		});
+	});
+});
+
+/************************************** GET /skills/:slug */
+
+describe('GET /skills/:slug', function() {
+	test('works by alias', async function() {
+		const resp = await request(app).get('/skills/nodejs');
+		expect(resp.body).toEqual({ skill: { slug: 'node', name: 'Node.js', aliases: [ 'nodejs' ] } });
+	});
+
+	test('not found if no such skill', async function() {
+		const resp = await request(app).get('/skills/nope');
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** PATCH /skills/:slug */
+
+describe('PATCH /skills/:slug', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.patch('/skills/sql')
+			.send({ aliases: [ 'structured query language' ] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ skill: { slug: 'sql', name: 'SQL', aliases: [ 'structured query language' ] } });
+	});
+
+	test('bad request with unknown fields', async function() {
+		const resp = await request(app)
+			.patch('/skills/sql')
+			.send({ slug: 'mysql' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.patch('/skills/sql')
+			.send({ name: 'Sql' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** DELETE /skills/:slug */
+
+describe('DELETE /skills/:slug', function() {
+	test('works for admin, unlinking jobs', async function() {
+		const resp = await request(app).delete('/skills/node').set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ deleted: 'node' });
+
+		const job = await request(app).get(`/jobs/${testJobIds[0]}`);
+		expect(job.body.job.skills).toEqual([ { slug: 'sql', name: 'SQL', required: false } ]);
+	});
+
+	test('not found if no such skill', async function() {
+		const resp = await request(app).delete('/skills/nope').set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).delete('/skills/node');
+		expect(resp.statusCode).toEqual(401);
+	});
+});
@@ -2,15 +2,35 @@
 
 /** Routes for users. */
 
-const jsonschema = require('jsonschema');
-
 const express = require('express');
-const { ensureLoggedIn, ensureAdmin, ensureAdminOrUser } = require('../middleware/auth');
-const { BadRequestError } = require('../expressError');
+const { authorize } = require('../middleware/policy');
+const { validateBody, validateQuery } = require('../middleware/validate');
+const { ForbiddenError } = require('../expressError');
 const User = require('../models/user');
+const Application = require('../models/application');
+const Skill = require('../models/skill');
+const JobPreference = require('../models/jobPreference');
+const Recommendation = require('../models/recommendation');
+const AuditLog = require('../models/auditLog');
 const { createToken } = require('../helpers/tokens');
+const { sendVerification } = require('../helpers/accountEmails');
+const loginThrottle = require('../helpers/loginThrottle');
 const userNewSchema = require('../schemas/userNew.json');
 const userUpdateSchema = require('../schemas/userUpdate.json');
+const userSearchSchema = require('../schemas/userSearch.json');
+const applicationNewSchema = require('../schemas/applicationNew.json');
+const applicationUpdateSchema = require('../schemas/applicationUpdate.json');
+const applicationSearchSchema = require('../schemas/applicationSearch.json');
+const userSkillsSchema = require('../schemas/userSkills.json');
+const jobPreferencesSchema = require('../schemas/jobPreferences.json');
+const recommendationSearchSchema = require('../schemas/recommendationSearch.json');
+
+/** Application states a user can move their own application to: applying,
+ * accepting an offer, and withdrawing (which is also how an offer is declined).
+ * The company's decisions (interviewing, offered, rejected) are made by admins,
+ * or by the company through PATCH /jobs/[ID]/applications. */
+
+const CANDIDATE_STATES = [ 'applied', 'accepted', 'withdrawn' ];
 
 const router = express.Router();
 
@@ -21,20 +41,17 @@ const router = express.Router();
  * admin.
  *
  * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ *  {user: { username, firstName, lastName, email, emailVerified, isAdmin }, token }
+ *
+ * The user is emailed a token to verify their email (see GET /auth/verify-email).
  *
- * Authorization required: login
+ * Authorization required: login and Admin
  **/
 
-router.post('/', ensureLoggedIn, async function(req, res, next) {
+router.post('/', authorize('users:create'), validateBody(userNewSchema), async function(req, res, next) {
 	try {
-		const validator = jsonschema.validate(req.body, userNewSchema);
-		if (!validator.valid) {
-			const errs = validator.errors.map((e) => e.stack);
-			throw new BadRequestError(errs);
-		}
-
 		const user = await User.register(req.body);
+		await sendVerification(user);
 		const token = createToken(user);
 		return res.status(201).json({ user, token });
 	} catch (err) {
@@ -42,38 +59,144 @@ router.post('/', ensureLoggedIn, async function(req, res, next) {
 	}
 });
 
-/** POST apply to a job
+/** POST /[username]/jobs/[job_id] { state } => { applied: jobId }
  *
- * Adds a new application.This is
- * only for admin users to add new users. The new application being added can be an
- * admin or the user.
+ * Applies the user to a job. state is optional: 'applied' (the default) or
+ * 'interested'.
  *
- * This returns the newly created user and an authentication token for them:
- *  {user: { username, firstName, lastName, email, isAdmin }, token }
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.post(
+	'/:username/jobs/:job_id',
+	authorize('users:applications:create'),
+	validateBody(applicationNewSchema),
+	async function(req, res, next) {
+		try {
+			const job_id = await User.apply(req.params.username, req.params.job_id, req.body.state);
+			return res.status(201).json({ applied: job_id });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** DELETE /[username]/jobs/[job_id] => { withdrawn: jobId }
+ *
+ * Withdraws the user's application. The application and its history are kept,
+ * in the withdrawn state.
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.delete('/:username/jobs/:job_id', authorize('users:applications:withdraw'), async function(req, res, next) {
+	try {
+		const application = await Application.withdraw(
+			req.params.username,
+			req.params.job_id,
+			res.locals.user.username
+		);
+		return res.json({ withdrawn: application.jobId });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[username]/applications => { applications: [...], total, next, prev }
+ *
+ * Returns the user's applications, newest first:
+ *   [{ jobId, state, createdAt, updatedAt, title, salary, equity, companyHandle, companyName }, ...]
+ *
+ * Can filter on state, and on appliedAfter / appliedBefore (dates or
+ * date-times). Results are paginated with limit and either offset or cursor.
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.get(
+	'/:username/applications',
+	authorize('users:applications:list'),
+	validateQuery(applicationSearchSchema),
+	async function(req, res, next) {
+		try {
+			const result = await Application.findForUser(req.params.username, req.query);
+			return res.json(result);
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** GET /[username]/jobs/[job_id] => { application }
  *
- * Authorization required: login
+ * Returns { username, jobId, state, createdAt, updatedAt, history }
+ *   where history is [{ fromState, toState, changedBy, changedAt }, ...]
+ *
+ * Authorization required: login and (Admin or User)
  **/
 
-router.post('/:username/jobs/:job_id', ensureLoggedIn, ensureAdminOrUser, async function(req, res, next) {
+router.get('/:username/jobs/:job_id', authorize('users:applications:get'), async function(req, res, next) {
 	try {
-		const job_id = await User.apply(req.params.username, req.params.job_id);
-		return res.status(201).json({ applied: job_id });
+		const application = await Application.get(req.params.username, req.params.job_id);
+		return res.json({ application });
 	} catch (err) {
 		return next(err);
 	}
 });
 
-/** GET / => { users: [ {username, firstName, lastName, email, jobs: [jobId...] }, ... ] }
+/** PATCH /[username]/jobs/[job_id] { state } => { application }
+ *
+ * Moves the application to a new state. The states are:
+ *   interested -> applied -> interviewing -> offered -> accepted
+ * and any open application can be rejected or withdrawn.
+ *
+ * Users can only move their own applications to applied, accepted (an offer)
+ * or withdrawn (which declines an offer).
  *
- * Returns list of all users.
+ * Returns { username, jobId, state, createdAt, updatedAt, history }
  *
  * Authorization required: login and (Admin or User)
  **/
 
-router.get('/', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
+router.patch(
+	'/:username/jobs/:job_id',
+	authorize('users:applications:update'),
+	validateBody(applicationUpdateSchema),
+	async function(req, res, next) {
+		try {
+			const { user } = res.locals;
+			if (!user.isAdmin && !CANDIDATE_STATES.includes(req.body.state)) {
+				throw new ForbiddenError(`Users can only change their application to: ${CANDIDATE_STATES.join(', ')}`);
+			}
+
+			const application = await Application.transition(
+				req.params.username,
+				req.params.job_id,
+				req.body.state,
+				user.username
+			);
+			return res.json({ application });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** GET / => { users: [ {username, firstName, lastName, email, isAdmin }, ... ], total, next, prev }
+ *
+ * Returns a page of users, chosen with limit and either offset or cursor,
+ * where cursor is the next or prev value from another page.
+ *
+ * Can be sorted with sort, a comma-separated list of username, firstName,
+ * lastName and email, each prefixed with "-" for descending order.
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.get('/', authorize('users:list'), validateQuery(userSearchSchema), async function(req, res, next) {
 	try {
-		const users = await User.findAll();
-		return res.json({ users });
+		const result = await User.findAll(req.query);
+		return res.json(result);
 	} catch (err) {
 		return next(err);
 	}
@@ -81,15 +204,18 @@ router.get('/', ensureLoggedIn, ensureAdmin, async function(req, res, next) {
 
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin, jobs, skills }
+ *   where jobs is [{ id, title, company_handle, company_name, state }, ...]
+ *   and skills is [{ slug, name, proficiency }, ...]
  *
  * Authorization required: login and (Admin or User)
  **/
 
-router.get('/:username', ensureLoggedIn, ensureAdminOrUser, async function(req, res, next) {
+router.get('/:username', authorize('users:get'), async function(req, res, next) {
 	try {
 		const user = await User.get(req.params.username);
-		return res.json({ user });
+		const skills = await Skill.findForUser(req.params.username);
+		return res.json({ user: { ...user, skills } });
 	} catch (err) {
 		return next(err);
 	}
@@ -100,32 +226,161 @@ router.get('/:username', ensureLoggedIn, ensureAdminOrUser, async function(req,
  * Data can include:
  *   { firstName, lastName, password, email }
  *
- * Returns { username, firstName, lastName, email, isAdmin }
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+ *
+ * A changed email has to be verified again, so a new verification token is
+ * emailed to it.
  *
  * Authorization required: login and (Admin or User)
  **/
 
-router.patch('/:username', ensureLoggedIn, ensureAdminOrUser, async function(req, res, next) {
+router.patch('/:username', authorize('users:update'), validateBody(userUpdateSchema), async function(
+	req,
+	res,
+	next
+) {
 	try {
-		const validator = jsonschema.validate(req.body, userUpdateSchema);
-		if (!validator.valid) {
-			const errs = validator.errors.map((e) => e.stack);
-			throw new BadRequestError(errs);
-		}
-
 		const user = await User.update(req.params.username, req.body);
+		if (req.body.email !== undefined && !user.emailVerified) await sendVerification(user);
 		return res.json({ user });
 	} catch (err) {
 		return next(err);
 	}
 });
 
+/** PUT /[username]/skills { skills: [{ skill, proficiency }, ...] }  =>  { skills }
+ *
+ * Sets the user's skills, replacing any they had. skill is a slug or alias;
+ * proficiency is beginner, intermediate, advanced or expert.
+ *
+ * Returns { skills: [{ slug, name, proficiency }, ...] }
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.put('/:username/skills', authorize('users:skills:set'), validateBody(userSkillsSchema), async function(
+	req,
+	res,
+	next
+) {
+	try {
+		const skills = await Skill.setForUser(req.params.username, req.body.skills);
+		return res.json({ skills });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** GET /[username]/preferences  =>  { preferences }
+ *
+ * What the user wants from a job, which their recommendations are scored
+ * against.
+ *
+ * Returns { desiredSalary, salaryCurrency, country, latitude, longitude, radiusKm, remoteOk }
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.get('/:username/preferences', authorize('users:preferences:get'), async function(req, res, next) {
+	try {
+		const preferences = await JobPreference.get(req.params.username);
+		return res.json({ preferences });
+	} catch (err) {
+		return next(err);
+	}
+});
+
+/** PUT /[username]/preferences { preferences }  =>  { preferences }
+ *
+ * Sets what the user wants from a job, replacing what they had; anything left
+ * out goes back to its default. Preferences are:
+ *   - desiredSalary: the least they want paid a year, in salaryCurrency (an
+ *     ISO 4217 code, by default USD)
+ *   - country: an ISO 3166-1 alpha-2 code for where they want to work
+ *   - latitude and longitude: where they are, to look for jobs within
+ *     radiusKm (by default 50) of
+ *   - remoteOk: whether remote jobs they can do from country will do (the
+ *     default)
+ *
+ * Returns { desiredSalary, salaryCurrency, country, latitude, longitude, radiusKm, remoteOk }
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.put(
+	'/:username/preferences',
+	authorize('users:preferences:set'),
+	validateBody(jobPreferencesSchema),
+	async function(req, res, next) {
+		try {
+			const preferences = await JobPreference.set(req.params.username, req.body);
+			return res.json({ preferences });
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** GET /[username]/recommendations  =>  { recommendations: [...], total, next, prev }
+ *
+ * Listed jobs the user hasn't applied to, scored out of 100 on their skills,
+ * desired salary, location preference and the jobs they've applied to, best
+ * first. Jobs scoring nothing are left out.
+ *
+ * Each recommendation is { job, score, breakdown }
+ *   where job is { id, title, company_handle, company_name }
+ *   and breakdown is { skills, salary, location, history }, each
+ *   { score, max, reason }, and skills also has matched and missing, the
+ *   job's skills the user has and doesn't
+ *
+ * Results are paginated with limit and either offset or cursor, as for
+ * GET /jobs.
+ *
+ * Authorization required: login and (Admin or User)
+ **/
+
+router.get(
+	'/:username/recommendations',
+	authorize('users:recommendations:list'),
+	validateQuery(recommendationSearchSchema),
+	async function(req, res, next) {
+		try {
+			const result = await Recommendation.findForUser(req.params.username, req.query);
+			return res.json(result);
+		} catch (err) {
+			return next(err);
+		}
+	}
+);
+
+/** POST /[username]/unlock  =>  { unlocked: username }
+ *
+ * Lifts a lockout from too many failed logins, and clears the account's failed
+ * attempts.
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.post('/:username/unlock', authorize('users:unlock'), async function(req, res, next) {
+	try {
+		await User.get(req.params.username);
+		await loginThrottle.unlock(req.params.username);
+		await AuditLog.record({ action: 'user.unlock', targetType: 'user', targetId: req.params.username });
+		return res.json({ unlocked: req.params.username });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * The user is logged out and hidden until restored, or purged after
+ * DELETED_RETENTION.
  *
  * Authorization required: login and (Admin or User)
  **/
 
-router.delete('/:username', ensureLoggedIn, ensureAdminOrUser, async function(req, res, next) {
+router.delete('/:username', authorize('users:delete'), async function(req, res, next) {
 	try {
 		await User.remove(req.params.username);
 		return res.json({ deleted: req.params.username });
@@ -134,4 +389,22 @@ router.delete('/:username', ensureLoggedIn, ensureAdminOrUser, async function(re
 	}
 });
 
+/** POST /[username]/restore  =>  { user }
+ *
+ * Restores a deleted user, who can then log in again.
+ *
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin }
+ *
+ * Authorization required: login and Admin
+ **/
+
+router.post('/:username/restore', authorize('users:restore'), async function(req, res, next) {
+	try {
+		const user = await User.restore(req.params.username);
+		return res.json({ user });
+	} catch (err) {
+		return next(err);
+	}
+});
+
 module.exports = router;
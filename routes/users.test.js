@@ -5,8 +5,19 @@ const request = require('supertest');
 const db = require('../db.js');
 const app = require('../app');
 const User = require('../models/user');
+const Application = require('../models/application');
+const AuditLog = require('../models/auditLog');
+const { transports } = require('../helpers/mailer');
 
-const { commonBeforeAll, commonBeforeEach, commonAfterEach, commonAfterAll, u1Token } = require('./_testCommon');
+const {
+	commonBeforeAll,
+	commonBeforeEach,
+	commonAfterEach,
+	commonAfterAll,
+	u1Token,
+	u2Token,
+	testJobIds
+} = require('./_testCommon');
 
 beforeAll(commonBeforeAll);
 beforeEach(commonBeforeEach);
@@ -15,8 +26,8 @@ afterAll(commonAfterAll);
 
 /************************************** POST /users */
 
-fdescribe('POST /users', function() {
-	test('doesnt work for users: create non-admin', async function() {
+describe('POST /users', function() {
+	test('works for admin: create non-admin', async function() {
 		const resp = await request(app)
 			.post('/users')
 			.send({
@@ -35,13 +46,14 @@ fdescribe('POST /users', function() {
 				firstName: 'First-new',
 				lastName: 'Last-newL',
 				email: 'new@email.com',
+				emailVerified: false,
 				isAdmin: false
 			},
 			token: expect.any(String)
 		});
 	});
 
-	test('works for users: create admin', async function() {
+	test('works for admin: create admin', async function() {
 		const resp = await request(app)
 			.post('/users')
 			.send({
@@ -60,12 +72,28 @@ fdescribe('POST /users', function() {
 				firstName: 'First-new',
 				lastName: 'Last-newL',
 				email: 'new@email.com',
+				emailVerified: false,
 				isAdmin: true
 			},
 			token: expect.any(String)
 		});
 	});
 
+	test('unauth for non-admin', async function() {
+		const resp = await request(app)
+			.post('/users')
+			.send({
+				username: 'u-new',
+				firstName: 'First-new',
+				lastName: 'Last-newL',
+				password: 'password-new',
+				email: 'new@email.com',
+				isAdmin: false
+			})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test('unauth for anon', async function() {
 		const resp = await request(app).post('/users').send({
 			username: 'u-new',
@@ -107,7 +135,7 @@ fdescribe('POST /users', function() {
 /************************************** GET /users */
 
 describe('GET /users', function() {
-	test('works for users', async function() {
+	test('works for admin', async function() {
 		const resp = await request(app).get('/users').set('authorization', `Bearer ${u1Token}`);
 		expect(resp.body).toEqual({
 			users: [
@@ -130,12 +158,20 @@ describe('GET /users', function() {
 					firstName: 'U3F',
 					lastName: 'U3L',
 					email: 'user3@user.com',
-					isAdmin: false
+					isAdmin: true
 				}
-			]
+			],
+			total: 3,
+			next: null,
+			prev: null
 		});
 	});
 
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).get('/users').set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
 	test('unauth for anon', async function() {
 		const resp = await request(app).get('/users');
 		expect(resp.statusCode).toEqual(401);
@@ -162,7 +198,18 @@ describe('GET /users/:username', function() {
 				firstName: 'U1F',
 				lastName: 'U1L',
 				email: 'user1@user.com',
-				isAdmin: false
+				emailVerified: true,
+				isAdmin: false,
+				jobs: [
+					{
+						id: testJobIds[0],
+						title: 'title1',
+						company_handle: 'c1',
+						company_name: 'C1',
+						state: 'applied'
+					}
+				],
+				skills: []
 			}
 		});
 	});
@@ -194,11 +241,34 @@ describe('PATCH /users/:username', () => {
 				firstName: 'New',
 				lastName: 'U1L',
 				email: 'user1@user.com',
+				emailVerified: true,
 				isAdmin: false
 			}
 		});
 	});
 
+	test('works: changing email needs verifying again', async function() {
+		const resp = await request(app)
+			.patch(`/users/u1`)
+			.send({
+				email: 'changed@user.com'
+			})
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body.user.emailVerified).toEqual(false);
+		expect(transports.memory.sent.map((m) => m.to)).toEqual([ 'changed@user.com' ]);
+	});
+
+	test('works: same email stays verified', async function() {
+		const resp = await request(app)
+			.patch(`/users/u1`)
+			.send({
+				email: 'user1@user.com'
+			})
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body.user.emailVerified).toEqual(true);
+		expect(transports.memory.sent).toEqual([]);
+	});
+
 	test('unauth for anon', async function() {
 		const resp = await request(app).patch(`/users/u1`).send({
 			firstName: 'New'
@@ -239,6 +309,7 @@ describe('PATCH /users/:username', () => {
 				firstName: 'U1F',
 				lastName: 'U1L',
 				email: 'user1@user.com',
+				emailVerified: true,
 				isAdmin: false
 			}
 		});
@@ -247,6 +318,188 @@ describe('PATCH /users/:username', () => {
 	});
 });
 
+/************************************** PUT /users/:username/skills */
+
+describe('PUT /users/:username/skills', function() {
+	test('works for same user', async function() {
+		const resp = await request(app)
+			.put(`/users/u2/skills`)
+			.send({ skills: [ { skill: 'sql', proficiency: 'beginner' }, { skill: 'nodejs', proficiency: 'expert' } ] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({
+			skills: [
+				{ slug: 'node', name: 'Node.js', proficiency: 'expert' },
+				{ slug: 'sql', name: 'SQL', proficiency: 'beginner' }
+			]
+		});
+
+		const user = await request(app).get(`/users/u2`).set('authorization', `Bearer ${u2Token}`);
+		expect(user.body.user.skills).toEqual(resp.body.skills);
+	});
+
+	test('bad request with unknown proficiency', async function() {
+		const resp = await request(app)
+			.put(`/users/u2/skills`)
+			.send({ skills: [ { skill: 'sql', proficiency: 'guru' } ] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app)
+			.put(`/users/u1/skills`)
+			.send({ skills: [] })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found if user missing', async function() {
+		const resp = await request(app)
+			.put(`/users/nope/skills`)
+			.send({ skills: [] })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** GET, PUT /users/:username/preferences */
+
+describe('PUT /users/:username/preferences', function() {
+	test('works for same user', async function() {
+		const resp = await request(app)
+			.put(`/users/u2/preferences`)
+			.send({ desiredSalary: 150000, country: 'US', remoteOk: false })
+			.set('authorization', `Bearer ${u2Token}`);
+		const preferences = {
+			desiredSalary: 150000,
+			salaryCurrency: 'USD',
+			country: 'US',
+			latitude: null,
+			longitude: null,
+			radiusKm: 50,
+			remoteOk: false
+		};
+		expect(resp.body).toEqual({ preferences });
+
+		const got = await request(app).get(`/users/u2/preferences`).set('authorization', `Bearer ${u2Token}`);
+		expect(got.body).toEqual({ preferences });
+	});
+
+	test('bad request with invalid data', async function() {
+		const resp = await request(app)
+			.put(`/users/u2/preferences`)
+			.send({ country: 'usa' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app)
+			.put(`/users/u1/preferences`)
+			.send({})
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** GET /users/:username/recommendations */
+
+describe('GET /users/:username/recommendations', function() {
+	test('works for same user', async function() {
+		await request(app)
+			.put(`/users/u2/skills`)
+			.send({ skills: [ { skill: 'node', proficiency: 'advanced' } ] })
+			.set('authorization', `Bearer ${u2Token}`);
+
+		const resp = await request(app).get(`/users/u2/recommendations`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body).toEqual({
+			recommendations: [
+				{
+					job: { id: testJobIds[0], title: 'title1', company_handle: 'c1', company_name: 'C1' },
+					score: 33,
+					breakdown: {
+						skills: {
+							score: 33,
+							max: 50,
+							matched: [ 'node' ],
+							missing: [ 'sql' ],
+							reason: 'You have 1 of 1 required and 0 of 1 nice-to-have skills'
+						},
+						salary: { score: 0, max: 20, reason: 'You have no desired salary' },
+						location: { score: 0, max: 20, reason: 'You have no location preference' },
+						history: { score: 0, max: 10, reason: 'Nothing like the jobs you applied to' }
+					}
+				}
+			],
+			total: 1,
+			next: null,
+			prev: null
+		});
+	});
+
+	test('leaves out jobs applied to', async function() {
+		const resp = await request(app).get(`/users/u1/recommendations`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body.recommendations.map((r) => r.job.id)).not.toContain(testJobIds[0]);
+	});
+
+	test('bad request with unknown query', async function() {
+		const resp = await request(app)
+			.get(`/users/u2/recommendations?sort=score`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app).get(`/users/u1/recommendations`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found if user missing', async function() {
+		const resp = await request(app).get(`/users/nope/recommendations`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /users/:username/unlock */
+
+describe('POST /users/:username/unlock', function() {
+	test('works for admin', async function() {
+		for (let i = 0; i < 5; i++) {
+			await request(app).post('/auth/token').send({ username: 'u2', password: 'nope' });
+		}
+		const locked = await request(app).post('/auth/token').send({ username: 'u2', password: 'password2' });
+		expect(locked.statusCode).toEqual(429);
+
+		const resp = await request(app).post(`/users/u2/unlock`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ unlocked: 'u2' });
+
+		const login = await request(app).post('/auth/token').send({ username: 'u2', password: 'password2' });
+		expect(login.statusCode).toEqual(200);
+	});
+
+	test('is recorded in the audit log', async function() {
+		await request(app).post(`/users/u2/unlock`).set('authorization', `Bearer ${u1Token}`);
+
+		const { entries: [ entry ] } = await AuditLog.findAll({ action: 'user.unlock', targetId: 'u2' });
+		expect(entry).toEqual(expect.objectContaining({ actor: 'u1', targetType: 'user', targetId: 'u2' }));
+	});
+
+	test('not found if user missing', async function() {
+		const resp = await request(app).post(`/users/nope/unlock`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).post(`/users/u1/unlock`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).post(`/users/u1/unlock`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
 /************************************** DELETE /users/:username */
 
 describe('DELETE /users/:username', function() {
@@ -264,4 +517,310 @@ describe('DELETE /users/:username', function() {
 		const resp = await request(app).delete(`/users/nope`).set('authorization', `Bearer ${u1Token}`);
 		expect(resp.statusCode).toEqual(404);
 	});
+
+	test('logs the user out', async function() {
+		await request(app).delete(`/users/u2`).set('authorization', `Bearer ${u2Token}`);
+
+		const resp = await request(app).get(`/users/u2`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** POST /users/:username/restore */
+
+describe('POST /users/:username/restore', function() {
+	test('works for admin', async function() {
+		await request(app).delete(`/users/u2`).set('authorization', `Bearer ${u2Token}`);
+
+		const resp = await request(app).post(`/users/u2/restore`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			user: {
+				username: 'u2',
+				firstName: 'U2F',
+				lastName: 'U2L',
+				email: 'user2@user.com',
+				emailVerified: true,
+				isAdmin: false
+			}
+		});
+	});
+
+	test('unauth for non-admin', async function() {
+		const resp = await request(app).post(`/users/u1/restore`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found if not deleted', async function() {
+		const resp = await request(app).post(`/users/u2/restore`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** POST /users/:username/jobs/:job_id */
+
+describe('POST /users/:username/jobs/:job_id', function() {
+	test('works for same user', async function() {
+		const resp = await request(app)
+			.post(`/users/u2/jobs/${testJobIds[1]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(201);
+		expect(resp.body).toEqual({ applied: testJobIds[1] });
+	});
+
+	test('works: interested', async function() {
+		const resp = await request(app)
+			.post(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'interested' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(201);
+		const found = await request(app)
+			.get(`/users/u2/jobs/${testJobIds[1]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(found.body.application.state).toEqual('interested');
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app)
+			.post(`/users/u1/jobs/${testJobIds[1]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).post(`/users/u2/jobs/${testJobIds[1]}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('bad request if already applied', async function() {
+		const resp = await request(app)
+			.post(`/users/u1/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request if the job is closed', async function() {
+		await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [ testJobIds[1] ]);
+		const resp = await request(app)
+			.post(`/users/u2/jobs/${testJobIds[1]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request on invalid state', async function() {
+		const resp = await request(app)
+			.post(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'offered' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('not found for no such job', async function() {
+		const resp = await request(app).post(`/users/u2/jobs/0`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** GET /users/:username/jobs/:job_id */
+
+describe('GET /users/:username/jobs/:job_id', function() {
+	test('works for same user', async function() {
+		const resp = await request(app)
+			.get(`/users/u1/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			application: {
+				username: 'u1',
+				jobId: testJobIds[0],
+				state: 'applied',
+				createdAt: expect.any(String),
+				updatedAt: expect.any(String),
+				history: [ { fromState: null, toState: 'applied', changedBy: 'u1', changedAt: expect.any(String) } ]
+			}
+		});
+	});
+
+	test('not found if no such application', async function() {
+		const resp = await request(app)
+			.get(`/users/u2/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** PATCH /users/:username/jobs/:job_id */
+
+describe('PATCH /users/:username/jobs/:job_id', function() {
+	test('works for admin', async function() {
+		const resp = await request(app)
+			.patch(`/users/u1/jobs/${testJobIds[0]}`)
+			.send({ state: 'interviewing' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.application.state).toEqual('interviewing');
+		expect(resp.body.application.history.map((h) => h.toState)).toEqual([ 'applied', 'interviewing' ]);
+	});
+
+	test('works for same user: withdraw', async function() {
+		await User.apply('u2', testJobIds[1]);
+		const resp = await request(app)
+			.patch(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'withdrawn' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(200);
+		expect(resp.body.application.state).toEqual('withdrawn');
+	});
+
+	test('bad request for same user applying once the job has closed', async function() {
+		await User.apply('u2', testJobIds[1], 'interested');
+		await db.query(`UPDATE jobs SET status = 'closed' WHERE id = $1`, [ testJobIds[1] ]);
+		const resp = await request(app)
+			.patch(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'applied' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('works for same user: accept or decline an offer', async function() {
+		await User.apply('u2', testJobIds[0]);
+		await User.apply('u2', testJobIds[1]);
+		for (const id of [ testJobIds[0], testJobIds[1] ]) {
+			await Application.transition('u2', id, 'interviewing', 'u1');
+			await Application.transition('u2', id, 'offered', 'u1');
+		}
+
+		let resp = await request(app)
+			.patch(`/users/u2/jobs/${testJobIds[0]}`)
+			.send({ state: 'accepted' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.application.state).toEqual('accepted');
+
+		resp = await request(app)
+			.patch(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'withdrawn' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.application.state).toEqual('withdrawn');
+	});
+
+	test('forbidden for same user moving past applied', async function() {
+		await User.apply('u2', testJobIds[1]);
+		const resp = await request(app)
+			.patch(`/users/u2/jobs/${testJobIds[1]}`)
+			.send({ state: 'offered' })
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(403);
+	});
+
+	test('bad request on invalid transition', async function() {
+		const resp = await request(app)
+			.patch(`/users/u1/jobs/${testJobIds[0]}`)
+			.send({ state: 'accepted' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('bad request on unknown state', async function() {
+		const resp = await request(app)
+			.patch(`/users/u1/jobs/${testJobIds[0]}`)
+			.send({ state: 'hired' })
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).patch(`/users/u1/jobs/${testJobIds[0]}`).send({ state: 'withdrawn' });
+		expect(resp.statusCode).toEqual(401);
+	});
+});
+
+/************************************** DELETE /users/:username/jobs/:job_id */
+
+describe('DELETE /users/:username/jobs/:job_id', function() {
+	test('works for same user', async function() {
+		const resp = await request(app)
+			.delete(`/users/u1/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({ withdrawn: testJobIds[0] });
+
+		const found = await request(app)
+			.get(`/users/u1/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(found.body.application.state).toEqual('withdrawn');
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app)
+			.delete(`/users/u1/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).delete(`/users/u1/jobs/${testJobIds[0]}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('not found if no such application', async function() {
+		const resp = await request(app)
+			.delete(`/users/u2/jobs/${testJobIds[0]}`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(404);
+	});
+});
+
+/************************************** GET /users/:username/applications */
+
+describe('GET /users/:username/applications', function() {
+	test('works for same user', async function() {
+		const resp = await request(app).get(`/users/u1/applications`).set('authorization', `Bearer ${u1Token}`);
+		expect(resp.body).toEqual({
+			applications: [
+				{
+					jobId: testJobIds[0],
+					state: 'applied',
+					createdAt: expect.any(String),
+					updatedAt: expect.any(String),
+					title: 'title1',
+					salary: 100000,
+					equity: '0.01',
+					companyHandle: 'c1',
+					companyName: 'C1'
+				}
+			],
+			total: 1,
+			next: null,
+			prev: null
+		});
+	});
+
+	test('works: filters and pagination', async function() {
+		await User.apply('u2', testJobIds[0]);
+		await User.apply('u2', testJobIds[1], 'interested');
+		let resp = await request(app)
+			.get(`/users/u2/applications?state=interested`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.applications.map((a) => a.jobId)).toEqual([ testJobIds[1] ]);
+
+		resp = await request(app)
+			.get(`/users/u2/applications?limit=1&appliedAfter=2000-01-01`)
+			.set('authorization', `Bearer ${u2Token}`);
+		expect(resp.body.applications.length).toEqual(1);
+		expect(resp.body.total).toEqual(2);
+	});
+
+	test('bad request on invalid filters', async function() {
+		const resp = await request(app)
+			.get(`/users/u1/applications?appliedAfter=yesterday`)
+			.set('authorization', `Bearer ${u1Token}`);
+		expect(resp.statusCode).toEqual(400);
+	});
+
+	test('unauth for other users', async function() {
+		const resp = await request(app).get(`/users/u1/applications`).set('authorization', `Bearer ${u2Token}`);
+		expect(resp.statusCode).toEqual(401);
+	});
+
+	test('unauth for anon', async function() {
+		const resp = await request(app).get(`/users/u1/applications`);
+		expect(resp.statusCode).toEqual(401);
+	});
 });
@@ -0,0 +1,37 @@
+"use strict";
+
+/** Close job postings whose expires_at has passed. They're hidden from the
+ * public as soon as they expire; this makes it official, and stops them from
+ * being published again.
+ *
+ * Run it regularly, e.g. hourly from cron:
+ *
+ *     node sweep.js
+ */
+
+const db = require("./db");
+const Job = require("./models/job");
+const { runWithContext } = require("./helpers/requestContext");
+
+/** Close every published or paused job that has expired.
+ *
+ * Returns [id, ...] for the jobs closed.
+ */
+
+async function sweepExpired() {
+  return Job.closeExpired();
+}
+
+if (require.main === module) {
+  runWithContext({ actor: "sweep" }, () => sweepExpired())
+      .then((closed) => {
+        console.log(`Closed ${closed.length} expired jobs`);
+      })
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+}
+
+module.exports = { sweepExpired };
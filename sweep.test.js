@@ -0,0 +1,30 @@
+"use strict";
+
+const db = require("./db");
+const { sweepExpired } = require("./sweep");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  testJobIds,
+} = require("./models/_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+test("closes expired jobs and only those", async function () {
+  await db.query(`UPDATE jobs SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1`, [testJobIds[0]]);
+  await db.query(`UPDATE jobs SET expires_at = NOW() + INTERVAL '1 day' WHERE id = $1`, [testJobIds[1]]);
+
+  expect(await sweepExpired()).toEqual([testJobIds[0]]);
+
+  const result = await db.query(`SELECT id, status FROM jobs ORDER BY id`);
+  expect(result.rows).toEqual([
+    { id: testJobIds[0], status: "closed" },
+    { id: testJobIds[1], status: "published" },
+    { id: testJobIds[2], status: "published" },
+  ]);
+});